@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+// A batch run only needs warnings, and stdout is kept for the report
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+const logger = require('../src/utils/logger');
+logger.transports
+  .filter(transport => transport.name === 'console')
+  .forEach(transport => { transport.stderrLevels = { error: true, warn: true, info: true, debug: true }; });
+
+const { config } = require('../src/config/config');
+const investmentAnalyzer = require('../src/services/investmentAnalyzer');
+const { NewsArchive } = require('../src/services/newsArchive');
+const { Backtester, PriceHistory } = require('../src/services/backtester');
+
+/**
+ * Backtest news-sentiment recommendations against historical prices (offline)
+ * Run with: npm run backtest -- --prices prices.json [--news data/news-archive.jsonl]
+ *   [--from 2025-06-01] [--to 2025-06-30] [--horizon 7] [--lookback 3] [--threshold 2]
+ *   [--format text|json|csv] [--output report.csv]
+ */
+
+const USAGE = `Usage: npm run backtest -- --prices <file> [options]
+
+  --prices <file>     Daily prices: { "bitcoin": [["2025-06-01", 67000], ...] } (required)
+  --news <file>       News archive (.jsonl) or article list (.json) (default: ${config.news.archive.filePath})
+  --from <date>       First day to replay (default: oldest article)
+  --to <date>         Last day to replay (default: newest article)
+  --horizon <days>    Days after a call at which its outcome is measured (default: 7)
+  --lookback <days>   Days of news each daily analysis sees (default: 3)
+  --threshold <pct>   Price change that counts as a move up or down (default: 2)
+  --format <format>   text, json or csv (default: text)
+  --output <file>     Write the report to a file instead of stdout`;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z]+)$/);
+    if (!match || argv[i + 1] === undefined) {
+      throw new Error(`Unexpected argument: ${argv[i]}`);
+    }
+    args[match[1]] = argv[++i];
+  }
+  return args;
+}
+
+/**
+ * Load news to replay: an archive file, or a JSON list of articles
+ * @param {string} filePath - Path of the file
+ * @returns {NewsArchive} In-memory archive
+ */
+function loadNews(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`News file not found: ${resolved}`);
+  }
+
+  const archive = new NewsArchive();
+  if (resolved.endsWith('.jsonl')) {
+    const records = fs.readFileSync(resolved, 'utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    archive.addArticles(records);
+  } else {
+    const data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    archive.addArticles(Array.isArray(data) ? data : data.articles || []);
+  }
+  return archive;
+}
+
+function toNumber(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = parseFloat(value);
+  if (Number.isNaN(number) || number < 0) {
+    throw new Error(`--${name} must be a positive number`);
+  }
+  return number;
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    if (!args.prices) {
+      throw new Error('--prices is required');
+    }
+    if (args.format && !['text', 'json', 'csv'].includes(args.format)) {
+      throw new Error(`Unknown format: ${args.format}`);
+    }
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  try {
+    const backtester = new Backtester({
+      analyzer: investmentAnalyzer,
+      archive: loadNews(args.news || config.news.archive.filePath),
+      prices: PriceHistory.fromFile(args.prices),
+      horizonDays: toNumber(args.horizon, 'horizon'),
+      lookbackDays: toNumber(args.lookback, 'lookback'),
+      moveThreshold: toNumber(args.threshold, 'threshold'),
+      weightBySources: config.news.clustering.weightBySources
+    });
+
+    const report = backtester.run({ from: args.from || null, to: args.to || null });
+    const format = args.format || 'text';
+    const output = format === 'json' ? `${JSON.stringify(report, null, 2)}\n`
+      : format === 'csv' ? backtester.toCsv(report)
+        : backtester.formatSummary(report);
+
+    if (args.output) {
+      fs.writeFileSync(path.resolve(args.output), output);
+      process.stdout.write(backtester.formatSummary(report));
+      console.log(`\nReport written to ${args.output}`);
+    } else {
+      process.stdout.write(output);
+    }
+  } catch (error) {
+    console.error(`❌ Backtest failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
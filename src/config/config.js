@@ -1,10 +1,28 @@
 require('dotenv').config();
 
+// Parse "name:weight" pairs, e.g. "carv:2,rss:1"
+const parseWeights = (value) => (value || '').split(',').reduce((weights, pair) => {
+  const [name, weight] = pair.split(':').map(part => part.trim());
+  if (name && parseFloat(weight) > 0) {
+    weights[name.toLowerCase()] = parseFloat(weight);
+  }
+  return weights;
+}, {});
+
 const config = {
   telegram: {
     token: process.env.TELEGRAM_BOT_TOKEN,
     name: process.env.BOT_NAME || 'CarV AI Assistant',
-    description: process.env.BOT_DESCRIPTION || 'AI-powered assistant for CARV SVM Chain ecosystem'
+    description: process.env.BOT_DESCRIPTION || 'AI-powered assistant for CARV SVM Chain ecosystem',
+    mode: (process.env.TELEGRAM_MODE || 'polling').toLowerCase(), // 'polling' or 'webhook'
+    adminIds: (process.env.TELEGRAM_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean), // User IDs allowed to run admin commands
+    webhook: {
+      url: process.env.WEBHOOK_URL, // Public HTTPS URL Telegram will POST updates to
+      host: process.env.WEBHOOK_HOST || '0.0.0.0',
+      port: parseInt(process.env.WEBHOOK_PORT) || 8443,
+      path: process.env.WEBHOOK_PATH, // Defaults to the path of WEBHOOK_URL
+      secretToken: process.env.WEBHOOK_SECRET_TOKEN
+    }
   },
   
   ai: {
@@ -12,17 +30,144 @@ const config = {
     baseURL: process.env.OPENAI_API_BASE_URL || 'https://api.openai.com/v1',
     model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
     maxTokens: 1000,
-    temperature: 0.7
+    temperature: 0.7,
+    maxContextTokens: parseInt(process.env.AI_MAX_CONTEXT_TOKENS) || 6000, // Prompt budget (capped at the smallest model context window)
+    enableTools: process.env.AI_ENABLE_TOOLS !== 'false', // Let the model call news/analysis tools
+    maxToolIterations: parseInt(process.env.AI_MAX_TOOL_ITERATIONS) || 3,
+    // Ordered provider chain, e.g. "openai,custom,anthropic" (defaults to the provider detected from OPENAI_API_BASE_URL)
+    providers: (process.env.AI_PROVIDERS || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+    retry: {
+      retries: parseInt(process.env.AI_MAX_RETRIES) || 2,
+      baseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS) || 500,
+      maxDelayMs: 8000
+    },
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 3,
+      cooldownMs: parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS) || 60000
+    }
+  },
+  
+  // Settings for additional providers used in the fallback chain
+  aiProviders: {
+    custom: {
+      apiKey: process.env.CUSTOM_AI_API_KEY,
+      baseURL: process.env.CUSTOM_AI_ENDPOINT,
+      model: process.env.CUSTOM_AI_MODEL
+    },
+    anthropic: {
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+      model: process.env.ANTHROPIC_MODEL // Unset uses the provider's default Claude model
+    },
+    local: {
+      protocol: (process.env.LOCAL_AI_PROTOCOL || 'ollama').toLowerCase(), // 'ollama' (native /api/chat) or 'openai' (llama.cpp server)
+      baseURL: process.env.LOCAL_AI_BASE_URL, // Defaults to http://localhost:11434 (Ollama) or http://localhost:8080 (llama.cpp)
+      model: process.env.LOCAL_AI_MODEL || 'llama3.1',
+      enableTools: process.env.LOCAL_AI_ENABLE_TOOLS === 'true', // Only for models trained for tool use
+      timeoutMs: parseInt(process.env.LOCAL_AI_TIMEOUT_MS) || 120000 // Local generation can be slow
+    }
+  },
+  
+  intent: {
+    minConfidence: parseFloat(process.env.INTENT_MIN_CONFIDENCE) || 0.5 // Below this, messages go to normal chat
+  },
+  
+  history: {
+    store: process.env.HISTORY_STORE || 'memory', // 'memory' or 'file'
+    filePath: process.env.HISTORY_FILE_PATH || 'data/conversations.json',
+    ttlMs: parseInt(process.env.HISTORY_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours of inactivity
+    maxMessagesPerUser: parseInt(process.env.HISTORY_MAX_MESSAGES) || 20,
+    maxCharsPerUser: parseInt(process.env.HISTORY_MAX_CHARS) || 20000,
+    cleanupIntervalMs: 10 * 60 * 1000, // 10 minutes
+    summary: {
+      enabled: process.env.HISTORY_SUMMARIZE !== 'false', // Fold older turns into a rolling memory message
+      thresholdTokens: parseInt(process.env.HISTORY_SUMMARY_THRESHOLD_TOKENS) || 3000,
+      thresholdMessages: parseInt(process.env.HISTORY_SUMMARY_THRESHOLD_MESSAGES) || 16, // Keep below HISTORY_MAX_MESSAGES
+      keepRecentMessages: parseInt(process.env.HISTORY_SUMMARY_KEEP_MESSAGES) || 6,
+      maxTokens: 300
+    }
+  },
+  
+  assets: {
+    registryFile: process.env.ASSET_REGISTRY_FILE || 'src/config/assets.json', // Assets and sectors the bot recognizes
+    hotReload: process.env.ASSET_REGISTRY_HOT_RELOAD !== 'false', // Apply edits to the registry file without a restart
+    reloadIntervalMs: parseInt(process.env.ASSET_REGISTRY_RELOAD_MS) || 5000 // How often the file is checked for changes
+  },
+
+  marketData: {
+    provider: (process.env.MARKET_DATA_PROVIDER || 'coingecko').toLowerCase(), // 'coingecko', 'fixture' or 'none'
+    baseURL: process.env.MARKET_DATA_URL || 'https://api.coingecko.com/api/v3', // Any CoinGecko-compatible API
+    apiKey: process.env.COINGECKO_API_KEY, // Optional, raises rate limits
+    fixtureFile: process.env.MARKET_DATA_FIXTURE_FILE || 'data/market.json', // Saved /coins/markets response
+    currency: (process.env.MARKET_DATA_CURRENCY || 'usd').toLowerCase(),
+    cacheTtlMs: parseInt(process.env.MARKET_DATA_CACHE_TTL_MS) || 60 * 1000, // 1 minute
+    momentumThreshold: parseFloat(process.env.MARKET_MOMENTUM_THRESHOLD) || 3 // 7d change (%) that counts as a trend
   },
   
   carv: {
     authToken: process.env.CARV_AUTH_TOKEN
   },
   
+  news: {
+    // Enabled sources, merged in this order: carv, rss, json
+    sources: (process.env.NEWS_SOURCES || 'carv').split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+    weights: parseWeights(process.env.NEWS_SOURCE_WEIGHTS), // Share of the merged feed per source (default 1)
+    rssFeeds: (process.env.NEWS_RSS_FEEDS || '').split(',').map(url => url.trim()).filter(Boolean),
+    jsonFilePath: process.env.NEWS_JSON_FILE || 'data/news.json',
+    cacheTimeoutMs: parseInt(process.env.NEWS_CACHE_TTL_MS) || 5 * 60 * 1000, // 5 minutes
+    refresh: {
+      enabled: process.env.NEWS_REFRESH !== 'false', // Refresh in the background instead of on user requests
+      intervalMs: parseInt(process.env.NEWS_REFRESH_INTERVAL_MS) || 4 * 60 * 1000, // Keep below the cache TTL
+      retryBaseMs: parseInt(process.env.NEWS_REFRESH_RETRY_MS) || 30 * 1000, // First retry after a failed refresh
+      maxBackoffMs: parseInt(process.env.NEWS_REFRESH_MAX_BACKOFF_MS) || 30 * 60 * 1000
+    },
+    clustering: {
+      enabled: process.env.NEWS_CLUSTERING !== 'false', // Group coverage of the same event into one story
+      threshold: parseFloat(process.env.NEWS_CLUSTER_THRESHOLD) || 0.35, // Similarity (0-1) needed to join a story
+      weightBySources: process.env.NEWS_CLUSTER_WEIGHT_BY_SOURCES === 'true' // Count widely covered stories more in analysis
+    },
+    archive: {
+      enabled: process.env.NEWS_ARCHIVE !== 'false', // Keep every fetched article on disk
+      filePath: process.env.NEWS_ARCHIVE_FILE || 'data/news-archive.jsonl',
+      retentionDays: process.env.NEWS_ARCHIVE_RETENTION_DAYS !== undefined ? parseInt(process.env.NEWS_ARCHIVE_RETENTION_DAYS) || 0 : 90 // 0 keeps articles forever
+    }
+  },
+  
+  sentiment: {
+    mode: (process.env.SENTIMENT_MODE || 'lexicon').toLowerCase(), // 'lexicon' or 'llm' (AI provider, lexicon as fallback)
+    llm: {
+      batchSize: parseInt(process.env.SENTIMENT_LLM_BATCH_SIZE) || 10, // Articles per request
+      cacheSize: parseInt(process.env.SENTIMENT_LLM_CACHE_SIZE) || 1000, // Scored articles kept in memory
+      maxTokens: 1500
+    },
+    positiveThreshold: parseFloat(process.env.SENTIMENT_POSITIVE_THRESHOLD) || 0.2, // Scores (-1 to 1) at or above count as positive
+    negativeThreshold: parseFloat(process.env.SENTIMENT_NEGATIVE_THRESHOLD) || -0.2, // Scores at or below count as negative
+    // A story's weight in the score halves every this many hours of age (0 weighs all news equally)
+    halfLifeHours: process.env.SENTIMENT_HALF_LIFE_HOURS !== undefined ? parseFloat(process.env.SENTIMENT_HALF_LIFE_HOURS) || 0 : 24,
+    history: {
+      enabled: process.env.SENTIMENT_HISTORY !== 'false', // Save per-asset snapshots on each news refresh
+      filePath: process.env.SENTIMENT_HISTORY_FILE || 'data/sentiment-history.jsonl',
+      retentionDays: parseInt(process.env.SENTIMENT_HISTORY_RETENTION_DAYS) || 35 // Enough for /trend 30d
+    }
+  },
+  
+  recommendations: {
+    // Asset calls with a lower confidence score (0-1) are left out of /invest
+    minConfidence: process.env.RECOMMENDATION_MIN_CONFIDENCE !== undefined ? parseFloat(process.env.RECOMMENDATION_MIN_CONFIDENCE) || 0 : 0.25
+  },
+  
+  watchlist: {
+    filePath: process.env.WATCHLIST_FILE || 'data/watchlists.json', // Saved so watchlists survive restarts
+    maxAssets: parseInt(process.env.WATCHLIST_MAX_ASSETS) || 10 // Per user
+  },
+  
   bot: {
     maxMessageLength: parseInt(process.env.MAX_MESSAGE_LENGTH) || 4096,
     rateLimitPerUser: parseInt(process.env.RATE_LIMIT_PER_USER) || 10,
-    rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000
+    rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
+    streamResponses: process.env.STREAM_RESPONSES !== 'false', // Progressive message edits while the AI answers
+    streamEditIntervalMs: parseInt(process.env.STREAM_EDIT_INTERVAL_MS) || 1000, // Telegram allows ~1 edit/sec per chat
+    newsPageSize: parseInt(process.env.NEWS_PAGE_SIZE) || 5 // Articles per /news page
   },
   
   logging: {
@@ -32,15 +177,97 @@ const config = {
 
 // Validate required configuration
 const validateConfig = () => {
-  const required = ['TELEGRAM_BOT_TOKEN', 'OPENAI_API_KEY'];
+  // Validate AI provider chain
+  const knownProviders = ['openai', 'anthropic', 'custom', 'local'];
+  config.ai.providers.forEach(name => {
+    if (!knownProviders.includes(name)) {
+      throw new Error(`Unknown AI provider in AI_PROVIDERS: ${name}`);
+    }
+  });
+
+  // Required lazily: the providers module depends on the logger, which depends on this file
+  const { AIProviderFactory } = require('../services/aiProviders');
+  const providerChain = config.ai.providers.length > 0
+    ? config.ai.providers
+    : [AIProviderFactory.detectProvider(config.ai)];
+
+  // Local models and providers with their own keys run without OPENAI_API_KEY
+  const needsOpenAIKey = providerChain.some(name =>
+    name !== 'local' && !(config.aiProviders[name] && config.aiProviders[name].apiKey));
+
+  const required = ['TELEGRAM_BOT_TOKEN', ...(needsOpenAIKey ? ['OPENAI_API_KEY'] : [])];
   const missing = required.filter(key => !process.env[key]);
   
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
+
+  if (config.ai.providers.includes('custom') && !config.aiProviders.custom.baseURL && !process.env.OPENAI_API_BASE_URL) {
+    throw new Error('CUSTOM_AI_ENDPOINT is required when AI_PROVIDERS includes custom');
+  }
+
+  if (config.ai.providers.includes('anthropic') && !config.aiProviders.anthropic.apiKey &&
+      !(config.ai.baseURL || '').includes('anthropic')) {
+    throw new Error('ANTHROPIC_API_KEY is required when AI_PROVIDERS includes anthropic');
+  }
+
+  if (providerChain.includes('local') && !['ollama', 'openai'].includes(config.aiProviders.local.protocol)) {
+    throw new Error(`Invalid LOCAL_AI_PROTOCOL: ${config.aiProviders.local.protocol}. Use 'ollama' or 'openai'.`);
+  }
+
+  if (config.history.summary.enabled && config.history.summary.thresholdMessages >= config.history.maxMessagesPerUser) {
+    console.warn('⚠️  HISTORY_SUMMARY_THRESHOLD_MESSAGES should be below HISTORY_MAX_MESSAGES, or older turns are dropped before they are summarized.');
+  }
+
+  // Validate update delivery mode
+  if (!['polling', 'webhook'].includes(config.telegram.mode)) {
+    throw new Error(`Invalid TELEGRAM_MODE: ${config.telegram.mode}. Use 'polling' or 'webhook'.`);
+  }
+
+  if (config.telegram.mode === 'webhook') {
+    if (!config.telegram.webhook.url) {
+      throw new Error('WEBHOOK_URL is required when TELEGRAM_MODE is webhook');
+    }
+
+    if (!config.telegram.webhook.secretToken) {
+      console.warn('⚠️  WEBHOOK_SECRET_TOKEN not set. Incoming webhook requests will not be verified.');
+    }
+  }
   
+  // Validate news sources
+  const knownSources = ['carv', 'rss', 'json'];
+  config.news.sources.forEach(name => {
+    if (!knownSources.includes(name)) {
+      throw new Error(`Unknown news source in NEWS_SOURCES: ${name}`);
+    }
+  });
+
+  if (config.news.sources.length === 0) {
+    throw new Error('NEWS_SOURCES must enable at least one news source');
+  }
+
+  if (config.news.sources.includes('rss') && config.news.rssFeeds.length === 0) {
+    throw new Error('NEWS_RSS_FEEDS is required when NEWS_SOURCES includes rss');
+  }
+
+  if (config.news.refresh.enabled && config.news.refresh.intervalMs >= config.news.cacheTimeoutMs) {
+    console.warn('⚠️  NEWS_REFRESH_INTERVAL_MS should be below NEWS_CACHE_TTL_MS, or users will see expired news between refreshes.');
+  }
+
+  if (!['coingecko', 'fixture', 'none'].includes(config.marketData.provider)) {
+    throw new Error(`Invalid MARKET_DATA_PROVIDER: ${config.marketData.provider}. Use 'coingecko', 'fixture' or 'none'.`);
+  }
+
+  if (!['lexicon', 'llm'].includes(config.sentiment.mode)) {
+    throw new Error(`Invalid SENTIMENT_MODE: ${config.sentiment.mode}. Use 'lexicon' or 'llm'.`);
+  }
+
+  if (config.recommendations.minConfidence < 0 || config.recommendations.minConfidence > 1) {
+    throw new Error('RECOMMENDATION_MIN_CONFIDENCE must be between 0 and 1');
+  }
+
   // Warn if CARV auth token is missing (optional but recommended)
-  if (!process.env.CARV_AUTH_TOKEN) {
+  if (config.news.sources.includes('carv') && !process.env.CARV_AUTH_TOKEN) {
     console.warn('⚠️  CARV_AUTH_TOKEN not set. News functionality may be limited.');
   }
 };
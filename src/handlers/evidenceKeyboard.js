@@ -0,0 +1,47 @@
+/**
+ * "Show all evidence" button under /invest and /analyze replies.
+ * The button's callback data names the report's stored evidence, e.g. "evidence:1f"
+ * (see investmentAnalyzer.storeEvidence).
+ */
+
+const CALLBACK_PREFIX = 'evidence';
+
+/**
+ * Encode an evidence id as callback data
+ * @param {string} id - Evidence id
+ * @returns {string} Callback data
+ */
+const encodeEvidenceCallback = (id) => `${CALLBACK_PREFIX}:${id}`;
+
+/**
+ * Parse callback data produced by encodeEvidenceCallback
+ * @param {string} data - Callback data
+ * @returns {string|null} Evidence id, or null if the data is not an evidence button
+ */
+const parseEvidenceCallback = (data) => {
+  const match = /^evidence:([a-z0-9]+)$/.exec(data || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Whether callback data belongs to an evidence button
+ * @param {string} data - Callback data
+ * @returns {boolean}
+ */
+const isEvidenceCallback = (data) => typeof data === 'string' && data.startsWith(`${CALLBACK_PREFIX}:`);
+
+/**
+ * Build the inline keyboard for a report
+ * @param {string} id - Evidence id
+ * @returns {Object} Telegram reply_markup
+ */
+const buildEvidenceKeyboard = (id) => ({
+  inline_keyboard: [[{ text: '📑 Show all evidence', callback_data: encodeEvidenceCallback(id) }]]
+});
+
+module.exports = {
+  encodeEvidenceCallback,
+  parseEvidenceCallback,
+  isEvidenceCallback,
+  buildEvidenceKeyboard
+};
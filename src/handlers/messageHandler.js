@@ -1,6 +1,10 @@
 const aiService = require('../services/aiService');
 const newsService = require('../services/newsService');
 const investmentAnalyzer = require('../services/investmentAnalyzer');
+const entityExtractor = require('../services/entityExtractor');
+const StreamingMessage = require('./streamingMessage');
+const { NEWS_FILTERS, parseNewsCallback, isNewsCallback, buildNewsKeyboard } = require('./newsNavigation');
+const { parseEvidenceCallback, isEvidenceCallback, buildEvidenceKeyboard } = require('./evidenceKeyboard');
 const rateLimiter = require('../utils/rateLimiter');
 const logger = require('../utils/logger');
 const { config } = require('../config/config');
@@ -76,6 +80,11 @@ class MessageHandler {
       // Send typing indicator
       await this.bot.sendChatAction(chatId, 'typing');
 
+      if (aiService.supportsStreaming()) {
+        await this.handleStreamingAIMessage(chatId, userId, messageText, username);
+        return;
+      }
+
       // Generate AI response
       const response = await aiService.generateResponse(userId, messageText, username);
 
@@ -99,6 +108,39 @@ class MessageHandler {
     }
   }
 
+  /**
+   * Stream an AI response into a placeholder message that is edited as tokens arrive
+   * @param {number} chatId - Chat ID
+   * @param {string} userId - User ID
+   * @param {string} messageText - User's message
+   * @param {string} username - User's username
+   */
+  async handleStreamingAIMessage(chatId, userId, messageText, username) {
+    const stream = new StreamingMessage(this.bot, chatId, {
+      maxLength: config.bot.maxMessageLength,
+      editIntervalMs: config.bot.streamEditIntervalMs
+    });
+
+    await stream.start();
+
+    try {
+      const response = await aiService.generateResponse(userId, messageText, username, {
+        onToken: token => stream.append(token)
+      });
+
+      await stream.finish(response);
+
+      logger.info(`Streamed AI response sent to user ${userId}`, {
+        responseLength: response.length,
+        messageCount: stream.sentMessages.length
+      });
+
+    } catch (error) {
+      logger.error('Error generating AI response:', error);
+      await stream.finish('🤖 Sorry, I\'m having trouble processing your request. Please try again.');
+    }
+  }
+
   /**
    * Handle bot commands
    * @param {number} chatId - Chat ID
@@ -131,7 +173,11 @@ class MessageHandler {
         break;
       
       case '/news':
-        await this.handleNewsCommand(chatId);
+        await this.handleNewsCommand(chatId, messageText);
+        break;
+      
+      case '/search':
+        await this.handleSearchCommand(chatId, messageText);
         break;
       
       case '/trending':
@@ -146,6 +192,26 @@ class MessageHandler {
         await this.handleAnalyzeCommand(chatId, userId, messageText);
         break;
       
+      case '/trend':
+        await this.handleTrendCommand(chatId, messageText);
+        break;
+      
+      case '/watch':
+        await this.handleWatchCommand(chatId, userId, messageText);
+        break;
+      
+      case '/unwatch':
+        await this.handleUnwatchCommand(chatId, userId, messageText);
+        break;
+      
+      case '/watchlist':
+        await this.handleWatchlistCommand(chatId, userId);
+        break;
+      
+      case '/assets':
+        await this.handleAssetsCommand(chatId, userId, messageText);
+        break;
+      
       default:
         await this.bot.sendMessage(chatId, 
           '❓ Unknown command. Use /help to see available commands.'
@@ -203,9 +269,16 @@ Use /help to see all available commands.`;
 📊 **Investment Commands:**
 /invest - Get general investment analysis and recommendations
 /analyze <asset> - Analyze specific asset (e.g., /analyze bitcoin)
+/trend <asset> [7d|30d] - Sentiment trend of an asset (e.g., /trend sol 30d)
+
+👀 **Watchlist Commands:**
+/watch <asset> [...] - Add assets to your watchlist (e.g., /watch bitcoin sol ada)
+/unwatch <asset> [...] - Remove assets (/unwatch all empties the list)
+/watchlist - Analyze all your watched assets together
 
 📰 **News Commands:**
-/news - Get latest cryptocurrency and blockchain news
+/news [category] - Browse latest news with page and category buttons (e.g., /news defi)
+/search <query> - Search news, best matches first (quote phrases: /search "etf approval")
 /trending - Show trending topics in crypto space
 
 💡 **Investment Tips:**
@@ -279,19 +352,23 @@ Learn more: [CARV Documentation](https://docs.carv.io)`;
   }
 
   /**
-   * Handle /news command
+   * Handle /news command (optionally filtered, e.g. /news bitcoin)
    * @param {number} chatId - Chat ID
+   * @param {string} messageText - Full message text
    */
-  async handleNewsCommand(chatId) {
+  async handleNewsCommand(chatId, messageText = '/news') {
     try {
       await this.bot.sendChatAction(chatId, 'typing');
+
+      const requested = aiService.normalizeAssetName(messageText.split(' ')[1] || ''); // "BTC" -> "bitcoin"
+      const category = NEWS_FILTERS.some(filter => filter.category === requested) ? requested : null;
+
+      const { text, keyboard } = await this.buildNewsView(category, 1);
       
-      const news = await newsService.getLatestNews();
-      const formattedNews = newsService.formatNewsForDisplay(news);
-      
-      await this.bot.sendMessage(chatId, formattedNews, { 
+      await this.bot.sendMessage(chatId, text, { 
         parse_mode: 'Markdown',
-        disable_web_page_preview: true
+        disable_web_page_preview: true,
+        reply_markup: keyboard
       });
       
     } catch (error) {
@@ -302,6 +379,153 @@ Learn more: [CARV Documentation](https://docs.carv.io)`;
     }
   }
 
+  /**
+   * Build one page of the /news view with its navigation keyboard
+   * @param {string|null} category - Category filter (null for all news)
+   * @param {number} page - Requested page (1-based)
+   * @returns {Promise<Object>} { text, keyboard }
+   */
+  async buildNewsView(category, page) {
+    const news = category
+      ? await newsService.getNewsByCategory(category)
+      : await newsService.getLatestNews();
+
+    const filter = NEWS_FILTERS.find(entry => entry.category === category);
+    const title = filter ? `${filter.label} News` : 'Latest News';
+    const view = newsService.formatNewsPage(news, page, config.bot.newsPageSize, title);
+
+    return { text: view.text, keyboard: buildNewsKeyboard(category, view.page, view.totalPages) };
+  }
+
+  /**
+   * Handle inline keyboard presses by editing the message in place
+   * @param {Object} query - Telegram callback query
+   */
+  async handleCallbackQuery(query) {
+    const message = query.message;
+
+    if (isEvidenceCallback(query.data) && message) {
+      await this.handleEvidenceCallback(query);
+      return;
+    }
+
+    if (!isNewsCallback(query.data) || !message) {
+      await this.bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    const view = parseNewsCallback(query.data);
+    if (!view) {
+      // The page indicator button, or a stale keyboard
+      await this.bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    logger.info(`News navigation from user ${query.from.id}`, view);
+
+    try {
+      const { text, keyboard } = await this.buildNewsView(view.category, view.page);
+
+      await this.bot.editMessageText(text, {
+        chat_id: message.chat.id,
+        message_id: message.message_id,
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true,
+        reply_markup: keyboard
+      });
+      await this.bot.answerCallbackQuery(query.id);
+
+    } catch (error) {
+      // Pressing the active filter again leaves the message unchanged
+      if (/message is not modified/i.test(error.message || '')) {
+        await this.bot.answerCallbackQuery(query.id);
+        return;
+      }
+
+      logger.error('Error updating news view:', error);
+      await this.bot.answerCallbackQuery(query.id, {
+        text: '📰 Sorry, I couldn\'t load the news right now. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Handle a "Show all evidence" press by sending every article behind the report
+   * @param {Object} query - Telegram callback query
+   */
+  async handleEvidenceCallback(query) {
+    const id = parseEvidenceCallback(query.data);
+    const entry = id && investmentAnalyzer.getEvidence(id);
+
+    if (!entry) {
+      // Evidence is kept for recent reports only, and not across restarts
+      await this.bot.answerCallbackQuery(query.id, {
+        text: '📑 This evidence is no longer available. Run the analysis again for fresh evidence.'
+      });
+      return;
+    }
+
+    logger.info(`Evidence requested by user ${query.from.id}`, { id, title: entry.title });
+
+    try {
+      await this.bot.answerCallbackQuery(query.id);
+      for (const text of investmentAnalyzer.formatEvidence(entry)) {
+        for (const part of this.splitMessage(text, config.bot.maxMessageLength)) {
+          await this.bot.sendMessage(query.message.chat.id, part, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('Error sending evidence:', error);
+      await this.bot.sendMessage(query.message.chat.id,
+        '📑 Sorry, I couldn\'t send the evidence right now. Please try again later.'
+      );
+    }
+  }
+
+  /**
+   * Handle /search command (e.g. /search ethereum "etf approval")
+   * @param {number} chatId - Chat ID
+   * @param {string} messageText - Full message text
+   */
+  async handleSearchCommand(chatId, messageText) {
+    const query = messageText.replace(/^\/search(@\w+)?/i, '').trim();
+
+    if (!query) {
+      await this.bot.sendMessage(chatId,
+        '🔎 Please tell me what to search for.\n\nExample: /search ethereum "etf approval"'
+      );
+      return;
+    }
+
+    try {
+      await this.bot.sendChatAction(chatId, 'typing');
+
+      // The archive holds every article fetched so far; make sure it has the latest ones
+      const archive = config.news.archive.enabled;
+      if (archive) {
+        await newsService.getLatestNews().catch(error => {
+          logger.warn('Searching the news archive without fresh news', { error: error.message });
+        });
+      }
+
+      const results = await newsService.rankNews(query, { archive });
+
+      await this.bot.sendMessage(chatId, newsService.formatSearchResults(results, query, config.bot.newsPageSize), {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      });
+
+    } catch (error) {
+      logger.error('Error searching news:', error);
+      await this.bot.sendMessage(chatId,
+        '🔎 Sorry, I\'m having trouble searching the news right now. Please try again later.'
+      );
+    }
+  }
+
   /**
    * Handle /trending command
    * @param {number} chatId - Chat ID
@@ -337,11 +561,13 @@ Learn more: [CARV Documentation](https://docs.carv.io)`;
     try {
       await this.bot.sendChatAction(chatId, 'typing');
       
-      const analysis = await investmentAnalyzer.analyzeInvestmentOpportunities();
+      const report = await investmentAnalyzer.buildInvestmentReport();
+      const options = { parse_mode: 'Markdown', disable_web_page_preview: true };
+      if (report.evidenceId) {
+        options.reply_markup = buildEvidenceKeyboard(report.evidenceId);
+      }
       
-      await this.bot.sendMessage(chatId, analysis, { 
-        parse_mode: 'Markdown'
-      });
+      await this.bot.sendMessage(chatId, report.text, options);
       
     } catch (error) {
       logger.error('Error analyzing investment opportunities:', error);
@@ -373,11 +599,13 @@ Learn more: [CARV Documentation](https://docs.carv.io)`;
         return;
       }
 
-      const analysis = await investmentAnalyzer.getAssetRecommendation(asset);
+      const report = await investmentAnalyzer.buildAssetReport(aiService.normalizeAssetName(asset));
+      const options = { parse_mode: 'Markdown', disable_web_page_preview: true };
+      if (report.evidenceId) {
+        options.reply_markup = buildEvidenceKeyboard(report.evidenceId);
+      }
       
-      await this.bot.sendMessage(chatId, analysis, { 
-        parse_mode: 'Markdown'
-      });
+      await this.bot.sendMessage(chatId, report.text, options);
       
     } catch (error) {
       logger.error('Error analyzing specific asset:', error);
@@ -387,6 +615,245 @@ Learn more: [CARV Documentation](https://docs.carv.io)`;
     }
   }
 
+  /**
+   * Handle /trend command: sentiment trajectory of an asset ("/trend sol 30d")
+   * @param {number} chatId - Chat ID
+   * @param {string} messageText - Full message text
+   */
+  async handleTrendCommand(chatId, messageText) {
+    const [, name, period = '7d'] = messageText.trim().split(/\s+/);
+    const usage = '📈 Usage: /trend <asset> [7d|30d]\n\nExamples:\n/trend bitcoin\n/trend sol 30d';
+
+    if (!name || !investmentAnalyzer.isTrendPeriod(period.toLowerCase())) {
+      await this.bot.sendMessage(chatId, usage);
+      return;
+    }
+
+    const entry = entityExtractor.registry.get(aiService.normalizeAssetName(name));
+    if (!entry) {
+      await this.bot.sendMessage(chatId, `❓ I don't track "${name}". Admins can add it to the asset registry.`);
+      return;
+    }
+
+    try {
+      const trend = investmentAnalyzer.getSentimentTrend(entry.id, period.toLowerCase());
+      await this.bot.sendMessage(chatId, investmentAnalyzer.formatTrend(trend, entry.symbol || entry.name), {
+        parse_mode: 'Markdown'
+      });
+    } catch (error) {
+      logger.error('Error building sentiment trend:', error);
+      await this.bot.sendMessage(chatId,
+        '📈 Sorry, I\'m having trouble reading the sentiment history right now. Please try again later.'
+      );
+    }
+  }
+
+  /**
+   * Handle /watch command: add registry assets to the user's watchlist ("/watch bitcoin sol")
+   * @param {number} chatId - Chat ID
+   * @param {string} userId - User ID
+   * @param {string} messageText - Full message text
+   */
+  async handleWatchCommand(chatId, userId, messageText) {
+    const names = messageText.trim().split(/\s+/).slice(1);
+    if (names.length === 0) {
+      await this.bot.sendMessage(chatId, '👀 Usage: /watch <asset> [...]\n\nExamples:\n/watch bitcoin\n/watch sol ada eth');
+      return;
+    }
+
+    const { watchlists } = investmentAnalyzer;
+    const assets = [];
+    const unknown = [];
+    names.forEach(name => {
+      const entry = entityExtractor.registry.get(aiService.normalizeAssetName(name));
+      if (!entry) {
+        unknown.push(`"${name}"`);
+      } else if (!assets.includes(entry.id)) {
+        assets.push(entry.id);
+      }
+    });
+
+    const result = watchlists.add(userId, assets);
+
+    // Plain text: the reply echoes what the user typed
+    const lines = [];
+    if (result.added.length > 0) {
+      lines.push(`👀 Now watching ${this.formatAssetLabels(result.added)}.`);
+    }
+    if (result.existing.length > 0) {
+      lines.push(`Already watching ${this.formatAssetLabels(result.existing)}.`);
+    }
+    if (result.rejected.length > 0) {
+      lines.push(`⚠️ Your watchlist is full (${watchlists.maxAssets} assets), so ${this.formatAssetLabels(result.rejected)} ` +
+        `${result.rejected.length === 1 ? 'was' : 'were'} not added. Remove one with /unwatch first.`);
+    }
+    if (unknown.length > 0) {
+      lines.push(`❓ I don't track ${unknown.join(', ')}. Admins can add it to the asset registry.`);
+    }
+
+    await this.bot.sendMessage(chatId, `${lines.join('\n')}\n\n${this.formatWatchlistSummary(userId)}`);
+  }
+
+  /**
+   * Handle /unwatch command: remove assets from the user's watchlist ("/unwatch sol", "/unwatch all")
+   * @param {number} chatId - Chat ID
+   * @param {string} userId - User ID
+   * @param {string} messageText - Full message text
+   */
+  async handleUnwatchCommand(chatId, userId, messageText) {
+    const names = messageText.trim().split(/\s+/).slice(1);
+    if (names.length === 0) {
+      await this.bot.sendMessage(chatId, '👀 Usage: /unwatch <asset> [...]\n\nExamples:\n/unwatch bitcoin\n/unwatch all');
+      return;
+    }
+
+    const { watchlists } = investmentAnalyzer;
+
+    if (names.length === 1 && names[0].toLowerCase() === 'all') {
+      const removed = watchlists.clear(userId);
+      await this.bot.sendMessage(chatId, removed > 0
+        ? `🗑️ Removed ${removed} asset${removed === 1 ? '' : 's'} from your watchlist.`
+        : '👀 Your watchlist is already empty.'
+      );
+      return;
+    }
+
+    // Ids are not checked against the registry, so assets dropped from it can still be removed
+    const assets = names.map(name => aiService.normalizeAssetName(name));
+    const removed = watchlists.remove(userId, assets);
+    const missing = names.filter((name, index) => !removed.includes(assets[index]));
+
+    const lines = [];
+    if (removed.length > 0) {
+      lines.push(`🗑️ Stopped watching ${this.formatAssetLabels(removed)}.`);
+    }
+    if (missing.length > 0) {
+      lines.push(`You weren't watching ${missing.map(name => `"${name}"`).join(', ')}.`);
+    }
+
+    await this.bot.sendMessage(chatId, `${lines.join('\n')}\n\n${this.formatWatchlistSummary(userId)}`);
+  }
+
+  /**
+   * Handle /watchlist command: one combined analysis of the user's watched assets
+   * @param {number} chatId - Chat ID
+   * @param {string} userId - User ID
+   */
+  async handleWatchlistCommand(chatId, userId) {
+    const assets = investmentAnalyzer.watchlists.get(userId);
+    if (assets.length === 0) {
+      await this.bot.sendMessage(chatId,
+        '👀 Your watchlist is empty. Add assets with /watch, e.g. /watch bitcoin sol ada'
+      );
+      return;
+    }
+
+    try {
+      await this.bot.sendChatAction(chatId, 'typing');
+
+      const report = await investmentAnalyzer.buildWatchlistReport(assets);
+      const options = { parse_mode: 'Markdown', disable_web_page_preview: true };
+      if (report.evidenceId) {
+        options.reply_markup = buildEvidenceKeyboard(report.evidenceId);
+      }
+
+      await this.bot.sendMessage(chatId, report.text, options);
+
+    } catch (error) {
+      logger.error('Error analyzing watchlist:', error);
+      await this.bot.sendMessage(chatId,
+        '👀 Sorry, I\'m having trouble analyzing your watchlist right now. Please try again later.'
+      );
+    }
+  }
+
+  /**
+   * Describe a user's watchlist under /watch and /unwatch replies
+   * @param {string} userId - User ID
+   * @returns {string} Summary
+   */
+  formatWatchlistSummary(userId) {
+    const { watchlists } = investmentAnalyzer;
+    const assets = watchlists.get(userId);
+    if (assets.length === 0) {
+      return 'Your watchlist is empty.';
+    }
+    return `Your watchlist (${assets.length}/${watchlists.maxAssets}): ${this.formatAssetLabels(assets)}\n` +
+      'Use /watchlist to analyze it.';
+  }
+
+  /**
+   * Label assets by registry symbol or name
+   * @param {Array<string>} assets - Asset ids
+   * @returns {string} Comma-separated labels
+   */
+  formatAssetLabels(assets) {
+    return assets.map(asset => {
+      const entry = entityExtractor.registry.get(asset);
+      return entry ? entry.symbol || entry.name : asset.toUpperCase();
+    }).join(', ');
+  }
+
+  /**
+   * Handle /assets command (admins only): list the asset registry, or reload it with "/assets reload"
+   * @param {number} chatId - Chat ID
+   * @param {string} userId - User ID
+   * @param {string} messageText - Full message text
+   */
+  async handleAssetsCommand(chatId, userId, messageText) {
+    if (!config.telegram.adminIds.includes(userId)) {
+      await this.bot.sendMessage(chatId, '⛔ This command is only available to bot admins.');
+      return;
+    }
+
+    const { registry } = entityExtractor;
+
+    if ((messageText.split(' ')[1] || '').toLowerCase() === 'reload') {
+      const reloaded = registry.reload();
+      await this.bot.sendMessage(chatId, reloaded
+        ? `🔄 Asset registry reloaded (${registry.list().length} entries).`
+        : '⚠️ The asset registry file is invalid, so the previous version is still in use. Check the logs for details.'
+      );
+      return;
+    }
+
+    const status = registry.getStatus();
+    const assets = registry.list({ type: 'asset' });
+    const sectors = registry.list({ type: 'sector' });
+
+    // Plain text: registry values may contain Markdown characters
+    let text = `🗂️ Asset Registry: ${assets.length} assets, ${sectors.length} sectors\n`;
+    text += `File: ${status.filePath}\n`;
+    text += `Loaded: ${status.loadedAt.toISOString()} (version ${status.version}, hot reload ${status.watching ? 'on' : 'off'})\n`;
+
+    if (assets.length > 0) {
+      text += '\nAssets:\n';
+      assets.forEach(asset => {
+        const details = [
+          asset.chain && `chain: ${asset.chain}`,
+          asset.category && `category: ${asset.category}`,
+          asset.coingeckoId && `coingecko: ${asset.coingeckoId}`
+        ].filter(Boolean).join(', ');
+        const aliases = [...asset.names, ...asset.aliases].join(', ');
+        text += `• ${asset.symbol ? `${asset.symbol} ` : ''}${asset.name} (${asset.id})${details ? ` - ${details}` : ''}\n`;
+        text += `  ${aliases}${asset.ambiguousSymbol ? ' (symbol only as $TICKER or UPPERCASE)' : ''}\n`;
+      });
+    }
+
+    if (sectors.length > 0) {
+      text += '\nSectors:\n';
+      sectors.forEach(sector => {
+        text += `• ${sector.name} (${sector.id}) - ${[...sector.names, ...sector.aliases].join(', ')}\n`;
+      });
+    }
+
+    text += status.watching ? '\nEdits to the file apply automatically.' : '\nUse /assets reload after editing the file.';
+
+    for (const part of this.splitMessage(text, config.bot.maxMessageLength)) {
+      await this.bot.sendMessage(chatId, part);
+    }
+  }
+
   /**
    * Handle non-text messages
    * @param {number} chatId - Chat ID
@@ -0,0 +1,101 @@
+/**
+ * Inline keyboard navigation for /news: page through articles and filter by category.
+ * Button presses arrive as callback queries whose data encodes the view,
+ * e.g. "news:bitcoin:2" (Telegram limits callback data to 64 bytes).
+ */
+
+const CALLBACK_PREFIX = 'news';
+const ALL_CATEGORIES = 'all';
+
+// Category filters offered as buttons (labels shown on the keyboard)
+const NEWS_FILTERS = [
+  { category: 'bitcoin', label: '₿ Bitcoin' },
+  { category: 'ethereum', label: 'Ξ Ethereum' },
+  { category: 'solana', label: '◎ Solana' },
+  { category: 'defi', label: '🏦 DeFi' },
+  { category: 'nft', label: '🖼 NFT' },
+  { category: 'regulation', label: '⚖️ Regulation' },
+  { category: 'security', label: '🔐 Security' },
+  { category: 'adoption', label: '🤝 Adoption' }
+];
+
+/**
+ * Encode a news view as callback data
+ * @param {string|null} category - Category filter (null for all news)
+ * @param {number} page - Page number (1-based)
+ * @returns {string} Callback data
+ */
+const encodeNewsCallback = (category, page) => `${CALLBACK_PREFIX}:${category || ALL_CATEGORIES}:${page}`;
+
+/**
+ * Parse callback data produced by encodeNewsCallback
+ * @param {string} data - Callback data
+ * @returns {Object|null} { category, page }, or null if the data is not a news view
+ */
+const parseNewsCallback = (data) => {
+  const match = /^news:([a-z]+):(\d+)$/.exec(data || '');
+  if (!match) {
+    return null;
+  }
+
+  const category = match[1] === ALL_CATEGORIES ? null : match[1];
+  if (category && !NEWS_FILTERS.some(filter => filter.category === category)) {
+    return null;
+  }
+
+  return { category, page: Math.max(1, parseInt(match[2], 10)) };
+};
+
+/**
+ * Whether callback data belongs to the news keyboard
+ * @param {string} data - Callback data
+ * @returns {boolean}
+ */
+const isNewsCallback = (data) => typeof data === 'string' && data.startsWith(`${CALLBACK_PREFIX}:`);
+
+/**
+ * Build the inline keyboard for a news view
+ * @param {string|null} category - Active category filter
+ * @param {number} page - Current page (1-based)
+ * @param {number} totalPages - Number of pages
+ * @returns {Object} Telegram reply_markup
+ */
+const buildNewsKeyboard = (category, page, totalPages) => {
+  const keyboard = [];
+
+  if (totalPages > 1) {
+    const navigation = [];
+    if (page > 1) {
+      navigation.push({ text: '◀️ Prev', callback_data: encodeNewsCallback(category, page - 1) });
+    }
+    navigation.push({ text: `📄 ${page}/${totalPages}`, callback_data: `${CALLBACK_PREFIX}:noop` });
+    if (page < totalPages) {
+      navigation.push({ text: 'Next ▶️', callback_data: encodeNewsCallback(category, page + 1) });
+    }
+    keyboard.push(navigation);
+  }
+
+  // Category filters, four per row; choosing one starts again at page 1
+  const filters = NEWS_FILTERS.map(filter => ({
+    text: filter.category === category ? `✅ ${filter.label}` : filter.label,
+    callback_data: encodeNewsCallback(filter.category, 1)
+  }));
+  for (let i = 0; i < filters.length; i += 4) {
+    keyboard.push(filters.slice(i, i + 4));
+  }
+
+  keyboard.push([{
+    text: category ? '📰 All news' : '✅ 📰 All news',
+    callback_data: encodeNewsCallback(null, 1)
+  }]);
+
+  return { inline_keyboard: keyboard };
+};
+
+module.exports = {
+  NEWS_FILTERS,
+  encodeNewsCallback,
+  parseNewsCallback,
+  isNewsCallback,
+  buildNewsKeyboard
+};
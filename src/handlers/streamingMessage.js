@@ -0,0 +1,172 @@
+const logger = require('../utils/logger');
+
+/**
+ * Progressively renders a streamed AI answer into Telegram messages.
+ * Sends a placeholder, edits it at a throttled rate as tokens arrive and
+ * continues in a new message once the text passes the maximum length.
+ */
+class StreamingMessage {
+  /**
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {Object} options - Rendering options
+   * @param {number} options.maxLength - Maximum length per Telegram message
+   * @param {number} options.editIntervalMs - Minimum time between edits
+   * @param {string} options.placeholder - Text shown before the first token
+   */
+  constructor(bot, chatId, options = {}) {
+    this.bot = bot;
+    this.chatId = chatId;
+    this.maxLength = options.maxLength || 4096;
+    this.editIntervalMs = options.editIntervalMs !== undefined ? options.editIntervalMs : 1000;
+    this.placeholder = options.placeholder || '🤖 Thinking...';
+
+    this.text = '';
+    this.sentMessages = []; // [{ messageId, text }]
+    this.lastFlushAt = 0;
+    this.flushTimer = null;
+    this.flushing = Promise.resolve();
+  }
+
+  /**
+   * Send the placeholder message
+   */
+  async start() {
+    const sent = await this.bot.sendMessage(this.chatId, this.placeholder);
+    this.sentMessages.push({ messageId: sent.message_id, text: this.placeholder });
+    this.lastFlushAt = Date.now();
+  }
+
+  /**
+   * Append streamed text and schedule a throttled update
+   * @param {string} token - Text to append
+   */
+  append(token) {
+    this.text += token;
+
+    if (this.flushTimer) {
+      return;
+    }
+
+    const wait = Math.max(0, this.lastFlushAt + this.editIntervalMs - Date.now());
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.queueFlush();
+    }, wait);
+  }
+
+  /**
+   * Replace the streamed text with the final answer and render it.
+   * Messages left over from a longer streamed text are deleted.
+   * @param {string} finalText - Final response text
+   */
+  async finish(finalText) {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (finalText !== undefined && finalText !== null) {
+      this.text = finalText;
+    }
+
+    await this.queueFlush();
+    this.flushing = this.flushing.then(() => this.removeExtraMessages());
+    await this.flushing;
+  }
+
+  /**
+   * Serialize flushes so edits never overlap
+   * @returns {Promise<void>}
+   */
+  queueFlush() {
+    this.flushing = this.flushing.then(() => this.flush());
+    return this.flushing;
+  }
+
+  /**
+   * Sync the sent messages with the current text
+   */
+  async flush() {
+    this.lastFlushAt = Date.now();
+
+    if (!this.text.trim()) {
+      return;
+    }
+
+    const parts = this.splitText(this.text);
+
+    for (let i = 0; i < parts.length; i++) {
+      const sent = this.sentMessages[i];
+
+      try {
+        if (!sent) {
+          const message = await this.bot.sendMessage(this.chatId, parts[i]);
+          this.sentMessages.push({ messageId: message.message_id, text: parts[i] });
+        } else if (sent.text !== parts[i]) {
+          await this.bot.editMessageText(parts[i], {
+            chat_id: this.chatId,
+            message_id: sent.messageId
+          });
+          sent.text = parts[i];
+        }
+      } catch (error) {
+        // Telegram rejects edits that do not change the text; anything else is worth logging
+        if (!/message is not modified/i.test(error.message || '')) {
+          logger.warn('Failed to update streamed message:', error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Delete sent messages beyond those the current text needs
+   */
+  async removeExtraMessages() {
+    if (!this.text.trim()) {
+      return;
+    }
+
+    const extra = this.sentMessages.splice(this.splitText(this.text).length);
+    for (const { messageId } of extra) {
+      try {
+        await this.bot.deleteMessage(this.chatId, messageId);
+      } catch (error) {
+        logger.warn('Failed to delete extra streamed message:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Split text into parts of at most maxLength, preferring line or word breaks.
+   * Earlier parts stay stable as more text is appended.
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Message parts
+   */
+  splitText(text) {
+    const parts = [];
+    let remaining = text;
+
+    while (remaining.length > this.maxLength) {
+      const window = remaining.slice(0, this.maxLength);
+      let cut = window.lastIndexOf('\n');
+      if (cut < this.maxLength / 2) {
+        cut = window.lastIndexOf(' ');
+      }
+      if (cut <= 0) {
+        cut = this.maxLength;
+      }
+
+      parts.push(remaining.slice(0, cut));
+      remaining = remaining.slice(cut).replace(/^\s+/, '');
+    }
+
+    if (remaining.length > 0) {
+      parts.push(remaining);
+    }
+
+    return parts;
+  }
+}
+
+module.exports = StreamingMessage;
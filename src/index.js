@@ -1,14 +1,20 @@
 const TelegramBot = require('node-telegram-bot-api');
 const { config, validateConfig } = require('./config/config');
 const MessageHandler = require('./handlers/messageHandler');
+const WebhookServer = require('./server/webhookServer');
 const logger = require('./utils/logger');
 const rateLimiter = require('./utils/rateLimiter');
 const aiService = require('./services/aiService');
+const newsService = require('./services/newsService');
+const entityExtractor = require('./services/entityExtractor');
+const marketDataService = require('./services/marketDataService');
+const investmentAnalyzer = require('./services/investmentAnalyzer');
 
 class CarVAIBot {
   constructor() {
     this.bot = null;
     this.messageHandler = null;
+    this.webhookServer = null;
     this.isRunning = false;
   }
 
@@ -22,8 +28,12 @@ class CarVAIBot {
       
       logger.info('Starting CarV AI Bot initialization...');
 
-      // Create bot instance
-      this.bot = new TelegramBot(config.telegram.token, { polling: true });
+      // Make sure local model servers are up before accepting messages
+      await aiService.checkProviderHealth();
+
+      // Create bot instance (updates arrive via polling or our own webhook listener)
+      const useWebhook = config.telegram.mode === 'webhook';
+      this.bot = new TelegramBot(config.telegram.token, { polling: !useWebhook });
       
       // Initialize message handler
       this.messageHandler = new MessageHandler(this.bot);
@@ -31,13 +41,19 @@ class CarVAIBot {
       // Set up event handlers
       this.setupEventHandlers();
 
+      // Start webhook listener and register it with Telegram
+      if (useWebhook) {
+        await this.setupWebhook();
+      }
+
       // Set bot commands
       await this.setBotCommands();
 
       this.isRunning = true;
       logger.info('CarV AI Bot initialized successfully!', {
         botName: config.telegram.name,
-        aiModel: config.ai.model
+        aiModel: config.ai.model,
+        mode: config.telegram.mode
       });
 
     } catch (error) {
@@ -59,6 +75,15 @@ class CarVAIBot {
       }
     });
 
+    // Handle inline keyboard presses (news pagination and filters)
+    this.bot.on('callback_query', async (query) => {
+      try {
+        await this.messageHandler.handleCallbackQuery(query);
+      } catch (error) {
+        logger.error('Error in callback query handler:', error);
+      }
+    });
+
     // Handle polling errors
     this.bot.on('polling_error', (error) => {
       logger.error('Polling error:', error);
@@ -86,6 +111,26 @@ class CarVAIBot {
     });
   }
 
+  /**
+   * Start the webhook listener and register the webhook URL with Telegram
+   */
+  async setupWebhook() {
+    const { url, host, port, path, secretToken } = config.telegram.webhook;
+
+    this.webhookServer = new WebhookServer(this.bot, {
+      host,
+      port,
+      path: path || new URL(url).pathname,
+      secretToken
+    });
+
+    await this.webhookServer.start();
+
+    const options = secretToken ? { secret_token: secretToken } : {};
+    await this.bot.setWebHook(url, options);
+    logger.info('Webhook registered with Telegram', { url });
+  }
+
   /**
    * Set bot commands
    */
@@ -99,7 +144,12 @@ class CarVAIBot {
         { command: 'about', description: 'About CARV SVM Chain' },
         { command: 'invest', description: 'Get investment analysis' },
         { command: 'analyze', description: 'Analyze specific asset' },
+        { command: 'trend', description: 'Sentiment trend of an asset' },
+        { command: 'watch', description: 'Add assets to your watchlist' },
+        { command: 'unwatch', description: 'Remove assets from your watchlist' },
+        { command: 'watchlist', description: 'Analyze your watched assets' },
         { command: 'news', description: 'Get latest crypto news' },
+        { command: 'search', description: 'Search crypto news' },
         { command: 'trending', description: 'Show trending topics' }
       ];
 
@@ -116,6 +166,19 @@ class CarVAIBot {
   async start() {
     try {
       await this.initialize();
+
+      // Save per-asset sentiment on every refresh for /trend
+      if (config.sentiment.history.enabled) {
+        newsService.onRefresh(news => investmentAnalyzer.recordSnapshot(news));
+      }
+
+      // Keep the news cache warm so users never wait on the sources
+      newsService.startRefresh();
+
+      // Pick up asset registry edits without a restart
+      if (config.assets.hotReload) {
+        entityExtractor.registry.watch();
+      }
       
       logger.info('🚀 CarV AI Bot is now running!', {
         botName: config.telegram.name,
@@ -146,8 +209,26 @@ class CarVAIBot {
       // Stop rate limiter
       rateLimiter.stop();
 
-      // Stop bot polling
-      if (this.bot) {
+      // Persist conversation history and watchlists
+      aiService.stop();
+      investmentAnalyzer.watchlists.close();
+
+      // Stop background news refresh
+      await newsService.stopRefresh();
+      entityExtractor.registry.unwatch();
+
+      // Stop receiving updates
+      if (this.webhookServer) {
+        // Telegram may be unreachable; the listener still has to close or the process hangs
+        try {
+          await this.bot.deleteWebHook();
+          logger.info('Webhook removed from Telegram');
+        } catch (error) {
+          logger.warn('Failed to remove webhook from Telegram:', error.message);
+        } finally {
+          await this.webhookServer.stop();
+        }
+      } else if (this.bot) {
         this.bot.stopPolling();
       }
 
@@ -170,6 +251,7 @@ class CarVAIBot {
       aiModel: config.ai.model,
       aiBaseURL: config.ai.baseURL,
       rateLimit: config.bot.rateLimitPerUser,
+      mode: config.telegram.mode,
       maxMessageLength: config.bot.maxMessageLength,
       logLevel: config.logging.level
     };
@@ -186,6 +268,12 @@ class CarVAIBot {
       botName: config.telegram.name,
       aiModel: config.ai.model,
       conversationStats: aiService.getConversationStats(),
+      aiProviders: aiService.getProviderStatus(),
+      newsRefresh: newsService.getRefreshStatus(),
+      assetRegistry: entityExtractor.registry.getStatus(),
+      marketData: marketDataService.getStatus(),
+      sentimentHistory: investmentAnalyzer.history.getStats(),
+      watchlists: investmentAnalyzer.watchlists.getStats(),
       rateLimitStats: rateLimiter.getStats()
     };
   }
@@ -0,0 +1,216 @@
+const http = require('http');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const SECRET_TOKEN_HEADER = 'x-telegram-bot-api-secret-token';
+
+/**
+ * HTTP listener that receives Telegram updates pushed via setWebHook
+ * and forwards them to the bot with processUpdate().
+ */
+class WebhookServer {
+  /**
+   * @param {Object} bot - Bot instance exposing processUpdate(update)
+   * @param {Object} options - Listener options
+   * @param {string} options.host - Interface to bind to
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {string} options.path - Path Telegram posts updates to
+   * @param {string} options.secretToken - Expected X-Telegram-Bot-Api-Secret-Token value
+   * @param {string} options.healthPath - Path answering load balancer health checks
+   * @param {number} options.maxBodySize - Maximum accepted request body in bytes
+   */
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.host = options.host || '0.0.0.0';
+    this.port = options.port !== undefined ? options.port : 8443;
+    this.path = options.path || '/';
+    this.secretToken = options.secretToken || null;
+    this.healthPath = options.healthPath || '/health';
+    this.maxBodySize = options.maxBodySize || 1024 * 1024; // 1MB
+    this.server = null;
+  }
+
+  /**
+   * Start listening for webhook requests
+   * @returns {Promise<Object>} Bound address ({ host, port })
+   */
+  start() {
+    if (this.server) {
+      return Promise.resolve(this.getAddress());
+    }
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        this.port = this.server.address().port;
+
+        logger.info('Webhook server listening', {
+          host: this.host,
+          port: this.port,
+          path: this.path,
+          secretTokenEnabled: !!this.secretToken
+        });
+
+        resolve(this.getAddress());
+      });
+    });
+  }
+
+  /**
+   * Stop the listener
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    const server = this.server;
+    this.server = null;
+
+    return new Promise((resolve) => {
+      server.close(() => {
+        logger.info('Webhook server stopped');
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Get the bound address
+   * @returns {Object} Address ({ host, port })
+   */
+  getAddress() {
+    return { host: this.host, port: this.port };
+  }
+
+  /**
+   * Handle an incoming HTTP request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === this.healthPath && req.method === 'GET') {
+      this.sendResponse(res, 200, { ok: true });
+      return;
+    }
+
+    if (pathname !== this.path) {
+      this.sendResponse(res, 404, { ok: false, error: 'Not found' });
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      this.sendResponse(res, 405, { ok: false, error: 'Method not allowed' });
+      return;
+    }
+
+    if (!this.isAuthorized(req)) {
+      logger.warn('Rejected webhook request with invalid secret token', {
+        remoteAddress: req.socket.remoteAddress
+      });
+      this.sendResponse(res, 401, { ok: false, error: 'Unauthorized' });
+      return;
+    }
+
+    this.readBody(req)
+      .then((body) => {
+        let update;
+        try {
+          update = JSON.parse(body);
+        } catch (error) {
+          this.sendResponse(res, 400, { ok: false, error: 'Invalid JSON' });
+          return;
+        }
+
+        if (!update || typeof update.update_id !== 'number') {
+          this.sendResponse(res, 400, { ok: false, error: 'Invalid update' });
+          return;
+        }
+
+        // Acknowledge first so Telegram does not retry while we process
+        this.sendResponse(res, 200, { ok: true });
+
+        try {
+          this.bot.processUpdate(update);
+        } catch (error) {
+          logger.error('Error processing webhook update:', error);
+        }
+      })
+      .catch((error) => {
+        logger.warn('Failed to read webhook request body:', error.message);
+        this.sendResponse(res, error.statusCode || 400, { ok: false, error: error.message });
+      });
+  }
+
+  /**
+   * Verify the secret token header sent by Telegram
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean} True if the request is authorized
+   */
+  isAuthorized(req) {
+    if (!this.secretToken) {
+      return true;
+    }
+
+    const received = Buffer.from(req.headers[SECRET_TOKEN_HEADER] || '');
+    const expected = Buffer.from(this.secretToken);
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Read the request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<string>} Request body
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      let tooLarge = false;
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (tooLarge) {
+          return; // Drain the rest of the body without buffering it
+        }
+        if (size > this.maxBodySize) {
+          const error = new Error('Payload too large');
+          error.statusCode = 413;
+          tooLarge = true;
+          chunks.length = 0;
+          reject(error);
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} body - Response body
+   */
+  sendResponse(res, statusCode, body) {
+    if (res.headersSent) {
+      return;
+    }
+
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = WebhookServer;
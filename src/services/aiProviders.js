@@ -13,6 +13,114 @@ class BaseAIProvider {
   async generateResponse(messages, options = {}) {
     throw new Error('generateResponse must be implemented by subclass');
   }
+
+  /**
+   * Generate a completion that may request tool calls.
+   * Providers without tool support return plain text and no tool calls.
+   * @param {Array} messages - Chat messages (OpenAI format)
+   * @param {Object} options - Generation options (options.tools: OpenAI tool definitions)
+   * @returns {Promise<Object>} { content, toolCalls, finishReason, usage }
+   */
+  async generateCompletion(messages, options = {}) {
+    const content = await this.generateResponse(messages, options);
+    return { content, toolCalls: [], finishReason: 'stop', usage: null };
+  }
+
+  /**
+   * Whether the provider supports OpenAI-style function calling
+   * @returns {boolean}
+   */
+  supportsTools() {
+    return false;
+  }
+
+  /**
+   * Stream a completion. Yields { type: 'token', text } events as text arrives,
+   * then a final { type: 'completion', content, toolCalls, finishReason, usage } event.
+   * Providers without streaming support yield the whole response as a single token.
+   * @param {Array} messages - Chat messages (OpenAI format)
+   * @param {Object} options - Generation options
+   */
+  async *streamCompletion(messages, options = {}) {
+    const completion = await this.generateCompletion(messages, options);
+    if (completion.content) {
+      yield { type: 'token', text: completion.content };
+    }
+    yield { type: 'completion', ...completion };
+  }
+
+  /**
+   * Whether the provider streams tokens incrementally
+   * @returns {boolean}
+   */
+  supportsStreaming() {
+    return false;
+  }
+
+  /**
+   * Parse JSON-encoded tool arguments
+   * @param {string|Object} args - Tool arguments
+   * @returns {Object} Parsed arguments
+   */
+  parseToolArguments(args) {
+    if (typeof args !== 'string') {
+      return args || {};
+    }
+    try {
+      return JSON.parse(args || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+/**
+ * Read a chat completions stream, yielding text tokens and accumulating tool calls
+ * @param {AsyncIterable} stream - Chunk stream from the OpenAI client
+ */
+async function* readChatCompletionStream(stream) {
+  let content = '';
+  let finishReason = null;
+  let usage = null;
+  const toolCalls = [];
+
+  for await (const chunk of stream) {
+    if (chunk.usage) {
+      usage = {
+        promptTokens: chunk.usage.prompt_tokens || 0,
+        completionTokens: chunk.usage.completion_tokens || 0,
+        totalTokens: chunk.usage.total_tokens || 0
+      };
+    }
+
+    const choice = chunk.choices && chunk.choices[0];
+    if (!choice) {
+      continue;
+    }
+
+    const delta = choice.delta || {};
+    if (delta.content) {
+      content += delta.content;
+      yield { type: 'token', text: delta.content };
+    }
+
+    // Tool calls arrive in fragments keyed by index
+    (delta.tool_calls || []).forEach(fragment => {
+      if (!toolCalls[fragment.index]) {
+        toolCalls[fragment.index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+      }
+      const call = toolCalls[fragment.index];
+      if (fragment.id) call.id = fragment.id;
+      if (fragment.function?.name) call.function.name += fragment.function.name;
+      if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+    });
+
+    if (choice.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+  }
+
+  yield { type: 'completion', content, toolCalls: toolCalls.filter(Boolean), finishReason, usage };
 }
 
 /**
@@ -42,65 +150,261 @@ class OpenAIProvider extends BaseAIProvider {
       throw error;
     }
   }
+
+  async generateCompletion(messages, options = {}) {
+    try {
+      const request = {
+        model: options.model || this.config.model,
+        messages: messages,
+        max_tokens: options.maxTokens || this.config.maxTokens,
+        temperature: options.temperature || this.config.temperature,
+      };
+
+      if (options.tools && options.tools.length > 0) {
+        request.tools = options.tools;
+        request.tool_choice = 'auto';
+      }
+
+      const completion = await this.client.chat.completions.create(request);
+      const message = completion.choices[0].message;
+
+      return {
+        content: message.content,
+        toolCalls: message.tool_calls || [],
+        finishReason: completion.choices[0].finish_reason || null,
+        usage: {
+          promptTokens: completion.usage?.prompt_tokens || 0,
+          completionTokens: completion.usage?.completion_tokens || 0,
+          totalTokens: completion.usage?.total_tokens || 0
+        }
+      };
+    } catch (error) {
+      logger.error('OpenAI API error:', error);
+      throw error;
+    }
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  async *streamCompletion(messages, options = {}) {
+    try {
+      const request = {
+        model: options.model || this.config.model,
+        messages: messages,
+        max_tokens: options.maxTokens || this.config.maxTokens,
+        temperature: options.temperature || this.config.temperature,
+        stream: true
+      };
+
+      if (options.tools && options.tools.length > 0) {
+        request.tools = options.tools;
+        request.tool_choice = 'auto';
+      }
+
+      const stream = await this.client.chat.completions.create(request);
+      yield* readChatCompletionStream(stream);
+    } catch (error) {
+      logger.error('OpenAI API streaming error:', error);
+      throw error;
+    }
+  }
+
+  supportsStreaming() {
+    return true;
+  }
 }
 
 /**
- * Anthropic Claude Provider
+ * Anthropic Claude Provider (native Messages API)
  */
 class AnthropicProvider extends BaseAIProvider {
   constructor(config) {
     super(config);
     this.apiKey = config.apiKey;
-    this.baseURL = config.baseURL || 'https://api.anthropic.com';
+    this.baseURL = (config.baseURL || 'https://api.anthropic.com').replace(/\/+$/, '').replace(/\/v1$/, '');
+    this.defaultModel = 'claude-3-5-sonnet-20241022';
+    this.apiVersion = '2023-06-01';
   }
 
   async generateResponse(messages, options = {}) {
+    const completion = await this.generateCompletion(messages, options);
+    return completion.content;
+  }
+
+  async generateCompletion(messages, options = {}) {
     try {
-      // Convert OpenAI format to Anthropic format
-      const systemMessage = messages.find(m => m.role === 'system');
-      const userMessages = messages.filter(m => m.role === 'user');
-      const assistantMessages = messages.filter(m => m.role === 'assistant');
+      const { system, messages: anthropicMessages } = this.convertMessages(messages);
 
-      let prompt = '';
-      if (systemMessage) {
-        prompt += `\n\nHuman: ${systemMessage.content}\n\nAssistant: I understand. I'll help you with that.`;
+      const request = {
+        model: options.model || this.config.model || this.defaultModel,
+        max_tokens: options.maxTokens || this.config.maxTokens || 1024,
+        messages: anthropicMessages
+      };
+
+      const temperature = options.temperature !== undefined ? options.temperature : this.config.temperature;
+      if (temperature !== undefined) {
+        request.temperature = temperature;
       }
 
-      // Combine messages in Anthropic format
-      for (let i = 0; i < Math.max(userMessages.length, assistantMessages.length); i++) {
-        if (userMessages[i]) {
-          prompt += `\n\nHuman: ${userMessages[i].content}`;
-        }
-        if (assistantMessages[i]) {
-          prompt += `\n\nAssistant: ${assistantMessages[i].content}`;
-        }
+      if (system) {
+        request.system = system;
       }
 
-      prompt += '\n\nAssistant:';
+      if (options.tools && options.tools.length > 0) {
+        request.tools = this.convertTools(options.tools);
+      }
 
-      const response = await axios.post(
-        `${this.baseURL}/v1/messages`,
-        {
-          model: options.model || 'claude-3-sonnet-20240229',
-          max_tokens: options.maxTokens || 1000,
-          temperature: options.temperature || 0.7,
-          messages: [{ role: 'user', content: prompt }]
+      const response = await axios.post(`${this.baseURL}/v1/messages`, request, {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': this.apiVersion
         },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.apiKey,
-            'anthropic-version': '2023-06-01'
-          }
-        }
-      );
+        timeout: options.timeout || 60000
+      });
 
-      return response.data.content[0].text;
+      return this.convertResponse(response.data);
     } catch (error) {
-      logger.error('Anthropic API error:', error);
+      logger.error('Anthropic API error:', error.response ? error.response.data : error.message);
       throw error;
     }
   }
+
+  supportsTools() {
+    return true;
+  }
+
+  /**
+   * Convert OpenAI-format chat messages to the Messages API shape.
+   * System messages become the top-level system prompt; turn order is kept,
+   * tool calls become tool_use blocks and tool results become tool_result blocks.
+   * @param {Array} messages - OpenAI-format messages
+   * @returns {Object} { system, messages }
+   */
+  convertMessages(messages) {
+    const systemParts = [];
+    const converted = [];
+
+    const append = (role, blocks) => {
+      const last = converted[converted.length - 1];
+      if (last && last.role === role) {
+        last.content.push(...blocks); // The API expects alternating turns
+      } else {
+        converted.push({ role, content: blocks });
+      }
+    };
+
+    messages.forEach(message => {
+      switch (message.role) {
+        case 'system':
+          if (message.content) systemParts.push(message.content);
+          break;
+
+        case 'user':
+          append('user', [{ type: 'text', text: message.content || '' }]);
+          break;
+
+        case 'assistant': {
+          const blocks = [];
+          if (message.content) {
+            blocks.push({ type: 'text', text: message.content });
+          }
+          (message.tool_calls || []).forEach(call => {
+            blocks.push({
+              type: 'tool_use',
+              id: call.id,
+              name: call.function.name,
+              input: this.parseToolArguments(call.function.arguments)
+            });
+          });
+          if (blocks.length > 0) {
+            append('assistant', blocks);
+          }
+          break;
+        }
+
+        case 'tool':
+          append('user', [{
+            type: 'tool_result',
+            tool_use_id: message.tool_call_id,
+            content: message.content || ''
+          }]);
+          break;
+
+        default:
+          logger.warn(`Skipping message with unsupported role for Anthropic: ${message.role}`);
+      }
+    });
+
+    // Collapse single text blocks to plain strings for readability of requests
+    converted.forEach(message => {
+      if (message.content.length === 1 && message.content[0].type === 'text') {
+        message.content = message.content[0].text;
+      }
+    });
+
+    return {
+      system: systemParts.join('\n\n') || null,
+      messages: converted
+    };
+  }
+
+  /**
+   * Convert OpenAI tool definitions to Anthropic tool definitions
+   * @param {Array} tools - OpenAI-format tools
+   * @returns {Array} Anthropic-format tools
+   */
+  convertTools(tools) {
+    return tools.map(tool => ({
+      name: tool.function.name,
+      description: tool.function.description,
+      input_schema: tool.function.parameters || { type: 'object', properties: {} }
+    }));
+  }
+
+  /**
+   * Convert a Messages API response to the provider-neutral completion shape
+   * @param {Object} data - Response body
+   * @returns {Object} { content, toolCalls, finishReason, usage }
+   */
+  convertResponse(data) {
+    const blocks = data.content || [];
+
+    const content = blocks
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    const toolCalls = blocks
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      }));
+
+    const stopReasons = {
+      end_turn: 'stop',
+      stop_sequence: 'stop',
+      max_tokens: 'length',
+      tool_use: 'tool_calls'
+    };
+
+    const usage = data.usage || {};
+
+    return {
+      content,
+      toolCalls,
+      finishReason: stopReasons[data.stop_reason] || data.stop_reason || null,
+      usage: {
+        promptTokens: usage.input_tokens || 0,
+        completionTokens: usage.output_tokens || 0,
+        totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+      }
+    };
+  }
 }
 
 /**
@@ -130,6 +434,297 @@ class CustomProvider extends BaseAIProvider {
       throw error;
     }
   }
+
+  async generateCompletion(messages, options = {}) {
+    try {
+      const request = {
+        model: options.model || this.config.model,
+        messages: messages,
+        max_tokens: options.maxTokens || this.config.maxTokens,
+        temperature: options.temperature || this.config.temperature,
+      };
+
+      if (options.tools && options.tools.length > 0) {
+        request.tools = options.tools;
+        request.tool_choice = 'auto';
+      }
+
+      const completion = await this.client.chat.completions.create(request);
+      const message = completion.choices[0].message;
+
+      return {
+        content: message.content,
+        toolCalls: message.tool_calls || [],
+        finishReason: completion.choices[0].finish_reason || null,
+        usage: {
+          promptTokens: completion.usage?.prompt_tokens || 0,
+          completionTokens: completion.usage?.completion_tokens || 0,
+          totalTokens: completion.usage?.total_tokens || 0
+        }
+      };
+    } catch (error) {
+      logger.error('Custom AI API error:', error);
+      throw error;
+    }
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  async *streamCompletion(messages, options = {}) {
+    try {
+      const request = {
+        model: options.model || this.config.model,
+        messages: messages,
+        max_tokens: options.maxTokens || this.config.maxTokens,
+        temperature: options.temperature || this.config.temperature,
+        stream: true
+      };
+
+      if (options.tools && options.tools.length > 0) {
+        request.tools = options.tools;
+        request.tool_choice = 'auto';
+      }
+
+      const stream = await this.client.chat.completions.create(request);
+      yield* readChatCompletionStream(stream);
+    } catch (error) {
+      logger.error('Custom AI API streaming error:', error);
+      throw error;
+    }
+  }
+
+  supportsStreaming() {
+    return true;
+  }
+}
+
+/**
+ * Local model provider using Ollama's native /api/chat protocol.
+ * Runs without an API key against a model on our own hardware.
+ */
+class LocalProvider extends BaseAIProvider {
+  constructor(config) {
+    super(config);
+    this.baseURL = (config.baseURL || 'http://localhost:11434').replace(/\/+$/, '').replace(/\/v1$/, '');
+    this.timeout = config.timeoutMs || 120000;
+  }
+
+  async generateResponse(messages, options = {}) {
+    const completion = await this.generateCompletion(messages, options);
+    return completion.content;
+  }
+
+  async generateCompletion(messages, options = {}) {
+    try {
+      const response = await axios.post(`${this.baseURL}/api/chat`, this.buildRequest(messages, options, false), {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: options.timeout || this.timeout
+      });
+
+      return this.convertResponse(response.data);
+    } catch (error) {
+      logger.error('Local AI API error:', error.response ? error.response.data : error.message);
+      throw error;
+    }
+  }
+
+  supportsTools() {
+    return Boolean(this.config.enableTools);
+  }
+
+  /**
+   * Stream a completion; Ollama sends one JSON object per line
+   */
+  async *streamCompletion(messages, options = {}) {
+    let content = '';
+    let final = null;
+    const toolCalls = [];
+
+    try {
+      const response = await axios.post(`${this.baseURL}/api/chat`, this.buildRequest(messages, options, true), {
+        headers: { 'Content-Type': 'application/json' },
+        responseType: 'stream',
+        timeout: options.timeout || this.timeout
+      });
+
+      for await (const chunk of this.readLines(response.data)) {
+        if (chunk.error) {
+          throw new Error(chunk.error);
+        }
+
+        const message = chunk.message || {};
+        if (message.content) {
+          content += message.content;
+          yield { type: 'token', text: message.content };
+        }
+        toolCalls.push(...(message.tool_calls || []));
+
+        if (chunk.done) {
+          final = chunk;
+        }
+      }
+    } catch (error) {
+      logger.error('Local AI API streaming error:', error.message);
+      throw error;
+    }
+
+    yield { type: 'completion', ...this.convertResponse({ ...final, message: { content, tool_calls: toolCalls } }) };
+  }
+
+  supportsStreaming() {
+    return true;
+  }
+
+  /**
+   * List the models installed on the server
+   * @returns {Promise<Array<string>>} Model names
+   */
+  async listModels() {
+    const response = await axios.get(`${this.baseURL}/api/tags`, { timeout: 10000 });
+    return (response.data.models || []).map(model => model.name);
+  }
+
+  /**
+   * Check that the server is reachable and the configured model is installed
+   * @returns {Promise<Object>} { healthy, message, models }
+   */
+  async healthCheck() {
+    try {
+      const models = await this.listModels();
+      const model = this.config.model;
+      // Ollama reports "llama3.1:latest" for a model pulled as "llama3.1"
+      const installed = models.some(name => name === model || name === `${model}:latest`);
+
+      return installed
+        ? { healthy: true, message: `Local model ${model} available`, models }
+        : { healthy: false, message: `Local model ${model} not found. Run: ollama pull ${model}`, models };
+    } catch (error) {
+      return { healthy: false, message: `Local AI server unreachable at ${this.baseURL}: ${error.message}`, models: [] };
+    }
+  }
+
+  buildRequest(messages, options, stream) {
+    const request = {
+      model: options.model || this.config.model,
+      messages: this.convertMessages(messages),
+      stream,
+      options: {
+        num_predict: options.maxTokens || this.config.maxTokens,
+        temperature: options.temperature !== undefined ? options.temperature : this.config.temperature
+      }
+    };
+
+    if (this.supportsTools() && options.tools && options.tools.length > 0) {
+      request.tools = options.tools;
+    }
+
+    return request;
+  }
+
+  /**
+   * Convert OpenAI-format messages; Ollama expects tool call arguments as objects
+   * @param {Array} messages - OpenAI-format messages
+   * @returns {Array} Ollama messages
+   */
+  convertMessages(messages) {
+    return messages.map(message => {
+      const converted = { role: message.role, content: message.content || '' };
+
+      if (message.tool_calls && message.tool_calls.length > 0) {
+        converted.tool_calls = message.tool_calls.map(call => ({
+          function: {
+            name: call.function.name,
+            arguments: this.parseToolArguments(call.function.arguments)
+          }
+        }));
+      }
+
+      return converted;
+    });
+  }
+
+  /**
+   * Convert an /api/chat response to the common completion shape
+   * @param {Object} data - Ollama response
+   * @returns {Object} { content, toolCalls, finishReason, usage }
+   */
+  convertResponse(data = {}) {
+    const message = data.message || {};
+    const toolCalls = (message.tool_calls || []).map((call, index) => ({
+      id: `call_${Date.now()}_${index}`,
+      type: 'function',
+      function: {
+        name: call.function.name,
+        arguments: typeof call.function.arguments === 'string'
+          ? call.function.arguments
+          : JSON.stringify(call.function.arguments || {})
+      }
+    }));
+
+    const promptTokens = data.prompt_eval_count || 0;
+    const completionTokens = data.eval_count || 0;
+
+    return {
+      content: message.content || '',
+      toolCalls,
+      finishReason: toolCalls.length > 0 ? 'tool_calls' : (data.done_reason || 'stop'),
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+
+  /**
+   * Parse newline-delimited JSON from a response stream
+   * @param {AsyncIterable} stream - Response body stream
+   */
+  async *readLines(stream) {
+    let buffer = '';
+
+    for await (const chunk of stream) {
+      buffer += chunk.toString('utf8');
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) {
+          yield JSON.parse(line);
+        }
+      }
+    }
+
+    if (buffer.trim()) {
+      yield JSON.parse(buffer);
+    }
+  }
+}
+
+/**
+ * llama.cpp server (or any local OpenAI-compatible server) without an API key
+ */
+class LlamaCppProvider extends CustomProvider {
+  constructor(config) {
+    super({ ...config, apiKey: config.apiKey || 'not-needed', baseURL: `${(config.baseURL || 'http://localhost:8080').replace(/\/+$/, '').replace(/\/v1$/, '')}/v1` });
+  }
+
+  supportsTools() {
+    return Boolean(this.config.enableTools);
+  }
+
+  async listModels() {
+    const response = await this.client.models.list();
+    return (response.data || []).map(model => model.id);
+  }
+
+  async healthCheck() {
+    try {
+      const models = await this.listModels();
+      return { healthy: true, message: `Local server available at ${this.config.baseURL}`, models };
+    } catch (error) {
+      return { healthy: false, message: `Local AI server unreachable at ${this.config.baseURL}: ${error.message}`, models: [] };
+    }
+  }
 }
 
 /**
@@ -147,6 +742,9 @@ class AIProviderFactory {
       case 'custom':
         return new CustomProvider(config);
       
+      case 'local':
+        return config.protocol === 'openai' ? new LlamaCppProvider(config) : new LocalProvider(config);
+      
       default:
         throw new Error(`Unknown AI provider type: ${type}`);
     }
@@ -156,6 +754,11 @@ class AIProviderFactory {
    * Detect provider type from configuration
    */
   static detectProvider(config) {
+    // A keyless local endpoint (e.g. OPENAI_API_BASE_URL=http://localhost:11434) means a local model
+    if (!config.apiKey && this.isLocalURL(config.baseURL)) {
+      return 'local';
+    }
+
     if (config.apiKey && config.baseURL) {
       if (config.baseURL.includes('anthropic')) {
         return 'anthropic';
@@ -169,6 +772,67 @@ class AIProviderFactory {
     // Default to OpenAI
     return 'openai';
   }
+
+  /**
+   * Whether a URL points at a model server on this machine or Ollama's default port
+   * @param {string} url - Base URL
+   * @returns {boolean}
+   */
+  static isLocalURL(url) {
+    return /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?(\/|$)/i.test(url || '') || /:11434(\/|$)/.test(url || '');
+  }
+
+  /**
+   * Resolve the ordered provider chain from configuration
+   * @param {Object} aiConfig - config.ai
+   * @param {Object} providerSettings - config.aiProviders
+   * @returns {Array} Providers as { name, type, config }
+   */
+  static resolveProviderChain(aiConfig, providerSettings = {}) {
+    const names = aiConfig.providers && aiConfig.providers.length > 0
+      ? aiConfig.providers
+      : [this.detectProvider(aiConfig)];
+
+    return names.map(name => ({
+      name,
+      type: name,
+      config: this.getProviderConfig(name, aiConfig, providerSettings)
+    }));
+  }
+
+  /**
+   * Build the configuration for one provider in the chain.
+   * Providers without dedicated settings fall back to the OPENAI_* settings.
+   * @param {string} name - Provider name
+   * @param {Object} aiConfig - config.ai
+   * @param {Object} providerSettings - config.aiProviders
+   * @returns {Object} Provider configuration
+   */
+  static getProviderConfig(name, aiConfig, providerSettings = {}) {
+    const shared = { maxTokens: aiConfig.maxTokens, temperature: aiConfig.temperature };
+    const settings = providerSettings[name] || {};
+
+    switch (name) {
+      case 'custom':
+        return settings.baseURL
+          ? { ...shared, ...settings, apiKey: settings.apiKey || aiConfig.apiKey, model: settings.model || aiConfig.model }
+          : { ...aiConfig };
+
+      case 'anthropic':
+        // Reuses the shared key, but never OPENAI_MODEL: an OpenAI model name would fail here
+        return { ...shared, ...settings, apiKey: settings.apiKey || aiConfig.apiKey };
+
+      case 'local':
+        return {
+          ...shared,
+          ...settings,
+          baseURL: settings.baseURL || (this.isLocalURL(aiConfig.baseURL) ? aiConfig.baseURL : undefined)
+        };
+
+      default:
+        return { ...aiConfig };
+    }
+  }
 }
 
 module.exports = {
@@ -176,5 +840,7 @@ module.exports = {
   OpenAIProvider,
   AnthropicProvider,
   CustomProvider,
+  LocalProvider,
+  LlamaCppProvider,
   AIProviderFactory
 }; 
\ No newline at end of file
@@ -1,21 +1,36 @@
-const { AIProviderFactory } = require('./aiProviders');
+const { createProviderChain } = require('./providerChain');
+const { HistoryStoreFactory } = require('./historyStore');
+const ContextWindow = require('./contextWindow');
 const newsService = require('./newsService');
 const investmentAnalyzer = require('./investmentAnalyzer');
+const intentClassifier = require('./intentClassifier');
+const entityExtractor = require('./entityExtractor');
+const aiTools = require('./aiTools');
 const { config } = require('../config/config');
 const logger = require('../utils/logger');
 
 class AIService {
   constructor() {
-    // Detect and create AI provider
-    const providerType = AIProviderFactory.detectProvider(config.ai);
-    this.provider = AIProviderFactory.createProvider(providerType, config.ai);
+    // Create the AI provider chain (primary first, then fallbacks)
+    this.provider = createProviderChain(config);
+    const providerNames = this.provider.entries.map(entry => entry.name);
     
-    this.conversationHistory = new Map(); // Store conversation history per user
-    this.maxHistoryLength = 10; // Keep last 10 messages for context
+    this.historyStore = HistoryStoreFactory.createStore(config.history.store, config.history); // Conversation history per user
+
+    // Prompt budget covers every model in the chain so fallbacks never overflow
+    this.contextWindow = new ContextWindow({
+      models: this.provider.entries.map(entry => entry.provider.config && entry.provider.config.model),
+      maxContextTokens: config.ai.maxContextTokens,
+      reservedTokens: config.ai.maxTokens,
+      summary: config.history.summary
+    });
+    this.pendingSummaries = new Map(); // userId -> summarization in progress
     
-    logger.info(`AI Service initialized with provider: ${providerType}`, {
+    logger.info(`AI Service initialized with providers: ${providerNames.join(' -> ')}`, {
       baseURL: config.ai.baseURL,
-      model: config.ai.model
+      model: config.ai.model,
+      historyStore: config.history.store,
+      contextBudgetTokens: this.contextWindow.getBudget()
     });
   }
 
@@ -24,48 +39,71 @@ class AIService {
    * @param {string} userId - Telegram user ID
    * @param {string} message - User's message
    * @param {string} username - User's username (optional)
+   * @param {Object} options - Response options
+   * @param {Function} options.onToken - Called with each text token when the provider streams
    * @returns {Promise<string>} AI response
    */
-  async generateResponse(userId, message, username = null) {
+  async generateResponse(userId, message, username = null, { onToken = null } = {}) {
     try {
-      // Check if user is asking for investment analysis
-      const investmentResponse = await this.handleInvestmentRequest(message);
-      if (investmentResponse) {
-        return investmentResponse;
-      }
-
-      // Check if user is asking for news
-      const newsResponse = await this.handleNewsRequest(message);
-      if (newsResponse) {
-        return newsResponse;
+      const useTools = this.isToolCallingEnabled();
+
+      // Without tool calling, route investment and news requests ourselves;
+      // low-confidence messages fall through to chat
+      if (!useTools) {
+        const intent = intentClassifier.classify(message);
+
+        const investmentResponse = await this.handleInvestmentRequest(message, intent);
+        if (investmentResponse) {
+          return investmentResponse;
+        }
+
+        const newsResponse = await this.handleNewsRequest(message, intent);
+        if (newsResponse) {
+          return newsResponse;
+        }
       }
 
-      // Get conversation history for this user
+      // Get conversation history and the summary of older turns for this user
       const history = this.getConversationHistory(userId);
+      const memory = this.historyStore.getSummary(userId);
       
       // Prepare system prompt with CARV context
       const systemPrompt = this.getSystemPrompt(username);
       
-      // Prepare messages array
-      const messages = [
-        { role: 'system', content: systemPrompt },
-        ...history,
-        { role: 'user', content: message }
-      ];
+      // Fit as much recent history as the token budget allows
+      const { messages, promptTokens, droppedMessages } = this.contextWindow.buildMessages(
+        systemPrompt, memory, history, message
+      );
 
       logger.info(`Generating AI response for user ${userId}`, {
         messageLength: message.length,
-        historyLength: history.length
+        historyLength: history.length - droppedMessages,
+        droppedMessages,
+        hasMemory: Boolean(memory),
+        promptTokens,
+        tools: useTools
       });
 
-      const response = await this.provider.generateResponse(messages, {
-        model: config.ai.model,
+      // Each provider uses its own configured model
+      const options = {
         maxTokens: config.ai.maxTokens,
         temperature: config.ai.temperature,
-      });
+      };
+
+      let response;
+      let toolMessages = [];
+
+      if (useTools) {
+        ({ response, toolMessages } = await this.runToolLoop(messages, options, onToken));
+      } else {
+        response = (await this.requestCompletion(messages, options, onToken)).content;
+      }
       
-      // Update conversation history
-      this.updateConversationHistory(userId, message, response);
+      // Update conversation history (including tool calls and their results)
+      this.updateConversationHistory(userId, message, response, toolMessages);
+
+      // Fold older turns into the summary in the background
+      this.scheduleSummary(userId);
       
       return response;
       
@@ -76,37 +114,112 @@ class AIService {
   }
 
   /**
-   * Handle investment and news-related requests
+   * Whether the model should fetch news and analysis itself through tools
+   * @returns {boolean}
+   */
+  isToolCallingEnabled() {
+    return config.ai.enableTools && this.provider.supportsTools();
+  }
+
+  /**
+   * Whether responses can be streamed token by token
+   * @returns {boolean}
+   */
+  supportsStreaming() {
+    return config.bot.streamResponses && this.provider.supportsStreaming();
+  }
+
+  /**
+   * Request one completion, streaming tokens to onToken when possible
+   * @param {Array} messages - Prompt messages
+   * @param {Object} options - Generation options
+   * @param {Function} onToken - Token callback (optional)
+   * @returns {Promise<Object>} { content, toolCalls, finishReason, usage }
+   */
+  async requestCompletion(messages, options, onToken = null) {
+    if (!onToken || !this.supportsStreaming()) {
+      return this.provider.generateCompletion(messages, options);
+    }
+
+    let completion = null;
+    for await (const event of this.provider.streamCompletion(messages, options)) {
+      if (event.type === 'token') {
+        onToken(event.text);
+      } else if (event.type === 'completion') {
+        completion = event;
+      }
+    }
+
+    return completion;
+  }
+
+  /**
+   * Let the model call tools until it produces a final answer
+   * @param {Array} messages - Prompt messages
+   * @param {Object} options - Generation options
+   * @param {Function} onToken - Token callback for streamed text (optional)
+   * @returns {Promise<Object>} { response, toolMessages } where toolMessages are the
+   *   assistant tool-call and tool-result messages exchanged along the way
+   */
+  async runToolLoop(messages, options, onToken = null) {
+    const tools = aiTools.getDefinitions();
+    const toolMessages = [];
+
+    for (let iteration = 0; iteration < config.ai.maxToolIterations; iteration++) {
+      const completion = await this.requestCompletion(
+        [...messages, ...toolMessages],
+        { ...options, tools },
+        onToken
+      );
+
+      if (!completion.toolCalls || completion.toolCalls.length === 0) {
+        return { response: completion.content || '', toolMessages };
+      }
+
+      toolMessages.push({
+        role: 'assistant',
+        content: completion.content || null,
+        tool_calls: completion.toolCalls
+      });
+
+      for (const toolCall of completion.toolCalls) {
+        const result = await aiTools.execute(toolCall.function.name, toolCall.function.arguments);
+        toolMessages.push({ role: 'tool', tool_call_id: toolCall.id, content: result });
+      }
+
+      logger.info('AI tool calls completed', {
+        iteration: iteration + 1,
+        tools: completion.toolCalls.map(call => call.function.name)
+      });
+    }
+
+    // Iteration limit reached: ask for a final answer without tools
+    const completion = await this.requestCompletion([...messages, ...toolMessages], options, onToken);
+    return { response: completion.content || '', toolMessages };
+  }
+
+  /**
+   * Handle investment-related requests
    * @param {string} message - User's message
+   * @param {Object} intent - Classification from intentClassifier (computed if omitted)
    * @returns {Promise<string|null>} Response or null if not a relevant request
    */
-  async handleInvestmentRequest(message) {
-    const lowerMessage = message.toLowerCase();
-    
-    // Check for investment-related keywords
-    const investmentKeywords = [
-      'invertir', 'invest', 'comprar', 'buy', 'vender', 'sell', 'recomendación',
-      'recommendation', 'análisis', 'analysis', 'mercado', 'market', 'trading',
-      'precio', 'price', 'tendencia', 'trend', 'oportunidad', 'opportunity',
-      'portfolio', 'cartera', 'estrategia', 'strategy', 'predicción', 'prediction'
-    ];
-
-    const isInvestmentRequest = investmentKeywords.some(keyword => lowerMessage.includes(keyword));
-    
-    if (!isInvestmentRequest) {
+  async handleInvestmentRequest(message, intent = intentClassifier.classify(message)) {
+    if (intent.intent !== 'investment') {
       return null;
     }
 
     try {
-      logger.info('Processing investment request:', { message });
+      logger.info('Processing investment request:', {
+        message,
+        confidence: intent.confidence,
+        entities: intent.entities
+      });
 
-      // Check for specific asset analysis
-      const assets = ['bitcoin', 'btc', 'ethereum', 'eth', 'solana', 'sol', 'cardano', 'ada', 'polkadot', 'dot'];
-      const mentionedAsset = assets.find(asset => lowerMessage.includes(asset));
-      
-      if (mentionedAsset) {
-        // Get specific asset recommendation
-        const assetName = this.normalizeAssetName(mentionedAsset);
+      // Check for specific asset analysis (the first asset the message mentions)
+      const [asset] = intent.entities.asset ? [intent.entities.asset] : entityExtractor.extractAssets(message);
+      if (asset) {
+        const assetName = this.normalizeAssetName(asset);
         return await investmentAnalyzer.getAssetRecommendation(assetName);
       }
 
@@ -122,64 +235,23 @@ class AIService {
   /**
    * Handle news-related requests
    * @param {string} message - User's message
+   * @param {Object} intent - Classification from intentClassifier (computed if omitted)
    * @returns {Promise<string|null>} News response or null if not a news request
    */
-  async handleNewsRequest(message) {
-    const lowerMessage = message.toLowerCase();
-    
-    // Check for news-related keywords
-    const newsKeywords = [
-      'noticias', 'news', 'crypto', 'bitcoin', 'ethereum', 'blockchain', 
-      'mercado', 'market', 'precio', 'price', 'trading', 'defi', 'nft',
-      'tendencias', 'trending', 'últimas', 'latest', 'actualidad'
-    ];
-
-    const isNewsRequest = newsKeywords.some(keyword => lowerMessage.includes(keyword));
-    
-    if (!isNewsRequest) {
+  async handleNewsRequest(message, intent = intentClassifier.classify(message)) {
+    if (intent.intent !== 'news' && intent.intent !== 'trending') {
       return null;
     }
 
     try {
-      logger.info('Processing news request:', { message });
+      logger.info('Processing news request:', {
+        message,
+        intent: intent.intent,
+        confidence: intent.confidence,
+        entities: intent.entities
+      });
 
-      // Check for specific categories or search terms
-      if (lowerMessage.includes('bitcoin') || lowerMessage.includes('btc')) {
-        const news = await newsService.getNewsByCategory('bitcoin');
-        return newsService.formatNewsForDisplay(news);
-      }
-      
-      if (lowerMessage.includes('ethereum') || lowerMessage.includes('eth')) {
-        const news = await newsService.getNewsByCategory('ethereum');
-        return newsService.formatNewsForDisplay(news);
-      }
-      
-      if (lowerMessage.includes('solana') || lowerMessage.includes('sol')) {
-        const news = await newsService.getNewsByCategory('solana');
-        return newsService.formatNewsForDisplay(news);
-      }
-      
-      if (lowerMessage.includes('defi') || lowerMessage.includes('decentralized')) {
-        const news = await newsService.getNewsByCategory('defi');
-        return newsService.formatNewsForDisplay(news);
-      }
-      
-      if (lowerMessage.includes('nft')) {
-        const news = await newsService.getNewsByCategory('nft');
-        return newsService.formatNewsForDisplay(news);
-      }
-      
-      if (lowerMessage.includes('regulation') || lowerMessage.includes('sec') || lowerMessage.includes('regulación')) {
-        const news = await newsService.getNewsByCategory('regulation');
-        return newsService.formatNewsForDisplay(news);
-      }
-      
-      if (lowerMessage.includes('market') || lowerMessage.includes('mercado') || lowerMessage.includes('price') || lowerMessage.includes('precio')) {
-        const news = await newsService.getNewsByCategory('markets');
-        return newsService.formatNewsForDisplay(news);
-      }
-      
-      if (lowerMessage.includes('trending') || lowerMessage.includes('tendencias')) {
+      if (intent.intent === 'trending') {
         const trending = await newsService.getTrendingTopics();
         let response = '🔥 **Trending Topics in Crypto & Blockchain:**\n\n';
         trending.forEach((topic, index) => {
@@ -188,6 +260,12 @@ class AIService {
         return response;
       }
 
+      // Category-specific news (bitcoin, ethereum, solana, defi, nft, regulation, markets, ...)
+      if (intent.entities.category) {
+        const news = await newsService.getNewsByCategory(intent.entities.category);
+        return newsService.formatNewsForDisplay(news);
+      }
+
       // Default: get latest news
       const news = await newsService.getLatestNews();
       return newsService.formatNewsForDisplay(news);
@@ -204,17 +282,7 @@ class AIService {
    * @returns {string} Normalized asset name
    */
   normalizeAssetName(asset) {
-    const assetMap = {
-      'btc': 'bitcoin',
-      'eth': 'ethereum',
-      'sol': 'solana',
-      'ada': 'cardano',
-      'dot': 'polkadot',
-      'link': 'chainlink',
-      'uni': 'uniswap'
-    };
-
-    return assetMap[asset.toLowerCase()] || asset.toLowerCase();
+    return entityExtractor.resolve(asset) || asset.toLowerCase();
   }
 
   /**
@@ -249,6 +317,8 @@ News Features:
 - Regulatory news and compliance updates
 - Trending topics in the crypto space
 
+When news or analysis tools are available, call them to get current CARV news and sentiment analysis instead of relying on memory, and cite the article links you used.
+
 User: ${username || 'Anonymous'}
 
 IMPORTANT: Always include disclaimers that this is not financial advice and users should do their own research. Focus on providing educational insights and market analysis rather than specific investment advice.
@@ -262,8 +332,18 @@ Current conversation context: This is a Telegram bot interaction.`;
    * @returns {Array} Conversation history
    */
   getConversationHistory(userId) {
-    const history = this.conversationHistory.get(userId) || [];
-    return history.slice(-this.maxHistoryLength * 2); // Keep last N exchanges (user + assistant messages)
+    return this.trimToUserMessage(this.historyStore.get(userId)); // Token budget is applied when building the prompt
+  }
+
+  /**
+   * Drop leading messages until the history starts at a user message,
+   * so tool results are never separated from the call that produced them
+   * @param {Array} history - Conversation history
+   * @returns {Array} Trimmed history
+   */
+  trimToUserMessage(history) {
+    const start = history.findIndex(message => message.role === 'user');
+    return start === -1 ? [] : history.slice(start);
   }
 
   /**
@@ -271,22 +351,87 @@ Current conversation context: This is a Telegram bot interaction.`;
    * @param {string} userId - Telegram user ID
    * @param {string} userMessage - User's message
    * @param {string} assistantResponse - AI's response
+   * @param {Array} toolMessages - Tool-call and tool-result messages exchanged before the response
    */
-  updateConversationHistory(userId, userMessage, assistantResponse) {
+  updateConversationHistory(userId, userMessage, assistantResponse, toolMessages = []) {
     const history = this.getConversationHistory(userId);
     
     history.push(
       { role: 'user', content: userMessage },
+      ...toolMessages,
       { role: 'assistant', content: assistantResponse }
     );
 
-    // Keep only the last N exchanges
-    const maxExchanges = this.maxHistoryLength;
-    if (history.length > maxExchanges * 2) {
-      history.splice(0, history.length - maxExchanges * 2);
+    // The store enforces its own size caps; older turns are summarized before reaching them
+    this.historyStore.set(userId, this.trimToUserMessage(history));
+  }
+
+  /**
+   * Start summarizing older turns if the history passed the threshold
+   * @param {string} userId - Telegram user ID
+   * @returns {Promise<string|null>|null} Pending summarization, or null if not needed
+   */
+  scheduleSummary(userId) {
+    if (this.pendingSummaries.has(userId)) {
+      return this.pendingSummaries.get(userId);
+    }
+
+    if (!this.contextWindow.shouldSummarize(this.getConversationHistory(userId))) {
+      return null;
+    }
+
+    const task = this.summarizeHistory(userId)
+      .catch(error => {
+        // Keep the full history; the next message will try again
+        logger.warn(`Failed to summarize conversation for user ${userId}:`, error.message);
+        return null;
+      })
+      .finally(() => this.pendingSummaries.delete(userId));
+
+    this.pendingSummaries.set(userId, task);
+    return task;
+  }
+
+  /**
+   * Fold older turns into the rolling summary stored with the history
+   * @param {string} userId - Telegram user ID
+   * @returns {Promise<string|null>} New summary, or null if nothing changed
+   */
+  async summarizeHistory(userId) {
+    const history = this.getConversationHistory(userId);
+    const { older } = this.contextWindow.splitForSummary(history);
+    if (older.length === 0) {
+      return null;
+    }
+
+    const previousSummary = this.historyStore.getSummary(userId);
+    const completion = await this.provider.generateCompletion(
+      this.contextWindow.buildSummaryPrompt(previousSummary, older),
+      { maxTokens: this.contextWindow.summary.maxTokens, temperature: 0.2 }
+    );
+
+    const summary = (completion.content || '').trim();
+    if (!summary) {
+      return null;
     }
 
-    this.conversationHistory.set(userId, history);
+    // New messages may have arrived (or the history was cleared) while summarizing
+    const current = this.getConversationHistory(userId);
+    const unchanged = older.every((message, index) => current[index] &&
+      current[index].role === message.role && current[index].content === message.content);
+    if (!unchanged) {
+      logger.debug(`Conversation for user ${userId} changed during summarization, skipping`);
+      return null;
+    }
+
+    this.historyStore.set(userId, current.slice(older.length), summary);
+    logger.info(`Summarized conversation for user ${userId}`, {
+      summarizedMessages: older.length,
+      keptMessages: current.length - older.length,
+      summaryTokens: this.contextWindow.countTokens([{ role: 'system', content: summary }])
+    });
+
+    return summary;
   }
 
   /**
@@ -294,7 +439,7 @@ Current conversation context: This is a Telegram bot interaction.`;
    * @param {string} userId - Telegram user ID
    */
   clearConversationHistory(userId) {
-    this.conversationHistory.delete(userId);
+    this.historyStore.delete(userId);
     logger.info(`Cleared conversation history for user ${userId}`);
   }
 
@@ -303,12 +448,50 @@ Current conversation context: This is a Telegram bot interaction.`;
    * @returns {Object} Statistics about conversations
    */
   getConversationStats() {
+    const stats = this.historyStore.getStats();
     return {
-      activeUsers: this.conversationHistory.size,
-      totalConversations: Array.from(this.conversationHistory.values())
-        .reduce((total, history) => total + history.length, 0)
+      activeUsers: stats.activeUsers,
+      totalConversations: stats.totalMessages
     };
   }
+
+  /**
+   * Get health of the AI providers
+   * @returns {Array} Circuit breaker status per provider
+   */
+  getProviderStatus() {
+    return typeof this.provider.getStatus === 'function' ? this.provider.getStatus() : [];
+  }
+
+  /**
+   * Check that the configured providers are reachable before taking traffic.
+   * Fails only when no provider in the chain is usable.
+   * @returns {Promise<Array>} Health per provider
+   */
+  async checkProviderHealth() {
+    const results = await this.provider.healthCheck();
+
+    results.filter(result => result.checked).forEach(result => {
+      if (result.healthy) {
+        logger.info(`AI provider ${result.name} healthy: ${result.message}`);
+      } else {
+        logger.warn(`AI provider ${result.name} unhealthy: ${result.message}`);
+      }
+    });
+
+    if (!results.some(result => result.healthy)) {
+      throw new Error(`No AI provider available: ${results.map(result => result.message).join('; ')}`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Persist pending conversation history and stop background work
+   */
+  stop() {
+    this.historyStore.close();
+  }
 }
 
 module.exports = new AIService(); 
\ No newline at end of file
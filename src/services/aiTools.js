@@ -0,0 +1,140 @@
+const newsService = require('./newsService');
+const investmentAnalyzer = require('./investmentAnalyzer');
+const logger = require('../utils/logger');
+
+const NEWS_CATEGORIES = ['bitcoin', 'ethereum', 'solana', 'defi', 'nft', 'regulation', 'markets', 'security', 'adoption'];
+const MAX_RESULT_LENGTH = 4000; // Keep tool results small enough for the context window
+
+/**
+ * News and investment tools exposed to the LLM in OpenAI function-calling format
+ */
+class AITools {
+  constructor() {
+    this.tools = {
+      search_news: {
+        description: 'Search the latest CARV crypto and blockchain news for articles matching a query, best matches first.',
+        parameters: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'Search terms, e.g. "solana etf"; wrap exact phrases in double quotes' },
+            limit: { type: 'integer', description: 'Maximum number of articles to return (default 5)' }
+          },
+          required: ['query']
+        },
+        handler: async ({ query, limit }) => this.formatArticles(await newsService.searchNews(query), limit)
+      },
+
+      get_news_by_category: {
+        description: 'Get the latest CARV news for a category.',
+        parameters: {
+          type: 'object',
+          properties: {
+            category: { type: 'string', enum: NEWS_CATEGORIES, description: 'News category' },
+            limit: { type: 'integer', description: 'Maximum number of articles to return (default 5)' }
+          },
+          required: ['category']
+        },
+        handler: async ({ category, limit }) => this.formatArticles(await newsService.getNewsByCategory(category), limit)
+      },
+
+      get_trending_topics: {
+        description: 'Get the keywords trending in recent crypto news headlines with mention counts.',
+        parameters: {
+          type: 'object',
+          properties: {
+            limit: { type: 'integer', description: 'Maximum number of topics to return (default 10)' }
+          }
+        },
+        handler: async ({ limit }) => {
+          const trending = await newsService.getTrendingTopics();
+          return { topics: trending.slice(0, this.clampLimit(limit, 10)) };
+        }
+      },
+
+      get_asset_recommendation: {
+        description: 'Get a news-sentiment based BUY/SELL/HOLD analysis for a crypto asset. Not financial advice.',
+        parameters: {
+          type: 'object',
+          properties: {
+            asset: { type: 'string', description: 'Asset name, e.g. "bitcoin", "ethereum", "solana"' }
+          },
+          required: ['asset']
+        },
+        handler: async ({ asset }) => ({
+          analysis: await investmentAnalyzer.getAssetRecommendation(asset.toLowerCase())
+        })
+      }
+    };
+  }
+
+  /**
+   * Get tool definitions for the chat completions API
+   * @returns {Array} Tool definitions
+   */
+  getDefinitions() {
+    return Object.entries(this.tools).map(([name, tool]) => ({
+      type: 'function',
+      function: {
+        name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  /**
+   * Execute a tool call requested by the model
+   * @param {string} name - Tool name
+   * @param {string|Object} args - JSON-encoded (or parsed) arguments
+   * @returns {Promise<string>} JSON-encoded result (errors are returned to the model, not thrown)
+   */
+  async execute(name, args) {
+    const tool = this.tools[name];
+    if (!tool) {
+      return JSON.stringify({ error: `Unknown tool: ${name}` });
+    }
+
+    try {
+      const parsedArgs = typeof args === 'string' ? JSON.parse(args || '{}') : (args || {});
+      logger.info(`Executing AI tool ${name}`, { args: parsedArgs });
+
+      const result = JSON.stringify(await tool.handler(parsedArgs));
+      return result.length > MAX_RESULT_LENGTH ? `${result.slice(0, MAX_RESULT_LENGTH)}...(truncated)` : result;
+
+    } catch (error) {
+      logger.error(`Error executing AI tool ${name}:`, error.message);
+      return JSON.stringify({ error: error.message });
+    }
+  }
+
+  /**
+   * Reduce articles to the fields the model needs
+   * @param {Array} articles - News articles
+   * @param {number} limit - Maximum number of articles
+   * @returns {Object} Tool result
+   */
+  formatArticles(articles, limit) {
+    const max = this.clampLimit(limit, 5);
+    return {
+      total: articles.length,
+      articles: articles.slice(0, max).map(article => ({
+        title: article.title,
+        summary: article.summary,
+        url: article.url
+      }))
+    };
+  }
+
+  /**
+   * Clamp a requested limit to a sane range
+   * @param {number} limit - Requested limit
+   * @param {number} fallback - Default limit
+   * @returns {number} Limit between 1 and 10
+   */
+  clampLimit(limit, fallback) {
+    const value = parseInt(limit) || fallback;
+    return Math.min(Math.max(value, 1), 10);
+  }
+}
+
+module.exports = new AITools();
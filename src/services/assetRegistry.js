@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const TYPES = ['asset', 'sector'];
+
+/**
+ * Assets and sectors the bot knows about, loaded from a JSON file:
+ * { "assets": [{ id, type, name, symbol, ambiguousSymbol, names, aliases, chain, category, coingeckoId, falsePositives }] }
+ * The file can be watched so edits apply without a restart; an invalid edit keeps the previous version.
+ */
+class AssetRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {string} options.filePath - JSON registry file
+   * @param {number} options.reloadIntervalMs - How often a watched file is checked for changes
+   */
+  constructor(options = {}) {
+    this.filePath = path.resolve(options.filePath);
+    this.reloadIntervalMs = options.reloadIntervalMs || 5000;
+
+    this.entries = [];
+    this.byId = new Map();
+    this.version = 0; // Bumped on every successful load so consumers can rebuild derived data
+    this.loadedAt = null;
+    this.watching = false;
+    this.onFileChange = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload();
+      }
+    };
+
+    this.load();
+  }
+
+  /**
+   * Load the registry file, replacing the current entries
+   * @throws {Error} If the file is missing or invalid
+   */
+  load() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read asset registry ${this.filePath}: ${error.message}`);
+    }
+
+    const entries = this.validate(data);
+    this.entries = entries;
+    this.byId = new Map(entries.map(entry => [entry.id, entry]));
+    this.version += 1;
+    this.loadedAt = new Date();
+
+    logger.info('Asset registry loaded', {
+      filePath: this.filePath,
+      assets: this.list({ type: 'asset' }).length,
+      sectors: this.list({ type: 'sector' }).length
+    });
+  }
+
+  /**
+   * Reload the registry file, keeping the current entries if it is invalid
+   * @returns {boolean} True if reloaded
+   */
+  reload() {
+    try {
+      this.load();
+      return true;
+    } catch (error) {
+      logger.error('Asset registry reload failed, keeping the previous version', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Check and normalize registry data
+   * @param {Object} data - Parsed registry file
+   * @returns {Array} Entries with defaults filled in
+   * @throws {Error} Describing the first invalid entry
+   */
+  validate(data) {
+    if (!data || !Array.isArray(data.assets)) {
+      throw new Error('Asset registry must have an "assets" array');
+    }
+
+    const seen = new Set();
+    return data.assets.map((entry, i) => {
+      const id = typeof entry.id === 'string' ? entry.id.trim().toLowerCase() : '';
+      const label = id || `#${i + 1}`;
+      if (!id) {
+        throw new Error(`Asset registry entry ${label} has no id`);
+      }
+      if (seen.has(id)) {
+        throw new Error(`Asset registry entry ${label} is duplicated`);
+      }
+      seen.add(id);
+
+      const type = entry.type || 'asset';
+      if (!TYPES.includes(type)) {
+        throw new Error(`Asset registry entry ${label} has unknown type "${type}"`);
+      }
+
+      ['names', 'aliases', 'falsePositives'].forEach(field => {
+        if (entry[field] !== undefined && !(Array.isArray(entry[field]) && entry[field].every(value => typeof value === 'string'))) {
+          throw new Error(`Asset registry entry ${label}: ${field} must be a list of strings`);
+        }
+      });
+
+      const names = entry.names || [];
+      if (names.length === 0 && !entry.symbol) {
+        throw new Error(`Asset registry entry ${label} needs a symbol or at least one name`);
+      }
+
+      return {
+        id,
+        type,
+        name: entry.name || id,
+        symbol: entry.symbol ? entry.symbol.toUpperCase() : null,
+        ambiguousSymbol: Boolean(entry.ambiguousSymbol), // Symbol is also a common word (SOL, DOT)
+        names,
+        aliases: entry.aliases || [],
+        chain: entry.chain || null,
+        category: entry.category || null,
+        coingeckoId: entry.coingeckoId || null,
+        falsePositives: entry.falsePositives || []
+      };
+    });
+  }
+
+  /**
+   * Watch the registry file and reload it when it changes
+   */
+  watch() {
+    if (this.watching) {
+      return;
+    }
+    // Polling works on every platform and editors that replace the file; persistent: false lets the process exit
+    fs.watchFile(this.filePath, { interval: this.reloadIntervalMs, persistent: false }, this.onFileChange);
+    this.watching = true;
+    logger.info('Watching asset registry for changes', { filePath: this.filePath });
+  }
+
+  /**
+   * Stop watching the registry file
+   */
+  unwatch() {
+    if (this.watching) {
+      fs.unwatchFile(this.filePath, this.onFileChange);
+      this.watching = false;
+    }
+  }
+
+  /**
+   * Get an entry by id
+   * @param {string} id - Canonical id
+   * @returns {Object|null} Entry
+   */
+  get(id) {
+    return this.byId.get(id) || null;
+  }
+
+  /**
+   * List entries in file order
+   * @param {Object} options - { type: 'asset' or 'sector' (default all) }
+   * @returns {Array} Entries
+   */
+  list({ type = null } = {}) {
+    return type ? this.entries.filter(entry => entry.type === type) : [...this.entries];
+  }
+
+  /**
+   * Registry status for admins
+   * @returns {Object} { filePath, entries, version, loadedAt, watching }
+   */
+  getStatus() {
+    return {
+      filePath: this.filePath,
+      entries: this.entries.length,
+      version: this.version,
+      loadedAt: this.loadedAt,
+      watching: this.watching
+    };
+  }
+}
+
+module.exports = { AssetRegistry };
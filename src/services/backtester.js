@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PRICE_AGE_MS = 1.5 * DAY_MS; // A daily close older than this does not price a moment
+const ACTIONS = ['BUY', 'SELL', 'HOLD'];
+const MOVES = ['up', 'flat', 'down'];
+const EXPECTED_MOVE = { BUY: 'up', SELL: 'down', HOLD: 'flat' };
+
+/**
+ * Historical prices per asset.
+ * Accepts { asset: [[timestamp, price], ...] } (CoinGecko market_chart style) or
+ * { asset: [{ date, price }, ...] }, optionally wrapped in { prices: {...} }.
+ */
+class PriceHistory {
+  /**
+   * @param {Object} data - Prices keyed by registry id
+   */
+  constructor(data = {}) {
+    const assets = data.prices && !Array.isArray(data.prices) ? data.prices : data;
+    this.byAsset = new Map();
+
+    Object.entries(assets).forEach(([asset, points]) => {
+      if (!Array.isArray(points)) {
+        throw new Error(`Prices for ${asset} must be a list`);
+      }
+      const series = points
+        .map(point => Array.isArray(point)
+          ? { time: new Date(point[0]).getTime(), price: point[1] }
+          : { time: new Date(point.date || point.time).getTime(), price: point.price })
+        .filter(point => !Number.isNaN(point.time) && typeof point.price === 'number' && point.price > 0)
+        .sort((a, b) => a.time - b.time);
+      this.byAsset.set(asset, series);
+    });
+  }
+
+  /**
+   * Load prices from a JSON file
+   * @param {string} filePath - Path of the JSON file
+   * @returns {PriceHistory} Prices
+   */
+  static fromFile(filePath) {
+    return new PriceHistory(JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8')));
+  }
+
+  /**
+   * Latest price at or before a time
+   * @param {string} asset - Registry id
+   * @param {number} time - Timestamp
+   * @returns {number|null} Price, or null without a recent enough point
+   */
+  priceAt(asset, time) {
+    const series = this.byAsset.get(asset) || [];
+    let found = null;
+    for (const point of series) {
+      if (point.time > time) {
+        break;
+      }
+      found = point;
+    }
+    return found && time - found.time <= MAX_PRICE_AGE_MS ? found.price : null;
+  }
+
+  /**
+   * Percentage change between two times
+   * @param {string} asset - Registry id
+   * @param {number} from - Start timestamp
+   * @param {number} to - End timestamp
+   * @returns {number|null} Change in percent, or null without both prices
+   */
+  changeBetween(asset, from, to) {
+    const start = this.priceAt(asset, from);
+    const end = this.priceAt(asset, to);
+    return start !== null && end !== null ? ((end - start) / start) * 100 : null;
+  }
+
+  /**
+   * Assets with prices
+   * @returns {Array<string>} Registry ids
+   */
+  assets() {
+    return [...this.byAsset.keys()];
+  }
+}
+
+/**
+ * Replays archived news through the investment analyzer one day at a time and checks each
+ * asset recommendation against the price move that followed it.
+ */
+class Backtester {
+  /**
+   * @param {Object} options - Backtest options
+   * @param {Object} options.analyzer - Investment analyzer (analyzeNewsSentiment, generateRecommendations)
+   * @param {Object} options.archive - NewsArchive holding the news to replay
+   * @param {PriceHistory} options.prices - Historical prices
+   * @param {number} options.horizonDays - Days after a call at which its outcome is measured
+   * @param {number} options.lookbackDays - Days of news each daily analysis sees
+   * @param {number} options.moveThreshold - Price change (%) that counts as a move up or down
+   * @param {boolean} options.weightBySources - Passed to the analyzer
+   */
+  constructor(options = {}) {
+    this.analyzer = options.analyzer;
+    this.archive = options.archive;
+    this.prices = options.prices;
+    this.horizonDays = options.horizonDays || 7;
+    this.lookbackDays = options.lookbackDays || 3;
+    this.moveThreshold = options.moveThreshold !== undefined ? options.moveThreshold : 2;
+    this.weightBySources = options.weightBySources || false;
+  }
+
+  /**
+   * Run the backtest
+   * @param {Object} options - { from, to } dates (default: the archive's range)
+   * @returns {Object} Report (see buildReport)
+   */
+  run({ from = null, to = null } = {}) {
+    const stats = this.archive.getStats();
+    if (stats.articles === 0) {
+      throw new Error('The news archive is empty');
+    }
+
+    const firstDay = this.startOfDay(from !== null ? from : stats.oldest);
+    const lastDay = this.startOfDay(to !== null ? to : stats.newest);
+    if (Number.isNaN(firstDay) || Number.isNaN(lastDay) || firstDay > lastDay) {
+      throw new Error('Invalid backtest period');
+    }
+
+    const records = [];
+    for (let day = firstDay; day <= lastDay; day += DAY_MS) {
+      records.push(...this.replayDay(day));
+    }
+
+    return this.buildReport(records, firstDay, lastDay);
+  }
+
+  /**
+   * Analyze the news known at the end of a day and evaluate the asset recommendations
+   * @param {number} day - Start of the day (UTC)
+   * @returns {Array} Records for the day
+   */
+  replayDay(day) {
+    const decidedAt = day + DAY_MS - 1;
+    const news = this.archive.query({ from: decidedAt - this.lookbackDays * DAY_MS + 1, to: decidedAt });
+    if (news.length === 0) {
+      return [];
+    }
+
+    const analysis = this.analyzer.analyzeNewsSentiment(news, '', { weightBySources: this.weightBySources, now: decidedAt });
+    const quotes = {};
+    Object.keys(analysis.assets).forEach(asset => {
+      const quote = this.quoteAt(asset, decidedAt);
+      if (quote) {
+        quotes[asset] = quote;
+      }
+    });
+
+    return this.analyzer.generateRecommendations(analysis, quotes)
+      .filter(recommendation => recommendation.type === 'asset')
+      .map(recommendation => {
+        const asset = recommendation.asset.toLowerCase();
+        const price = this.prices.priceAt(asset, decidedAt);
+        const forwardPrice = this.prices.priceAt(asset, decidedAt + this.horizonDays * DAY_MS);
+        const forwardReturn = price !== null && forwardPrice !== null
+          ? Math.round(((forwardPrice - price) / price) * 10000) / 100
+          : null;
+        const realized = forwardReturn === null ? null : this.classifyMove(forwardReturn);
+
+        return {
+          date: new Date(day).toISOString().slice(0, 10),
+          asset,
+          action: recommendation.action,
+          confidence: recommendation.confidence,
+          score: analysis.assets[asset].score,
+          mentions: recommendation.mentions,
+          divergence: Boolean(recommendation.divergence),
+          price,
+          forwardPrice,
+          forwardReturn,
+          realized,
+          hit: realized === null ? null : EXPECTED_MOVE[recommendation.action] === realized
+        };
+      });
+  }
+
+  /**
+   * Market quote as it looked at a time, for divergence checks
+   * @param {string} asset - Registry id
+   * @param {number} time - Timestamp
+   * @returns {Object|null} { price, change24h, change7d }
+   */
+  quoteAt(asset, time) {
+    const price = this.prices.priceAt(asset, time);
+    if (price === null) {
+      return null;
+    }
+    return {
+      price,
+      change24h: this.prices.changeBetween(asset, time - DAY_MS, time),
+      change7d: this.prices.changeBetween(asset, time - 7 * DAY_MS, time)
+    };
+  }
+
+  /**
+   * Bucket a forward return
+   * @param {number} forwardReturn - Change in percent
+   * @returns {string} 'up', 'down' or 'flat'
+   */
+  classifyMove(forwardReturn) {
+    if (forwardReturn >= this.moveThreshold) {
+      return 'up';
+    }
+    if (forwardReturn <= -this.moveThreshold) {
+      return 'down';
+    }
+    return 'flat';
+  }
+
+  /**
+   * Summarize records
+   * @param {Array} records - Evaluated and pending recommendations
+   * @param {number} firstDay - First replayed day
+   * @param {number} lastDay - Last replayed day
+   * @returns {Object} { period, settings, recommendations, evaluated, hitRate, byAction, confusion, records }
+   */
+  buildReport(records, firstDay, lastDay) {
+    const evaluated = records.filter(record => record.realized !== null);
+    const byAction = {};
+    const confusion = {};
+
+    ACTIONS.forEach(action => {
+      const calls = evaluated.filter(record => record.action === action);
+      const hits = calls.filter(record => record.hit).length;
+      byAction[action] = {
+        count: calls.length,
+        hits,
+        hitRate: calls.length > 0 ? this.round(hits / calls.length) : null,
+        averageReturn: calls.length > 0
+          ? this.round(calls.reduce((total, record) => total + record.forwardReturn, 0) / calls.length)
+          : null
+      };
+
+      confusion[action] = {};
+      MOVES.forEach(move => {
+        confusion[action][move] = calls.filter(record => record.realized === move).length;
+      });
+    });
+
+    const hits = evaluated.filter(record => record.hit).length;
+    return {
+      period: {
+        from: new Date(firstDay).toISOString().slice(0, 10),
+        to: new Date(lastDay).toISOString().slice(0, 10)
+      },
+      settings: {
+        horizonDays: this.horizonDays,
+        lookbackDays: this.lookbackDays,
+        moveThreshold: this.moveThreshold
+      },
+      recommendations: records.length,
+      evaluated: evaluated.length,
+      hitRate: evaluated.length > 0 ? this.round(hits / evaluated.length) : null,
+      byAction,
+      confusion,
+      records
+    };
+  }
+
+  /**
+   * Records as CSV, one row per recommendation
+   * @param {Object} report - Result of run
+   * @returns {string} CSV with a header row
+   */
+  toCsv(report) {
+    const columns = ['date', 'asset', 'action', 'confidence', 'score', 'mentions', 'divergence',
+      'price', 'forwardPrice', 'forwardReturn', 'realized', 'hit'];
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns.join(','), ...report.records.map(record => columns.map(column => escape(record[column])).join(','))]
+      .join('\n') + '\n';
+  }
+
+  /**
+   * Human-readable summary
+   * @param {Object} report - Result of run
+   * @returns {string} Summary with hit rates, average returns and the confusion matrix
+   */
+  formatSummary(report) {
+    const percent = value => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+    const signed = value => value === null ? 'n/a' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+    const lines = [
+      `Backtest ${report.period.from} to ${report.period.to}`,
+      `Horizon ${report.settings.horizonDays}d, news lookback ${report.settings.lookbackDays}d, ` +
+        `moves of ${report.settings.moveThreshold}% or more count as up/down`,
+      `Recommendations: ${report.recommendations} (${report.evaluated} with a known outcome)`,
+      `Hit rate: ${percent(report.hitRate)}`,
+      '',
+      'Action  Calls  Hit rate  Avg return'
+    ];
+    ACTIONS.forEach(action => {
+      const stats = report.byAction[action];
+      lines.push(`${action.padEnd(6)}  ${String(stats.count).padStart(5)}  ${percent(stats.hitRate).padStart(8)}  ${signed(stats.averageReturn).padStart(10)}`);
+    });
+
+    lines.push('', 'Confusion (calls vs realized moves)', `${''.padEnd(6)}  ${MOVES.map(move => move.padStart(5)).join('  ')}`);
+    ACTIONS.forEach(action => {
+      lines.push(`${action.padEnd(6)}  ${MOVES.map(move => String(report.confusion[action][move]).padStart(5)).join('  ')}`);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  startOfDay(value) {
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? NaN : Math.floor(time / DAY_MS) * DAY_MS;
+  }
+
+  round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+}
+
+module.exports = { Backtester, PriceHistory };
@@ -0,0 +1,188 @@
+const { countMessagesTokens, countMessageTokens, getContextWindow } = require('../utils/tokenCounter');
+
+/**
+ * Token-budgeted context window.
+ * Fits the conversation history into the prompt budget of the provider chain and
+ * decides when older turns should be folded into a rolling summary (memory).
+ */
+class ContextWindow {
+  /**
+   * @param {Object} options - Context options
+   * @param {Array<string>} options.models - Models used by the provider chain
+   * @param {number} options.maxContextTokens - Upper bound on prompt tokens (0 = model context window)
+   * @param {number} options.reservedTokens - Tokens kept free for the answer
+   * @param {Object} options.summary - { enabled, thresholdTokens, thresholdMessages, keepRecentMessages, maxTokens }
+   */
+  constructor(options = {}) {
+    this.models = (options.models || []).filter(Boolean);
+    this.maxContextTokens = options.maxContextTokens || 0;
+    this.reservedTokens = options.reservedTokens || 0;
+    this.summary = {
+      enabled: true,
+      thresholdTokens: 3000,
+      thresholdMessages: 16,
+      keepRecentMessages: 6,
+      maxTokens: 300,
+      ...options.summary
+    };
+  }
+
+  /**
+   * Estimate prompt tokens; with several providers the highest estimate wins
+   * @param {Array} messages - Chat messages
+   * @returns {number} Estimated tokens
+   */
+  countTokens(messages) {
+    const models = this.models.length > 0 ? this.models : [null];
+    return Math.max(...models.map(model => countMessagesTokens(messages, model)));
+  }
+
+  /**
+   * Estimate tokens of a single message
+   * @param {Object} message - Chat message
+   * @returns {number} Estimated tokens
+   */
+  countMessageTokens(message) {
+    const models = this.models.length > 0 ? this.models : [null];
+    return Math.max(...models.map(model => countMessageTokens(message, model)));
+  }
+
+  /**
+   * Prompt token budget: the smallest context window in the chain minus the
+   * answer reservation, capped by maxContextTokens
+   * @returns {number} Budget in tokens
+   */
+  getBudget() {
+    const models = this.models.length > 0 ? this.models : [null];
+    const window = Math.min(...models.map(model => getContextWindow(model))) - this.reservedTokens;
+    return this.maxContextTokens > 0 ? Math.min(window, this.maxContextTokens) : window;
+  }
+
+  /**
+   * Build the prompt, keeping as many recent exchanges as fit in the budget.
+   * History is only cut at user messages so tool results stay with their calls.
+   * @param {string} systemPrompt - System prompt
+   * @param {string|null} memory - Rolling summary of older turns
+   * @param {Array} history - Stored conversation history
+   * @param {string} userMessage - Current user message
+   * @returns {Object} { messages, promptTokens, droppedMessages }
+   */
+  buildMessages(systemPrompt, memory, history, userMessage) {
+    const fixed = [{ role: 'system', content: systemPrompt }];
+    if (memory) {
+      fixed.push(this.formatMemoryMessage(memory));
+    }
+    const current = { role: 'user', content: userMessage };
+
+    const available = this.getBudget() - this.countTokens([...fixed, current]);
+    let start = history.length;
+    let used = 0;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      used += this.countMessageTokens(history[i]);
+      if (used > available) {
+        break;
+      }
+      if (history[i].role === 'user') {
+        start = i;
+      }
+    }
+
+    const messages = [...fixed, ...history.slice(start), current];
+    return { messages, promptTokens: this.countTokens(messages), droppedMessages: start };
+  }
+
+  /**
+   * Whether the history has grown enough to fold older turns into the summary
+   * @param {Array} history - Stored conversation history
+   * @returns {boolean}
+   */
+  shouldSummarize(history) {
+    if (!this.summary.enabled || history.length <= this.summary.keepRecentMessages) {
+      return false;
+    }
+
+    return history.length >= this.summary.thresholdMessages ||
+      this.countTokens(history) >= this.summary.thresholdTokens;
+  }
+
+  /**
+   * Split history into older turns to summarize and recent turns to keep verbatim.
+   * The recent part always starts at a user message.
+   * @param {Array} history - Stored conversation history
+   * @returns {Object} { older, recent }
+   */
+  splitForSummary(history) {
+    let cut = Math.max(0, history.length - this.summary.keepRecentMessages);
+
+    while (cut < history.length && history[cut].role !== 'user') {
+      cut++;
+    }
+
+    // No user message among the recent turns: keep the last exchange whole instead
+    if (cut === history.length) {
+      cut = history.map(message => message.role).lastIndexOf('user');
+    }
+
+    cut = Math.max(0, cut);
+    return { older: history.slice(0, cut), recent: history.slice(cut) };
+  }
+
+  /**
+   * Build the request that merges older turns into the existing summary
+   * @param {string|null} previousSummary - Current summary
+   * @param {Array} older - Messages to fold in
+   * @returns {Array} Chat messages
+   */
+  buildSummaryPrompt(previousSummary, older) {
+    const instructions = 'You maintain a compact memory of a conversation between a user and a crypto news and investment assistant. ' +
+      'Merge the existing memory with the new messages into one short summary. Keep the user\'s interests, assets they asked about, ' +
+      'preferences, key facts and conclusions given, and open questions. Drop greetings and repetition. ' +
+      `Use at most ${Math.round(this.summary.maxTokens * 0.6)} words. Reply with the summary only.`;
+
+    const content = [
+      `Existing memory:\n${previousSummary || '(none)'}`,
+      `New messages:\n${this.formatTranscript(older)}`
+    ].join('\n\n');
+
+    return [
+      { role: 'system', content: instructions },
+      { role: 'user', content }
+    ];
+  }
+
+  /**
+   * Render messages as a plain transcript for summarization
+   * @param {Array} messages - Chat messages
+   * @returns {string} Transcript
+   */
+  formatTranscript(messages) {
+    const truncate = (text, length) => (text.length > length ? `${text.slice(0, length)}...` : text);
+
+    return messages.map(message => {
+      if (message.role === 'tool') {
+        return `Tool result: ${truncate(message.content || '', 500)}`;
+      }
+
+      const lines = [];
+      if (message.content) {
+        lines.push(`${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`);
+      }
+      (message.tool_calls || []).forEach(call => {
+        lines.push(`Assistant called ${call.function.name}(${call.function.arguments || ''})`);
+      });
+      return lines.join('\n');
+    }).filter(Boolean).join('\n');
+  }
+
+  /**
+   * Wrap the summary as a system message placed after the system prompt
+   * @param {string} memory - Summary text
+   * @returns {Object} Chat message
+   */
+  formatMemoryMessage(memory) {
+    return { role: 'system', content: `Memory of the earlier conversation with this user:\n${memory}` };
+  }
+}
+
+module.exports = ContextWindow;
@@ -0,0 +1,168 @@
+const { AssetRegistry } = require('./assetRegistry');
+const { config } = require('../config/config');
+const { normalizeText } = require('../utils/textAnalyzer');
+
+/**
+ * Finds crypto assets and sectors from the asset registry mentioned in text.
+ * Mentions are matched on token boundaries, so "dot" does not match "dotcom" and "eth"
+ * does not match "method". Tickers that are also common words (SOL, DOT, LINK, UNI, ADA)
+ * only count as $TICKER or in UPPERCASE, and known false positives are skipped.
+ */
+class EntityExtractor {
+  constructor() {
+    this.registry = new AssetRegistry({
+      filePath: config.assets.registryFile,
+      reloadIntervalMs: config.assets.reloadIntervalMs
+    });
+    this.definitions = null;
+    this.definitionsFor = null; // { registry, version } the definitions were built from
+  }
+
+  /**
+   * Matching rules per entity, rebuilt whenever the registry changes
+   * names: matched in any case (plural "s" allowed); tickers: always matched;
+   * ambiguousTickers: only as $TICKER or UPPERCASE; falsePositives: phrases that contain an alias but mean something else
+   * @returns {Object} Canonical id -> { type, names, tickers, ambiguousTickers, falsePositives }
+   */
+  get entities() {
+    const { registry } = this;
+    if (!this.definitionsFor || this.definitionsFor.registry !== registry || this.definitionsFor.version !== registry.version) {
+      const lower = values => values.map(value => this.normalize(value));
+      this.definitions = {};
+      registry.list().forEach(entry => {
+        const symbol = entry.symbol ? [this.normalize(entry.symbol)] : [];
+        this.definitions[entry.id] = {
+          type: entry.type,
+          names: lower(entry.names),
+          tickers: [...(entry.ambiguousSymbol ? [] : symbol), ...lower(entry.aliases)],
+          ambiguousTickers: entry.ambiguousSymbol ? symbol : [],
+          falsePositives: lower(entry.falsePositives)
+        };
+      });
+      this.definitionsFor = { registry, version: registry.version };
+    }
+    return this.definitions;
+  }
+
+  /**
+   * Extract entities with their mention positions
+   * @param {string} text - Original text (case is significant for ambiguous tickers)
+   * @param {Object} options - { types: entity types to include (default all) }
+   * @returns {Array} [{ entity, type, mentions: [{ start, end, text }] }] in order of first mention
+   */
+  extract(text, { types = null } = {}) {
+    if (!text) {
+      return [];
+    }
+
+    const normalized = this.normalize(text);
+    const results = [];
+
+    Object.entries(this.entities).forEach(([entity, definition]) => {
+      if (types && !types.includes(definition.type)) {
+        return;
+      }
+
+      const excluded = definition.falsePositives
+        .flatMap(phrase => this.findAll(normalized, phrase))
+        .map(match => [match.start, match.end]);
+
+      const mentions = [
+        ...definition.names.flatMap(name => this.findAll(normalized, name, { plural: true })),
+        ...definition.tickers.flatMap(ticker => this.findAll(normalized, ticker, { dollar: true })),
+        ...definition.ambiguousTickers.flatMap(ticker => this.findAll(normalized, ticker, { dollar: true })
+          .filter(match => text[match.start] === '$' || text.slice(match.start, match.end) === ticker.toUpperCase()))
+      ]
+        .filter(match => !excluded.some(([start, end]) => match.start >= start && match.end <= end))
+        .sort((a, b) => a.start - b.start)
+        .filter((match, i, all) => i === 0 || match.start >= all[i - 1].end) // Nested aliases count once
+        .map(match => ({ start: match.start, end: match.end, text: text.slice(match.start, match.end) }));
+
+      if (mentions.length > 0) {
+        results.push({ entity, type: definition.type, mentions });
+      }
+    });
+
+    return results.sort((a, b) => a.mentions[0].start - b.mentions[0].start);
+  }
+
+  /**
+   * Canonical names of the assets mentioned in text, in order of first mention
+   * @param {string} text - Original text
+   * @returns {Array<string>} Asset names
+   */
+  extractAssets(text) {
+    return this.extract(text, { types: ['asset'] }).map(({ entity }) => entity);
+  }
+
+  /**
+   * Check whether text mentions an entity
+   * @param {string} text - Original text
+   * @param {string} entity - Canonical name
+   * @returns {boolean} True if mentioned
+   */
+  mentions(text, entity) {
+    const definition = this.entities[entity];
+    if (!definition) {
+      return false;
+    }
+    return this.extract(text, { types: [definition.type] }).some(result => result.entity === entity);
+  }
+
+  /**
+   * Resolve a name the user typed as an asset ("btc", "$SOL", "Solana") to its canonical name.
+   * Ambiguous tickers are accepted in any case here since the input is known to be an asset.
+   * @param {string} name - Asset name or ticker
+   * @returns {string|null} Canonical name or null if unknown
+   */
+  resolve(name) {
+    const key = this.normalize(name || '').replace(/^\$/, '').trim();
+    if (!key) {
+      return null;
+    }
+
+    const match = Object.entries(this.entities).find(([entity, definition]) =>
+      entity === key ||
+      [...definition.names, ...definition.tickers, ...definition.ambiguousTickers]
+        .some(alias => alias === key || `${alias}s` === key)
+    );
+
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Find every occurrence of an alias on token boundaries
+   * @param {string} normalized - Normalized text (same length as the original)
+   * @param {string} alias - Lowercase alias
+   * @param {Object} options - { plural: allow a trailing "s", dollar: allow a leading "$" }
+   * @returns {Array} [{ start, end }] covering the alias (and "$" when present)
+   */
+  findAll(normalized, alias, { plural = false, dollar = false } = {}) {
+    const escaped = alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}$])(${dollar ? '\\$?' : ''}${escaped}${plural ? 's?' : ''})(?![\\p{L}\\p{N}])`, 'gu');
+    const matches = [];
+    let match;
+
+    while ((match = pattern.exec(normalized)) !== null) {
+      const start = match.index + match[1].length;
+      matches.push({ start, end: start + match[2].length });
+      pattern.lastIndex = start + match[2].length;
+    }
+
+    return matches;
+  }
+
+  /**
+   * Lowercase and strip accents, keeping character positions aligned with the original
+   * @param {string} text - Text
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    return text.replace(/[\s\S]/gu, char => {
+      const plain = normalizeText(char);
+      return plain.length === char.length ? plain : char;
+    });
+  }
+}
+
+module.exports = new EntityExtractor();
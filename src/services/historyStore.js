@@ -0,0 +1,297 @@
+const logger = require('../utils/logger');
+const JsonFile = require('../utils/jsonFile');
+
+/**
+ * Base conversation history store.
+ * Entries are kept per user as { messages, summary, updatedAt } and expire after ttlMs of inactivity.
+ * The summary is a rolling memory of older turns that no longer fit in the messages.
+ */
+class BaseHistoryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.ttlMs - Inactivity time before a user's history expires (0 disables expiry)
+   * @param {number} options.maxMessagesPerUser - Maximum messages kept per user
+   * @param {number} options.maxCharsPerUser - Maximum total content length kept per user
+   * @param {number} options.cleanupIntervalMs - How often expired entries are purged
+   * @param {Function} options.now - Clock function (defaults to Date.now)
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs !== undefined ? options.ttlMs : 24 * 60 * 60 * 1000;
+    this.maxMessagesPerUser = options.maxMessagesPerUser || 20;
+    this.maxCharsPerUser = options.maxCharsPerUser || 0;
+    this.now = options.now || Date.now;
+
+    this.cleanupInterval = null;
+    if (options.cleanupIntervalMs) {
+      this.cleanupInterval = setInterval(() => this.cleanup(), options.cleanupIntervalMs);
+      this.cleanupInterval.unref();
+    }
+  }
+
+  /**
+   * Get stored messages for a user
+   * @param {string} userId - Telegram user ID
+   * @returns {Array} Messages (empty if none or expired)
+   */
+  get(userId) {
+    const entry = this.readEntry(userId);
+    if (!entry) {
+      return [];
+    }
+
+    if (this.isExpired(entry)) {
+      this.deleteEntry(userId);
+      return [];
+    }
+
+    return [...entry.messages];
+  }
+
+  /**
+   * Get the rolling summary of older turns for a user
+   * @param {string} userId - Telegram user ID
+   * @returns {string|null} Summary (null if none or expired)
+   */
+  getSummary(userId) {
+    const entry = this.readEntry(userId);
+    return entry && !this.isExpired(entry) ? entry.summary || null : null;
+  }
+
+  /**
+   * Replace stored messages for a user, enforcing size caps
+   * @param {string} userId - Telegram user ID
+   * @param {Array} messages - Messages to store
+   * @param {string} summary - New rolling summary (omit to keep the current one)
+   */
+  set(userId, messages, summary = undefined) {
+    const previous = this.readEntry(userId);
+    const keptSummary = previous && !this.isExpired(previous) ? previous.summary || null : null;
+
+    this.writeEntry(userId, {
+      messages: this.applyLimits(messages),
+      summary: summary === undefined ? keptSummary : summary,
+      updatedAt: this.now()
+    });
+  }
+
+  /**
+   * Delete stored messages for a user
+   * @param {string} userId - Telegram user ID
+   */
+  delete(userId) {
+    this.deleteEntry(userId);
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {number} Number of entries removed
+   */
+  cleanup() {
+    let removed = 0;
+
+    for (const [userId, entry] of this.entries()) {
+      if (this.isExpired(entry)) {
+        this.deleteEntry(userId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.debug('Conversation history cleanup completed', { removed });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get store statistics (expired entries are not counted)
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    let activeUsers = 0;
+    let totalMessages = 0;
+
+    for (const [, entry] of this.entries()) {
+      if (!this.isExpired(entry)) {
+        activeUsers++;
+        totalMessages += entry.messages.length;
+      }
+    }
+
+    return { activeUsers, totalMessages };
+  }
+
+  /**
+   * Stop background work and persist pending changes
+   */
+  close() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+  }
+
+  /**
+   * Check whether an entry has expired
+   * @param {Object} entry - Stored entry
+   * @returns {boolean} True if expired
+   */
+  isExpired(entry) {
+    return this.ttlMs > 0 && this.now() - entry.updatedAt > this.ttlMs;
+  }
+
+  /**
+   * Trim the oldest messages until the per-user caps are met
+   * @param {Array} messages - Messages
+   * @returns {Array} Trimmed messages
+   */
+  applyLimits(messages) {
+    let limited = messages.slice(-this.maxMessagesPerUser);
+
+    if (this.maxCharsPerUser > 0) {
+      let totalChars = limited.reduce((total, m) => total + (m.content || '').length, 0);
+      while (limited.length > 1 && totalChars > this.maxCharsPerUser) {
+        totalChars -= (limited[0].content || '').length;
+        limited = limited.slice(1);
+      }
+    }
+
+    return limited;
+  }
+
+  readEntry(userId) {
+    throw new Error('readEntry must be implemented by subclass');
+  }
+
+  writeEntry(userId, entry) {
+    throw new Error('writeEntry must be implemented by subclass');
+  }
+
+  deleteEntry(userId) {
+    throw new Error('deleteEntry must be implemented by subclass');
+  }
+
+  entries() {
+    throw new Error('entries must be implemented by subclass');
+  }
+}
+
+/**
+ * In-memory history store (lost on restart)
+ */
+class MemoryHistoryStore extends BaseHistoryStore {
+  constructor(options = {}) {
+    super(options);
+    this.data = new Map();
+  }
+
+  readEntry(userId) {
+    return this.data.get(userId) || null;
+  }
+
+  writeEntry(userId, entry) {
+    this.data.set(userId, entry);
+  }
+
+  deleteEntry(userId) {
+    this.data.delete(userId);
+  }
+
+  entries() {
+    return Array.from(this.data.entries());
+  }
+}
+
+/**
+ * JSON file-backed history store.
+ * Keeps a working copy in memory and writes it to disk shortly after each change.
+ */
+class FileHistoryStore extends MemoryHistoryStore {
+  /**
+   * @param {Object} options - Store options (see BaseHistoryStore)
+   * @param {string} options.filePath - Path of the JSON file
+   * @param {number} options.flushDelayMs - Delay before pending changes are written
+   */
+  constructor(options = {}) {
+    super(options);
+    this.file = new JsonFile(options.filePath || 'data/conversations.json', {
+      serialize: () => ({ version: 1, users: Object.fromEntries(this.data) }),
+      flushDelayMs: options.flushDelayMs,
+      label: 'conversation history'
+    });
+    this.filePath = this.file.filePath;
+    this.load();
+  }
+
+  /**
+   * Load persisted history from disk
+   */
+  load() {
+    try {
+      const saved = this.file.read();
+      if (!saved) {
+        return;
+      }
+
+      Object.entries(saved.users || {}).forEach(([userId, entry]) => {
+        if (Array.isArray(entry.messages) && typeof entry.updatedAt === 'number') {
+          this.data.set(userId, entry);
+        }
+      });
+
+      this.cleanup();
+      logger.info(`Loaded conversation history for ${this.data.size} users`, { filePath: this.filePath });
+    } catch (error) {
+      logger.error('Failed to load conversation history, starting empty:', error.message);
+    }
+  }
+
+  writeEntry(userId, entry) {
+    super.writeEntry(userId, entry);
+    this.file.scheduleFlush();
+  }
+
+  deleteEntry(userId) {
+    if (this.data.has(userId)) {
+      super.deleteEntry(userId);
+      this.file.scheduleFlush();
+    }
+  }
+
+  /**
+   * Write the current history to disk
+   */
+  flush() {
+    this.file.flush();
+  }
+
+  close() {
+    super.close();
+    this.file.close();
+  }
+}
+
+/**
+ * History Store Factory
+ */
+class HistoryStoreFactory {
+  static createStore(type, options) {
+    switch (type.toLowerCase()) {
+      case 'memory':
+        return new MemoryHistoryStore(options);
+
+      case 'file':
+        return new FileHistoryStore(options);
+
+      default:
+        throw new Error(`Unknown history store type: ${type}`);
+    }
+  }
+}
+
+module.exports = {
+  BaseHistoryStore,
+  MemoryHistoryStore,
+  FileHistoryStore,
+  HistoryStoreFactory
+};
@@ -0,0 +1,192 @@
+const { config } = require('../config/config');
+const entityExtractor = require('./entityExtractor');
+const logger = require('../utils/logger');
+const { normalizeText } = require('../utils/textAnalyzer');
+
+/**
+ * Rule-based intent classifier for chat messages.
+ * Matches cues on word boundaries (accent-insensitive) and combines their
+ * weights into a confidence score; anything below the threshold is chat.
+ */
+class IntentClassifier {
+  constructor() {
+    this.minConfidence = config.intent.minConfidence;
+
+    // Weighted cues per intent. Multi-word cues are matched as phrases.
+    this.intentCues = {
+      investment: {
+        'invest': 0.8, 'investing': 0.8, 'investment': 0.8, 'investments': 0.8,
+        'invertir': 0.8, 'inversion': 0.8, 'inversiones': 0.8,
+        'buy': 0.7, 'comprar': 0.7, 'sell': 0.7, 'vender': 0.7, 'hold': 0.4,
+        'recommendation': 0.8, 'recommendations': 0.8, 'recomendacion': 0.8, 'recomendaciones': 0.8,
+        'recommend': 0.7, 'recomiendas': 0.7,
+        'analyze': 0.6, 'analyse': 0.6, 'analysis': 0.6, 'analisis': 0.6, 'analiza': 0.6,
+        'portfolio': 0.7, 'cartera': 0.7, 'strategy': 0.4, 'estrategia': 0.4,
+        'prediction': 0.6, 'prediccion': 0.6, 'forecast': 0.6,
+        'opportunity': 0.5, 'opportunities': 0.5, 'oportunidad': 0.5, 'oportunidades': 0.5,
+        'sentiment': 0.6, 'sentimiento': 0.6, 'outlook': 0.5,
+        'trading': 0.4, 'trade': 0.4, 'price': 0.3, 'precio': 0.3,
+        'market': 0.3, 'mercado': 0.3, 'trend': 0.3, 'tendencia': 0.3,
+        'should i': 0.3, 'deberia': 0.3, 'worth it': 0.4, 'vale la pena': 0.4
+      },
+      news: {
+        'news': 0.9, 'noticias': 0.9, 'noticia': 0.9,
+        'headlines': 0.8, 'titulares': 0.8, 'happening': 0.5,
+        'latest': 0.4, 'ultimas': 0.4, 'ultimo': 0.4, 'recent': 0.3, 'recientes': 0.3,
+        'update': 0.4, 'updates': 0.5, 'actualidad': 0.6, 'novedades': 0.7,
+        'market': 0.3, 'mercado': 0.3
+      },
+      trending: {
+        'trending': 0.9, 'tendencias': 0.8, 'hot topics': 0.8, 'trending topics': 0.9,
+        'temas': 0.3, 'topics': 0.3, 'buzz': 0.6
+      }
+    };
+
+    // Questions about concepts belong to normal chat even when they mention a cue
+    this.definitionPatterns = [
+      /^(what|who)\s+(is|are|was)\s+(a|an|the)?\s*\w+(\s+\w+)?\s*\??$/,
+      /^(explain|define|describe)\b/,
+      /^how\s+(does|do|can|to)\b/,
+      /^(que|quien)\s+(es|son)\b/,
+      /^(explica|explicame|define)\b/,
+      /^como\s+(funciona|funcionan)\b/
+    ];
+
+    this.categoryCues = {
+      defi: ['defi', 'decentralized finance', 'finanzas descentralizadas', 'yield farming'],
+      nft: ['nft', 'nfts', 'non-fungible'],
+      regulation: ['regulation', 'regulations', 'regulatory', 'regulacion', 'sec'],
+      security: ['hack', 'hacks', 'hacked', 'exploit', 'security', 'seguridad', 'breach'],
+      adoption: ['adoption', 'adopcion', 'partnership', 'partnerships', 'institutional'],
+      markets: ['market', 'markets', 'mercado', 'mercados', 'price', 'prices', 'precio', 'precios']
+    };
+
+    // Assets that have their own news category
+    this.assetCategories = ['bitcoin', 'ethereum', 'solana'];
+
+    this.timeframeCues = {
+      short: ['short term', 'short-term', 'today', 'this week', 'corto plazo', 'hoy', 'esta semana'],
+      medium: ['medium term', 'medium-term', 'this month', 'next few months', 'mediano plazo', 'medio plazo'],
+      long: ['long term', 'long-term', 'years', 'hodl', 'largo plazo', 'anos']
+    };
+  }
+
+  /**
+   * Classify a message
+   * @param {string} message - User's message
+   * @returns {Object} { intent, entities: { asset, category, timeframe }, confidence, scores }
+   */
+  classify(message) {
+    const text = this.normalize(message || '');
+
+    const entities = {
+      asset: this.extractAsset(message || ''),
+      category: null,
+      timeframe: this.matchFirst(text, this.timeframeCues)
+    };
+    entities.category = this.assetCategories.includes(entities.asset)
+      ? entities.asset
+      : this.matchFirst(text, this.categoryCues);
+
+    const scores = {};
+    Object.entries(this.intentCues).forEach(([intent, cues]) => {
+      scores[intent] = this.combineWeights(
+        Object.entries(cues)
+          .filter(([cue]) => this.containsPhrase(text, cue))
+          .map(([, weight]) => weight)
+      );
+    });
+
+    // An asset mention supports investment cues, a category supports news cues
+    if (entities.asset && scores.investment > 0) {
+      scores.investment = this.combineWeights([scores.investment, 0.2]);
+    }
+    if (entities.category && scores.news > 0) {
+      scores.news = this.combineWeights([scores.news, 0.2]);
+    }
+
+    // Dampen everything for definitional questions ("what is a blockchain?")
+    if (this.definitionPatterns.some(pattern => pattern.test(text))) {
+      Object.keys(scores).forEach(intent => {
+        scores[intent] *= 0.5;
+      });
+    }
+
+    const [bestIntent, bestScore] = Object.entries(scores)
+      .sort(([, a], [, b]) => b - a)[0];
+
+    const confidence = Math.round(bestScore * 100) / 100;
+    const intent = confidence >= this.minConfidence ? bestIntent : 'chat';
+
+    logger.debug('Classified message intent', { intent, confidence, entities });
+
+    return { intent, entities, confidence, scores };
+  }
+
+  /**
+   * Extract the first asset mentioned in a message
+   * @param {string} message - Original message (case is significant for tickers)
+   * @returns {string|null} Canonical asset name
+   */
+  extractAsset(message) {
+    const [first] = entityExtractor.extractAssets(message);
+    return first || null;
+  }
+
+  /**
+   * Lowercase, strip accents and collapse whitespace
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    return normalizeText(text)
+      .replace(/[¿¡]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Check whether text contains a phrase on word boundaries
+   * @param {string} text - Normalized text
+   * @param {string} phrase - Phrase to find
+   * @returns {boolean} True if found
+   */
+  containsPhrase(text, phrase) {
+    return this.findPhrase(text, phrase) !== -1;
+  }
+
+  /**
+   * Find a phrase on word boundaries
+   * @param {string} text - Normalized text
+   * @param {string} phrase - Phrase to find
+   * @returns {number} Index of the match or -1
+   */
+  findPhrase(text, phrase) {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = new RegExp(`(^|[^\\w])${escaped}(?![\\w])`).exec(text);
+    return match ? match.index + match[1].length : -1;
+  }
+
+  /**
+   * Return the first key whose cues appear in the text
+   * @param {string} text - Normalized text
+   * @param {Object} cueMap - Map of key -> phrases
+   * @returns {string|null} Matching key
+   */
+  matchFirst(text, cueMap) {
+    const match = Object.entries(cueMap)
+      .find(([, phrases]) => phrases.some(phrase => this.containsPhrase(text, phrase)));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Combine independent cue weights into a score in [0, 1]
+   * @param {Array<number>} weights - Cue weights
+   * @returns {number} Combined score
+   */
+  combineWeights(weights) {
+    return 1 - weights.reduce((remaining, weight) => remaining * (1 - weight), 1);
+  }
+}
+
+module.exports = new IntentClassifier();
@@ -1,50 +1,67 @@
 const newsService = require('./newsService');
+const storyClusterer = require('./storyClusterer');
+const entityExtractor = require('./entityExtractor');
+const sentimentScorer = require('./sentimentScorer');
+const llmSentiment = require('./llmSentiment');
+const marketDataService = require('./marketDataService');
+const { SentimentHistory } = require('./sentimentHistory');
+const { WatchlistStore } = require('./watchlistStore');
 const logger = require('../utils/logger');
+const { escapeMarkdown } = require('../utils/markdown');
+const { config } = require('../config/config');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MIN_DECAY = 1e-6; // Very old stories still count a little, so an asset always has a score
+
+// /trend periods: one bar per bucket
+const TREND_PERIODS = {
+  '7d': { days: 7, buckets: 28, bucketLabel: '6 hours' },
+  '30d': { days: 30, buckets: 30, bucketLabel: '1 day' }
+};
+const TREND_SWING = 0.2; // Score change that makes a high or low a turning point
+const SPARKLINE_BARS = '▁▂▃▄▅▆▇█';
+
+// Confidence is a weighted mix of these factors, each in [0, 1]
+const CONFIDENCE_WEIGHTS = { margin: 0.35, diversity: 0.25, recency: 0.15, agreement: 0.25 };
+const CONFIDENCE_FULL_SOURCES = 3; // Outlets needed for full source diversity
+const CONFIDENCE_LEVELS = [{ level: 'high', min: 0.75 }, { level: 'medium', min: 0.5 }, { level: 'low', min: 0 }];
+
+// Supporting and contradicting headlines linked per recommendation
+const EVIDENCE_HEADLINES = { overview: 1, asset: 3 };
+const EVIDENCE_STORE_SIZE = 200; // Reports whose full evidence stays available to the "Show all evidence" button
 
 class InvestmentAnalyzer {
   constructor() {
-    this.sentimentKeywords = {
-      positive: [
-        'bullish', 'surge', 'rally', 'gain', 'rise', 'up', 'positive', 'growth',
-        'adoption', 'partnership', 'launch', 'success', 'profit', 'earnings',
-        'approval', 'greenlight', 'breakthrough', 'innovation', 'upgrade',
-        'bullish', 'subida', 'ganancia', 'crecimiento', 'éxito', 'beneficio',
-        'aprobación', 'innovación', 'mejora', 'alianza', 'lanzamiento'
-      ],
-      negative: [
-        'bearish', 'crash', 'drop', 'fall', 'decline', 'down', 'negative', 'loss',
-        'hack', 'exploit', 'breach', 'security', 'regulation', 'ban', 'restriction',
-        'failure', 'bankruptcy', 'scam', 'fraud', 'investigation', 'lawsuit',
-        'bajista', 'caída', 'pérdida', 'hackeo', 'exploit', 'brecha', 'seguridad',
-        'regulación', 'prohibición', 'restricción', 'fracaso', 'quiebra', 'estafa',
-        'fraude', 'investigación', 'demanda'
-      ],
-      neutral: [
-        'announcement', 'update', 'release', 'statement', 'report', 'analysis',
-        'announcement', 'actualización', 'lanzamiento', 'declaración', 'informe', 'análisis'
-      ]
-    };
+    this.halfLifeHours = config.sentiment.halfLifeHours;
+    this.now = Date.now; // Clock the recency of coverage is measured against
+    this.history = new SentimentHistory({
+      filePath: config.sentiment.history.enabled ? config.sentiment.history.filePath : null,
+      retentionDays: config.sentiment.history.retentionDays
+    });
+    this.watchlists = new WatchlistStore({
+      filePath: config.watchlist.filePath,
+      maxAssets: config.watchlist.maxAssets
+    });
 
-    this.assetKeywords = {
-      'bitcoin': ['bitcoin', 'btc', 'satoshi'],
-      'ethereum': ['ethereum', 'eth', 'ether'],
-      'solana': ['solana', 'sol'],
-      'cardano': ['cardano', 'ada'],
-      'polkadot': ['polkadot', 'dot'],
-      'chainlink': ['chainlink', 'link'],
-      'uniswap': ['uniswap', 'uni'],
-      'aave': ['aave', 'aave'],
-      'defi': ['defi', 'decentralized finance', 'yield farming'],
-      'nft': ['nft', 'non-fungible', 'digital art']
-    };
+    this.evidenceStore = new Map(); // id -> { title, recommendations }, oldest first
+    this.evidenceCounter = 0;
   }
 
   /**
    * Analyze news and provide investment recommendations
    * @param {string} query - User query (optional asset focus)
-   * @returns {Promise<Object>} Investment analysis and recommendations
+   * @returns {Promise<string>} Investment analysis and recommendations
    */
   async analyzeInvestmentOpportunities(query = '') {
+    return (await this.buildInvestmentReport(query)).text;
+  }
+
+  /**
+   * Analyze news and provide investment recommendations, keeping their evidence for later
+   * @param {string} query - User query (optional asset focus)
+   * @returns {Promise<Object>} { text, evidenceId } (see getEvidence)
+   */
+  async buildInvestmentReport(query = '') {
     try {
       logger.info('Starting investment analysis', { query });
 
@@ -52,10 +69,12 @@ class InvestmentAnalyzer {
       const news = await newsService.getLatestNews();
       
       // Analyze sentiment and identify assets
-      const analysis = this.analyzeNewsSentiment(news, query);
+      const sentiments = await this.scoreNews(news);
+      const analysis = this.analyzeNewsSentiment(news, query, { sentiments });
+      const quotes = await marketDataService.getQuotes(Object.keys(analysis.assets));
       
       // Generate recommendations
-      const recommendations = this.generateRecommendations(analysis);
+      const recommendations = this.generateRecommendations(analysis, quotes);
       
       // Format response
       const response = this.formatInvestmentResponse(analysis, recommendations);
@@ -65,7 +84,7 @@ class InvestmentAnalyzer {
         recommendationsCount: recommendations.length
       });
 
-      return response;
+      return { text: response, evidenceId: this.storeEvidence('Investment Analysis', recommendations) };
 
     } catch (error) {
       logger.error('Error in investment analysis:', error);
@@ -74,12 +93,19 @@ class InvestmentAnalyzer {
   }
 
   /**
-   * Analyze sentiment of news articles
+   * Analyze sentiment of news stories.
+   * Articles covering the same event are clustered first so a story counts once
+   * (or more when weighted by how many sources covered it), however many outlets ran it.
    * @param {Array} news - News articles
    * @param {string} query - Optional asset focus
+   * @param {Object} options - { weightBySources (defaults to config), sentiments: results from scoreNews,
+   *   now: time the analysis is made at (defaults to the clock) }
    * @returns {Object} Sentiment analysis results
    */
-  analyzeNewsSentiment(news, query = '') {
+  analyzeNewsSentiment(news, query = '', options = {}) {
+    const { weightBySources = config.news.clustering.weightBySources, sentiments = null, now = this.now() } = options;
+    const stories = newsService.clusterStories(news);
+
     const analysis = {
       overall: { positive: 0, negative: 0, neutral: 0 },
       assets: {},
@@ -87,128 +113,359 @@ class InvestmentAnalyzer {
         short: { positive: 0, negative: 0 },
         medium: { positive: 0, negative: 0 },
         long: { positive: 0, negative: 0 }
-      }
+      },
+      score: 0,
+      articles: news.length,
+      stories: stories.length
     };
 
-    news.forEach(article => {
-      const title = article.title.toLowerCase();
-      const content = article.card_text.toLowerCase();
-      const text = `${title} ${content}`;
+    // Weighted score sums, averaged below; scores also decay with the story's age
+    let scoreTotal = 0;
+    let weightTotal = 0;
+    const assetScoreTotals = {};
+    const assetWeightTotals = {};
+    const overallSignals = this.createSignals();
+    const assetSignals = {};
+    const scoring = { llm: 0, lexicon: 0 };
+    const decays = this.getDecayWeights(stories);
+    const recencies = this.getRecencyWeights(stories, now);
 
-      // Analyze sentiment
-      const sentiment = this.calculateSentiment(text);
+    stories.forEach((story, storyIndex) => {
+      const original = story.articles
+        .map(article => `${article.title}\n${article.summary || ''}`)
+        .join('\n');
+      const text = original.toLowerCase();
+      const weight = this.getStoryWeight(story, weightBySources);
+      const scoreWeight = weight * decays[storyIndex];
+
+      // Analyze sentiment: the story's average score, bucketed by threshold
+      const results = story.articles.map(article => this.getArticleSentiment(article, sentiments));
+      const score = this.averageScore(results.map(result => result.score));
+      const sentiment = sentimentScorer.getLabel(score);
       
       // Update overall sentiment
-      analysis.overall[sentiment]++;
+      analysis.overall[sentiment] += weight;
+      scoreTotal += score * scoreWeight;
+      weightTotal += scoreWeight;
+      results.forEach(result => { scoring[result.source] += 1; });
+      this.addSignals(overallSignals, story.articles, results, results.map(result => result.score), weight, recencies[storyIndex]);
 
-      // Identify assets mentioned
-      const mentionedAssets = this.identifyAssets(text);
+      // Identify assets mentioned (in the text, or by the model)
+      const mentionedAssets = [...new Set([
+        ...this.identifyAssets(original),
+        ...results.flatMap(result => Object.keys(result.assets))
+      ])];
       
       mentionedAssets.forEach(asset => {
         if (!analysis.assets[asset]) {
-          analysis.assets[asset] = { positive: 0, negative: 0, neutral: 0, mentions: 0 };
+          analysis.assets[asset] = { positive: 0, negative: 0, neutral: 0, mentions: 0, score: 0 };
+          assetScoreTotals[asset] = 0;
+          assetWeightTotals[asset] = 0;
+          assetSignals[asset] = this.createSignals();
         }
-        analysis.assets[asset][sentiment]++;
-        analysis.assets[asset].mentions++;
+        // A model can rate an asset apart from the story ("BTC rallies as ETH lags")
+        const articleScores = results.map(result => result.assets[asset] ? result.assets[asset].score : result.score);
+        const assetScore = this.averageScore(articleScores);
+        analysis.assets[asset][sentimentScorer.getLabel(assetScore)] += weight;
+        analysis.assets[asset].mentions += weight;
+        assetScoreTotals[asset] += assetScore * scoreWeight;
+        assetWeightTotals[asset] += scoreWeight;
+        this.addSignals(assetSignals[asset], story.articles, results, articleScores, weight, recencies[storyIndex], asset);
       });
 
       // Analyze timeframes based on keywords
       if (text.includes('short') || text.includes('immediate') || text.includes('urgent')) {
-        analysis.timeframes.short[sentiment]++;
+        analysis.timeframes.short[sentiment] += weight;
       }
       if (text.includes('medium') || text.includes('weeks') || text.includes('months')) {
-        analysis.timeframes.medium[sentiment]++;
+        analysis.timeframes.medium[sentiment] += weight;
       }
       if (text.includes('long') || text.includes('years') || text.includes('future')) {
-        analysis.timeframes.long[sentiment]++;
+        analysis.timeframes.long[sentiment] += weight;
       }
     });
 
+    // Average scores in [-1, 1]
+    analysis.score = weightTotal > 0 ? sentimentScorer.round(scoreTotal / weightTotal) : 0;
+    Object.entries(analysis.assets).forEach(([asset, data]) => {
+      data.score = sentimentScorer.round(assetScoreTotals[asset] / assetWeightTotals[asset]);
+      Object.assign(data, this.summarizeSignals(assetSignals[asset], this.getDominantSentiment(data)));
+    });
+    Object.assign(analysis.overall, this.summarizeSignals(overallSignals, this.getDominantSentiment(analysis.overall)));
+    analysis.scoring = scoring;
+
     return analysis;
   }
 
   /**
-   * Calculate sentiment score for text
-   * @param {string} text - Text to analyze
-   * @returns {string} 'positive', 'negative', or 'neutral'
+   * Score articles with the configured sentiment mode
+   * @param {Array} news - News articles
+   * @returns {Promise<Map|null>} Results by article hash in LLM mode, null for the lexicon
+   */
+  async scoreNews(news) {
+    if (config.sentiment.mode !== 'llm' || news.length === 0) {
+      return null;
+    }
+    return llmSentiment.scoreArticles(news);
+  }
+
+  /**
+   * Sentiment of one article: the precomputed result, or the lexicon score
+   * @param {Object} article - Article
+   * @param {Map|null} sentiments - Results from scoreNews
+   * @returns {Object} { score, assets: { asset: { score, rationale } }, source }
+   */
+  getArticleSentiment(article, sentiments) {
+    const result = sentiments && sentiments.get(llmSentiment.hashArticle(article));
+    return result || llmSentiment.scoreWithLexicon(article);
+  }
+
+  /**
+   * Average of scores
+   * @param {Array<number>} scores - Scores
+   * @returns {number} Mean (0 when empty)
+   */
+  averageScore(scores) {
+    if (scores.length === 0) {
+      return 0;
+    }
+    return sentimentScorer.round(scores.reduce((total, score) => total + score, 0) / scores.length);
+  }
+
+  /**
+   * Weight of a story in the analysis
+   * @param {Object} story - Story from newsService.clusterStories
+   * @param {boolean} weightBySources - Whether wider coverage counts more
+   * @returns {number} 1, or 1 + log2(sources) when weighted (2 sources = 2, 4 sources = 3)
+   */
+  getStoryWeight(story, weightBySources) {
+    return weightBySources ? 1 + Math.log2(story.sourceCount) : 1;
+  }
+
+  /**
+   * Time-decay weight of each story: halves every halfLifeHours before the newest story.
+   * Measured from the newest story rather than now, which gives the same averages without underflow.
+   * @param {Array} stories - Stories from newsService.clusterStories
+   * @returns {Array<number>} Weight in (0, 1] per story (1 for undated stories or with decay off)
    */
-  calculateSentiment(text) {
-    let positiveScore = 0;
-    let negativeScore = 0;
+  getDecayWeights(stories) {
+    const times = stories.map(story => this.getStoryTime(story));
+    const latest = Math.max(...times.filter(time => !Number.isNaN(time)));
 
-    // Count positive keywords
-    this.sentimentKeywords.positive.forEach(keyword => {
-      const regex = new RegExp(keyword, 'gi');
-      const matches = text.match(regex);
-      if (matches) {
-        positiveScore += matches.length;
+    return times.map(time => {
+      if (!(this.halfLifeHours > 0) || Number.isNaN(time) || !Number.isFinite(latest)) {
+        return 1;
       }
+      return Math.max(0.5 ** ((latest - time) / (this.halfLifeHours * HOUR_MS)), MIN_DECAY);
     });
+  }
 
-    // Count negative keywords
-    this.sentimentKeywords.negative.forEach(keyword => {
-      const regex = new RegExp(keyword, 'gi');
-      const matches = text.match(regex);
-      if (matches) {
-        negativeScore += matches.length;
+  /**
+   * Recency of each story: halves every halfLifeHours before now, so a batch of old news counts as old
+   * @param {Array} stories - Stories from newsService.clusterStories
+   * @param {number} now - Time the analysis is made at
+   * @returns {Array<number>} Weight in (0, 1] per story (1 for undated or future stories, or with decay off)
+   */
+  getRecencyWeights(stories, now) {
+    return stories.map(story => {
+      const time = this.getStoryTime(story);
+      if (!(this.halfLifeHours > 0) || Number.isNaN(time)) {
+        return 1;
       }
+      return Math.max(0.5 ** (Math.max(now - time, 0) / (this.halfLifeHours * HOUR_MS)), MIN_DECAY);
     });
+  }
 
-    // Determine sentiment
-    if (positiveScore > negativeScore) {
-      return 'positive';
-    } else if (negativeScore > positiveScore) {
-      return 'negative';
-    } else {
-      return 'neutral';
-    }
+  /**
+   * Time of a story's newest article
+   * @param {Object} story - Story
+   * @returns {number} Timestamp, or NaN if no article is dated
+   */
+  getStoryTime(story) {
+    const times = story.articles
+      .map(article => new Date(article.publishedAt || article.firstSeenAt || NaN).getTime())
+      .filter(time => !Number.isNaN(time));
+    return times.length > 0 ? Math.max(...times) : NaN;
   }
 
   /**
-   * Identify assets mentioned in text
-   * @param {string} text - Text to analyze
-   * @returns {Array} Array of asset names
+   * Empty accumulator for the confidence signals and evidence of an asset (or the whole market)
+   * @returns {Object} { sourceScores: outlet -> scores, recencyTotal, weightTotal, evidence }
    */
-  identifyAssets(text) {
-    const mentionedAssets = [];
+  createSignals() {
+    return { sourceScores: new Map(), recencyTotal: 0, weightTotal: 0, evidence: [] };
+  }
 
-    Object.entries(this.assetKeywords).forEach(([asset, keywords]) => {
-      keywords.forEach(keyword => {
-        if (text.includes(keyword.toLowerCase())) {
-          mentionedAssets.push(asset);
-        }
+  /**
+   * Add a story's articles to confidence signals and evidence
+   * @param {Object} signals - Result of createSignals
+   * @param {Array} articles - The story's articles
+   * @param {Array} results - Sentiment result of each article (see getArticleSentiment)
+   * @param {Array<number>} scores - Score of each article
+   * @param {number} weight - Story weight
+   * @param {number} recency - Story recency weight (see getRecencyWeights)
+   * @param {string|null} asset - Asset the scores are for (null for the whole market)
+   */
+  addSignals(signals, articles, results, scores, weight, recency, asset = null) {
+    articles.forEach((article, index) => {
+      const outlet = storyClusterer.getOutlet(article);
+      if (!signals.sourceScores.has(outlet)) {
+        signals.sourceScores.set(outlet, []);
+      }
+      signals.sourceScores.get(outlet).push(scores[index]);
+
+      const assetResult = asset && results[index].assets[asset];
+      signals.evidence.push({
+        title: article.title,
+        url: article.url,
+        source: outlet,
+        publishedAt: article.publishedAt || null,
+        score: scores[index],
+        label: sentimentScorer.getLabel(scores[index]),
+        terms: results[index].terms || [],
+        rationale: assetResult ? assetResult.rationale : null
       });
     });
+    signals.recencyTotal += weight * recency;
+    signals.weightTotal += weight;
+  }
 
-    return [...new Set(mentionedAssets)]; // Remove duplicates
+  /**
+   * Summarize confidence signals
+   * @param {Object} signals - Accumulated signals
+   * @param {string} sentiment - Dominant sentiment
+   * @returns {Object} { sources: outlet count, recency: mean recency weight, agreement: share of outlets on the dominant side, evidence }
+   */
+  summarizeSignals(signals, sentiment) {
+    const outletLabels = [...signals.sourceScores.values()].map(scores => sentimentScorer.getLabel(this.averageScore(scores)));
+    const agreeing = outletLabels.filter(label => label === sentiment).length;
+
+    return {
+      sources: outletLabels.length,
+      recency: signals.weightTotal > 0 ? sentimentScorer.round(signals.recencyTotal / signals.weightTotal) : 1,
+      // A single outlet neither confirms nor contradicts itself
+      agreement: outletLabels.length > 1 ? sentimentScorer.round(agreeing / outletLabels.length) : 0.5,
+      evidence: signals.evidence
+    };
+  }
+
+  /**
+   * Sort the articles behind a call by whether they back it, strongest first
+   * @param {Array} items - Evidence from analyzeNewsSentiment
+   * @param {string} sentiment - Dominant sentiment of the call
+   * @returns {Object} { supporting, contradicting, neutral }
+   */
+  buildEvidence(items = [], sentiment) {
+    const evidence = { supporting: [], contradicting: [], neutral: [] };
+
+    items.forEach(item => {
+      if (item.label === sentiment) {
+        evidence.supporting.push(item);
+      } else if (item.label === 'neutral') {
+        evidence.neutral.push(item); // Neither backs nor argues against a BUY or SELL
+      } else {
+        evidence.contradicting.push(item); // The opposite side, or any clear move against a HOLD
+      }
+    });
+
+    const byStrength = (a, b) => Math.abs(b.score) - Math.abs(a.score) ||
+      new Date(b.publishedAt || 0).getTime() - new Date(a.publishedAt || 0).getTime();
+    Object.values(evidence).forEach(list => list.sort(byStrength));
+
+    return evidence;
+  }
+
+  /**
+   * Confidence in a call from sentiment counts and signals
+   * @param {Object} data - Asset (or overall) data from analyzeNewsSentiment
+   * @returns {Object} { score in [0, 1], level, factors: { margin, diversity, recency, agreement } }
+   */
+  getConfidence(data) {
+    const counts = [data.positive, data.negative, data.neutral].sort((a, b) => b - a);
+    const total = counts[0] + counts[1] + counts[2];
+    const factors = {
+      margin: total > 0 ? sentimentScorer.round((counts[0] - counts[1]) / total) : 0, // Lead of the dominant side
+      diversity: sentimentScorer.round(Math.min((data.sources || 0) / CONFIDENCE_FULL_SOURCES, 1)),
+      recency: data.recency !== undefined ? data.recency : 1,
+      agreement: data.agreement !== undefined ? data.agreement : 0.5
+    };
+
+    const score = Object.entries(CONFIDENCE_WEIGHTS)
+      .reduce((sum, [factor, factorWeight]) => sum + factors[factor] * factorWeight, 0);
+    const rounded = Math.round(score * 100) / 100;
+
+    return { score: rounded, level: this.getConfidenceLevel(rounded), factors };
+  }
+
+  /**
+   * Label for a confidence score
+   * @param {number} score - Confidence in [0, 1]
+   * @returns {string} 'high', 'medium' or 'low'
+   */
+  getConfidenceLevel(score) {
+    return CONFIDENCE_LEVELS.find(({ min }) => score >= min).level;
+  }
+
+  /**
+   * Format a (possibly weighted) count for display
+   * @param {number} count - Count
+   * @returns {string} Whole numbers as is, others with one decimal
+   */
+  formatCount(count) {
+    return Number.isInteger(count) ? String(count) : count.toFixed(1);
+  }
+
+  /**
+   * Format a sentiment score for display
+   * @param {number} score - Score in [-1, 1]
+   * @returns {string} Signed score with two decimals, e.g. "+0.42"
+   */
+  formatScore(score) {
+    return `${score > 0 ? '+' : ''}${score.toFixed(2)}`;
+  }
+
+  /**
+   * Identify assets and sectors mentioned in text
+   * @param {string} text - Original text (case is significant for tickers)
+   * @returns {Array} Array of asset names
+   */
+  identifyAssets(text) {
+    return entityExtractor.extract(text).map(({ entity }) => entity);
   }
 
   /**
    * Generate investment recommendations
    * @param {Object} analysis - Sentiment analysis results
-   * @returns {Array} Array of recommendations
+   * @param {Object} quotes - asset -> market quote (from marketDataService.getQuotes)
+   * @param {Object} options - { minConfidence: asset calls below it are dropped (defaults to config),
+   *   assets: only call these assets, limit: maximum recommendations }
+   * @returns {Array} The market call, then asset calls by confidence (top 5 overall by default)
    */
-  generateRecommendations(analysis) {
-    const recommendations = [];
+  generateRecommendations(analysis, quotes = {}, options = {}) {
+    const { minConfidence = config.recommendations.minConfidence, assets = null, limit = 5 } = options;
 
     // Analyze overall market sentiment
     const overallSentiment = this.getDominantSentiment(analysis.overall);
-    const marketRecommendation = this.getMarketRecommendation(overallSentiment);
-    recommendations.push(marketRecommendation);
+    const marketRecommendation = this.getMarketRecommendation(overallSentiment, this.getConfidence(analysis.overall));
+    marketRecommendation.evidence = this.buildEvidence(analysis.overall.evidence, overallSentiment);
 
     // Analyze individual assets
-    Object.entries(analysis.assets)
+    const assetRecommendations = Object.entries(analysis.assets)
       .filter(([asset, data]) => data.mentions >= 2) // Only assets with multiple mentions
-      .forEach(([asset, data]) => {
+      .filter(([asset]) => !assets || assets.includes(asset))
+      .map(([asset, data]) => {
         const sentiment = this.getDominantSentiment(data);
-        const recommendation = this.getAssetRecommendation(asset, sentiment, data.mentions);
-        recommendations.push(recommendation);
-      });
+        const recommendation = this.buildAssetRecommendation(asset, sentiment, data.mentions, this.getConfidence(data));
+        const quote = quotes[asset] || null;
+        recommendation.market = quote;
+        recommendation.divergence = marketDataService.detectDivergence(sentiment, quote);
+        recommendation.evidence = this.buildEvidence(data.evidence, sentiment);
+        return recommendation;
+      })
+      .filter(recommendation => recommendation.confidence >= minConfidence)
+      .sort((a, b) => b.confidence - a.confidence || b.mentions - a.mentions);
 
-    // Sort by confidence (mention count)
-    recommendations.sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
-
-    return recommendations.slice(0, 5); // Top 5 recommendations
+    return [marketRecommendation, ...assetRecommendations].slice(0, limit);
   }
 
   /**
@@ -229,26 +486,24 @@ class InvestmentAnalyzer {
   /**
    * Get market recommendation based on sentiment
    * @param {string} sentiment - Market sentiment
+   * @param {Object} confidence - Result of getConfidence
    * @returns {Object} Market recommendation
    */
-  getMarketRecommendation(sentiment) {
+  getMarketRecommendation(sentiment, confidence) {
     const recommendations = {
       positive: {
         action: 'BUY',
         reasoning: 'Overall market sentiment is positive. Consider increasing exposure to crypto assets.',
-        confidence: 'medium',
         timeframe: 'short to medium term'
       },
       negative: {
         action: 'SELL',
         reasoning: 'Overall market sentiment is negative. Consider reducing exposure or hedging positions.',
-        confidence: 'medium',
         timeframe: 'short term'
       },
       neutral: {
         action: 'HOLD',
         reasoning: 'Market sentiment is mixed. Maintain current positions and monitor for clearer signals.',
-        confidence: 'low',
         timeframe: 'short term'
       }
     };
@@ -256,6 +511,9 @@ class InvestmentAnalyzer {
     return {
       type: 'market',
       asset: 'Overall Market',
+      confidence: confidence.score,
+      confidenceLevel: confidence.level,
+      confidenceFactors: confidence.factors,
       ...recommendations[sentiment]
     };
   }
@@ -265,11 +523,10 @@ class InvestmentAnalyzer {
    * @param {string} asset - Asset name
    * @param {string} sentiment - Asset sentiment
    * @param {number} mentions - Number of mentions
+   * @param {Object} confidence - Result of getConfidence
    * @returns {Object} Asset recommendation
    */
-  getAssetRecommendation(asset, sentiment, mentions) {
-    const confidence = mentions >= 5 ? 'high' : mentions >= 3 ? 'medium' : 'low';
-    
+  buildAssetRecommendation(asset, sentiment, mentions, confidence) {
     const recommendations = {
       positive: {
         action: 'BUY',
@@ -291,12 +548,118 @@ class InvestmentAnalyzer {
     return {
       type: 'asset',
       asset: asset.toUpperCase(),
-      confidence,
+      confidence: confidence.score,
+      confidenceLevel: confidence.level,
+      confidenceFactors: confidence.factors,
       mentions,
       ...recommendations[sentiment]
     };
   }
 
+  /**
+   * Format the market context block of an asset view
+   * @param {Object} quote - Market quote
+   * @returns {string} Price, changes, volume and market cap
+   */
+  formatMarket(quote) {
+    let response = `**Market${quote.stale ? ' (delayed)' : ''}:**\n`;
+    response += `Price: ${this.formatPrice(quote.price, quote.currency)}\n`;
+    response += `Change: ${this.formatChanges(quote)}\n`;
+    if (quote.volume24h !== null) {
+      response += `24h volume: ${this.formatAmount(quote.volume24h, quote.currency)}\n`;
+    }
+    if (quote.marketCap !== null) {
+      response += `Market cap: ${this.formatAmount(quote.marketCap, quote.currency)}\n`;
+    }
+    return response;
+  }
+
+  /**
+   * Describe a sentiment/momentum divergence
+   * @param {Object} divergence - From marketDataService.detectDivergence
+   * @returns {string} Sentence
+   */
+  formatDivergence(divergence) {
+    return `News is ${divergence.sentiment} but the price is ${divergence.momentum} ` +
+      `${Math.abs(divergence.change).toFixed(1)}% over ${divergence.period}.`;
+  }
+
+  /**
+   * Format price changes
+   * @param {Object} quote - Market quote
+   * @returns {string} e.g. "24h +1.2%, 7d -4.0%"
+   */
+  formatChanges(quote) {
+    const changes = [['24h', quote.change24h], ['7d', quote.change7d]]
+      .filter(([, change]) => change !== null)
+      .map(([period, change]) => `${period} ${change >= 0 ? '+' : ''}${change.toFixed(1)}%`);
+    return changes.length > 0 ? changes.join(', ') : 'n/a';
+  }
+
+  /**
+   * Format a price
+   * @param {number} price - Price
+   * @param {string} currency - Currency code
+   * @returns {string} e.g. "$67,250.12" or "$0.4321"
+   */
+  formatPrice(price, currency) {
+    const digits = price >= 1 ? { minimumFractionDigits: 2, maximumFractionDigits: 2 } : { maximumSignificantDigits: 4 };
+    return this.withCurrency(price.toLocaleString('en-US', digits), currency);
+  }
+
+  /**
+   * Format a large amount (volume, market cap)
+   * @param {number} amount - Amount
+   * @param {string} currency - Currency code
+   * @returns {string} e.g. "$32.1B"
+   */
+  formatAmount(amount, currency) {
+    const units = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+    const [divisor, suffix] = units.find(([value]) => amount >= value) || [1, ''];
+    return this.withCurrency(`${(amount / divisor).toFixed(divisor === 1 ? 0 : 1)}${suffix}`, currency);
+  }
+
+  /**
+   * Add the currency to an amount
+   * @param {string} amount - Formatted amount
+   * @param {string} currency - Currency code
+   * @returns {string} "$1.2B" for USD, "1.2B EUR" otherwise
+   */
+  withCurrency(amount, currency) {
+    return currency === 'usd' ? `$${amount}` : `${amount} ${currency.toUpperCase()}`;
+  }
+
+  /**
+   * Note how many articles the model scored (empty when it scored none)
+   * @param {Object} scoring - { llm, lexicon } article counts
+   * @returns {string} Line for the response
+   */
+  formatScoring(scoring) {
+    if (!scoring || scoring.llm === 0) {
+      return '';
+    }
+    return `AI-assisted sentiment for ${scoring.llm} of ${scoring.llm + scoring.lexicon} articles\n`;
+  }
+
+  /**
+   * Emoji for a confidence level
+   * @param {string} level - 'high', 'medium' or 'low'
+   * @returns {string} Emoji
+   */
+  getConfidenceEmoji(level) {
+    return level === 'high' ? '🔥' : level === 'medium' ? '⚡' : '💡';
+  }
+
+  /**
+   * Describe what a confidence score is made of
+   * @param {Object} factors - { margin, diversity, recency, agreement }
+   * @returns {string} e.g. "Sentiment margin 0.60, source diversity 0.67, recency 0.95, source agreement 1.00"
+   */
+  formatConfidenceFactors(factors) {
+    return `Sentiment margin ${factors.margin.toFixed(2)}, source diversity ${factors.diversity.toFixed(2)}, ` +
+      `recency ${factors.recency.toFixed(2)}, source agreement ${factors.agreement.toFixed(2)}`;
+  }
+
   /**
    * Format investment response for display
    * @param {Object} analysis - Sentiment analysis
@@ -309,10 +672,15 @@ class InvestmentAnalyzer {
     // Market overview
     const overallSentiment = this.getDominantSentiment(analysis.overall);
     response += `🌍 **Market Overview:**\n`;
-    response += `Overall sentiment: ${overallSentiment.toUpperCase()}\n`;
-    response += `Positive news: ${analysis.overall.positive}\n`;
-    response += `Negative news: ${analysis.overall.negative}\n`;
-    response += `Neutral news: ${analysis.overall.neutral}\n\n`;
+    response += `Overall sentiment: ${overallSentiment.toUpperCase()} (score ${this.formatScore(analysis.score)})\n`;
+    response += `Positive news: ${this.formatCount(analysis.overall.positive)}\n`;
+    response += `Negative news: ${this.formatCount(analysis.overall.negative)}\n`;
+    response += `Neutral news: ${this.formatCount(analysis.overall.neutral)}\n`;
+    if (analysis.stories < analysis.articles) {
+      response += `(${analysis.articles} articles grouped into ${analysis.stories} stories)\n`;
+    }
+    response += this.formatScoring(analysis.scoring);
+    response += '\n';
 
     // Asset analysis
     if (Object.keys(analysis.assets).length > 0) {
@@ -323,7 +691,7 @@ class InvestmentAnalyzer {
         .forEach(([asset, data]) => {
           const sentiment = this.getDominantSentiment(data);
           const emoji = sentiment === 'positive' ? '🟢' : sentiment === 'negative' ? '🔴' : '🟡';
-          response += `${emoji} ${asset.toUpperCase()}: ${sentiment} (${data.mentions} mentions)\n`;
+          response += `${emoji} ${asset.toUpperCase()}: ${sentiment}, score ${this.formatScore(data.score)} (${this.formatCount(data.mentions)} mentions)\n`;
         });
       response += '\n';
     }
@@ -331,16 +699,7 @@ class InvestmentAnalyzer {
     // Recommendations
     response += `💡 **Recommendations:**\n\n`;
     recommendations.forEach((rec, index) => {
-      const actionEmoji = rec.action === 'BUY' ? '🟢' : rec.action === 'SELL' ? '🔴' : '🟡';
-      const confidenceEmoji = rec.confidence === 'high' ? '🔥' : rec.confidence === 'medium' ? '⚡' : '💡';
-      
-      response += `${index + 1}. ${actionEmoji} **${rec.action} ${rec.asset}** ${confidenceEmoji}\n`;
-      response += `   ${rec.reasoning}\n`;
-      response += `   Timeframe: ${rec.timeframe}\n`;
-      if (rec.mentions) {
-        response += `   Based on ${rec.mentions} recent mentions\n`;
-      }
-      response += '\n';
+      response += this.formatRecommendation(rec, index);
     });
 
     // Disclaimer
@@ -350,53 +709,396 @@ class InvestmentAnalyzer {
     return response;
   }
 
+  /**
+   * Format one numbered recommendation of an overview
+   * @param {Object} rec - Recommendation
+   * @param {number} index - Position in the list
+   * @returns {string} Formatted recommendation
+   */
+  formatRecommendation(rec, index) {
+    const actionEmoji = rec.action === 'BUY' ? '🟢' : rec.action === 'SELL' ? '🔴' : '🟡';
+    const confidenceEmoji = this.getConfidenceEmoji(rec.confidenceLevel);
+
+    let response = `${index + 1}. ${actionEmoji} **${rec.action} ${rec.asset}** ${confidenceEmoji}\n`;
+    response += `   ${rec.reasoning}\n`;
+    response += `   Timeframe: ${rec.timeframe}\n`;
+    response += `   Confidence: ${rec.confidenceLevel} (${rec.confidence.toFixed(2)})\n`;
+    if (rec.mentions) {
+      response += `   Based on ${this.formatCount(rec.mentions)} recent mentions\n`;
+    }
+    response += this.formatHeadlines(rec.evidence, EVIDENCE_HEADLINES.overview, '   ');
+    if (rec.market) {
+      response += `   Price: ${this.formatPrice(rec.market.price, rec.market.currency)} (${this.formatChanges(rec.market)})\n`;
+    }
+    if (rec.divergence) {
+      response += `   ⚠️ ${this.formatDivergence(rec.divergence)}\n`;
+    }
+    return response + '\n';
+  }
+
+  /**
+   * Analyze the news about a watchlist's assets together, keeping the evidence for later
+   * @param {Array<string>} assets - Asset registry ids
+   * @returns {Promise<Object>} { text, evidenceId } (evidenceId is null without a recommendation)
+   */
+  async buildWatchlistReport(assets) {
+    try {
+      logger.info('Starting watchlist analysis', { assets });
+
+      const allNews = await newsService.getLatestNews();
+      const news = allNews.filter(article => assets.some(asset => newsService.matchesCategory(article, asset)));
+      const sentiments = await this.scoreNews(news);
+      const analysis = this.analyzeNewsSentiment(news, '', { sentiments });
+      const quotes = await marketDataService.getQuotes(assets);
+
+      // Every watched asset the news supports is shown, whatever its confidence
+      const [, ...recommendations] = this.generateRecommendations(analysis, quotes, {
+        minConfidence: 0,
+        assets,
+        limit: assets.length + 1
+      });
+
+      return {
+        text: this.formatWatchlistResponse(assets, analysis, recommendations),
+        evidenceId: recommendations.length > 0 ? this.storeEvidence('Watchlist Analysis', recommendations) : null
+      };
+
+    } catch (error) {
+      logger.error('Error in watchlist analysis:', error);
+      throw new Error('Failed to analyze the watchlist. Please try again later.');
+    }
+  }
+
+  /**
+   * Format a watchlist analysis for display
+   * @param {Array<string>} assets - Watched asset ids
+   * @param {Object} analysis - Sentiment analysis of the news about them
+   * @param {Array} recommendations - Asset recommendations, by confidence
+   * @returns {string} Formatted response
+   */
+  formatWatchlistResponse(assets, analysis, recommendations) {
+    let response = '👀 **Watchlist Analysis**\n\n';
+    response += `Watching: ${assets.map(asset => asset.toUpperCase()).join(', ')}\n`;
+
+    if (analysis.articles === 0) {
+      response += '\nNo recent news mentions your watched assets. Consider checking back later for updated analysis.';
+      return response;
+    }
+
+    const overallSentiment = this.getDominantSentiment(analysis.overall);
+    response += `Combined sentiment: ${overallSentiment.toUpperCase()} (score ${this.formatScore(analysis.score)})\n`;
+    response += `Based on ${analysis.articles} articles`;
+    response += analysis.stories < analysis.articles ? ` grouped into ${analysis.stories} stories\n` : '\n';
+    response += this.formatScoring(analysis.scoring);
+    response += '\n';
+
+    if (recommendations.length > 0) {
+      response += `💡 **Recommendations:**\n\n`;
+      recommendations.forEach((rec, index) => {
+        response += this.formatRecommendation(rec, index);
+      });
+    }
+
+    const called = recommendations.map(rec => rec.asset.toLowerCase());
+    const quiet = assets.filter(asset => !called.includes(asset));
+    if (quiet.length > 0) {
+      response += `ℹ️ Not enough recent news for: ${quiet.map(asset => asset.toUpperCase()).join(', ')}\n\n`;
+    }
+
+    response += `⚠️ **Disclaimer:** This analysis is based on news sentiment and should not be considered as financial advice. Always do your own research.`;
+
+    return response;
+  }
+
   /**
    * Get specific asset recommendation
    * @param {string} asset - Asset to analyze
    * @returns {Promise<string>} Asset-specific recommendation
    */
   async getAssetRecommendation(asset) {
+    return (await this.buildAssetReport(asset)).text;
+  }
+
+  /**
+   * Get specific asset recommendation, keeping its evidence for later
+   * @param {string} asset - Asset to analyze
+   * @returns {Promise<Object>} { text, evidenceId } (evidenceId is null without a recommendation)
+   */
+  async buildAssetReport(asset) {
     try {
       const news = await newsService.getNewsByCategory(asset);
-      const analysis = this.analyzeNewsSentiment(news, asset);
-      const recommendations = this.generateRecommendations(analysis);
-      
+      const sentiments = await this.scoreNews(news);
+      const analysis = this.analyzeNewsSentiment(news, asset, { sentiments });
+      const quote = await marketDataService.getQuote(asset);
+      // Show the asset even when its confidence is below the overview's cut-off
+      const recommendations = this.generateRecommendations(analysis, { [asset]: quote }, { minConfidence: 0, assets: [asset] });
+
       const assetRec = recommendations.find(r => r.asset.toLowerCase() === asset.toLowerCase());
       
       if (assetRec) {
-        return this.formatAssetRecommendation(assetRec, analysis.assets[asset]);
+        return {
+          text: this.formatAssetRecommendation(assetRec, analysis.assets[asset], analysis.scoring),
+          evidenceId: this.storeEvidence(`${assetRec.asset} Analysis`, [assetRec])
+        };
       } else {
-        return `📊 **${asset.toUpperCase()} Analysis:**\n\nNot enough recent news data for ${asset.toUpperCase()}. Consider checking back later for updated analysis.`;
+        let response = `📊 **${asset.toUpperCase()} Analysis:**\n\nNot enough recent news data for ${asset.toUpperCase()}. Consider checking back later for updated analysis.`;
+        if (quote) {
+          response += `\n\n${this.formatMarket(quote)}`;
+        }
+        return { text: response, evidenceId: null };
       }
 
     } catch (error) {
       logger.error('Error getting asset recommendation:', error);
-      return `📊 **${asset.toUpperCase()} Analysis:**\n\nUnable to analyze ${asset.toUpperCase()} at this time. Please try again later.`;
+      return {
+        text: `📊 **${asset.toUpperCase()} Analysis:**\n\nUnable to analyze ${asset.toUpperCase()} at this time. Please try again later.`,
+        evidenceId: null
+      };
+    }
+  }
+
+  /**
+   * Keep the evidence of a report for the "Show all evidence" button (the oldest reports are dropped)
+   * @param {string} title - Report title
+   * @param {Array} recommendations - Recommendations with evidence
+   * @returns {string} Evidence id
+   */
+  storeEvidence(title, recommendations) {
+    const id = (++this.evidenceCounter).toString(36);
+    this.evidenceStore.set(id, {
+      title,
+      recommendations: recommendations.map(({ asset, action, evidence }) => ({ asset, action, evidence }))
+    });
+
+    if (this.evidenceStore.size > EVIDENCE_STORE_SIZE) {
+      this.evidenceStore.delete(this.evidenceStore.keys().next().value);
+    }
+    return id;
+  }
+
+  /**
+   * Evidence kept by storeEvidence
+   * @param {string} id - Evidence id
+   * @returns {Object|null} { title, recommendations: [{ asset, action, evidence }] }, or null once dropped
+   */
+  getEvidence(id) {
+    return this.evidenceStore.get(id) || null;
+  }
+
+  /**
+   * Format every article behind a report, one message per recommendation
+   * @param {Object} entry - Result of getEvidence
+   * @returns {Array<string>} Messages
+   */
+  formatEvidence(entry) {
+    return entry.recommendations.map(({ asset, action, evidence }) => {
+      let response = `📑 **Evidence: ${action} ${asset}**\n`;
+      [['supporting', '👍 Supporting'], ['contradicting', '👎 Contradicting'], ['neutral', '➖ Neutral']]
+        .forEach(([stance, heading]) => {
+          const items = evidence ? evidence[stance] : [];
+          if (items.length === 0) {
+            return;
+          }
+          response += `\n${heading} (${items.length}):\n`;
+          items.forEach((item, index) => {
+            response += `${index + 1}. ${this.formatEvidenceItem(item, true)}\n`;
+          });
+        });
+
+      if (!evidence || Object.values(evidence).every(items => items.length === 0)) {
+        response += '\nNo articles behind this recommendation.';
+      }
+      return response;
+    });
+  }
+
+  /**
+   * Format the strongest supporting and contradicting headlines of a recommendation
+   * @param {Object} evidence - Result of buildEvidence
+   * @param {number} limit - Headlines per side
+   * @param {string} indent - Prefix of each line
+   * @param {boolean} detailed - Add the outlet and matched terms
+   * @returns {string} Lines, or '' without evidence
+   */
+  formatHeadlines(evidence, limit, indent = '', detailed = false) {
+    if (!evidence) {
+      return '';
     }
+    return [['supporting', '👍'], ['contradicting', '👎']]
+      .flatMap(([stance, emoji]) => evidence[stance].slice(0, limit)
+        .map(item => `${indent}${emoji} ${this.formatEvidenceItem(item, detailed)}\n`))
+      .join('');
+  }
+
+  /**
+   * Format one article as a linked headline with its score
+   * @param {Object} item - Evidence item
+   * @param {boolean} detailed - Add the outlet and what drove the score
+   * @returns {string} e.g. "[Bitcoin rallies](https://...) +0.62 (alpha.com: rally, record high)"
+   */
+  formatEvidenceItem(item, detailed = false) {
+    // Brackets in a title would end the link text early; other Markdown characters are escaped
+    const title = escapeMarkdown((item.title || '').replace(/[[\]]/g, ''));
+    const link = item.url ? `[${title}](${item.url})` : title;
+    if (!detailed) {
+      return `${link} ${this.formatScore(item.score)}`;
+    }
+
+    const reason = escapeMarkdown(item.rationale || item.terms.join(', '));
+    return `${link} ${this.formatScore(item.score)} (${escapeMarkdown(item.source)}${reason ? `: ${reason}` : ''})`;
+  }
+
+  /**
+   * Save per-asset sentiment snapshots of a news refresh
+   * @param {Array} news - Articles from the refresh
+   * @returns {Promise<Array>} Saved snapshots
+   */
+  async recordSnapshot(news) {
+    const sentiments = await this.scoreNews(news);
+    const analysis = this.analyzeNewsSentiment(news, '', { sentiments });
+    const snapshots = this.history.record(analysis);
+    logger.debug('Saved sentiment snapshots', { assets: snapshots.length });
+    return snapshots;
+  }
+
+  /**
+   * Get the sentiment trend of an asset over a period
+   * @param {string} asset - Asset id
+   * @param {string} period - '7d' or '30d'
+   * @returns {Object} { asset, period, series, turningPoints, latest, change }
+   */
+  getSentimentTrend(asset, period = '7d') {
+    const { days, buckets } = TREND_PERIODS[period];
+    const series = this.history.getSeries(asset, { days, buckets });
+    const scored = series.filter(bucket => bucket.score !== null);
+    const snapshots = this.history.getSnapshots(asset, { from: series[0].start });
+    const latest = snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+
+    return {
+      asset,
+      period,
+      series,
+      turningPoints: this.history.findTurningPoints(series, TREND_SWING),
+      snapshots: snapshots.length,
+      latest,
+      change: scored.length > 1 ? sentimentScorer.round(scored[scored.length - 1].score - scored[0].score) : null
+    };
+  }
+
+  /**
+   * Check whether a /trend period is supported
+   * @param {string} period - Period such as '7d'
+   * @returns {boolean} True for 7d and 30d
+   */
+  isTrendPeriod(period) {
+    return Object.prototype.hasOwnProperty.call(TREND_PERIODS, period);
+  }
+
+  /**
+   * Format a sentiment trend for display
+   * @param {Object} trend - Result of getSentimentTrend
+   * @param {string} label - Asset name shown to the user
+   * @returns {string} Sparkline, latest score, change and turning points
+   */
+  formatTrend(trend, label) {
+    const { days, bucketLabel } = TREND_PERIODS[trend.period];
+
+    if (!trend.latest) {
+      return `📈 **${label} sentiment, last ${days} days**\n\nNo sentiment history for ${label} in this period yet. ` +
+        'A snapshot is saved on each news refresh, so check back later.';
+    }
+
+    const scores = trend.series.map(bucket => bucket.score).filter(score => score !== null);
+    let response = `📈 **${label} sentiment, last ${days} days**\n\n`;
+    response += `${this.sparkline(trend.series.map(bucket => bucket.score))}\n`;
+    response += `Low ${this.formatScore(Math.min(...scores))}, high ${this.formatScore(Math.max(...scores))}\n\n`;
+
+    response += `Now: ${this.formatScore(trend.latest.score)} (${sentimentScorer.getLabel(trend.latest.score)})\n`;
+    if (trend.change !== null) {
+      const direction = trend.change >= 0.1 ? 'improving' : trend.change <= -0.1 ? 'worsening' : 'steady';
+      response += `Change over ${days} days: ${this.formatScore(trend.change)} (${direction})\n`;
+    }
+
+    if (trend.turningPoints.length > 0) {
+      response += '\nTurning points:\n';
+      trend.turningPoints.slice(-5).forEach(point => {
+        response += `• ${this.formatTrendTime(point.time, trend.period)}: ${point.type} of ${this.formatScore(point.score)}\n`;
+      });
+    }
+
+    response += `\nBased on ${trend.snapshots} snapshots; each bar is ${bucketLabel} (· = no data).`;
+    return response;
+  }
+
+  /**
+   * Draw values as a text sparkline scaled to their range
+   * @param {Array<number|null>} values - Values (null for gaps)
+   * @returns {string} One bar per value, "·" for gaps
+   */
+  sparkline(values) {
+    const present = values.filter(value => value !== null);
+    const min = Math.min(...present);
+    const range = Math.max(...present) - min;
+
+    return values.map(value => {
+      if (value === null) {
+        return '·';
+      }
+      // A flat line sits in the middle
+      const level = range < 0.01 ? 0.5 : (value - min) / range;
+      return SPARKLINE_BARS[Math.round(level * (SPARKLINE_BARS.length - 1))];
+    }).join('');
+  }
+
+  /**
+   * Format a bucket time for turning points
+   * @param {number} time - Timestamp
+   * @param {string} period - '7d' shows the hour, '30d' the day only
+   * @returns {string} e.g. "2025-06-03 06:00 UTC" or "2025-06-03"
+   */
+  formatTrendTime(time, period) {
+    const iso = new Date(time).toISOString();
+    return period === '7d' ? `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC` : iso.slice(0, 10);
   }
 
   /**
    * Format asset-specific recommendation
    * @param {Object} recommendation - Recommendation object
    * @param {Object} assetData - Asset sentiment data
+   * @param {Object} scoring - { llm, lexicon } article counts
    * @returns {string} Formatted recommendation
    */
-  formatAssetRecommendation(recommendation, assetData) {
+  formatAssetRecommendation(recommendation, assetData, scoring = null) {
     const actionEmoji = recommendation.action === 'BUY' ? '🟢' : recommendation.action === 'SELL' ? '🔴' : '🟡';
-    const confidenceEmoji = recommendation.confidence === 'high' ? '🔥' : recommendation.confidence === 'medium' ? '⚡' : '💡';
+    const confidenceEmoji = this.getConfidenceEmoji(recommendation.confidenceLevel);
     
     let response = `📊 **${recommendation.asset} Investment Analysis**\n\n`;
     response += `${actionEmoji} **Recommendation: ${recommendation.action}** ${confidenceEmoji}\n\n`;
     response += `**Reasoning:**\n${recommendation.reasoning}\n\n`;
     response += `**Timeframe:** ${recommendation.timeframe}\n`;
-    response += `**Confidence:** ${recommendation.confidence.toUpperCase()}\n`;
-    response += `**Based on:** ${recommendation.mentions} recent news mentions\n\n`;
+    response += `**Confidence:** ${recommendation.confidenceLevel.toUpperCase()} (${recommendation.confidence.toFixed(2)})\n`;
+    response += `${this.formatConfidenceFactors(recommendation.confidenceFactors)}\n`;
+    response += `**Based on:** ${this.formatCount(recommendation.mentions)} recent news mentions\n\n`;
+
+    const headlines = this.formatHeadlines(recommendation.evidence, EVIDENCE_HEADLINES.asset, '', true);
+    if (headlines) {
+      response += `**Evidence:**\n${headlines}\n`;
+    }
+
+    if (recommendation.market) {
+      response += `${this.formatMarket(recommendation.market)}\n`;
+    }
+    if (recommendation.divergence) {
+      response += `⚠️ **Divergence:** ${this.formatDivergence(recommendation.divergence)} ` +
+        'News may be lagging the market, or the market has not priced the news in yet.\n\n';
+    }
     
     if (assetData) {
-      response += `**Sentiment Breakdown:**\n`;
-      response += `🟢 Positive: ${assetData.positive}\n`;
-      response += `🔴 Negative: ${assetData.negative}\n`;
-      response += `🟡 Neutral: ${assetData.neutral}\n\n`;
+      response += `**Sentiment Breakdown** (score ${this.formatScore(assetData.score)}):\n`;
+      response += `🟢 Positive: ${this.formatCount(assetData.positive)}\n`;
+      response += `🔴 Negative: ${this.formatCount(assetData.negative)}\n`;
+      response += `🟡 Neutral: ${this.formatCount(assetData.neutral)}\n`;
+      response += `${this.formatScoring(scoring)}\n`;
     }
 
     response += `⚠️ **Disclaimer:** This analysis is based on news sentiment and should not be considered as financial advice. Always do your own research.`;
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const sentimentScorer = require('./sentimentScorer');
+const entityExtractor = require('./entityExtractor');
+const logger = require('../utils/logger');
+const { config } = require('../config/config');
+
+const SENTIMENTS = { positive: 1, negative: -1, neutral: 0 };
+const MAX_RATIONALE_LENGTH = 300;
+
+const SYSTEM_PROMPT = `You rate the sentiment of crypto news for investors.
+For every article, rate the overall tone and the tone for each asset or sector it is about. A headline can be good for one asset and bad for another ("BTC rallies as ETH lags"). Read sarcasm and context, not just keywords.
+
+Reply with JSON only, no prose or code fences, exactly in this shape:
+{"articles":[{"id":1,"sentiment":"positive","magnitude":0.6,"assets":[{"asset":"bitcoin","sentiment":"positive","magnitude":0.8,"rationale":"ETF inflows hit a record"}]}]}
+
+Rules:
+- One entry per article id you were given, in any order
+- sentiment is "positive", "negative" or "neutral"; magnitude is a number from 0 (barely) to 1 (extremely)
+- asset is one of the known asset ids; leave assets empty when none apply
+- rationale is one short sentence quoting or paraphrasing the article`;
+
+/**
+ * Optional LLM-assisted sentiment: sends batches of articles to the configured AI provider
+ * and asks for per-asset sentiment as strict JSON. Valid results are cached by article hash;
+ * any article the model cannot score (provider down, invalid output) falls back to the lexicon.
+ */
+class LLMSentimentScorer {
+  constructor() {
+    this.batchSize = config.sentiment.llm.batchSize;
+    this.cacheSize = config.sentiment.llm.cacheSize;
+    this.maxTokens = config.sentiment.llm.maxTokens;
+    this.cache = new Map(); // Article hash -> result, oldest first
+    this.provider = null; // Defaults to the AI service's provider chain
+  }
+
+  /**
+   * Score articles, using cached results where possible
+   * @param {Array} articles - Articles with title and summary
+   * @returns {Promise<Map>} Article hash -> { score, label, assets: { asset: { score, rationale } }, source }
+   */
+  async scoreArticles(articles) {
+    const results = new Map();
+    const pending = new Map();
+
+    articles.forEach(article => {
+      const hash = this.hashArticle(article);
+      if (this.cache.has(hash)) {
+        results.set(hash, this.cache.get(hash));
+      } else if (!pending.has(hash)) {
+        pending.set(hash, article);
+      }
+    });
+
+    const uncached = [...pending.entries()];
+    for (let i = 0; i < uncached.length; i += this.batchSize) {
+      const batch = uncached.slice(i, i + this.batchSize);
+      const scored = await this.scoreBatch(batch.map(([, article]) => article));
+
+      batch.forEach(([hash, article], index) => {
+        if (scored) {
+          this.remember(hash, scored[index]);
+          results.set(hash, scored[index]);
+        } else {
+          results.set(hash, this.scoreWithLexicon(article));
+        }
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Ask the model to score one batch
+   * @param {Array} articles - Articles
+   * @returns {Promise<Array|null>} Results in article order, or null if the model failed
+   */
+  async scoreBatch(articles) {
+    try {
+      const completion = await this.getProvider().generateCompletion(this.buildPrompt(articles), {
+        maxTokens: this.maxTokens,
+        temperature: 0.1
+      });
+      return this.parseResponse(completion.content, articles.length);
+    } catch (error) {
+      logger.warn('LLM sentiment failed, using the lexicon scorer', { articles: articles.length, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Build the scoring prompt
+   * @param {Array} articles - Articles
+   * @returns {Array} Chat messages
+   */
+  buildPrompt(articles) {
+    const payload = {
+      knownAssets: entityExtractor.registry.list().map(entry => entry.id),
+      articles: articles.map((article, index) => ({
+        id: index + 1,
+        title: article.title,
+        summary: article.summary || ''
+      }))
+    };
+
+    return [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: JSON.stringify(payload) }
+    ];
+  }
+
+  /**
+   * Parse and validate the model's reply
+   * @param {string} content - Completion text
+   * @param {number} count - Number of articles sent
+   * @returns {Array} Results in article order
+   * @throws {Error} If the reply does not match the schema
+   */
+  parseResponse(content, count) {
+    const text = (content || '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    if (!data || !Array.isArray(data.articles)) {
+      throw new Error('Missing "articles" array');
+    }
+
+    const results = new Array(count).fill(null);
+    data.articles.forEach(item => {
+      if (!Number.isInteger(item && item.id) || item.id < 1 || item.id > count || results[item.id - 1]) {
+        throw new Error(`Unexpected or duplicate article id: ${item && item.id}`);
+      }
+
+      const score = this.toScore(item, `article ${item.id}`);
+      if (!Array.isArray(item.assets)) {
+        throw new Error(`article ${item.id}: assets must be a list`);
+      }
+
+      const assets = {};
+      item.assets.forEach(entry => {
+        const asset = entityExtractor.resolve(entry && entry.asset);
+        const label = `article ${item.id} asset ${entry && entry.asset}`;
+        const assetScore = this.toScore(entry, label);
+        if (typeof entry.rationale !== 'string' || !entry.rationale.trim()) {
+          throw new Error(`${label}: rationale must be a non-empty string`);
+        }
+        if (!asset) {
+          return; // Not in the registry
+        }
+        if (assets[asset]) {
+          throw new Error(`${label}: listed twice`);
+        }
+        assets[asset] = { score: assetScore, rationale: entry.rationale.trim().slice(0, MAX_RATIONALE_LENGTH) };
+      });
+
+      results[item.id - 1] = { score, label: sentimentScorer.getLabel(score), assets, source: 'llm' };
+    });
+
+    const missing = results.findIndex(result => !result);
+    if (missing !== -1) {
+      throw new Error(`No result for article ${missing + 1}`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Turn a sentiment and magnitude into a score in [-1, 1]
+   * @param {Object} item - { sentiment, magnitude }
+   * @param {string} label - Where the item came from, for errors
+   * @returns {number} Score
+   * @throws {Error} If either field is invalid
+   */
+  toScore(item, label) {
+    if (!item || !Object.prototype.hasOwnProperty.call(SENTIMENTS, item.sentiment)) {
+      throw new Error(`${label}: sentiment must be positive, negative or neutral`);
+    }
+    if (typeof item.magnitude !== 'number' || !(item.magnitude >= 0 && item.magnitude <= 1)) {
+      throw new Error(`${label}: magnitude must be a number from 0 to 1`);
+    }
+    return sentimentScorer.round(SENTIMENTS[item.sentiment] * item.magnitude);
+  }
+
+  /**
+   * Lexicon result in the same shape as a model result
+   * @param {Object} article - Article
+   * @returns {Object} { score, label, assets: {}, source: 'lexicon', terms: matched lexicon terms }
+   */
+  scoreWithLexicon(article) {
+    const { score, label, matches } = sentimentScorer.scoreArticle(article);
+    const terms = [...new Set(matches.map(match => match.text.toLowerCase()))];
+    return { score, label, assets: {}, source: 'lexicon', terms };
+  }
+
+  /**
+   * Cache key for an article's text
+   * @param {Object} article - Article
+   * @returns {string} SHA-1 of the title and summary
+   */
+  hashArticle(article) {
+    return crypto.createHash('sha1').update(`${article.title || ''}\n${article.summary || ''}`).digest('hex');
+  }
+
+  /**
+   * Cache a result, dropping the oldest entries beyond the cache size
+   * @param {string} hash - Article hash
+   * @param {Object} result - Result
+   */
+  remember(hash, result) {
+    this.cache.set(hash, result);
+    while (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Provider used for scoring
+   * @returns {Object} Provider with generateCompletion
+   */
+  getProvider() {
+    if (!this.provider) {
+      // Required lazily: the AI service depends on the investment analyzer, which depends on this module
+      this.provider = require('./aiService').provider;
+    }
+    return this.provider;
+  }
+}
+
+module.exports = new LLMSentimentScorer();
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * Base market data provider.
+ * Every provider returns quotes in the shared schema, keyed by CoinGecko id:
+ * { price, change24h, change7d, volume24h, marketCap, currency, updatedAt }
+ * where changes are percentages and any field the provider lacks is null.
+ */
+class BaseMarketDataProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.currency - Quote currency (e.g. 'usd')
+   */
+  constructor(options = {}) {
+    this.name = options.name;
+    this.currency = (options.currency || 'usd').toLowerCase();
+  }
+
+  /**
+   * Fetch quotes for CoinGecko ids
+   * @param {Array<string>} ids - CoinGecko ids
+   * @returns {Promise<Object>} id -> quote (ids without data are left out)
+   */
+  async fetchQuotes(ids) {
+    throw new Error('fetchQuotes must be implemented by subclass');
+  }
+
+  /**
+   * Convert a CoinGecko /coins/markets entry to the shared schema
+   * @param {Object} market - Market entry
+   * @returns {Object|null} Quote, or null without a price
+   */
+  normalize(market) {
+    if (!market || typeof market.current_price !== 'number') {
+      return null;
+    }
+
+    const change24h = this.toNumber(market.price_change_percentage_24h_in_currency);
+    return {
+      price: market.current_price,
+      change24h: change24h !== null ? change24h : this.toNumber(market.price_change_percentage_24h),
+      change7d: this.toNumber(market.price_change_percentage_7d_in_currency),
+      volume24h: this.toNumber(market.total_volume),
+      marketCap: this.toNumber(market.market_cap),
+      currency: this.currency,
+      updatedAt: market.last_updated || null
+    };
+  }
+
+  /**
+   * Map a list of market entries to quotes for the requested ids
+   * @param {Array} markets - /coins/markets entries
+   * @param {Array<string>} ids - Requested ids
+   * @returns {Object} id -> quote
+   */
+  toQuotes(markets, ids) {
+    const quotes = {};
+    markets.forEach(market => {
+      const quote = market && ids.includes(market.id) ? this.normalize(market) : null;
+      if (quote) {
+        quotes[market.id] = quote;
+      }
+    });
+    return quotes;
+  }
+
+  /**
+   * Keep finite numbers only
+   * @param {*} value - Raw value
+   * @returns {number|null} Number or null
+   */
+  toNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  }
+}
+
+/**
+ * CoinGecko-compatible HTTP API (/coins/markets)
+ */
+class CoinGeckoMarketDataProvider extends BaseMarketDataProvider {
+  /**
+   * @param {Object} options - Provider options (see BaseMarketDataProvider)
+   * @param {string} options.baseURL - API base URL
+   * @param {string} options.apiKey - Optional API key
+   */
+  constructor(options = {}) {
+    super({ name: 'coingecko', ...options });
+    this.baseURL = (options.baseURL || 'https://api.coingecko.com/api/v3').replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+  }
+
+  async fetchQuotes(ids) {
+    if (ids.length === 0) {
+      return {};
+    }
+
+    const headers = { Accept: 'application/json' };
+    if (this.apiKey) {
+      // Paid plans use a separate host and header
+      headers[this.baseURL.includes('pro-api') ? 'x-cg-pro-api-key' : 'x-cg-demo-api-key'] = this.apiKey;
+    }
+
+    const response = await axios.get(`${this.baseURL}/coins/markets`, {
+      headers,
+      params: {
+        vs_currency: this.currency,
+        ids: ids.join(','),
+        price_change_percentage: '24h,7d'
+      },
+      timeout: 10000
+    });
+
+    if (!Array.isArray(response.data)) {
+      throw new Error('Market data API returned an unexpected response');
+    }
+
+    return this.toQuotes(response.data, ids);
+  }
+}
+
+/**
+ * Local JSON file holding a saved /coins/markets response (an array, or { markets: [...] })
+ */
+class FixtureMarketDataProvider extends BaseMarketDataProvider {
+  /**
+   * @param {Object} options - Provider options (see BaseMarketDataProvider)
+   * @param {string} options.filePath - Path of the JSON file
+   */
+  constructor(options = {}) {
+    super({ name: 'fixture', ...options });
+    this.filePath = path.resolve(options.filePath || 'data/market.json');
+  }
+
+  async fetchQuotes(ids) {
+    const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    const markets = Array.isArray(data) ? data : data.markets;
+
+    if (!Array.isArray(markets)) {
+      throw new Error(`${this.filePath} must contain an array of markets`);
+    }
+
+    return this.toQuotes(markets, ids);
+  }
+}
+
+/**
+ * Market Data Provider Factory
+ */
+class MarketDataProviderFactory {
+  /**
+   * Create the configured provider
+   * @param {Object} marketConfig - config.marketData
+   * @returns {BaseMarketDataProvider|null} Provider, or null when market data is off
+   */
+  static createProvider(marketConfig) {
+    switch (marketConfig.provider) {
+      case 'coingecko':
+        return new CoinGeckoMarketDataProvider(marketConfig);
+
+      case 'fixture':
+        return new FixtureMarketDataProvider({ ...marketConfig, filePath: marketConfig.fixtureFile });
+
+      case 'none':
+        return null;
+
+      default:
+        throw new Error(`Unknown market data provider: ${marketConfig.provider}`);
+    }
+  }
+}
+
+module.exports = {
+  BaseMarketDataProvider,
+  CoinGeckoMarketDataProvider,
+  FixtureMarketDataProvider,
+  MarketDataProviderFactory
+};
@@ -0,0 +1,142 @@
+const { MarketDataProviderFactory } = require('./marketDataProviders');
+const entityExtractor = require('./entityExtractor');
+const logger = require('../utils/logger');
+const { config } = require('../config/config');
+
+/**
+ * Price, change and volume for registry assets, cached per asset.
+ * Lookups never throw: when the provider fails, stale quotes are served and missing ones are null.
+ */
+class MarketDataService {
+  constructor() {
+    this.provider = MarketDataProviderFactory.createProvider(config.marketData);
+    this.cacheTtlMs = config.marketData.cacheTtlMs;
+    this.momentumThreshold = config.marketData.momentumThreshold;
+    this.cache = new Map(); // CoinGecko id -> { quote, fetchedAt }
+  }
+
+  /**
+   * Get the quote for one asset
+   * @param {string} asset - Registry id
+   * @returns {Promise<Object|null>} Quote (see getQuotes), or null without market data
+   */
+  async getQuote(asset) {
+    const quotes = await this.getQuotes([asset]);
+    return quotes[asset] || null;
+  }
+
+  /**
+   * Get quotes for assets, fetching only the ones missing from the cache
+   * @param {Array<string>} assets - Registry ids (sectors and unknown ids are skipped)
+   * @returns {Promise<Object>} asset -> { asset, price, change24h, change7d, volume24h, marketCap, currency, updatedAt, fetchedAt, stale }
+   */
+  async getQuotes(assets) {
+    if (!this.provider) {
+      return {};
+    }
+
+    const ids = {};
+    assets.forEach(asset => {
+      const entry = entityExtractor.registry.get(asset);
+      if (entry && entry.coingeckoId) {
+        ids[asset] = entry.coingeckoId;
+      }
+    });
+
+    const now = Date.now();
+    const missing = [...new Set(Object.values(ids))].filter(id => {
+      const cached = this.cache.get(id);
+      return !cached || now - cached.fetchedAt >= this.cacheTtlMs;
+    });
+
+    if (missing.length > 0) {
+      try {
+        const fetched = await this.provider.fetchQuotes(missing);
+        Object.entries(fetched).forEach(([id, quote]) => {
+          this.cache.set(id, { quote, fetchedAt: now });
+        });
+      } catch (error) {
+        logger.warn('Market data fetch failed, using cached quotes', {
+          provider: this.provider.name,
+          ids: missing,
+          error: error.message
+        });
+      }
+    }
+
+    const quotes = {};
+    Object.entries(ids).forEach(([asset, id]) => {
+      const cached = this.cache.get(id);
+      if (cached) {
+        quotes[asset] = {
+          asset,
+          ...cached.quote,
+          fetchedAt: new Date(cached.fetchedAt).toISOString(),
+          stale: now - cached.fetchedAt >= this.cacheTtlMs
+        };
+      }
+    });
+
+    return quotes;
+  }
+
+  /**
+   * Price trend from the 7d change (24h when 7d is missing)
+   * @param {Object} quote - Quote
+   * @returns {string|null} 'up', 'down' or 'flat'; null without change data
+   */
+  getMomentum(quote) {
+    const change = quote.change7d !== null ? quote.change7d : quote.change24h;
+    if (change === null || change === undefined) {
+      return null;
+    }
+    if (change >= this.momentumThreshold) {
+      return 'up';
+    }
+    if (change <= -this.momentumThreshold) {
+      return 'down';
+    }
+    return 'flat';
+  }
+
+  /**
+   * Check whether news sentiment and price momentum point in opposite directions
+   * @param {string} sentiment - 'positive', 'negative' or 'neutral'
+   * @param {Object|null} quote - Quote
+   * @returns {Object|null} { sentiment, momentum, change, period } when they diverge
+   */
+  detectDivergence(sentiment, quote) {
+    if (!quote) {
+      return null;
+    }
+
+    const momentum = this.getMomentum(quote);
+    if (!(sentiment === 'positive' && momentum === 'down') && !(sentiment === 'negative' && momentum === 'up')) {
+      return null;
+    }
+
+    const period = quote.change7d !== null ? '7d' : '24h';
+    return { sentiment, momentum, change: period === '7d' ? quote.change7d : quote.change24h, period };
+  }
+
+  /**
+   * Drop all cached quotes
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Get service status
+   * @returns {Object} { provider, cachedQuotes, cacheTtlMs }
+   */
+  getStatus() {
+    return {
+      provider: this.provider ? this.provider.name : 'none',
+      cachedQuotes: this.cache.size,
+      cacheTtlMs: this.cacheTtlMs
+    };
+  }
+}
+
+module.exports = new MarketDataService();
@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SearchIndex } = require('./searchIndex');
+const logger = require('../utils/logger');
+const { normalizeText } = require('../utils/textAnalyzer');
+
+/**
+ * Normalize a URL for duplicate detection (scheme, www, query, fragment and trailing slash ignored)
+ * @param {string} url - Article URL
+ * @returns {string} Comparable URL
+ */
+const normalizeUrl = (url) => (url || '').toLowerCase()
+  .replace(/^https?:\/\/(www\.)?/, '')
+  .replace(/[?#].*$/, '')
+  .replace(/\/+$/, '');
+
+/**
+ * Hash a title after lowercasing and stripping accents, punctuation and extra spaces,
+ * so the same headline syndicated under different URLs is stored once
+ * @param {string} title - Article title
+ * @returns {string} Hex hash
+ */
+const titleHash = (title) => {
+  const normalized = normalizeText(title || '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+  return crypto.createHash('sha1').update(normalized).digest('hex');
+};
+
+/**
+ * Persistent news archive.
+ * Every article is stored once (deduplicated by URL and title hash) with the time it was
+ * first seen, in an append-only JSON Lines file that is loaded into memory on start.
+ */
+class NewsArchive {
+  /**
+   * @param {Object} options - Archive options
+   * @param {string|null} options.filePath - JSON Lines file (null keeps the archive in memory only)
+   * @param {number} options.retentionDays - Drop articles first seen longer ago than this (0 keeps everything)
+   * @param {Function} options.now - Clock function (defaults to Date.now)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath ? path.resolve(options.filePath) : null;
+    this.retentionDays = options.retentionDays || 0;
+    this.now = options.now || Date.now;
+
+    this.records = [];
+    this.byUrl = new Map();
+    this.byTitleHash = new Map();
+    this.searchIndex = new SearchIndex();
+    this.staleLines = 0; // Expired articles still in the file
+
+    if (this.filePath) {
+      this.load();
+    }
+  }
+
+  /**
+   * Load archived articles from disk, compacting the file when old articles were dropped
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return;
+      }
+
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      let skipped = 0;
+
+      lines.forEach(line => {
+        if (!line.trim()) {
+          return;
+        }
+        try {
+          const record = JSON.parse(line);
+          if (this.isRetained(record) && !this.find(record)) {
+            this.index(record);
+          } else {
+            skipped++;
+          }
+        } catch (error) {
+          skipped++; // A partially written last line after a crash
+        }
+      });
+
+      if (skipped > 0) {
+        this.compact();
+      }
+
+      logger.info(`Loaded ${this.records.length} archived news articles`, { filePath: this.filePath, skipped });
+    } catch (error) {
+      logger.error('Failed to load news archive, starting empty', { error: error.message });
+    }
+  }
+
+  /**
+   * Archive articles that have not been seen before
+   * @param {Array} articles - Normalized articles
+   * @returns {Array} Newly archived records
+   */
+  addArticles(articles) {
+    const firstSeenAt = new Date(this.now()).toISOString();
+    const added = [];
+
+    articles.forEach(article => {
+      if (!article || !article.url || !article.title || this.find(article)) {
+        return;
+      }
+
+      const record = {
+        title: article.title,
+        summary: article.summary || '',
+        url: article.url,
+        source: article.source || null,
+        publishedAt: article.publishedAt || null,
+        firstSeenAt,
+        titleHash: titleHash(article.title)
+      };
+
+      this.index(record);
+      added.push(record);
+    });
+    this.staleLines += this.prune();
+
+    // Rewrite the file once it holds as many expired lines as live ones, otherwise append
+    if (this.filePath && this.staleLines > 0 && this.staleLines >= this.records.length) {
+      this.compact();
+    } else if (added.length > 0 && this.filePath) {
+      try {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, added.map(record => JSON.stringify(record)).join('\n') + '\n');
+      } catch (error) {
+        logger.error('Failed to persist news archive', { error: error.message });
+      }
+    }
+
+    return added;
+  }
+
+  /**
+   * Drop articles older than the retention period from memory and the search index
+   * @returns {number} Number of articles dropped
+   */
+  prune() {
+    if (this.retentionDays <= 0) {
+      return 0;
+    }
+
+    const expired = new Set(this.records.filter(record => !this.isRetained(record)));
+    if (expired.size === 0) {
+      return 0;
+    }
+
+    expired.forEach(record => {
+      this.byUrl.delete(normalizeUrl(record.url));
+      this.byTitleHash.delete(record.titleHash);
+    });
+    this.records = this.records.filter(record => !expired.has(record));
+    this.searchIndex.remove(record => expired.has(record));
+    return expired.size;
+  }
+
+  /**
+   * Find the archived record for an article (by URL, then by title)
+   * @param {Object} article - Article with url and title
+   * @returns {Object|null} Archived record
+   */
+  find(article) {
+    return this.byUrl.get(normalizeUrl(article.url)) ||
+      this.byTitleHash.get(article.titleHash || titleHash(article.title)) ||
+      null;
+  }
+
+  /**
+   * Query archived articles, newest first
+   * @param {Object} options - Query options
+   * @param {Date|string|number} options.from - Earliest date (inclusive)
+   * @param {Date|string|number} options.to - Latest date (inclusive)
+   * @param {Function} options.filter - Extra predicate on each record
+   * @param {number} options.limit - Maximum number of results
+   * @returns {Array} Matching records
+   */
+  query({ from = null, to = null, filter = null, limit = 0 } = {}) {
+    const fromTime = from !== null ? new Date(from).getTime() : -Infinity;
+    const toTime = to !== null ? new Date(to).getTime() : Infinity;
+
+    const results = this.records
+      .filter(record => {
+        const time = this.getTime(record);
+        return time >= fromTime && time <= toTime && (!filter || filter(record));
+      })
+      .sort((a, b) => this.getTime(b) - this.getTime(a));
+
+    return limit > 0 ? results.slice(0, limit) : results;
+  }
+
+  /**
+   * Full-text search over archived articles (see SearchIndex.search)
+   * @param {string} query - Search query
+   * @param {Object} options - { from, to, limit }
+   * @returns {Array} [{ article, score, snippet }] best first
+   */
+  search(query, { from = null, to = null, limit = 0 } = {}) {
+    const fromTime = from !== null ? new Date(from).getTime() : -Infinity;
+    const toTime = to !== null ? new Date(to).getTime() : Infinity;
+
+    const results = this.searchIndex.search(query).filter(({ article }) => {
+      const time = this.getTime(article);
+      return time >= fromTime && time <= toTime;
+    });
+
+    return limit > 0 ? results.slice(0, limit) : results;
+  }
+
+  /**
+   * Get archive statistics
+   * @returns {Object} { articles, oldest, newest }
+   */
+  getStats() {
+    const times = this.records.map(record => this.getTime(record));
+    return {
+      articles: this.records.length,
+      oldest: times.length > 0 ? new Date(Math.min(...times)).toISOString() : null,
+      newest: times.length > 0 ? new Date(Math.max(...times)).toISOString() : null
+    };
+  }
+
+  /**
+   * Date used for ordering and ranges: publication date, or first-seen time when unknown
+   * @param {Object} record - Archived record
+   * @returns {number} Timestamp
+   */
+  getTime(record) {
+    const published = record.publishedAt ? new Date(record.publishedAt).getTime() : NaN;
+    return Number.isNaN(published) ? new Date(record.firstSeenAt).getTime() : published;
+  }
+
+  isRetained(record) {
+    if (!record || !record.url || !record.firstSeenAt) {
+      return false;
+    }
+    return this.retentionDays <= 0 ||
+      this.now() - new Date(record.firstSeenAt).getTime() <= this.retentionDays * 24 * 60 * 60 * 1000;
+  }
+
+  index(record) {
+    if (!record.titleHash) {
+      record.titleHash = titleHash(record.title);
+    }
+    this.records.push(record);
+    this.byUrl.set(normalizeUrl(record.url), record);
+    this.byTitleHash.set(record.titleHash, record);
+    this.searchIndex.add(record);
+  }
+
+  /**
+   * Rewrite the file with the retained records (atomically via a temp file)
+   */
+  compact() {
+    try {
+      const tempPath = `${this.filePath}.tmp`;
+      const payload = this.records.map(record => JSON.stringify(record)).join('\n');
+      fs.writeFileSync(tempPath, payload ? `${payload}\n` : '');
+      fs.renameSync(tempPath, this.filePath);
+      this.staleLines = 0;
+    } catch (error) {
+      logger.error('Failed to compact news archive', { error: error.message });
+    }
+  }
+}
+
+module.exports = { NewsArchive, normalizeUrl, titleHash };
@@ -1,100 +1,294 @@
-const axios = require('axios');
+const { NewsSourceFactory } = require('./newsSources');
+const { NewsArchive, normalizeUrl, titleHash } = require('./newsArchive');
+const { SearchIndex } = require('./searchIndex');
+const entityExtractor = require('./entityExtractor');
+const storyClusterer = require('./storyClusterer');
+const RefreshScheduler = require('../utils/refreshScheduler');
+const { tokenize } = require('../utils/textAnalyzer');
+const { escapeMarkdown } = require('../utils/markdown');
 const logger = require('../utils/logger');
 const { config } = require('../config/config');
 
 class NewsService {
   constructor() {
-    this.baseURL = 'https://interface.carv.io';
-    this.newsEndpoint = '/ai-agent-backend/news';
-    this.authToken = config.carv.authToken;
+    this.sources = NewsSourceFactory.createSources(config.news, config.carv);
     this.cache = new Map();
-    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes cache
+    this.cacheTimeout = config.news.cacheTimeoutMs;
+    this.pendingRefresh = null;
+    this.refreshScheduler = null;
+    this.refreshListeners = [];
+    this.searchIndexes = new WeakMap(); // Article list -> SearchIndex, rebuilt when the snapshot changes
+    this.archive = new NewsArchive({
+      filePath: config.news.archive.enabled ? config.news.archive.filePath : null,
+      retentionDays: config.news.archive.retentionDays
+    });
+
+    // Topic keywords, matched as whole (stemmed) words; assets and sectors (bitcoin, defi, ...) are matched by entityExtractor
+    this.categoryKeywords = {
+      'regulation': ['sec', 'regulation', 'legal', 'compliance'],
+      'markets': ['price', 'market', 'trading', 'volume'],
+      'security': ['hack', 'exploit', 'security', 'breach'],
+      'adoption': ['adoption', 'partnership', 'enterprise', 'institutional']
+    };
   }
 
   /**
-   * Fetch latest cryptocurrency and blockchain news
-   * @returns {Promise<Array>} Array of news articles
+   * Get the latest cryptocurrency and blockchain news.
+   * Fresh cache is returned as is; expired cache is returned immediately while a refresh
+   * runs in the background; only an empty cache makes the caller wait for the sources.
+   * @returns {Promise<Array>} Articles as { title, summary, url, source, publishedAt }
    */
   async getLatestNews() {
+    const cacheKey = 'latest_news';
+    const cached = this.getFromCache(cacheKey);
+    if (cached) {
+      logger.info('Returning cached news data');
+      return cached;
+    }
+
+    const stale = this.cache.get(cacheKey);
+    if (stale && stale.data) {
+      logger.info('Returning expired cached news data while refreshing');
+      this.refreshNews().catch(error => {
+        logger.error('Error refreshing news', { error: error.message });
+      });
+      return stale.data;
+    }
+
     try {
-      // Check cache first
-      const cacheKey = 'latest_news';
-      const cached = this.getFromCache(cacheKey);
-      if (cached) {
-        logger.info('Returning cached news data');
-        return cached;
-      }
+      return await this.refreshNews();
+    } catch (error) {
+      logger.error('Error fetching news:', error.message);
+      throw new Error('Failed to fetch news. Please try again later.');
+    }
+  }
 
-      logger.info('Fetching latest news from CARV API');
+  /**
+   * Fetch news from the sources and update the cache.
+   * Concurrent callers share one fetch instead of starting their own.
+   * @returns {Promise<Array>} Merged articles
+   */
+  refreshNews() {
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.fetchFromSources().finally(() => {
+        this.pendingRefresh = null;
+      });
+    }
+    return this.pendingRefresh;
+  }
 
-      const headers = {
-        'Content-Type': 'application/json'
-      };
+  /**
+   * Fetch every enabled source, merge, cache and archive the results
+   * @returns {Promise<Array>} Merged articles
+   */
+  async fetchFromSources() {
+    logger.info(`Fetching latest news from ${this.sources.map(source => source.name).join(', ')}`);
+
+    // One failing source must not hide the others
+    const results = await Promise.allSettled(this.sources.map(source => source.fetchArticles()));
+    const fetched = [];
 
-      // Add authorization header if available
-      if (this.authToken) {
-        headers['Authorization'] = this.authToken;
-        logger.info('Using CARV auth token for API access');
+    results.forEach((result, index) => {
+      const source = this.sources[index];
+      if (result.status === 'fulfilled') {
+        fetched.push({ source, articles: result.value });
+        logger.info(`Fetched ${result.value.length} news articles from ${source.name}`);
       } else {
-        logger.warn('No CARV auth token provided, attempting without authentication');
+        logger.error(`Error fetching news from ${source.name}`, { error: result.reason.message });
       }
+    });
 
-      const response = await axios.get(`${this.baseURL}${this.newsEndpoint}`, {
-        headers,
-        timeout: 10000 // 10 second timeout
-      });
+    if (fetched.length === 0) {
+      throw new Error('All news sources failed');
+    }
 
-      if (response.status === 200 && response.data.code === 0) {
-        const news = response.data.data.infos || [];
-        
-        // Cache the results
-        this.setCache(cacheKey, news);
-        
-        logger.info(`Successfully fetched ${news.length} news articles`);
-        return news;
-      } else {
-        throw new Error(`API returned status ${response.status}: ${response.data.msg || 'Unknown error'}`);
-      }
+    const news = this.mergeArticles(fetched);
 
-    } catch (error) {
-      logger.error('Error fetching news:', error.message);
-      
-      // Return cached data if available, even if expired
-      const cached = this.cache.get('latest_news');
-      if (cached && cached.data) {
-        logger.info('Returning expired cached news data due to API error');
-        return cached.data;
+    // Cache the results
+    this.setCache('latest_news', news);
+
+    const archived = this.archive.addArticles(news);
+    if (archived.length > 0) {
+      logger.info(`Archived ${archived.length} new news articles`);
+    }
+
+    this.notifyRefresh(news);
+
+    logger.info(`Successfully fetched ${news.length} news articles`);
+    return news;
+  }
+
+  /**
+   * Call a function with the merged articles after every successful fetch
+   * @param {Function} listener - Sync or async function receiving the articles
+   */
+  onRefresh(listener) {
+    this.refreshListeners.push(listener);
+  }
+
+  /**
+   * Run refresh listeners in the background; a failing listener never fails the fetch
+   * @param {Array} news - Merged articles
+   */
+  notifyRefresh(news) {
+    this.refreshListeners.forEach(listener => {
+      Promise.resolve()
+        .then(() => listener(news))
+        .catch(error => logger.error('News refresh listener failed', { error: error.message }));
+    });
+  }
+
+  /**
+   * Start refreshing news in the background so user requests are served from cache
+   */
+  startRefresh() {
+    if (!config.news.refresh.enabled || this.refreshScheduler) {
+      return;
+    }
+
+    this.refreshScheduler = new RefreshScheduler('News', () => this.refreshNews(), config.news.refresh);
+    this.refreshScheduler.start();
+  }
+
+  /**
+   * Stop the background refresh, waiting for a fetch in progress
+   * @returns {Promise<void>}
+   */
+  async stopRefresh() {
+    if (this.refreshScheduler) {
+      await this.refreshScheduler.stop();
+      this.refreshScheduler = null;
+    }
+  }
+
+  /**
+   * Get background refresh status
+   * @returns {Object|null} Scheduler status, or null when not running
+   */
+  getRefreshStatus() {
+    return this.refreshScheduler ? this.refreshScheduler.getStatus() : null;
+  }
+
+  /**
+   * Merge per-source article lists by weight (smooth weighted round-robin),
+   * keeping each source's own order and dropping duplicate URLs and titles
+   * @param {Array} fetched - [{ source, articles }]
+   * @returns {Array} Merged articles
+   */
+  mergeArticles(fetched) {
+    const queues = fetched.map(({ source, articles }) => ({ weight: source.weight, articles: [...articles], current: 0 }));
+    const seen = new Set();
+    const merged = [];
+
+    let active = queues.filter(queue => queue.articles.length > 0);
+    while (active.length > 0) {
+      // Pick the source with the highest accumulated weight
+      const totalWeight = active.reduce((total, queue) => total + queue.weight, 0);
+      active.forEach(queue => { queue.current += queue.weight; });
+      const next = active.reduce((best, queue) => (queue.current > best.current ? queue : best));
+      next.current -= totalWeight;
+
+      const article = next.articles.shift();
+      const keys = [this.normalizeUrl(article.url), `title:${titleHash(article.title)}`];
+      if (!keys.some(key => seen.has(key))) {
+        keys.forEach(key => seen.add(key));
+        merged.push(article);
       }
-      
-      throw new Error('Failed to fetch news. Please try again later.');
+
+      active = active.filter(queue => queue.articles.length > 0);
     }
+
+    return merged;
   }
 
   /**
-   * Search news by keywords
-   * @param {string} query - Search query
-   * @returns {Promise<Array>} Filtered news articles
+   * Normalize a URL for duplicate detection
+   * @param {string} url - Article URL
+   * @returns {string} Comparable URL
    */
-  async searchNews(query) {
+  normalizeUrl(url) {
+    return normalizeUrl(url);
+  }
+
+  /**
+   * Query archived articles (everything fetched so far, not just the live snapshot), newest first
+   * @param {Object} options - Query options
+   * @param {Date|string|number} options.from - Earliest publication date
+   * @param {Date|string|number} options.to - Latest publication date
+   * @param {string} options.asset - Asset name or ticker (e.g. "bitcoin", "BTC")
+   * @param {string} options.category - News category (see categoryKeywords)
+   * @param {number} options.limit - Maximum number of results
+   * @returns {Array} Archived articles with firstSeenAt
+   */
+  getArchivedNews({ from = null, to = null, asset = null, category = null, limit = 0 } = {}) {
+    const canonicalAsset = asset ? (entityExtractor.resolve(asset) || asset.toLowerCase()) : null;
+
+    return this.archive.query({
+      from,
+      to,
+      limit,
+      filter: article => (!canonicalAsset || this.mentionsAsset(article, canonicalAsset)) &&
+        (!category || this.matchesCategory(article, category))
+    });
+  }
+
+  /**
+   * Articles to filter: the live snapshot, or the archive when options.archive is set
+   * @param {Object} options - { archive, from, to }
+   * @returns {Promise<Array>} Articles
+   */
+  async getArticles(options = {}) {
+    if (options.archive) {
+      return this.getArchivedNews({ from: options.from, to: options.to });
+    }
+    return this.getLatestNews();
+  }
+
+  /**
+   * Check whether an article mentions an asset
+   * @param {Object} article - Article
+   * @param {string} asset - Canonical asset name
+   * @returns {boolean} True if mentioned
+   */
+  mentionsAsset(article, asset) {
+    return entityExtractor.mentions(`${article.title}\n${article.summary || ''}`, asset);
+  }
+
+  /**
+   * Check whether an article belongs to a category
+   * @param {Object} article - Article
+   * @param {string} category - News category
+   * @returns {boolean} True if the title or summary mentions the asset or sector, or any topic keyword
+   *   as a whole word ("sec" matches "SEC", not "security" or "second")
+   */
+  matchesCategory(article, category) {
+    const entity = entityExtractor.resolve(category);
+    if (entity) {
+      return this.mentionsAsset(article, entity);
+    }
+
+    const keywords = this.categoryKeywords[category.toLowerCase()] || [category];
+    const terms = new Set(keywords.flatMap(keyword => tokenize(keyword).map(token => token.term)));
+
+    return tokenize(`${article.title}\n${article.summary || ''}`).some(token => terms.has(token.term));
+  }
+
+  /**
+   * Search news, best matches first
+   * @param {string} query - Search query (quote phrases: '"etf approval"')
+   * @param {Object} options - { archive: search the archive instead of the live snapshot, from, to }
+   * @returns {Promise<Array>} Matching news articles
+   */
+  async searchNews(query, options = {}) {
     try {
-      const allNews = await this.getLatestNews();
-      
       if (!query || query.trim() === '') {
-        return allNews;
+        return await this.getArticles(options);
       }
 
-      const searchTerms = query.toLowerCase().split(' ');
-      const filteredNews = allNews.filter(article => {
-        const title = article.title.toLowerCase();
-        const cardText = article.card_text.toLowerCase();
-        
-        return searchTerms.some(term => 
-          title.includes(term) || cardText.includes(term)
-        );
-      });
+      const results = await this.rankNews(query, options);
 
-      logger.info(`Search for "${query}" returned ${filteredNews.length} results`);
-      return filteredNews;
+      logger.info(`Search for "${query}" returned ${results.length} results`);
+      return results.map(result => result.article);
 
     } catch (error) {
       logger.error('Error searching news:', error.message);
@@ -102,37 +296,44 @@ class NewsService {
     }
   }
 
+  /**
+   * Ranked full-text search (BM25) with highlighted snippets
+   * @param {string} query - Search query
+   * @param {Object} options - { archive, from, to, limit }
+   * @returns {Promise<Array>} [{ article, score, snippet }] best first
+   */
+  async rankNews(query, options = {}) {
+    const { archive = false, from = null, to = null, limit = 0 } = options;
+
+    if (archive) {
+      return this.archive.search(query, { from, to, limit });
+    }
+
+    return this.getSearchIndex(await this.getLatestNews()).search(query, { limit });
+  }
+
+  /**
+   * Get the search index for an article list, building it on first use
+   * @param {Array} articles - Articles
+   * @returns {SearchIndex} Index
+   */
+  getSearchIndex(articles) {
+    if (!this.searchIndexes.has(articles)) {
+      this.searchIndexes.set(articles, SearchIndex.fromArticles(articles));
+    }
+    return this.searchIndexes.get(articles);
+  }
+
   /**
    * Get news by category (cryptocurrency, blockchain, markets, etc.)
    * @param {string} category - News category
+   * @param {Object} options - { archive: filter the archive instead of the live snapshot, from, to }
    * @returns {Promise<Array>} Category-specific news
    */
-  async getNewsByCategory(category) {
+  async getNewsByCategory(category, options = {}) {
     try {
-      const allNews = await this.getLatestNews();
-      
-      const categoryKeywords = {
-        'bitcoin': ['bitcoin', 'btc', 'satoshi'],
-        'ethereum': ['ethereum', 'eth', 'ether'],
-        'solana': ['solana', 'sol'],
-        'defi': ['defi', 'decentralized finance', 'yield farming', 'liquidity'],
-        'nft': ['nft', 'non-fungible', 'digital art'],
-        'regulation': ['sec', 'regulation', 'legal', 'compliance'],
-        'markets': ['price', 'market', 'trading', 'volume'],
-        'security': ['hack', 'exploit', 'security', 'breach'],
-        'adoption': ['adoption', 'partnership', 'enterprise', 'institutional']
-      };
-
-      const keywords = categoryKeywords[category.toLowerCase()] || [category.toLowerCase()];
-      
-      const filteredNews = allNews.filter(article => {
-        const title = article.title.toLowerCase();
-        const cardText = article.card_text.toLowerCase();
-        
-        return keywords.some(keyword => 
-          title.includes(keyword) || cardText.includes(keyword)
-        );
-      });
+      const allNews = await this.getArticles(options);
+      const filteredNews = allNews.filter(article => this.matchesCategory(article, category));
 
       logger.info(`Category "${category}" returned ${filteredNews.length} results`);
       return filteredNews;
@@ -182,9 +383,21 @@ class NewsService {
   }
 
   /**
-   * Format news for display
+   * Group articles covering the same event into stories
+   * @param {Array} news - Articles, most important first
+   * @returns {Array} Stories as { lead, articles, sources, sourceCount }
+   */
+  clusterStories(news) {
+    if (!config.news.clustering.enabled) {
+      return news.map(article => ({ lead: article, articles: [article], sources: [storyClusterer.getOutlet(article)], sourceCount: 1 }));
+    }
+    return storyClusterer.clusterArticles(news);
+  }
+
+  /**
+   * Format news for display, one entry per story
    * @param {Array} news - News articles
-   * @param {number} limit - Maximum number of articles to show
+   * @param {number} limit - Maximum number of stories to show
    * @returns {string} Formatted news string
    */
   formatNewsForDisplay(news, limit = 5) {
@@ -192,22 +405,89 @@ class NewsService {
       return '📰 No news found for your query.';
     }
 
-    const limitedNews = news.slice(0, limit);
-    let formatted = `📰 **Latest News** (${limitedNews.length} of ${news.length} articles)\n\n`;
+    const stories = this.clusterStories(news);
+    const shown = stories.slice(0, limit);
+    let formatted = `📰 **Latest News** (${shown.length} of ${stories.length} stories)\n\n`;
 
-    limitedNews.forEach((article, index) => {
-      formatted += `${index + 1}. **${article.title}**\n`;
-      formatted += `   ${article.card_text}\n`;
-      formatted += `   [Read more](${article.url})\n\n`;
+    shown.forEach((story, index) => {
+      formatted += this.formatStory(story, index + 1);
     });
 
-    if (news.length > limit) {
-      formatted += `... and ${news.length - limit} more articles available.`;
+    if (stories.length > limit) {
+      formatted += `... and ${stories.length - limit} more stories available.`;
     }
 
     return formatted;
   }
 
+  /**
+   * Format one numbered story: its lead article and how many outlets covered it
+   * @param {Object} story - Story from clusterStories
+   * @param {number} number - Position in the list
+   * @returns {string} Formatted story
+   */
+  formatStory({ lead: article, sourceCount }, number) {
+    let formatted = `${number}. **${article.title}**\n`;
+    formatted += `   ${article.summary}\n`;
+    formatted += `   [Read more](${article.url})${article.source ? ` · ${article.source}` : ''}\n`;
+    if (sourceCount > 1) {
+      formatted += `   📡 Covered by ${sourceCount} sources\n`;
+    }
+    return formatted + '\n';
+  }
+
+  /**
+   * Format ranked search results for display
+   * @param {Array} results - [{ article, snippet }] from rankNews
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum number of results to show
+   * @returns {string} Formatted results
+   */
+  formatSearchResults(results, query, limit = 5) {
+    if (!results || results.length === 0) {
+      return `🔎 No news found for "${escapeMarkdown(query)}". Try fewer or different words.`;
+    }
+
+    const shown = results.slice(0, limit);
+    let formatted = `🔎 **Search results for "${escapeMarkdown(query)}"** (${shown.length} of ${results.length})\n\n`;
+
+    shown.forEach(({ article, snippet }, index) => {
+      formatted += `${index + 1}. **${article.title}**\n`;
+      formatted += `   ${snippet}\n`;
+      formatted += `   [Read more](${article.url})${article.source ? ` · ${article.source}` : ''}\n\n`;
+    });
+
+    return formatted.trim();
+  }
+
+  /**
+   * Format one page of news for display, one entry per story
+   * @param {Array} news - News articles
+   * @param {number} page - Page number (1-based, clamped to the available pages)
+   * @param {number} pageSize - Stories per page
+   * @param {string} title - Heading (defaults to "Latest News")
+   * @returns {Object} { text, page, totalPages }
+   */
+  formatNewsPage(news, page = 1, pageSize = 5, title = 'Latest News') {
+    if (!news || news.length === 0) {
+      return { text: `📰 No news found for **${title}** right now.`, page: 1, totalPages: 1 };
+    }
+
+    const stories = this.clusterStories(news);
+    const totalPages = Math.ceil(stories.length / pageSize);
+    const currentPage = Math.min(Math.max(1, page), totalPages);
+    const start = (currentPage - 1) * pageSize;
+    const pageStories = stories.slice(start, start + pageSize);
+
+    let formatted = `📰 **${title}** (${start + 1}-${start + pageStories.length} of ${stories.length} stories)\n\n`;
+
+    pageStories.forEach((story, index) => {
+      formatted += this.formatStory(story, start + index + 1);
+    });
+
+    return { text: formatted.trim(), page: currentPage, totalPages };
+  }
+
   /**
    * Get cache entry
    * @param {string} key - Cache key
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { parseFeed, stripHtml } = require('../utils/feedParser');
+const logger = require('../utils/logger');
+
+const MAX_SUMMARY_LENGTH = 300;
+
+/**
+ * Base news source.
+ * Every source returns articles in the shared schema:
+ * { title, summary, url, source, publishedAt } where publishedAt is an ISO date or null.
+ */
+class BaseNewsSource {
+  /**
+   * @param {Object} options - Source options
+   * @param {string} options.name - Source name shown with each article
+   * @param {number} options.weight - Share of the merged feed (relative to other sources)
+   */
+  constructor(options = {}) {
+    this.name = options.name;
+    this.weight = options.weight > 0 ? options.weight : 1;
+  }
+
+  /**
+   * Fetch and normalize the latest articles
+   * @returns {Promise<Array>} Normalized articles, newest first
+   */
+  async fetchArticles() {
+    throw new Error('fetchArticles must be implemented by subclass');
+  }
+
+  /**
+   * Normalize a raw article to the shared schema
+   * @param {Object} fields - { title, summary, url, publishedAt }
+   * @returns {Object|null} Article, or null if it has no title or URL
+   */
+  normalize({ title, summary, url, publishedAt }) {
+    const cleanTitle = (title || '').trim();
+    const cleanUrl = (url || '').trim();
+    if (!cleanTitle || !cleanUrl) {
+      return null;
+    }
+
+    let cleanSummary = stripHtml(summary || '');
+    if (cleanSummary.length > MAX_SUMMARY_LENGTH) {
+      cleanSummary = `${cleanSummary.slice(0, MAX_SUMMARY_LENGTH).replace(/\s+\S*$/, '')}...`;
+    }
+
+    return {
+      title: cleanTitle,
+      summary: cleanSummary,
+      url: cleanUrl,
+      source: this.name,
+      publishedAt: this.normalizeDate(publishedAt)
+    };
+  }
+
+  /**
+   * Convert seconds, milliseconds or date strings to an ISO date
+   * @param {number|string} value - Raw date
+   * @returns {string|null} ISO date or null
+   */
+  normalizeDate(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const numeric = typeof value === 'number' ? value : (/^\d+$/.test(value) ? parseInt(value, 10) : null);
+    const date = numeric !== null
+      ? new Date(numeric < 1e12 ? numeric * 1000 : numeric)
+      : new Date(value);
+
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+}
+
+/**
+ * CARV AI agent news API
+ */
+class CarvNewsSource extends BaseNewsSource {
+  /**
+   * @param {Object} options - Source options (see BaseNewsSource)
+   * @param {string} options.authToken - CARV auth token
+   * @param {string} options.baseURL - API base URL
+   */
+  constructor(options = {}) {
+    super({ name: 'carv', ...options });
+    this.baseURL = options.baseURL || 'https://interface.carv.io';
+    this.newsEndpoint = '/ai-agent-backend/news';
+    this.authToken = options.authToken;
+  }
+
+  async fetchArticles() {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    // Add authorization header if available
+    if (this.authToken) {
+      headers['Authorization'] = this.authToken;
+    } else {
+      logger.warn('No CARV auth token provided, attempting without authentication');
+    }
+
+    const response = await axios.get(`${this.baseURL}${this.newsEndpoint}`, {
+      headers,
+      timeout: 10000 // 10 second timeout
+    });
+
+    if (response.status !== 200 || response.data.code !== 0) {
+      throw new Error(`API returned status ${response.status}: ${response.data.msg || 'Unknown error'}`);
+    }
+
+    return (response.data.data.infos || [])
+      .map(info => this.normalize({
+        title: info.title,
+        summary: info.card_text,
+        url: info.url,
+        publishedAt: info.published_at || info.created_at
+      }))
+      .filter(Boolean);
+  }
+}
+
+/**
+ * Generic RSS 2.0 / Atom feed
+ */
+class RssNewsSource extends BaseNewsSource {
+  /**
+   * @param {Object} options - Source options (see BaseNewsSource)
+   * @param {string} options.url - Feed URL
+   */
+  constructor(options = {}) {
+    super({ name: options.name || new URL(options.url).hostname.replace(/^www\./, ''), ...options });
+    this.url = options.url;
+  }
+
+  async fetchArticles() {
+    const response = await axios.get(this.url, {
+      headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+      responseType: 'text',
+      timeout: 10000
+    });
+
+    return parseFeed(response.data).items
+      .map(item => this.normalize(item))
+      .filter(Boolean);
+  }
+}
+
+/**
+ * Local JSON file: an array of articles, or { articles: [...] }.
+ * Accepts the shared schema as well as CARV-style (card_text) and feed-style (link, pubDate) fields.
+ */
+class JsonFileNewsSource extends BaseNewsSource {
+  /**
+   * @param {Object} options - Source options (see BaseNewsSource)
+   * @param {string} options.filePath - Path of the JSON file
+   */
+  constructor(options = {}) {
+    super({ name: 'local', ...options });
+    this.filePath = path.resolve(options.filePath || 'data/news.json');
+  }
+
+  async fetchArticles() {
+    const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    const articles = Array.isArray(data) ? data : data.articles;
+
+    if (!Array.isArray(articles)) {
+      throw new Error(`${this.filePath} must contain an array of articles`);
+    }
+
+    return articles
+      .map(article => {
+        const normalized = this.normalize({
+          title: article.title,
+          summary: article.summary || article.card_text || article.description,
+          url: article.url || article.link,
+          publishedAt: article.publishedAt || article.pubDate
+        });
+        // Curated files may credit the original outlet
+        return normalized && { ...normalized, source: article.source || this.name };
+      })
+      .filter(Boolean);
+  }
+}
+
+/**
+ * News Source Factory
+ */
+class NewsSourceFactory {
+  static createSource(type, options) {
+    switch (type.toLowerCase()) {
+      case 'carv':
+        return new CarvNewsSource(options);
+
+      case 'rss':
+        return new RssNewsSource(options);
+
+      case 'json':
+        return new JsonFileNewsSource(options);
+
+      default:
+        throw new Error(`Unknown news source type: ${type}`);
+    }
+  }
+
+  /**
+   * Create the enabled sources from configuration (one RSS source per feed URL)
+   * @param {Object} newsConfig - config.news
+   * @param {Object} carvConfig - config.carv
+   * @returns {Array<BaseNewsSource>} Sources
+   */
+  static createSources(newsConfig, carvConfig = {}) {
+    const weights = newsConfig.weights || {};
+
+    return newsConfig.sources.flatMap(type => {
+      switch (type) {
+        case 'carv':
+          return [this.createSource('carv', { authToken: carvConfig.authToken, weight: weights.carv })];
+
+        case 'rss':
+          return newsConfig.rssFeeds.map(url => {
+            const source = this.createSource('rss', { url });
+            source.weight = weights[source.name] || weights.rss || 1;
+            return source;
+          });
+
+        case 'json':
+          return [this.createSource('json', { filePath: newsConfig.jsonFilePath, weight: weights.json })];
+
+        default:
+          return [this.createSource(type, {})];
+      }
+    });
+  }
+}
+
+module.exports = {
+  BaseNewsSource,
+  CarvNewsSource,
+  RssNewsSource,
+  JsonFileNewsSource,
+  NewsSourceFactory
+};
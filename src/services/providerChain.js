@@ -0,0 +1,208 @@
+const { BaseAIProvider, AIProviderFactory } = require('./aiProviders');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const { retryWithBackoff, isRetryableError, isCallerError, getBackoffDelay, getErrorStatus, sleep } = require('../utils/retry');
+const logger = require('../utils/logger');
+
+/**
+ * Ordered chain of AI providers.
+ * Each provider is retried with exponential backoff on transient errors; when it
+ * keeps failing the next provider is tried. A circuit breaker per provider skips
+ * unhealthy providers for a cooldown period.
+ */
+class FallbackProvider extends BaseAIProvider {
+  /**
+   * @param {Array} entries - Ordered providers as { name, provider }
+   * @param {Object} options - Chain options
+   * @param {Object} options.retry - { retries, baseDelayMs, maxDelayMs }
+   * @param {Object} options.circuitBreaker - { failureThreshold, cooldownMs }
+   * @param {Function} options.sleep - Delay function (overridable in tests)
+   */
+  constructor(entries, options = {}) {
+    super(options);
+
+    if (!entries || entries.length === 0) {
+      throw new Error('FallbackProvider requires at least one provider');
+    }
+
+    this.retry = { retries: 2, baseDelayMs: 500, maxDelayMs: 8000, ...options.retry };
+    this.sleep = options.sleep || sleep;
+    this.entries = entries.map(({ name, provider }) => ({
+      name,
+      provider,
+      breaker: new CircuitBreaker(name, options.circuitBreaker)
+    }));
+  }
+
+  async generateResponse(messages, options = {}) {
+    const completion = await this.generateCompletion(messages, options);
+    return completion.content;
+  }
+
+  async generateCompletion(messages, options = {}) {
+    let lastError = null;
+
+    for (const [index, entry] of this.entries.entries()) {
+      if (!entry.breaker.canRequest()) {
+        logger.warn(`Skipping AI provider ${entry.name}: circuit open`);
+        continue;
+      }
+
+      try {
+        const completion = await retryWithBackoff(
+          () => entry.provider.generateCompletion(messages, options),
+          {
+            ...this.retry,
+            sleep: this.sleep,
+            onRetry: (error, attempt, delayMs) => this.logRetry(entry.name, error, attempt, delayMs)
+          }
+        );
+
+        entry.breaker.recordSuccess();
+        this.logServed(entry.name, index);
+        return { ...completion, provider: entry.name };
+
+      } catch (error) {
+        lastError = error;
+        this.recordError(entry, error);
+        this.logFailure(entry.name, error);
+      }
+    }
+
+    throw lastError || new Error('No AI provider available (all circuits open)');
+  }
+
+  async *streamCompletion(messages, options = {}) {
+    let lastError = null;
+
+    for (const [index, entry] of this.entries.entries()) {
+      if (!entry.breaker.canRequest()) {
+        logger.warn(`Skipping AI provider ${entry.name}: circuit open`);
+        continue;
+      }
+
+      for (let attempt = 0; ; attempt++) {
+        let started = false;
+
+        try {
+          for await (const event of entry.provider.streamCompletion(messages, options)) {
+            started = true;
+            yield event.type === 'completion' ? { ...event, provider: entry.name } : event;
+          }
+
+          entry.breaker.recordSuccess();
+          this.logServed(entry.name, index);
+          return;
+
+        } catch (error) {
+          // Once tokens reached the user we cannot switch providers mid-answer
+          if (started) {
+            this.recordError(entry, error);
+            throw error;
+          }
+
+          lastError = error;
+          if (attempt < this.retry.retries && isRetryableError(error)) {
+            const delayMs = getBackoffDelay(attempt, this.retry);
+            this.logRetry(entry.name, error, attempt + 1, delayMs);
+            await this.sleep(delayMs);
+            continue;
+          }
+
+          this.recordError(entry, error);
+          this.logFailure(entry.name, error);
+          break;
+        }
+      }
+    }
+
+    throw lastError || new Error('No AI provider available (all circuits open)');
+  }
+
+  supportsTools() {
+    return this.entries.every(entry => entry.provider.supportsTools());
+  }
+
+  supportsStreaming() {
+    return this.entries.some(entry => entry.provider.supportsStreaming());
+  }
+
+  /**
+   * Get health of every provider in the chain
+   * @returns {Array} Breaker status per provider
+   */
+  getStatus() {
+    return this.entries.map(entry => entry.breaker.getStatus());
+  }
+
+  /**
+   * Run the startup health check of every provider that has one
+   * (providers without a check, such as hosted APIs, are reported as unchecked)
+   * @returns {Promise<Array>} { name, healthy, checked, message, models } per provider
+   */
+  async healthCheck() {
+    return Promise.all(this.entries.map(async ({ name, provider }) => {
+      if (typeof provider.healthCheck !== 'function') {
+        return { name, healthy: true, checked: false };
+      }
+      return { name, checked: true, ...(await provider.healthCheck()) };
+    }));
+  }
+
+  /**
+   * Count an error against the provider's circuit breaker.
+   * A bad request or an over-long prompt came from a healthy provider and is not counted;
+   * anything else, including a revoked key or an unknown model, is a failure.
+   * @param {Object} entry - Chain entry
+   * @param {Error} error - Error from the provider
+   */
+  recordError(entry, error) {
+    if (isCallerError(error)) {
+      entry.breaker.release();
+    } else {
+      entry.breaker.recordFailure();
+    }
+  }
+
+  logServed(name, index) {
+    logger.info(`AI response served by provider ${name}`, {
+      provider: name,
+      fallback: index > 0
+    });
+  }
+
+  logRetry(name, error, attempt, delayMs) {
+    logger.warn(`Retrying AI provider ${name}`, {
+      attempt,
+      delayMs,
+      status: getErrorStatus(error),
+      error: error.message
+    });
+  }
+
+  logFailure(name, error) {
+    logger.error(`AI provider ${name} failed, trying next provider`, {
+      status: getErrorStatus(error),
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Create the configured provider chain
+ * @param {Object} config - Application config
+ * @returns {FallbackProvider} Provider chain
+ */
+const createProviderChain = (config) => {
+  const entries = AIProviderFactory.resolveProviderChain(config.ai, config.aiProviders)
+    .map(({ name, type, config: providerConfig }) => ({
+      name,
+      provider: AIProviderFactory.createProvider(type, providerConfig)
+    }));
+
+  return new FallbackProvider(entries, {
+    retry: config.ai.retry,
+    circuitBreaker: config.ai.circuitBreaker
+  });
+};
+
+module.exports = { FallbackProvider, createProviderChain };
@@ -0,0 +1,214 @@
+const { tokenize, parseQuery } = require('../utils/textAnalyzer');
+const { escapeMarkdown } = require('../utils/markdown');
+
+const FIELDS = ['title', 'summary'];
+
+/**
+ * In-memory inverted index over article titles and summaries with BM25 ranking.
+ * Title matches count more than summary matches (BM25F-style field weights).
+ */
+class SearchIndex {
+  /**
+   * @param {Object} options - Ranking options
+   * @param {number} options.k1 - Term frequency saturation
+   * @param {number} options.b - Length normalization
+   * @param {number} options.titleWeight - Weight of a title match relative to a summary match
+   */
+  constructor(options = {}) {
+    this.k1 = options.k1 || 1.2;
+    this.b = options.b !== undefined ? options.b : 0.75;
+    this.titleWeight = options.titleWeight || 2;
+
+    this.documents = [];
+    this.postings = new Map(); // term -> Map(docId -> { title: [positions], summary: [positions] })
+    this.totalLength = 0;
+  }
+
+  /**
+   * Build an index over a list of articles
+   * @param {Array} articles - Articles with title and summary
+   * @param {Object} options - Ranking options
+   * @returns {SearchIndex} Index
+   */
+  static fromArticles(articles, options = {}) {
+    const index = new SearchIndex(options);
+    articles.forEach(article => index.add(article));
+    return index;
+  }
+
+  /**
+   * Add an article to the index
+   * @param {Object} article - Article with title and summary
+   */
+  add(article) {
+    const docId = this.documents.length;
+    let length = 0;
+
+    FIELDS.forEach(field => {
+      const tokens = tokenize(article[field] || '');
+      tokens.filter(token => !token.stopWord).forEach(token => {
+        if (!this.postings.has(token.term)) {
+          this.postings.set(token.term, new Map());
+        }
+        const docs = this.postings.get(token.term);
+        if (!docs.has(docId)) {
+          docs.set(docId, { title: [], summary: [] });
+        }
+        docs.get(docId)[field].push(token.position);
+        length += field === 'title' ? this.titleWeight : 1;
+      });
+    });
+
+    this.documents.push({ article, length });
+    this.totalLength += length;
+  }
+
+  /**
+   * Remove articles from the index (the rest are re-indexed, so document statistics stay exact)
+   * @param {Function} predicate - Returns true for each article to remove
+   * @returns {number} Number of articles removed
+   */
+  remove(predicate) {
+    const kept = this.documents.map(document => document.article).filter(article => !predicate(article));
+    const removed = this.documents.length - kept.length;
+    if (removed > 0) {
+      this.documents = [];
+      this.postings = new Map();
+      this.totalLength = 0;
+      kept.forEach(article => this.add(article));
+    }
+    return removed;
+  }
+
+  /**
+   * Search the index.
+   * Quoted phrases must appear as written; otherwise a document must match at least
+   * half of the query terms, so long queries do not return everything.
+   * @param {string} query - Query, e.g. 'ethereum "etf approval"'
+   * @param {Object} options - { limit, snippetLength }
+   * @returns {Array} [{ article, score, snippet }] best first
+   */
+  search(query, { limit = 0, snippetLength = 160 } = {}) {
+    const { terms, phrases } = parseQuery(query);
+    if (terms.length === 0 || this.documents.length === 0) {
+      return [];
+    }
+
+    const minMatches = Math.ceil(terms.length / 2);
+    const averageLength = this.totalLength / this.documents.length || 1;
+    const scores = new Map();
+    const matchCounts = new Map();
+
+    terms.forEach(term => {
+      const docs = this.postings.get(term);
+      if (!docs) {
+        return;
+      }
+
+      const idf = Math.log(1 + (this.documents.length - docs.size + 0.5) / (docs.size + 0.5));
+
+      docs.forEach((positions, docId) => {
+        const frequency = positions.title.length * this.titleWeight + positions.summary.length;
+        const normalization = 1 - this.b + this.b * (this.documents[docId].length / averageLength);
+        const score = idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * normalization);
+
+        scores.set(docId, (scores.get(docId) || 0) + score);
+        matchCounts.set(docId, (matchCounts.get(docId) || 0) + 1);
+      });
+    });
+
+    const results = [...scores.entries()]
+      .filter(([docId]) => matchCounts.get(docId) >= minMatches)
+      .filter(([docId]) => phrases.every(phrase => this.containsPhrase(docId, phrase)))
+      .sort(([docA, a], [docB, b]) => b - a || docA - docB)
+      .map(([docId, score]) => {
+        const { article } = this.documents[docId];
+        return {
+          article,
+          score: Math.round(score * 1000) / 1000,
+          snippet: this.buildSnippet(article, terms, snippetLength)
+        };
+      });
+
+    return limit > 0 ? results.slice(0, limit) : results;
+  }
+
+  /**
+   * Check whether a document contains a phrase within one field
+   * @param {number} docId - Document ID
+   * @param {Array} phrase - [{ term, offset }]
+   * @returns {boolean} True if found
+   */
+  containsPhrase(docId, phrase) {
+    const lookup = phrase.map(({ term }) => {
+      const docs = this.postings.get(term);
+      return docs && docs.get(docId);
+    });
+    if (lookup.some(positions => !positions)) {
+      return false;
+    }
+
+    return FIELDS.some(field => lookup[0][field].some(start =>
+      phrase.every(({ offset }, i) => lookup[i][field].includes(start + offset))
+    ));
+  }
+
+  /**
+   * Build a snippet around the densest cluster of query terms, with matches highlighted
+   * @param {Object} article - Article
+   * @param {Array<string>} terms - Query stems
+   * @param {number} maxLength - Approximate snippet length
+   * @returns {string} Snippet (Markdown, with the article text escaped)
+   */
+  buildSnippet(article, terms, maxLength) {
+    const text = article.summary || article.title || '';
+    const matches = tokenize(text).filter(token => !token.stopWord && terms.includes(token.term));
+
+    if (matches.length === 0) {
+      return escapeMarkdown(text.length > maxLength ? `${text.slice(0, maxLength).replace(/\s+\S*$/, '')}…` : text);
+    }
+
+    // Window starting at the match followed by the most matches within maxLength characters
+    let best = { start: matches[0].start, count: 0 };
+    matches.forEach((match, i) => {
+      const count = matches.slice(i).filter(other => other.end - match.start <= maxLength).length;
+      if (count > best.count) {
+        best = { start: match.start, count };
+      }
+    });
+
+    // Start a little before the first match, on a word boundary (short texts are shown whole)
+    let start = text.length <= maxLength ? 0 : Math.max(0, best.start - 30);
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space !== -1 && space < best.start ? space + 1 : best.start;
+    }
+    let end = Math.min(text.length, start + maxLength);
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      end = space > start ? space : end;
+    }
+
+    let snippet = '';
+    let cursor = start;
+    matches
+      .filter(match => match.start >= start && match.end <= end)
+      .forEach(match => {
+        snippet += `${escapeMarkdown(text.slice(cursor, match.start))}**${escapeMarkdown(text.slice(match.start, match.end))}**`;
+        cursor = match.end;
+      });
+    snippet += escapeMarkdown(text.slice(cursor, end));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Number of indexed articles
+   * @returns {number} Size
+   */
+  get size() {
+    return this.documents.length;
+  }
+}
+
+module.exports = { SearchIndex };
@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Per-asset sentiment snapshots over time.
+ * Each refresh appends one snapshot per asset to a JSON Lines file that is loaded into memory on start.
+ */
+class SentimentHistory {
+  /**
+   * @param {Object} options - History options
+   * @param {string|null} options.filePath - JSON Lines file (null keeps the history in memory only)
+   * @param {number} options.retentionDays - Drop snapshots older than this (0 keeps everything)
+   * @param {Function} options.now - Clock function (defaults to Date.now)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath ? path.resolve(options.filePath) : null;
+    this.retentionDays = options.retentionDays || 0;
+    this.now = options.now || Date.now;
+
+    this.byAsset = new Map(); // Asset -> snapshots, oldest first
+    this.size = 0;
+    this.staleLines = 0; // Expired snapshots still in the file
+
+    if (this.filePath) {
+      this.load();
+    }
+  }
+
+  /**
+   * Load snapshots from disk, compacting the file when old or broken lines were dropped
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return;
+      }
+
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      let skipped = 0;
+
+      lines.forEach(line => {
+        if (!line.trim()) {
+          return;
+        }
+        try {
+          const snapshot = JSON.parse(line);
+          if (this.isRetained(snapshot)) {
+            this.index(snapshot);
+          } else {
+            skipped++;
+          }
+        } catch (error) {
+          skipped++; // A partially written last line after a crash
+        }
+      });
+
+      // Appends are in time order, but a restored or merged file may not be
+      this.byAsset.forEach(snapshots => snapshots.sort((a, b) => this.getTime(a) - this.getTime(b)));
+
+      if (skipped > 0) {
+        this.compact();
+      }
+
+      logger.info(`Loaded ${this.size} sentiment snapshots`, { filePath: this.filePath, skipped });
+    } catch (error) {
+      logger.error('Failed to load sentiment history, starting empty', { error: error.message });
+    }
+  }
+
+  /**
+   * Save a snapshot of every asset in an analysis
+   * @param {Object} analysis - Result of investmentAnalyzer.analyzeNewsSentiment
+   * @returns {Array} New snapshots { asset, score, mentions, positive, negative, neutral, takenAt }
+   */
+  record(analysis) {
+    const takenAt = new Date(this.now()).toISOString();
+    const added = Object.entries(analysis.assets)
+      .filter(([, data]) => data.mentions > 0)
+      .map(([asset, data]) => ({
+        asset,
+        score: data.score,
+        mentions: data.mentions,
+        positive: data.positive,
+        negative: data.negative,
+        neutral: data.neutral,
+        takenAt
+      }));
+
+    added.forEach(snapshot => this.index(snapshot));
+    this.staleLines += this.prune();
+
+    // Rewrite the file once it holds as many expired lines as live ones, otherwise append
+    if (this.filePath && this.staleLines > 0 && this.staleLines >= this.size) {
+      this.compact();
+    } else if (added.length > 0 && this.filePath) {
+      try {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, added.map(snapshot => JSON.stringify(snapshot)).join('\n') + '\n');
+      } catch (error) {
+        logger.error('Failed to persist sentiment history', { error: error.message });
+      }
+    }
+
+    return added;
+  }
+
+  /**
+   * Drop snapshots older than the retention period from memory
+   * @returns {number} Number of snapshots dropped
+   */
+  prune() {
+    if (this.retentionDays <= 0) {
+      return 0;
+    }
+
+    let removed = 0;
+    this.byAsset.forEach((snapshots, asset) => {
+      const kept = snapshots.filter(snapshot => this.isRetained(snapshot));
+      if (kept.length < snapshots.length) {
+        removed += snapshots.length - kept.length;
+        if (kept.length > 0) {
+          this.byAsset.set(asset, kept);
+        } else {
+          this.byAsset.delete(asset);
+        }
+      }
+    });
+
+    this.size -= removed;
+    return removed;
+  }
+
+  /**
+   * Snapshots of an asset, oldest first
+   * @param {string} asset - Asset id
+   * @param {Object} options - { from, to } (inclusive)
+   * @returns {Array} Snapshots
+   */
+  getSnapshots(asset, { from = null, to = null } = {}) {
+    const fromTime = from !== null ? new Date(from).getTime() : -Infinity;
+    const toTime = to !== null ? new Date(to).getTime() : Infinity;
+
+    return (this.byAsset.get(asset) || []).filter(snapshot => {
+      const time = this.getTime(snapshot);
+      return time >= fromTime && time <= toTime;
+    });
+  }
+
+  /**
+   * Average score of an asset in equal time buckets, the last one holding now.
+   * Buckets are aligned to whole multiples of their size (6-hour buckets start at 00:00, 06:00, ... UTC).
+   * @param {string} asset - Asset id
+   * @param {Object} options - { days, buckets }
+   * @returns {Array} [{ start, end, score (null without snapshots), snapshots }] oldest first
+   */
+  getSeries(asset, { days = 7, buckets = 28 } = {}) {
+    const size = (days * DAY_MS) / buckets;
+    const end = (Math.floor(this.now() / size) + 1) * size;
+    const start = end - days * DAY_MS;
+    const series = Array.from({ length: buckets }, (_, index) => ({
+      start: start + index * size,
+      end: start + (index + 1) * size,
+      total: 0,
+      snapshots: 0
+    }));
+
+    this.getSnapshots(asset, { from: start, to: end }).forEach(snapshot => {
+      const index = Math.min(Math.floor((this.getTime(snapshot) - start) / size), buckets - 1);
+      series[index].total += snapshot.score;
+      series[index].snapshots++;
+    });
+
+    return series.map(({ start: bucketStart, end: bucketEnd, total, snapshots }) => ({
+      start: bucketStart,
+      end: bucketEnd,
+      score: snapshots > 0 ? Math.round((total / snapshots) * 1000) / 1000 : null,
+      snapshots
+    }));
+  }
+
+  /**
+   * Find the highs and lows a series swung away from by at least minSwing (zigzag)
+   * @param {Array} series - Result of getSeries
+   * @param {number} minSwing - Score change that confirms a reversal
+   * @returns {Array} [{ time, score, type: 'high'|'low' }] oldest first
+   */
+  findTurningPoints(series, minSwing = 0.2) {
+    const points = series.filter(bucket => bucket.score !== null);
+    const turningPoints = [];
+    if (points.length < 3) {
+      return turningPoints;
+    }
+
+    let direction = 0; // 1 rising from a low, -1 falling from a high, 0 not known yet
+    let high = points[0];
+    let low = points[0];
+    const first = points[0];
+
+    points.slice(1).forEach(point => {
+      if (direction !== -1 && point.score > high.score) {
+        high = point;
+      }
+      if (direction !== 1 && point.score < low.score) {
+        low = point;
+      }
+
+      if (direction !== -1 && high.score - point.score >= minSwing) {
+        // A high counts once the score has risen to it and fallen back
+        if (direction === 1 || high.score - first.score >= minSwing) {
+          turningPoints.push({ time: high.start, score: high.score, type: 'high' });
+        }
+        direction = -1;
+        low = point;
+      } else if (direction !== 1 && point.score - low.score >= minSwing) {
+        if (direction === -1 || first.score - low.score >= minSwing) {
+          turningPoints.push({ time: low.start, score: low.score, type: 'low' });
+        }
+        direction = 1;
+        high = point;
+      }
+    });
+
+    return turningPoints;
+  }
+
+  /**
+   * Get history statistics
+   * @returns {Object} { snapshots, assets }
+   */
+  getStats() {
+    return { snapshots: this.size, assets: this.byAsset.size };
+  }
+
+  getTime(snapshot) {
+    return new Date(snapshot.takenAt).getTime();
+  }
+
+  isRetained(snapshot) {
+    if (!snapshot || !snapshot.asset || typeof snapshot.score !== 'number' || Number.isNaN(this.getTime(snapshot))) {
+      return false;
+    }
+    return this.retentionDays <= 0 || this.now() - this.getTime(snapshot) <= this.retentionDays * DAY_MS;
+  }
+
+  index(snapshot) {
+    if (!this.byAsset.has(snapshot.asset)) {
+      this.byAsset.set(snapshot.asset, []);
+    }
+    this.byAsset.get(snapshot.asset).push(snapshot);
+    this.size++;
+  }
+
+  /**
+   * Rewrite the file with the retained snapshots (atomically via a temp file)
+   */
+  compact() {
+    try {
+      const tempPath = `${this.filePath}.tmp`;
+      const snapshots = [...this.byAsset.values()].flat().sort((a, b) => this.getTime(a) - this.getTime(b));
+      const payload = snapshots.map(snapshot => JSON.stringify(snapshot)).join('\n');
+      fs.writeFileSync(tempPath, payload ? `${payload}\n` : '');
+      fs.renameSync(tempPath, this.filePath);
+      this.staleLines = 0;
+    } catch (error) {
+      logger.error('Failed to compact sentiment history', { error: error.message });
+    }
+  }
+}
+
+module.exports = { SentimentHistory };
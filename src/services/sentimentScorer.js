@@ -0,0 +1,219 @@
+const { tokenize, normalizeWord } = require('../utils/textAnalyzer');
+const { config } = require('../config/config');
+
+// Term -> weight (positive or negative), English and Spanish. Words are stemmed, so
+// "surge", "surges" and "surged" share an entry; multi-word entries match consecutive words.
+// Spanish words whose stem is an English word ("demanda" -> "demand") are left out.
+const LEXICON = {
+  // Positive
+  'bullish': 2, 'surge': 1.5, 'soar': 2, 'rally': 1.5, 'gain': 1, 'rise': 1, 'rose': 1, 'jump': 1,
+  'rebound': 1, 'recover': 1, 'recovery': 1, 'growth': 1, 'grow': 1, 'inflow': 1, 'adoption': 1, 'adopt': 0.5,
+  'partnership': 1, 'launch': 0.25, 'success': 1.5, 'successful': 1.5, 'profit': 1.5, 'profitable': 1.5,
+  'earnings': 1, 'approval': 1.5, 'approve': 1.5, 'greenlight': 1.5, 'breakthrough': 2, 'innovation': 0.5,
+  'upgrade': 1, 'improve': 1, 'boost': 1, 'optimism': 1.5, 'optimistic': 1.5, 'outperform': 1.5,
+  'all time high': 2, 'record high': 2,
+  'alcista': 2, 'subida': 1, 'sube': 1, 'suben': 1, 'ganancia': 1, 'crecimiento': 1, 'exito': 1.5, 'beneficio': 1.5,
+  'aprobacion': 1.5, 'aprobado': 1.5, 'innovacion': 0.5, 'mejora': 1, 'alianza': 1, 'lanzamiento': 0.25,
+  'impulso': 1, 'repunte': 1,
+  // Negative
+  'bearish': -2, 'crash': -2, 'plunge': -2, 'tumble': -1.5, 'slump': -1.5, 'drop': -1, 'fall': -1, 'fell': -1,
+  'decline': -1, 'outflow': -1, 'loss': -1.5, 'losses': -1.5, 'selloff': -1.5, 'sell off': -1.5,
+  'liquidation': -1, 'hack': -2, 'hacker': -2, 'exploit': -2, 'breach': -1.5, 'stolen': -2, 'theft': -2,
+  'drain': -1.5, 'outage': -1.5, 'crackdown': -1.5, 'ban': -1.5, 'restriction': -1, 'reject': -1.5,
+  'rejection': -1.5, 'delay': -1, 'failure': -1.5, 'fail': -1.5, 'bankruptcy': -2, 'bankrupt': -2,
+  'insolvent': -2, 'collapse': -2, 'scam': -2, 'fraud': -2, 'investigation': -1, 'investigate': -1,
+  'lawsuit': -1.5, 'sue': -1, 'accuse': -1, 'misuse': -1, 'concern': -1, 'fear': -1, 'warning': -1,
+  'risk': -0.5, 'debate': -0.25,
+  'bajista': -2, 'caida': -1, 'cae': -1, 'caen': -1, 'desplome': -2, 'perdida': -1.5, 'hackeo': -2, 'brecha': -1.5,
+  'robo': -2, 'prohibicion': -1.5, 'restriccion': -1, 'fracaso': -1.5, 'quiebra': -2, 'estafa': -2,
+  'fraude': -2, 'investigacion': -1
+};
+
+// Words that flip the polarity of the sentiment terms right after them (plus any "n't" contraction)
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'without', 'none', 'nor', 'cannot', 'hardly', 'nunca', 'sin', 'ni', 'jamas', 'tampoco'
+]);
+
+// Words that scale the next sentiment term
+const INTENSIFIERS = {
+  'very': 1.5, 'extremely': 1.75, 'highly': 1.5, 'sharply': 1.5, 'significantly': 1.5, 'massive': 1.5,
+  'huge': 1.5, 'record': 1.5, 'largest': 1.5, 'biggest': 1.5, 'strong': 1.25, 'muy': 1.5, 'fuertemente': 1.5,
+  'enorme': 1.5, 'masivo': 1.5,
+  'slightly': 0.5, 'somewhat': 0.6, 'modestly': 0.6, 'marginally': 0.5, 'ligeramente': 0.5, 'leve': 0.5
+};
+
+const NEGATION_WINDOW = 3; // Words after a negator that it applies to
+const NEGATION_FACTOR = -0.75; // "not bullish" is weaker than "bearish"
+const INTENSIFIER_WINDOW = 2;
+const MAX_PHRASE_WORDS = 3;
+const NORMALIZATION_ALPHA = 15; // Higher needs more evidence to approach ±1
+
+/**
+ * Lexicon-based news sentiment with negation, intensifiers and title weighting.
+ * Terms match whole (stemmed) words, so "up" does not match "update" and "rise" does not match "enterprise".
+ */
+class SentimentScorer {
+  constructor() {
+    this.positiveThreshold = config.sentiment.positiveThreshold;
+    this.negativeThreshold = config.sentiment.negativeThreshold;
+    this.titleWeight = 2; // Headlines carry the story's tone
+
+    // Stemmed term (words joined by spaces) -> weight
+    this.lexicon = new Map();
+    Object.entries(LEXICON).forEach(([term, weight]) => {
+      const key = tokenize(term).map(token => token.term).join(' ');
+      this.lexicon.set(key, weight);
+    });
+  }
+
+  /**
+   * Score an article
+   * @param {Object} article - Article with title and summary
+   * @returns {Object} { score in [-1, 1], label, matches: [{ text, weight, field }] }
+   */
+  scoreArticle(article) {
+    const matches = [
+      ...this.findTerms(article.title || '').map(match => ({ ...match, field: 'title', weight: match.weight * this.titleWeight })),
+      ...this.findTerms(article.summary || '').map(match => ({ ...match, field: 'summary' }))
+    ];
+    const score = this.normalize(matches.reduce((total, match) => total + match.weight, 0));
+
+    return { score, label: this.getLabel(score), matches };
+  }
+
+  /**
+   * Score plain text (no title weighting)
+   * @param {string} text - Text
+   * @returns {Object} { score, label, matches }
+   */
+  scoreText(text) {
+    return this.scoreArticle({ summary: text });
+  }
+
+  /**
+   * Average score of the articles in a story
+   * @param {Array} articles - Articles covering one story
+   * @returns {number} Score in [-1, 1]
+   */
+  scoreArticles(articles) {
+    if (articles.length === 0) {
+      return 0;
+    }
+    const total = articles.reduce((sum, article) => sum + this.scoreArticle(article).score, 0);
+    return this.round(total / articles.length);
+  }
+
+  /**
+   * Bucket a score
+   * @param {number} score - Score in [-1, 1]
+   * @returns {string} 'positive', 'negative' or 'neutral'
+   */
+  getLabel(score) {
+    if (score >= this.positiveThreshold) {
+      return 'positive';
+    }
+    if (score <= this.negativeThreshold) {
+      return 'negative';
+    }
+    return 'neutral';
+  }
+
+  /**
+   * Find lexicon terms in text, applying negation and intensifiers
+   * @param {string} text - Text
+   * @returns {Array} [{ text, weight }] with the adjusted weight of each match
+   */
+  findTerms(text) {
+    const tokens = tokenize(text);
+    const words = tokens.map(token => normalizeWord(text.slice(token.start, token.end)));
+    const matches = [];
+    let negatedUntil = -1;
+    let intensity = null; // { factor, until }
+
+    for (let i = 0; i < tokens.length; i++) {
+      // A clause break (".", ",", ";", "but") ends negation and intensifiers
+      if (i > 0 && (/[.,;:!?]/.test(text.slice(tokens[i - 1].end, tokens[i].start)) || words[i] === 'but' || words[i] === 'pero')) {
+        negatedUntil = -1;
+        intensity = null;
+      }
+
+      if (NEGATORS.has(words[i]) || this.isContraction(text, tokens, words, i)) {
+        negatedUntil = i + NEGATION_WINDOW;
+        continue;
+      }
+
+      const length = this.matchLength(tokens, i);
+      if (length === 0) {
+        if (INTENSIFIERS[words[i]]) {
+          intensity = { factor: INTENSIFIERS[words[i]], until: i + INTENSIFIER_WINDOW };
+        }
+        continue;
+      }
+
+      const key = tokens.slice(i, i + length).map(token => token.term).join(' ');
+      let weight = this.lexicon.get(key);
+      if (intensity && i <= intensity.until) {
+        weight *= intensity.factor;
+        intensity = null;
+      }
+      if (i <= negatedUntil) {
+        weight *= NEGATION_FACTOR;
+      }
+
+      matches.push({ text: text.slice(tokens[i].start, tokens[i + length - 1].end), weight });
+      i += length - 1;
+    }
+
+    return matches;
+  }
+
+  /**
+   * Check whether a word is the first half of an "n't" contraction ("isn't", "won't")
+   * @param {string} text - Text
+   * @param {Array} tokens - Tokens
+   * @param {Array<string>} words - Normalized words
+   * @param {number} index - Token index
+   * @returns {boolean} True for a negated contraction
+   */
+  isContraction(text, tokens, words, index) {
+    return words[index].endsWith('n') && words[index + 1] === 't' &&
+      /^['’]$/.test(text.slice(tokens[index].end, tokens[index + 1].start));
+  }
+
+  /**
+   * Number of words of the longest lexicon term starting at a token (0 if none)
+   * @param {Array} tokens - Tokens
+   * @param {number} index - Start token
+   * @returns {number} Words matched
+   */
+  matchLength(tokens, index) {
+    for (let length = Math.min(MAX_PHRASE_WORDS, tokens.length - index); length > 1; length--) {
+      const key = tokens.slice(index, index + length).map(token => token.term).join(' ');
+      if (this.lexicon.has(key)) {
+        return length;
+      }
+    }
+    // Single words: stop-words never carry sentiment ("los" is not "loss")
+    return !tokens[index].stopWord && this.lexicon.has(tokens[index].term) ? 1 : 0;
+  }
+
+  /**
+   * Map a raw weight sum onto [-1, 1]
+   * @param {number} raw - Sum of term weights
+   * @returns {number} Score
+   */
+  normalize(raw) {
+    return this.round(raw / Math.sqrt(raw * raw + NORMALIZATION_ALPHA));
+  }
+
+  /**
+   * Round a score for stable output
+   * @param {number} score - Score
+   * @returns {number} Score rounded to 3 decimals
+   */
+  round(score) {
+    return Math.round(score * 1000) / 1000;
+  }
+}
+
+module.exports = new SentimentScorer();
@@ -0,0 +1,118 @@
+const { tokenize } = require('../utils/textAnalyzer');
+const { config } = require('../config/config');
+
+/**
+ * Groups articles that cover the same event into stories.
+ * Articles are compared by TF-IDF cosine similarity of their title and summary words
+ * (stemmed, stop-words removed); each article joins the most similar story whose
+ * centroid is above the threshold, or starts a new story.
+ */
+class StoryClusterer {
+  constructor() {
+    this.threshold = config.news.clustering.threshold;
+    this.titleWeight = 2; // Headlines say more about the event than summaries
+  }
+
+  /**
+   * Cluster articles into stories, keeping the order of each story's first article
+   * @param {Array} articles - Articles, most important first
+   * @param {Object} options - { threshold }
+   * @returns {Array} Stories as { lead, articles, sources, sourceCount }
+   */
+  clusterArticles(articles, { threshold = this.threshold } = {}) {
+    const vectors = this.vectorize(articles);
+    const clusters = [];
+
+    articles.forEach((article, i) => {
+      let best = null;
+      clusters.forEach(cluster => {
+        const similarity = this.cosine(vectors[i], cluster.centroid);
+        if (similarity >= threshold && (!best || similarity > best.similarity)) {
+          best = { cluster, similarity };
+        }
+      });
+
+      if (best) {
+        best.cluster.articles.push(article);
+        vectors[i].forEach((weight, term) => {
+          best.cluster.centroid.set(term, (best.cluster.centroid.get(term) || 0) + weight);
+        });
+      } else {
+        clusters.push({ articles: [article], centroid: new Map(vectors[i]) });
+      }
+    });
+
+    return clusters.map(({ articles: members }) => {
+      const sources = [...new Set(members.map(article => this.getOutlet(article)))];
+      return { lead: members[0], articles: members, sources, sourceCount: sources.length };
+    });
+  }
+
+  /**
+   * Build unit-length TF-IDF vectors for a batch of articles
+   * @param {Array} articles - Articles
+   * @returns {Array<Map>} term -> weight, one per article
+   */
+  vectorize(articles) {
+    const frequencies = articles.map(article => {
+      const counts = new Map();
+      [['title', this.titleWeight], ['summary', 1]].forEach(([field, weight]) => {
+        tokenize(article[field] || '')
+          .filter(token => !token.stopWord)
+          .forEach(token => counts.set(token.term, (counts.get(token.term) || 0) + weight));
+      });
+      return counts;
+    });
+
+    const documentFrequency = new Map();
+    frequencies.forEach(counts => counts.forEach((count, term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }));
+
+    return frequencies.map(counts => {
+      const vector = new Map();
+      counts.forEach((count, term) => {
+        const idf = Math.log((articles.length + 1) / (documentFrequency.get(term) + 1)) + 1;
+        vector.set(term, count * idf);
+      });
+
+      const norm = Math.sqrt([...vector.values()].reduce((total, weight) => total + weight * weight, 0)) || 1;
+      vector.forEach((weight, term) => vector.set(term, weight / norm));
+      return vector;
+    });
+  }
+
+  /**
+   * Cosine similarity of two sparse vectors
+   * @param {Map} a - Vector
+   * @param {Map} b - Vector
+   * @returns {number} Similarity in [0, 1]
+   */
+  cosine(a, b) {
+    let dot = 0;
+    let normB = 0;
+    b.forEach(weight => { normB += weight * weight; });
+    a.forEach((weight, term) => {
+      if (b.has(term)) {
+        dot += weight * b.get(term);
+      }
+    });
+    // a is unit length; b may be a centroid
+    return normB > 0 ? dot / Math.sqrt(normB) : 0;
+  }
+
+  /**
+   * Outlet that published an article: the URL's host (a CARV item links to the original outlet)
+   * @param {Object} article - Article
+   * @returns {string} Outlet name
+   */
+  getOutlet(article) {
+    try {
+      return new URL(article.url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return article.source || 'unknown';
+    }
+  }
+}
+
+module.exports = new StoryClusterer();
@@ -0,0 +1,157 @@
+const logger = require('../utils/logger');
+const JsonFile = require('../utils/jsonFile');
+
+/**
+ * Per-user watchlists of asset registry ids.
+ * Lists are kept in memory and written to a JSON file shortly after each change, so they survive restarts.
+ */
+class WatchlistStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string|null} options.filePath - JSON file (null keeps the lists in memory only)
+   * @param {number} options.maxAssets - Maximum assets per user
+   * @param {number} options.flushDelayMs - Delay before pending changes are written
+   */
+  constructor(options = {}) {
+    this.maxAssets = options.maxAssets || 10;
+    this.lists = new Map(); // userId -> asset ids, in the order they were added
+
+    this.file = options.filePath
+      ? new JsonFile(options.filePath, {
+        serialize: () => ({ version: 1, users: Object.fromEntries(this.lists) }),
+        flushDelayMs: options.flushDelayMs,
+        label: 'watchlists'
+      })
+      : null;
+    this.filePath = this.file ? this.file.filePath : null;
+
+    if (this.file) {
+      this.load();
+    }
+  }
+
+  /**
+   * Load persisted watchlists from disk
+   */
+  load() {
+    try {
+      const saved = this.file.read();
+      if (!saved) {
+        return;
+      }
+
+      Object.entries(saved.users || {}).forEach(([userId, assets]) => {
+        if (Array.isArray(assets)) {
+          const ids = [...new Set(assets.filter(asset => typeof asset === 'string'))];
+          if (ids.length > 0) {
+            this.lists.set(userId, ids);
+          }
+        }
+      });
+
+      logger.info(`Loaded watchlists for ${this.lists.size} users`, { filePath: this.filePath });
+    } catch (error) {
+      logger.error('Failed to load watchlists, starting empty:', error.message);
+    }
+  }
+
+  /**
+   * Get a user's watchlist
+   * @param {string} userId - Telegram user ID
+   * @returns {Array<string>} Asset ids (empty if none)
+   */
+  get(userId) {
+    return [...(this.lists.get(userId) || [])];
+  }
+
+  /**
+   * Add assets to a user's watchlist, up to maxAssets
+   * @param {string} userId - Telegram user ID
+   * @param {Array<string>} assets - Asset ids
+   * @returns {Object} { added, existing, rejected: ids left out because the list is full }
+   */
+  add(userId, assets) {
+    const list = this.get(userId);
+    const result = { added: [], existing: [], rejected: [] };
+
+    assets.forEach(asset => {
+      if (list.includes(asset)) {
+        result.existing.push(asset);
+      } else if (list.length >= this.maxAssets) {
+        result.rejected.push(asset);
+      } else {
+        list.push(asset);
+        result.added.push(asset);
+      }
+    });
+
+    if (result.added.length > 0) {
+      this.lists.set(userId, list);
+      this.scheduleFlush();
+    }
+    return result;
+  }
+
+  /**
+   * Remove assets from a user's watchlist
+   * @param {string} userId - Telegram user ID
+   * @param {Array<string>} assets - Asset ids
+   * @returns {Array<string>} Ids that were removed
+   */
+  remove(userId, assets) {
+    const list = this.get(userId);
+    const removed = list.filter(asset => assets.includes(asset));
+
+    if (removed.length > 0) {
+      const kept = list.filter(asset => !assets.includes(asset));
+      if (kept.length > 0) {
+        this.lists.set(userId, kept);
+      } else {
+        this.lists.delete(userId);
+      }
+      this.scheduleFlush();
+    }
+    return removed;
+  }
+
+  /**
+   * Empty a user's watchlist
+   * @param {string} userId - Telegram user ID
+   * @returns {number} Number of assets removed
+   */
+  clear(userId) {
+    return this.remove(userId, this.get(userId)).length;
+  }
+
+  /**
+   * Get store statistics
+   * @returns {Object} { users, assets }
+   */
+  getStats() {
+    let assets = 0;
+    this.lists.forEach(list => { assets += list.length; });
+    return { users: this.lists.size, assets };
+  }
+
+  /**
+   * Schedule a write of pending changes (a no-op in memory)
+   */
+  scheduleFlush() {
+    if (this.file) {
+      this.file.scheduleFlush();
+    }
+  }
+
+  /**
+   * Persist pending changes
+   */
+  close() {
+    if (this.file) {
+      this.file.close();
+    }
+  }
+}
+
+module.exports = {
+  WatchlistStore
+};
@@ -0,0 +1,104 @@
+const logger = require('./logger');
+
+/**
+ * Circuit breaker that stops calling an unhealthy dependency for a cooldown period.
+ *
+ * closed    - requests flow normally; consecutive failures are counted
+ * open      - requests are skipped until the cooldown expires
+ * half-open - one trial request is allowed; success closes, failure re-opens
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name used in logs
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.cooldownMs - Time to stay open before a trial request
+   * @param {Function} options.now - Clock function (defaults to Date.now)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 60000;
+    this.now = options.now || Date.now;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Check whether a request may be attempted
+   * @returns {boolean} True if the request should go ahead
+   */
+  canRequest() {
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'open' && this.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+      this.trialInFlight = false;
+      logger.info(`Circuit breaker ${this.name} is half-open, allowing a trial request`);
+    }
+
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logger.info(`Circuit breaker ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a request whose outcome says nothing about the dependency's health
+   * (frees a half-open trial without closing or re-opening the circuit)
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed request
+   */
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = this.now();
+      logger.warn(`Circuit breaker ${this.name} opened`, {
+        failures: this.failures,
+        cooldownMs: this.cooldownMs
+      });
+    }
+  }
+
+  /**
+   * Get breaker status
+   * @returns {Object} Status
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
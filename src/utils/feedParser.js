@@ -0,0 +1,132 @@
+/**
+ * Minimal RSS 2.0 / Atom feed parser.
+ * Extracts what the news sources need (title, summary, link, date) without a full XML parser.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', amp: '&' };
+const REPLACEMENT_CHARACTER = '\uFFFD';
+
+/**
+ * Check whether a number is a Unicode scalar value (in range and not a surrogate)
+ * @param {number} code - Code point
+ * @returns {boolean} True if String.fromCodePoint can encode it as a character
+ */
+const isScalarValue = (code) => code >= 0 && code <= 0x10FFFF && !(code >= 0xD800 && code <= 0xDFFF);
+
+/**
+ * Decode XML/HTML character entities in a single pass.
+ * Numeric entities outside Unicode become U+FFFD, as browsers do, so one bad item cannot break a feed.
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|quot|apos|nbsp|amp);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return isScalarValue(code) ? String.fromCodePoint(code) : REPLACEMENT_CHARACTER;
+  }
+  return ENTITIES[entity.toLowerCase()];
+});
+
+/**
+ * Get the text content of an element, unwrapping CDATA
+ * @param {string} raw - Raw inner XML
+ * @returns {string} Text
+ */
+const getText = (raw) => {
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(raw);
+  return (cdata ? cdata[1] : decodeEntities(raw)).trim();
+};
+
+/**
+ * Strip HTML markup from feed descriptions
+ * @param {string} html - HTML text
+ * @returns {string} Plain text
+ */
+const stripHtml = (html) => decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+/**
+ * Find the first matching element and return its text
+ * @param {string} xml - XML fragment
+ * @param {Array<string>} names - Element names to try, in order (may include a namespace prefix)
+ * @returns {string|null} Text or null
+ */
+const findTag = (xml, names) => {
+  for (const name of names) {
+    const match = new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`, 'i').exec(xml);
+    if (match) {
+      return getText(match[1]);
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse the attributes of a tag
+ * @param {string} tag - Tag source, e.g. <link rel="alternate" href="..."/>
+ * @returns {Object} Attributes
+ */
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+};
+
+/**
+ * Find an entry link: RSS <link>url</link> or Atom <link rel="alternate" href="url"/>
+ * @param {string} xml - Item or entry XML
+ * @returns {string|null} URL
+ */
+const findLink = (xml) => {
+  const atomLinks = (xml.match(/<link\b[^>]*\/?>/gi) || [])
+    .map(parseAttributes)
+    .filter(attributes => attributes.href);
+
+  const alternate = atomLinks.find(attributes => !attributes.rel || attributes.rel === 'alternate');
+  if (alternate) {
+    return alternate.href;
+  }
+
+  return findTag(xml, ['link', 'guid']) || (atomLinks[0] && atomLinks[0].href) || null;
+};
+
+/**
+ * Convert a feed date to ISO format
+ * @param {string} value - RFC 822 or ISO 8601 date
+ * @returns {string|null} ISO date or null
+ */
+const parseDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Parse an RSS or Atom document
+ * @param {string} xml - Feed XML
+ * @returns {Object} { title, items: [{ title, summary, url, publishedAt }] }
+ */
+const parseFeed = (xml) => {
+  if (typeof xml !== 'string' || !/<(rss|feed|rdf:RDF)\b/i.test(xml)) {
+    throw new Error('Not an RSS or Atom feed');
+  }
+
+  const blocks = xml.match(/<item\b[^>]*>[\s\S]*?<\/item>/gi) || xml.match(/<entry\b[^>]*>[\s\S]*?<\/entry>/gi) || [];
+  const header = xml.split(/<(item|entry)\b/i)[0];
+
+  const items = blocks.map(block => ({
+    title: stripHtml(findTag(block, ['title']) || ''),
+    summary: stripHtml(findTag(block, ['description', 'summary', 'content:encoded', 'content']) || ''),
+    url: findLink(block),
+    publishedAt: parseDate(findTag(block, ['pubDate', 'published', 'updated', 'dc:date']))
+  })).filter(item => item.title && item.url);
+
+  return { title: findTag(header, ['title']), items };
+};
+
+module.exports = { parseFeed, decodeEntities, stripHtml };
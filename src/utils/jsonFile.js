@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * JSON file that is written shortly after each change rather than on every one.
+ * Writes go through a temp file and a rename, so a crash never leaves a half-written file.
+ */
+class JsonFile {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   * @param {Object} options - File options
+   * @param {Function} options.serialize - Returns the payload to write
+   * @param {number} options.flushDelayMs - Delay before pending changes are written (0 writes at once)
+   * @param {string} options.label - What the file holds, for log messages
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = path.resolve(filePath);
+    this.serialize = options.serialize;
+    this.flushDelayMs = options.flushDelayMs !== undefined ? options.flushDelayMs : 1000;
+    this.label = options.label || 'data';
+    this.flushTimer = null;
+  }
+
+  /**
+   * Read the file
+   * @returns {Object|null} Parsed contents, or null if the file does not exist
+   * @throws {SyntaxError} If the file is not valid JSON
+   */
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+
+  /**
+   * Schedule a write of pending changes
+   */
+  scheduleFlush() {
+    if (this.flushDelayMs === 0) {
+      this.flush();
+      return;
+    }
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Write the current payload to disk (atomically via a temp file)
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.serialize()));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      logger.error(`Failed to persist ${this.label}:`, error.message);
+    }
+  }
+
+  /**
+   * Write pending changes, if any
+   */
+  close() {
+    if (this.flushTimer) {
+      this.flush();
+    }
+  }
+}
+
+module.exports = JsonFile;
@@ -0,0 +1,17 @@
+/**
+ * Helpers for Telegram's Markdown parse mode
+ */
+
+// Characters that open an entity in Telegram Markdown
+const MARKDOWN_SPECIAL = /[_*`[\]]/g;
+
+/**
+ * Escape text so Telegram shows it literally
+ * @param {string} text - Text from outside the bot (headlines, model output)
+ * @returns {string} Escaped text
+ */
+const escapeMarkdown = (text) => (text || '').replace(MARKDOWN_SPECIAL, '\\$&');
+
+module.exports = {
+  escapeMarkdown
+};
@@ -0,0 +1,133 @@
+const logger = require('./logger');
+const { getBackoffDelay } = require('./retry');
+
+/**
+ * Runs a refresh task in the background on a fixed interval.
+ * Runs never overlap (the next one is scheduled when the previous one settles), and
+ * failures are retried sooner with exponential backoff until the task succeeds again.
+ */
+class RefreshScheduler {
+  /**
+   * @param {string} name - Name used in logs
+   * @param {Function} task - Async function to run
+   * @param {Object} options - Scheduler options
+   * @param {number} options.intervalMs - Delay between successful runs
+   * @param {number} options.retryBaseMs - First retry delay after a failure
+   * @param {number} options.maxBackoffMs - Longest retry delay
+   * @param {Function} options.random - Jitter source (overridable in tests)
+   * @param {Function} options.now - Clock function (defaults to Date.now)
+   */
+  constructor(name, task, options = {}) {
+    this.name = name;
+    this.task = task;
+    this.intervalMs = options.intervalMs || 4 * 60 * 1000;
+    this.retryBaseMs = options.retryBaseMs || 30 * 1000;
+    this.maxBackoffMs = options.maxBackoffMs || 30 * 60 * 1000;
+    this.random = options.random || Math.random;
+    this.now = options.now || Date.now;
+
+    this.running = false;
+    this.timer = null;
+    this.currentRun = null;
+    this.failures = 0;
+    this.lastSuccessAt = null;
+    this.lastError = null;
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Start refreshing; the first run happens immediately
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    logger.info(`${this.name} refresh started`, { intervalMs: this.intervalMs });
+    this.schedule(0);
+  }
+
+  /**
+   * Stop refreshing and wait for a run in progress to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    this.nextRunAt = null;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+    logger.info(`${this.name} refresh stopped`);
+  }
+
+  /**
+   * Delay before the next run: the interval after a success, backoff after failures
+   * @returns {number} Delay in milliseconds
+   */
+  getNextDelay() {
+    if (this.failures === 0) {
+      return this.intervalMs;
+    }
+
+    return getBackoffDelay(this.failures - 1, {
+      baseDelayMs: this.retryBaseMs,
+      maxDelayMs: this.maxBackoffMs,
+      random: this.random
+    });
+  }
+
+  schedule(delayMs) {
+    this.nextRunAt = this.now() + delayMs;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.currentRun = this.run().finally(() => {
+        this.currentRun = null;
+      });
+    }, delayMs);
+
+    // Never keep the process alive just for a refresh
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  async run() {
+    try {
+      await this.task();
+      this.failures = 0;
+      this.lastSuccessAt = this.now();
+      this.lastError = null;
+    } catch (error) {
+      this.failures++;
+      this.lastError = error.message;
+      logger.warn(`${this.name} refresh failed`, { error: error.message, failures: this.failures });
+    }
+
+    if (this.running) {
+      this.schedule(this.getNextDelay());
+    }
+  }
+
+  /**
+   * Get scheduler status
+   * @returns {Object} Status
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      failures: this.failures,
+      lastSuccessAt: this.lastSuccessAt ? new Date(this.lastSuccessAt).toISOString() : null,
+      lastError: this.lastError,
+      nextRunAt: this.nextRunAt ? new Date(this.nextRunAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = RefreshScheduler;
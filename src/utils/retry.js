@@ -0,0 +1,113 @@
+/**
+ * Retry helpers with exponential backoff and jitter
+ */
+
+const RETRYABLE_STATUS_CODES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+const CALLER_ERROR_STATUS_CODES = [400, 413, 422];
+
+/**
+ * Get the HTTP status of an error from the OpenAI SDK or axios
+ * @param {Error} error - Error
+ * @returns {number|null} HTTP status
+ */
+const getErrorStatus = (error) => {
+  if (!error) return null;
+  return error.status || (error.response && error.response.status) || null;
+};
+
+/**
+ * Check whether an error is transient (rate limit, server error or network failure)
+ * @param {Error} error - Error
+ * @returns {boolean} True if the request may succeed when retried
+ */
+const isRetryableError = (error) => {
+  const status = getErrorStatus(error);
+  if (status) {
+    return RETRYABLE_STATUS_CODES.includes(status);
+  }
+  return RETRYABLE_ERROR_CODES.includes(error && error.code) || /timeout|network|socket hang up/i.test(error && error.message);
+};
+
+/**
+ * Check whether an error was caused by the request itself (malformed or too long) rather than the provider
+ * @param {Error} error - Error
+ * @returns {boolean} True if another request may well succeed on the same provider
+ */
+const isCallerError = (error) => CALLER_ERROR_STATUS_CODES.includes(getErrorStatus(error));
+
+/**
+ * Read a Retry-After hint (seconds) from an error, if present
+ * @param {Error} error - Error
+ * @returns {number|null} Delay in milliseconds
+ */
+const getRetryAfterMs = (error) => {
+  const headers = (error && (error.headers || (error.response && error.response.headers))) || {};
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+};
+
+/**
+ * Compute the delay before a retry: exponential growth capped at maxDelayMs,
+ * with jitter between 50% and 100% of the computed value
+ * @param {number} attempt - Retry number (0 for the first retry)
+ * @param {Object} options - { baseDelayMs, maxDelayMs, random }
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoffDelay = (attempt, { baseDelayMs = 500, maxDelayMs = 8000, random = Math.random } = {}) => {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.round(exponential * (0.5 + random() * 0.5));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run an async function, retrying transient failures with backoff
+ * @param {Function} fn - Function receiving the attempt number
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Maximum retries after the first attempt
+ * @param {number} options.baseDelayMs - Initial backoff delay
+ * @param {number} options.maxDelayMs - Maximum backoff delay
+ * @param {Function} options.shouldRetry - Decides whether an error is retryable
+ * @param {Function} options.onRetry - Called with (error, attempt, delayMs) before waiting
+ * @param {Function} options.sleep - Delay function (overridable in tests)
+ * @returns {Promise<any>} Result of fn
+ */
+const retryWithBackoff = async (fn, options = {}) => {
+  const {
+    retries = 2,
+    shouldRetry = isRetryableError,
+    onRetry = null,
+    sleep: wait = sleep
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const backoff = getBackoffDelay(attempt, options);
+      const retryAfter = getRetryAfterMs(error);
+      const delayMs = retryAfter ? Math.min(Math.max(backoff, retryAfter), options.maxDelayMs || 8000) : backoff;
+
+      if (onRetry) {
+        onRetry(error, attempt + 1, delayMs);
+      }
+      await wait(delayMs);
+    }
+  }
+};
+
+module.exports = {
+  getErrorStatus,
+  isRetryableError,
+  isCallerError,
+  getRetryAfterMs,
+  getBackoffDelay,
+  retryWithBackoff,
+  sleep
+};
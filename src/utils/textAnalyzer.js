@@ -0,0 +1,149 @@
+/**
+ * Text analysis for news search: tokenizing, stop-words and light stemming.
+ * Handles English and Spanish, the two languages the bot talks in.
+ */
+
+const STOP_WORDS = new Set([
+  // English
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if',
+  'in', 'into', 'is', 'it', 'its', 'me', 'more', 'my', 'new', 'not', 'of', 'on', 'or', 'our', 'over', 'she', 'should',
+  'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'up', 'us',
+  'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+  // Spanish (accents removed)
+  'al', 'algo', 'ante', 'como', 'con', 'contra', 'cual', 'cuando', 'de', 'del', 'desde', 'donde', 'durante', 'e',
+  'el', 'ella', 'ellos', 'en', 'entre', 'era', 'es', 'esa', 'ese', 'eso', 'esta', 'estan', 'este', 'esto', 'estos',
+  'fue', 'ha', 'han', 'hasta', 'hay', 'la', 'las', 'le', 'les', 'lo', 'los', 'mas', 'muy', 'ni', 'no', 'nos', 'o',
+  'otra', 'otro', 'para', 'pero', 'por', 'porque', 'que', 'quien', 'se', 'sea', 'ser', 'si', 'sin', 'sobre', 'son',
+  'su', 'sus', 'tambien', 'tiene', 'todo', 'todos', 'tras', 'un', 'una', 'uno', 'unos', 'y', 'ya'
+]);
+
+// Suffix -> replacement, longest first. Mixed English and Spanish; a stem keeps at least MIN_STEM_LENGTH characters.
+const SUFFIXES = [
+  ['amientos', ''], ['imientos', ''], ['aciones', ''], ['ational', 'ate'], ['amiento', ''], ['imiento', ''],
+  ['idades', ''], ['ations', ''], ['mente', ''], ['ation', ''], ['acion', ''], ['ments', ''], ['iendo', ''],
+  ['idad', ''], ['ment', ''], ['ness', ''], ['ings', ''], ['edly', ''], ['ando', ''], ['ados', ''], ['adas', ''],
+  ['idos', ''], ['idas', ''], ['ing', ''], ['ies', 'i'], ['ied', 'i'], ['ers', ''], ['ado', ''], ['ada', ''],
+  ['ido', ''], ['ida', ''], ['ed', ''], ['er', ''], ['ly', ''], ['es', ''], ['al', ''], ['os', ''], ['as', ''],
+  ['s', ''], ['e', ''], ['a', ''], ['o', '']
+];
+
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Lowercase text and strip accents ("Aprobación" becomes "aprobacion")
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+const normalizeText = (text) => text
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Lowercase a word and strip accents
+ * @param {string} word - Word
+ * @returns {string} Normalized word
+ */
+const normalizeWord = (word) => normalizeText(word);
+
+/**
+ * Reduce a normalized word to its stem by stripping a common English or Spanish suffix
+ * (e.g. "approved", "approval" and "approves" all become "approv")
+ * @param {string} word - Normalized word
+ * @returns {string} Stem
+ */
+const stem = (word) => {
+  if (word.length <= MIN_STEM_LENGTH || /\d/.test(word)) {
+    return word;
+  }
+
+  let result = word;
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (suffix === 'ly' && result.endsWith('lly')) {
+      continue; // "rally", not an adverb
+    }
+    if (result.endsWith(suffix) && result.length - suffix.length + replacement.length >= MIN_STEM_LENGTH) {
+      result = result.slice(0, -suffix.length) + replacement;
+      break;
+    }
+  }
+
+  // "dropped" -> "dropp" -> "drop"; "rally" -> "ralli" to match "rallies"
+  if (/([^aeiouls])\1$/.test(result) && result.length > MIN_STEM_LENGTH) {
+    result = result.slice(0, -1);
+  }
+  if (result.endsWith('y') && result.length > MIN_STEM_LENGTH) {
+    result = `${result.slice(0, -1)}i`;
+  }
+
+  return result;
+};
+
+/**
+ * Check whether a word is a stop-word
+ * @param {string} word - Normalized word
+ * @returns {boolean} True for stop-words
+ */
+const isStopWord = (word) => STOP_WORDS.has(word);
+
+/**
+ * Split text into tokens. Stop-words are kept (flagged) so phrase positions line up.
+ * @param {string} text - Text
+ * @returns {Array<Object>} [{ term, position, start, end, stopWord }]
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = pattern.exec(text || '')) !== null) {
+    const word = normalizeWord(match[0]);
+    tokens.push({
+      term: stem(word),
+      position: tokens.length,
+      start: match.index,
+      end: match.index + match[0].length,
+      stopWord: isStopWord(word)
+    });
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a search query into terms and quoted phrases
+ * @param {string} query - e.g. 'ethereum "etf approval"'
+ * @returns {Object} { terms: [stem], phrases: [[{ term, offset }]] }
+ */
+const parseQuery = (query) => {
+  const phrases = [];
+  const terms = new Set();
+
+  const rest = (query || '').replace(/"([^"]+)"/g, (match, phrase) => {
+    const tokens = tokenize(phrase);
+    const words = tokens.filter(token => !token.stopWord);
+    if (words.length > 1) {
+      // Offsets relative to the first word, counting stop-words in between
+      phrases.push(words.map(token => ({ term: token.term, offset: token.position - words[0].position })));
+    }
+    words.forEach(token => terms.add(token.term));
+    return ' ';
+  });
+
+  tokenize(rest)
+    .filter(token => !token.stopWord)
+    .forEach(token => terms.add(token.term));
+
+  return { terms: [...terms], phrases };
+};
+
+module.exports = {
+  STOP_WORDS,
+  normalizeText,
+  normalizeWord,
+  stem,
+  isStopWord,
+  tokenize,
+  parseQuery
+};
@@ -0,0 +1,95 @@
+/**
+ * Approximate token counting per model family.
+ * Exact tokenizers differ per provider; these profiles err on the side of
+ * overcounting so prompts stay inside the model context window.
+ */
+
+// Matched in order against the model name
+const MODEL_PROFILES = [
+  { pattern: /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-4-(1106|0125)|^o[134]/i, charsPerToken: 4, contextWindow: 128000 },
+  { pattern: /gpt-4/i, charsPerToken: 4, contextWindow: 8192 },
+  { pattern: /gpt-3\.5-turbo/i, charsPerToken: 4, contextWindow: 16385 },
+  { pattern: /claude/i, charsPerToken: 3.5, contextWindow: 200000 },
+  { pattern: /llama-?3\.[1-3]/i, charsPerToken: 3.8, contextWindow: 128000 },
+  { pattern: /llama/i, charsPerToken: 3.8, contextWindow: 8192 },
+  { pattern: /mistral|mixtral|qwen/i, charsPerToken: 3.5, contextWindow: 32768 }
+];
+
+const DEFAULT_PROFILE = { charsPerToken: 3.5, contextWindow: 8192 };
+
+// Role markers and separators added around every chat message
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3;
+
+/**
+ * Get the tokenization profile for a model
+ * @param {string} model - Model name
+ * @returns {Object} { charsPerToken, contextWindow }
+ */
+const getModelProfile = (model) => {
+  const profile = MODEL_PROFILES.find(entry => entry.pattern.test(model || ''));
+  return profile
+    ? { charsPerToken: profile.charsPerToken, contextWindow: profile.contextWindow }
+    : { ...DEFAULT_PROFILE };
+};
+
+/**
+ * Estimate the number of tokens in a text.
+ * Non-ASCII characters (accents, emoji, CJK) usually take a token or more each.
+ * @param {string} text - Text to count
+ * @param {string} model - Model name
+ * @returns {number} Estimated tokens
+ */
+const estimateTokens = (text, model) => {
+  if (!text) {
+    return 0;
+  }
+
+  const { charsPerToken } = getModelProfile(model);
+  const nonAscii = (text.match(/[^\x00-\x7f]/g) || []).length;
+  return Math.ceil((text.length - nonAscii) / charsPerToken + nonAscii);
+};
+
+/**
+ * Estimate the tokens used by one chat message, including tool calls
+ * @param {Object} message - Chat message (OpenAI format)
+ * @param {string} model - Model name
+ * @returns {number} Estimated tokens
+ */
+const countMessageTokens = (message, model) => {
+  let tokens = TOKENS_PER_MESSAGE + estimateTokens(message.content || '', model);
+
+  (message.tool_calls || []).forEach(call => {
+    tokens += estimateTokens(call.function.name, model) + estimateTokens(call.function.arguments || '', model);
+  });
+
+  return tokens;
+};
+
+/**
+ * Estimate the prompt tokens of a list of chat messages
+ * @param {Array} messages - Chat messages
+ * @param {string} model - Model name
+ * @returns {number} Estimated tokens
+ */
+const countMessagesTokens = (messages, model) => {
+  if (messages.length === 0) {
+    return 0;
+  }
+  return messages.reduce((total, message) => total + countMessageTokens(message, model), TOKENS_PER_REPLY);
+};
+
+/**
+ * Get the context window of a model in tokens
+ * @param {string} model - Model name
+ * @returns {number} Context window
+ */
+const getContextWindow = (model) => getModelProfile(model).contextWindow;
+
+module.exports = {
+  getModelProfile,
+  estimateTokens,
+  countMessageTokens,
+  countMessagesTokens,
+  getContextWindow
+};
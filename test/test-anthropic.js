@@ -0,0 +1,196 @@
+const assert = require('assert');
+const http = require('http');
+const { AnthropicProvider, AIProviderFactory } = require('../src/services/aiProviders');
+
+/**
+ * Test script for the Anthropic Messages API provider (runs against a local mock server)
+ * Run with: node test/test-anthropic.js
+ */
+
+/**
+ * Start a mock Messages API server that replies with queued responses
+ * @param {Array} replies - Queue of { status, body }
+ * @returns {Promise<Object>} { baseURL, requests, close }
+ */
+function startMockServer(replies) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+      const reply = replies.shift() || { status: 500, body: { error: 'no reply queued' } };
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply.body));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseURL: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+function textReply(text, stopReason = 'end_turn') {
+  return {
+    status: 200,
+    body: {
+      id: 'msg_1',
+      type: 'message',
+      role: 'assistant',
+      content: [{ type: 'text', text }],
+      stop_reason: stopReason,
+      usage: { input_tokens: 12, output_tokens: 5 }
+    }
+  };
+}
+
+async function testMessageConversion() {
+  console.log('🔄 Testing role-preserving conversion...');
+
+  const mock = await startMockServer([textReply('Third answer')]);
+  const provider = new AnthropicProvider({
+    apiKey: 'test-key',
+    baseURL: `${mock.baseURL}/v1`,
+    model: 'claude-test-model',
+    maxTokens: 256,
+    temperature: 0.2
+  });
+
+  try {
+    const completion = await provider.generateCompletion([
+      { role: 'system', content: 'You are a CARV assistant.' },
+      { role: 'user', content: 'First question' },
+      { role: 'assistant', content: 'First answer' },
+      { role: 'user', content: 'Second question' },
+      { role: 'user', content: 'Actually, one more thing' }
+    ]);
+
+    const request = mock.requests[0];
+    assert.strictEqual(request.url, '/v1/messages');
+    assert.strictEqual(request.headers['x-api-key'], 'test-key');
+    assert.strictEqual(request.headers['anthropic-version'], '2023-06-01');
+    assert.strictEqual(request.body.model, 'claude-test-model');
+    assert.strictEqual(request.body.max_tokens, 256);
+    assert.strictEqual(request.body.temperature, 0.2);
+    assert.strictEqual(request.body.system, 'You are a CARV assistant.');
+    assert.deepStrictEqual(request.body.messages.map(m => m.role), ['user', 'assistant', 'user']);
+    assert.strictEqual(request.body.messages[0].content, 'First question');
+    assert.deepStrictEqual(request.body.messages[2].content, [
+      { type: 'text', text: 'Second question' },
+      { type: 'text', text: 'Actually, one more thing' }
+    ]);
+
+    assert.strictEqual(completion.content, 'Third answer');
+    assert.strictEqual(completion.finishReason, 'stop');
+    assert.deepStrictEqual(completion.usage, { promptTokens: 12, completionTokens: 5, totalTokens: 17 });
+    console.log('✅ System prompt, turn order, model and usage mapped\n');
+  } finally {
+    await mock.close();
+  }
+}
+
+async function testToolUse() {
+  console.log('🧰 Testing tool_use conversion...');
+
+  const mock = await startMockServer([{
+    status: 200,
+    body: {
+      content: [
+        { type: 'text', text: 'Let me check.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'search_news', input: { query: 'solana' } }
+      ],
+      stop_reason: 'tool_use',
+      usage: { input_tokens: 30, output_tokens: 10 }
+    }
+  }, textReply('Done', 'max_tokens')]);
+
+  const provider = new AnthropicProvider({ apiKey: 'test-key', baseURL: mock.baseURL, model: 'claude-test-model' });
+  const tools = [{
+    type: 'function',
+    function: {
+      name: 'search_news',
+      description: 'Search news',
+      parameters: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] }
+    }
+  }];
+
+  try {
+    const first = await provider.generateCompletion([{ role: 'user', content: 'Solana news?' }], { tools });
+    assert.deepStrictEqual(mock.requests[0].body.tools, [{
+      name: 'search_news',
+      description: 'Search news',
+      input_schema: tools[0].function.parameters
+    }]);
+    assert.strictEqual(first.finishReason, 'tool_calls');
+    assert.strictEqual(first.content, 'Let me check.');
+    assert.deepStrictEqual(first.toolCalls, [{
+      id: 'toolu_1',
+      type: 'function',
+      function: { name: 'search_news', arguments: '{"query":"solana"}' }
+    }]);
+
+    const second = await provider.generateCompletion([
+      { role: 'user', content: 'Solana news?' },
+      { role: 'assistant', content: first.content, tool_calls: first.toolCalls },
+      { role: 'tool', tool_call_id: 'toolu_1', content: '{"articles":[]}' }
+    ], { tools });
+
+    const messages = mock.requests[1].body.messages;
+    assert.deepStrictEqual(messages[1].content[1], {
+      type: 'tool_use', id: 'toolu_1', name: 'search_news', input: { query: 'solana' }
+    });
+    assert.deepStrictEqual(messages[2], {
+      role: 'user',
+      content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '{"articles":[]}' }]
+    });
+    assert.strictEqual(second.finishReason, 'length');
+    console.log('✅ Tool calls and results round-trip as tool_use/tool_result blocks\n');
+  } finally {
+    await mock.close();
+  }
+}
+
+async function testErrorsAndDetection() {
+  console.log('⚠️ Testing error propagation and provider detection...');
+
+  const mock = await startMockServer([{ status: 429, body: { type: 'error', error: { type: 'rate_limit_error' } } }]);
+  const provider = new AnthropicProvider({ apiKey: 'test-key', baseURL: mock.baseURL, model: 'claude-test-model' });
+
+  try {
+    await assert.rejects(() => provider.generateResponse([{ role: 'user', content: 'hi' }]), error => {
+      return error.response && error.response.status === 429;
+    });
+  } finally {
+    await mock.close();
+  }
+
+  assert.strictEqual(AIProviderFactory.detectProvider({ apiKey: 'k', baseURL: 'https://api.anthropic.com' }), 'anthropic');
+  console.log('✅ HTTP errors propagate to the caller\n');
+}
+
+async function runAnthropicTests() {
+  console.log('🚀 Starting Anthropic Provider Tests\n');
+
+  try {
+    await testMessageConversion();
+    await testToolUse();
+    await testErrorsAndDetection();
+    console.log('✨ All Anthropic provider tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 Anthropic provider test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runAnthropicTests();
+}
+
+module.exports = { testMessageConversion, testToolUse, testErrorsAndDetection, runAnthropicTests };
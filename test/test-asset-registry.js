@@ -0,0 +1,238 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The OpenAI client refuses to start without a key; tests never reach the network
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const MessageHandler = require('../src/handlers/messageHandler');
+const entityExtractor = require('../src/services/entityExtractor');
+const aiService = require('../src/services/aiService');
+const newsService = require('../src/services/newsService');
+const { AssetRegistry } = require('../src/services/assetRegistry');
+const { NewsArchive } = require('../src/services/newsArchive');
+const rateLimiter = require('../src/utils/rateLimiter');
+const { config } = require('../src/config/config');
+const newsFixture = require('./fixtures/news.json');
+
+/**
+ * Test script for the shared asset registry, hot reload and /assets (runs against temp files)
+ * Run with: node test/test-asset-registry.js
+ */
+
+const DOGECOIN = {
+  id: 'dogecoin',
+  name: 'Dogecoin',
+  symbol: 'DOGE',
+  names: ['dogecoin'],
+  chain: 'dogecoin',
+  category: 'meme',
+  coingeckoId: 'dogecoin'
+};
+
+function tempFile(name) {
+  return path.join(os.tmpdir(), `carvbot-${name}-${process.pid}.json`);
+}
+
+function writeRegistry(filePath, assets, mtime = new Date()) {
+  fs.writeFileSync(filePath, JSON.stringify({ assets }));
+  fs.utimesSync(filePath, mtime, mtime);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fake Telegram bot that records sent messages
+ */
+class FakeBot {
+  constructor() {
+    this.sent = [];
+  }
+
+  async sendChatAction() {}
+
+  async sendMessage(chatId, text, options = {}) {
+    this.sent.push({ chatId, text, options });
+    return { message_id: this.sent.length, chat: { id: chatId } };
+  }
+}
+
+async function testDefaultRegistry() {
+  console.log('🗂️ Testing the bundled registry...');
+
+  const { registry } = entityExtractor;
+  const ids = registry.list().map(entry => entry.id);
+  assert.deepStrictEqual(ids, [
+    'bitcoin', 'ethereum', 'solana', 'cardano', 'polkadot', 'chainlink', 'uniswap', 'aave', 'carv', 'defi', 'nft'
+  ]);
+  assert.strictEqual(registry.list({ type: 'sector' }).length, 2);
+  // Every asset has the metadata market data lookups need
+  registry.list({ type: 'asset' }).forEach(asset => {
+    assert.ok(asset.symbol && asset.chain && asset.category && asset.coingeckoId, asset.id);
+  });
+
+  const carv = registry.get('carv');
+  assert.strictEqual(carv.symbol, 'CARV');
+  assert.strictEqual(carv.coingeckoId, 'carv');
+  assert.strictEqual(registry.get('dogecoin'), null);
+
+  // CARV is now recognized by every consumer
+  assert.strictEqual(aiService.normalizeAssetName('$CARV'), 'carv');
+  assert.deepStrictEqual(entityExtractor.extractAssets(newsFixture[9].title), ['carv']);
+  console.log('✅ Bundled registry loaded with CARV\n');
+}
+
+async function testValidation() {
+  console.log('🧪 Testing registry validation...');
+
+  const filePath = tempFile('invalid-registry');
+  const invalid = [
+    [{ assets: {} }, /"assets" array/],
+    [{ assets: [{ name: 'No id' }] }, /has no id/],
+    [{ assets: [DOGECOIN, { ...DOGECOIN }] }, /dogecoin is duplicated/],
+    [{ assets: [{ ...DOGECOIN, type: 'token' }] }, /unknown type "token"/],
+    [{ assets: [{ ...DOGECOIN, aliases: 'doge' }] }, /aliases must be a list of strings/],
+    [{ assets: [{ id: 'empty' }] }, /needs a symbol or at least one name/]
+  ];
+
+  try {
+    invalid.forEach(([data, message]) => {
+      fs.writeFileSync(filePath, JSON.stringify(data));
+      assert.throws(() => new AssetRegistry({ filePath }), message);
+    });
+
+    fs.writeFileSync(filePath, '{ not json');
+    assert.throws(() => new AssetRegistry({ filePath }), /Failed to read asset registry/);
+    assert.throws(() => new AssetRegistry({ filePath: tempFile('missing-registry') }), /Failed to read asset registry/);
+
+    // Defaults are filled in
+    writeRegistry(filePath, [{ id: ' DOGE ', symbol: 'doge' }]);
+    const [entry] = new AssetRegistry({ filePath }).list();
+    assert.deepStrictEqual(entry, {
+      id: 'doge',
+      type: 'asset',
+      name: 'doge',
+      symbol: 'DOGE',
+      ambiguousSymbol: false,
+      names: [],
+      aliases: [],
+      chain: null,
+      category: null,
+      coingeckoId: null,
+      falsePositives: []
+    });
+  } finally {
+    fs.unlinkSync(filePath);
+  }
+  console.log('✅ Invalid registry files rejected with a clear message\n');
+}
+
+async function testHotReload() {
+  console.log('🔄 Testing hot reload...');
+
+  const filePath = tempFile('registry');
+  const original = entityExtractor.registry;
+  writeRegistry(filePath, [{ id: 'bitcoin', symbol: 'BTC', names: ['bitcoin'] }], new Date(Date.now() - 60000));
+  const registry = new AssetRegistry({ filePath, reloadIntervalMs: 20 });
+  entityExtractor.registry = registry;
+
+  const waitForVersion = async version => {
+    for (let i = 0; i < 100 && registry.version < version; i++) {
+      await sleep(20);
+    }
+    assert.strictEqual(registry.version, version);
+  };
+
+  try {
+    assert.deepStrictEqual(entityExtractor.extractAssets('DOGE and BTC'), ['bitcoin']);
+
+    registry.watch();
+    registry.watch(); // Idempotent
+    assert.strictEqual(registry.getStatus().watching, true);
+
+    // Consumers see new assets as soon as the file changes
+    writeRegistry(filePath, [{ id: 'bitcoin', symbol: 'BTC', names: ['bitcoin'] }, DOGECOIN]);
+    await waitForVersion(2);
+    assert.deepStrictEqual(entityExtractor.extractAssets('DOGE and BTC'), ['dogecoin', 'bitcoin']);
+    assert.strictEqual(aiService.normalizeAssetName('doge'), 'dogecoin');
+
+    // A broken edit keeps the previous version
+    fs.writeFileSync(filePath, '{ "assets": [');
+    fs.utimesSync(filePath, new Date(Date.now() + 60000), new Date(Date.now() + 60000));
+    await sleep(200);
+    assert.strictEqual(registry.version, 2);
+    assert.ok(registry.get('dogecoin'));
+    assert.strictEqual(registry.reload(), false);
+
+    registry.unwatch();
+    assert.strictEqual(registry.getStatus().watching, false);
+    writeRegistry(filePath, [DOGECOIN], new Date(Date.now() + 120000));
+    await sleep(200);
+    assert.strictEqual(registry.version, 2);
+    assert.strictEqual(registry.reload(), true);
+    assert.deepStrictEqual(entityExtractor.extractAssets('DOGE and BTC'), ['dogecoin']);
+  } finally {
+    registry.unwatch();
+    entityExtractor.registry = original;
+    fs.unlinkSync(filePath);
+  }
+  console.log('✅ Registry edits applied without a restart\n');
+}
+
+async function testAssetsCommand() {
+  console.log('👮 Testing /assets...');
+
+  const originalAdmins = config.telegram.adminIds;
+  const originalArchive = newsService.archive;
+  config.telegram.adminIds = ['1'];
+  newsService.archive = new NewsArchive();
+
+  try {
+    const bot = new FakeBot();
+    const handler = new MessageHandler(bot);
+
+    await handler.handleCommand(7, '42', '/assets', 'tester');
+    assert.strictEqual(bot.sent[0].text, '⛔ This command is only available to bot admins.');
+
+    await handler.handleCommand(7, '1', '/assets', 'admin');
+    const { text, options } = bot.sent[1];
+    assert.ok(text.startsWith('🗂️ Asset Registry: 9 assets, 2 sectors'));
+    assert.ok(text.includes('• CARV CARV (carv) - chain: ethereum, category: ai, coingecko: carv'));
+    assert.ok(text.includes('• SOL Solana (solana)'));
+    assert.ok(text.includes('solana (symbol only as $TICKER or UPPERCASE)'));
+    assert.ok(text.includes('• DeFi (defi) - defi, decentralized finance'));
+    assert.ok(text.includes('Use /assets reload after editing the file.'));
+    assert.strictEqual(options.parse_mode, undefined);
+
+    await handler.handleCommand(7, '1', '/assets reload', 'admin');
+    assert.strictEqual(bot.sent[2].text, '🔄 Asset registry reloaded (11 entries).');
+  } finally {
+    config.telegram.adminIds = originalAdmins;
+    newsService.archive = originalArchive;
+  }
+  console.log('✅ Admins can list and reload the registry\n');
+}
+
+async function runAssetRegistryTests() {
+  console.log('🚀 Starting Asset Registry Tests\n');
+
+  try {
+    await testDefaultRegistry();
+    await testValidation();
+    await testHotReload();
+    await testAssetsCommand();
+    console.log('✨ All asset registry tests completed successfully!');
+    rateLimiter.stop(); // Let the process exit
+  } catch (error) {
+    console.error('\n💥 Asset registry test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runAssetRegistryTests();
+}
+
+module.exports = { testDefaultRegistry, testValidation, testHotReload, testAssetsCommand, runAssetRegistryTests };
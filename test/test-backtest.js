@@ -0,0 +1,279 @@
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The OpenAI client refuses to start without a key; tests never reach the network
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const investmentAnalyzer = require('../src/services/investmentAnalyzer');
+const { Backtester, PriceHistory } = require('../src/services/backtester');
+const { NewsArchive } = require('../src/services/newsArchive');
+const newsFixture = require('./fixtures/backtest-news.json');
+
+/**
+ * Test script for the news-sentiment backtest (runs offline)
+ * Run with: node test/test-backtest.js
+ */
+
+const ROOT = path.join(__dirname, '..');
+const PRICES_FILE = path.join(__dirname, 'fixtures/prices.json');
+const NEWS_FILE = path.join(__dirname, 'fixtures/backtest-news.json');
+
+const call = (day, asset, action) => ({
+  title: `${asset} ${action} ${day}`,
+  url: `https://example.com/${asset}/${day}`,
+  source: 'test',
+  publishedAt: `2025-06-0${day}T12:00:00.000Z`
+});
+
+/**
+ * Analyzer stand-in: each article's title names an asset and the action to recommend for it,
+ * and the newest article per asset wins
+ */
+class ScriptedAnalyzer {
+  constructor() {
+    this.quotes = [];
+  }
+
+  analyzeNewsSentiment(news) {
+    const assets = {};
+    news.forEach(article => {
+      const [asset, action] = article.title.split(' ');
+      if (!assets[asset]) {
+        assets[asset] = { action, score: action === 'SELL' ? -0.5 : 0.5, mentions: 2 };
+      }
+    });
+    return { assets };
+  }
+
+  generateRecommendations(analysis, quotes) {
+    this.quotes.push(quotes);
+    return [
+      { type: 'market', action: 'HOLD', confidence: 'medium' },
+      ...Object.entries(analysis.assets).map(([asset, data]) => ({
+        type: 'asset',
+        asset: asset.toUpperCase(),
+        action: data.action,
+        confidence: 'low',
+        mentions: data.mentions,
+        divergence: null
+      }))
+    ];
+  }
+}
+
+async function testPriceHistory() {
+  console.log('🧪 Testing historical prices...');
+
+  const prices = new PriceHistory({
+    prices: {
+      bitcoin: [[Date.parse('2025-06-02'), 110], [Date.parse('2025-06-01'), 100]],
+      ethereum: [{ date: '2025-06-01', price: 50 }, { date: 'not a date', price: 1 }, { date: '2025-06-02', price: 0 }]
+    }
+  });
+
+  assert.deepStrictEqual(prices.assets(), ['bitcoin', 'ethereum']);
+  assert.strictEqual(prices.priceAt('bitcoin', Date.parse('2025-06-01T18:00:00Z')), 100, 'latest close at or before the time');
+  assert.strictEqual(prices.priceAt('bitcoin', Date.parse('2025-06-02T00:00:00Z')), 110);
+  assert.strictEqual(prices.priceAt('bitcoin', Date.parse('2025-05-31T23:00:00Z')), null, 'nothing before the first close');
+  assert.strictEqual(prices.priceAt('bitcoin', Date.parse('2025-06-03T11:00:00Z')), 110, 'a close up to 1.5 days old still counts');
+  assert.strictEqual(prices.priceAt('bitcoin', Date.parse('2025-06-03T13:00:00Z')), null, 'older closes do not');
+  assert.strictEqual(prices.priceAt('ethereum', Date.parse('2025-06-02T12:00:00Z')), 50, 'invalid points are dropped');
+  assert.strictEqual(prices.priceAt('dogecoin', Date.parse('2025-06-01')), null);
+  assert.strictEqual(prices.changeBetween('bitcoin', Date.parse('2025-06-01'), Date.parse('2025-06-02')), 10);
+  assert.strictEqual(prices.changeBetween('dogecoin', Date.parse('2025-06-01'), Date.parse('2025-06-02')), null);
+
+  assert.throws(() => new PriceHistory({ bitcoin: 100 }), /Prices for bitcoin must be a list/);
+
+  const fromFile = PriceHistory.fromFile(PRICES_FILE);
+  assert.strictEqual(fromFile.priceAt('bitcoin', Date.parse('2025-06-04T12:00:00Z')), 70200);
+  assert.strictEqual(fromFile.priceAt('ethereum', Date.parse('2025-06-04T12:00:00Z')), 3280);
+
+  console.log('✅ Historical price tests passed\n');
+}
+
+async function testReport() {
+  console.log('🧪 Testing replay and report...');
+
+  const archive = new NewsArchive();
+  archive.addArticles([
+    call(1, 'bitcoin', 'BUY'), // 100 -> 105: up, hit
+    call(2, 'bitcoin', 'SELL'), // 100 -> 110: up, miss
+    call(3, 'bitcoin', 'HOLD'), // 105 -> 104: flat, hit
+    call(4, 'bitcoin', 'SELL'), // 110 -> 100: down, hit
+    call(6, 'bitcoin', 'BUY') // No price two days later: pending
+  ]);
+  const prices = new PriceHistory({
+    bitcoin: [100, 100, 105, 110, 104, 100, 100].map((price, index) => [`2025-06-0${index + 1}`, price])
+  });
+  const analyzer = new ScriptedAnalyzer();
+  const backtester = new Backtester({ analyzer, archive, prices, horizonDays: 2, lookbackDays: 1, moveThreshold: 2 });
+
+  const report = backtester.run();
+
+  assert.deepStrictEqual(report.period, { from: '2025-06-01', to: '2025-06-06' });
+  assert.deepStrictEqual(report.settings, { horizonDays: 2, lookbackDays: 1, moveThreshold: 2 });
+  assert.strictEqual(report.recommendations, 5, 'the market call is not evaluated and day 5 had no news');
+  assert.strictEqual(report.evaluated, 4);
+  assert.strictEqual(report.hitRate, 0.75);
+
+  assert.deepStrictEqual(report.records.map(record => [record.date, record.action, record.forwardReturn, record.realized, record.hit]), [
+    ['2025-06-01', 'BUY', 5, 'up', true],
+    ['2025-06-02', 'SELL', 10, 'up', false],
+    ['2025-06-03', 'HOLD', -0.95, 'flat', true],
+    ['2025-06-04', 'SELL', -9.09, 'down', true],
+    ['2025-06-06', 'BUY', null, null, null]
+  ]);
+  assert.strictEqual(report.records[0].asset, 'bitcoin', 'records use registry ids');
+  assert.strictEqual(report.records[0].price, 100);
+  assert.strictEqual(report.records[0].forwardPrice, 105);
+  assert.strictEqual(report.records[4].forwardPrice, null);
+
+  assert.deepStrictEqual(report.byAction, {
+    BUY: { count: 1, hits: 1, hitRate: 1, averageReturn: 5 },
+    SELL: { count: 2, hits: 1, hitRate: 0.5, averageReturn: 0.455 },
+    HOLD: { count: 1, hits: 1, hitRate: 1, averageReturn: -0.95 }
+  });
+  assert.deepStrictEqual(report.confusion, {
+    BUY: { up: 1, flat: 0, down: 0 },
+    SELL: { up: 1, flat: 0, down: 1 },
+    HOLD: { up: 0, flat: 1, down: 0 }
+  });
+
+  // Each day's analysis only sees the news and prices known by then
+  assert.strictEqual(analyzer.quotes.length, 5);
+  assert.deepStrictEqual(analyzer.quotes[2].bitcoin, { price: 105, change24h: 5, change7d: null });
+
+  const summary = backtester.formatSummary(report);
+  assert(summary.includes('Backtest 2025-06-01 to 2025-06-06'), 'summary names the period');
+  assert(summary.includes('Recommendations: 5 (4 with a known outcome)'), 'summary counts pending calls');
+  assert(summary.includes('Hit rate: 75.0%'), 'summary shows the hit rate');
+  assert(/SELL\s+2\s+50\.0%\s+\+0\.46%/.test(summary), 'summary shows per-action results');
+  assert(/HOLD\s+0\s+1\s+0/.test(summary), 'summary shows the confusion matrix');
+
+  const narrowed = backtester.run({ from: '2025-06-03', to: '2025-06-04' });
+  assert.strictEqual(narrowed.recommendations, 2);
+
+  assert.throws(() => backtester.run({ from: '2025-06-04', to: '2025-06-01' }), /Invalid backtest period/);
+  assert.throws(() => new Backtester({ analyzer, archive: new NewsArchive(), prices }).run(), /news archive is empty/);
+
+  console.log('✅ Replay and report tests passed\n');
+}
+
+async function testCsv() {
+  console.log('🧪 Testing CSV output...');
+
+  const backtester = new Backtester();
+  const csv = backtester.toCsv({
+    records: [
+      { date: '2025-06-01', asset: 'bitcoin', action: 'BUY', confidence: 'low', score: 0.5, mentions: 2, divergence: false, price: 100, forwardPrice: null, forwardReturn: null, realized: null, hit: null },
+      { date: '2025-06-02', asset: 'say "hi", world', action: 'SELL', confidence: 'high', score: -0.5, mentions: 5, divergence: true, price: 1, forwardPrice: 2, forwardReturn: 100, realized: 'up', hit: false }
+    ]
+  });
+
+  assert.deepStrictEqual(csv.split('\n'), [
+    'date,asset,action,confidence,score,mentions,divergence,price,forwardPrice,forwardReturn,realized,hit',
+    '2025-06-01,bitcoin,BUY,low,0.5,2,false,100,,,,',
+    '2025-06-02,"say ""hi"", world",SELL,high,-0.5,5,true,1,2,100,up,false',
+    ''
+  ]);
+
+  console.log('✅ CSV tests passed\n');
+}
+
+async function testAnalyzerReplay() {
+  console.log('🧪 Testing replay through the analyzer...');
+
+  const archive = new NewsArchive();
+  archive.addArticles(newsFixture);
+  const backtester = new Backtester({
+    analyzer: investmentAnalyzer,
+    archive,
+    prices: PriceHistory.fromFile(PRICES_FILE),
+    horizonDays: 3,
+    lookbackDays: 2
+  });
+
+  const report = backtester.run();
+  const first = report.records[0];
+
+  assert(report.recommendations > 0, 'the fixture news produces recommendations');
+  assert.strictEqual(report.evaluated, report.recommendations, 'the fixture prices cover every horizon');
+  assert.deepStrictEqual(
+    [first.date, first.asset, first.action, first.price, first.forwardPrice, first.forwardReturn, first.realized, first.hit],
+    ['2025-06-01', 'bitcoin', 'BUY', 67000, 70200, 4.78, 'up', true]
+  );
+  assert(report.records.some(record => record.asset === 'ethereum' && record.action === 'SELL'), 'negative ETH news leads to a SELL');
+  assert(report.records.every(record => ['bitcoin', 'ethereum'].includes(record.asset)));
+
+  console.log('✅ Analyzer replay tests passed\n');
+}
+
+async function testCli() {
+  console.log('🧪 Testing the backtest script...');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-'));
+  const run = args => execFileSync(process.execPath, ['scripts/backtest.js', '--prices', PRICES_FILE, '--news', NEWS_FILE, ...args], {
+    cwd: ROOT,
+    encoding: 'utf8',
+    timeout: 30000,
+    env: { ...process.env, LOG_LEVEL: 'info' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  try {
+    const report = JSON.parse(run(['--format', 'json', '--horizon', '3', '--lookback', '2']));
+    assert.strictEqual(report.settings.horizonDays, 3);
+    assert(report.records.length > 0, 'JSON report holds the records');
+
+    const csvPath = path.join(dir, 'report.csv');
+    const summary = run(['--format', 'csv', '--output', csvPath]);
+    assert(summary.startsWith('Backtest 2025-06-01 to 2025-06-05'), 'the summary is printed when writing a file');
+    assert(summary.includes(`Report written to ${csvPath}`));
+    const csv = fs.readFileSync(csvPath, 'utf8').trim().split('\n');
+    assert(csv[0].startsWith('date,asset,action'), 'CSV has a header row');
+    assert(csv.length > 1, 'CSV has a row per recommendation');
+
+    assert.throws(() => execFileSync(process.execPath, ['scripts/backtest.js', '--format', 'xml'], {
+      cwd: ROOT,
+      timeout: 30000,
+      stdio: 'pipe'
+    }), error => error.status === 1 && error.stderr.toString().includes('--prices is required'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('✅ Backtest script tests passed\n');
+}
+
+async function runBacktestTests() {
+  console.log('🚀 Starting Backtest Tests\n');
+
+  try {
+    await testPriceHistory();
+    await testReport();
+    await testCsv();
+    await testAnalyzerReplay();
+    await testCli();
+    console.log('✨ All backtest tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 Backtest test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runBacktestTests();
+}
+
+module.exports = {
+  testPriceHistory,
+  testReport,
+  testCsv,
+  testAnalyzerReplay,
+  testCli,
+  runBacktestTests
+};
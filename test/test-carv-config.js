@@ -28,9 +28,13 @@ async function testCARVConfiguration() {
     
     const newsServiceInstance = new (require('../src/services/newsService').constructor)();
     console.log(`   News service initialized: ✅ Yes`);
-    console.log(`   Base URL: ${newsServiceInstance.baseURL}`);
-    console.log(`   Endpoint: ${newsServiceInstance.newsEndpoint}`);
-    console.log(`   Auth token available: ${!!newsServiceInstance.authToken ? '✅ Yes' : '❌ No'}`);
+    const carvSource = newsServiceInstance.sources.find(source => source.name === 'carv');
+    console.log(`   News sources: ${newsServiceInstance.sources.map(source => `${source.name} (weight ${source.weight})`).join(', ')}`);
+    if (carvSource) {
+      console.log(`   Base URL: ${carvSource.baseURL}`);
+      console.log(`   Endpoint: ${carvSource.newsEndpoint}`);
+      console.log(`   Auth token available: ${!!carvSource.authToken ? '✅ Yes' : '❌ No'}`);
+    }
     console.log('');
 
     // Test 3: Test API connection (if token available)
@@ -0,0 +1,214 @@
+const assert = require('assert');
+
+// The OpenAI client refuses to start without a key; tests never reach the network
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const investmentAnalyzer = require('../src/services/investmentAnalyzer');
+const marketDataService = require('../src/services/marketDataService');
+const newsService = require('../src/services/newsService');
+const { NewsArchive } = require('../src/services/newsArchive');
+const { config } = require('../src/config/config');
+
+/**
+ * Test script for numeric recommendation confidence (runs offline)
+ * Run with: node test/test-confidence.js
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2025-06-10T12:00:00.000Z');
+
+const article = (title, outlet, hoursAgo = 0) => ({
+  title,
+  summary: '',
+  url: `https://${outlet}/${encodeURIComponent(title)}`,
+  source: 'test',
+  publishedAt: new Date(NOW - hoursAgo * HOUR_MS).toISOString()
+});
+
+// Ethereum comes first but has the weaker case: one outlet only
+const NEWS = [
+  article('Ethereum soars on staking demand', 'alpha.com', 1),
+  article('Ethereum upgrade brings strong gains for validators', 'alpha.com', 3),
+  article('Bitcoin rallies to a record high', 'alpha.com'),
+  article('Spot bitcoin ETF inflows surge', 'beta.com', 2),
+  article('Bitcoin miners post strong gains', 'gamma.com', 4),
+  article('Bitcoin exchange hacked, funds stolen', 'gamma.com', 6),
+  article('Solana outage: network crash halts blocks', 'beta.com', 2),
+  article('Solana rallies after upgrade', 'alpha.com', 5)
+];
+
+async function testConfidenceScore() {
+  console.log('🧪 Testing confidence scores...');
+
+  // 0.35 * 0.5 + 0.25 * 1 + 0.15 * 1 + 0.25 * 1
+  const strong = investmentAnalyzer.getConfidence({ positive: 3, negative: 1, neutral: 0, sources: 3, recency: 1, agreement: 1 });
+  assert.deepStrictEqual(strong, {
+    score: 0.83,
+    level: 'high',
+    factors: { margin: 0.5, diversity: 1, recency: 1, agreement: 1 }
+  });
+
+  // A tie has no margin, and old news from one outlet adds little
+  const weak = investmentAnalyzer.getConfidence({ positive: 1, negative: 1, neutral: 0, sources: 1, recency: 0.2, agreement: 0.5 });
+  assert.deepStrictEqual(weak.factors, { margin: 0, diversity: 0.333, recency: 0.2, agreement: 0.5 });
+  assert.strictEqual(weak.score, 0.24);
+  assert.strictEqual(weak.level, 'low');
+
+  const empty = investmentAnalyzer.getConfidence({ positive: 0, negative: 0, neutral: 0 });
+  assert.deepStrictEqual(empty.factors, { margin: 0, diversity: 0, recency: 1, agreement: 0.5 });
+
+  assert.strictEqual(investmentAnalyzer.getConfidenceLevel(0.75), 'high');
+  assert.strictEqual(investmentAnalyzer.getConfidenceLevel(0.74), 'medium');
+  assert.strictEqual(investmentAnalyzer.getConfidenceLevel(0.5), 'medium');
+  assert.strictEqual(investmentAnalyzer.getConfidenceLevel(0.49), 'low');
+  assert.strictEqual(investmentAnalyzer.getConfidenceLevel(0), 'low');
+
+  console.log('✅ Confidence score tests passed\n');
+}
+
+async function testSignals() {
+  console.log('🧪 Testing source diversity, agreement and recency...');
+
+  const originalHalfLife = investmentAnalyzer.halfLifeHours;
+  try {
+    investmentAnalyzer.halfLifeHours = 0;
+    const analysis = investmentAnalyzer.analyzeNewsSentiment(NEWS, '', { weightBySources: false });
+    const pick = ({ sources, recency, agreement }) => ({ sources, recency, agreement });
+
+    // gamma.com ran one positive and one negative bitcoin story, so it sides with neither
+    assert.deepStrictEqual(pick(analysis.assets.bitcoin), { sources: 3, recency: 1, agreement: 0.667 });
+    assert.deepStrictEqual(pick(analysis.assets.ethereum), { sources: 1, recency: 1, agreement: 0.5 });
+    assert.deepStrictEqual(pick(analysis.assets.solana), { sources: 2, recency: 1, agreement: 0 });
+    assert.deepStrictEqual(pick(analysis.overall), { sources: 3, recency: 1, agreement: 0.333 });
+
+    // Coverage a half-life older than the newest story counts half as recent
+    investmentAnalyzer.halfLifeHours = 24;
+    const decayed = investmentAnalyzer.analyzeNewsSentiment([
+      article('Cardano rallies on upgrade', 'alpha.com', 24),
+      article('Cardano adoption grows across Africa', 'beta.com')
+    ], '', { weightBySources: false, now: NOW });
+    assert.strictEqual(decayed.assets.cardano.recency, 0.75);
+
+    // Recency is measured from now, not from the newest story: a week-old batch is stale
+    const fresh = investmentAnalyzer.analyzeNewsSentiment(NEWS, '', { weightBySources: false, now: NOW });
+    const stale = investmentAnalyzer.analyzeNewsSentiment(NEWS, '', { weightBySources: false, now: NOW + 7 * 24 * HOUR_MS });
+    assert.ok(stale.assets.bitcoin.recency < 0.01);
+    assert.strictEqual(stale.assets.bitcoin.score, fresh.assets.bitcoin.score, 'averages are unchanged');
+    assert.ok(investmentAnalyzer.getConfidence(stale.assets.bitcoin).score < investmentAnalyzer.getConfidence(fresh.assets.bitcoin).score);
+  } finally {
+    investmentAnalyzer.halfLifeHours = originalHalfLife;
+  }
+
+  console.log('✅ Signal tests passed\n');
+}
+
+async function testRanking() {
+  console.log('🧪 Testing sorting and filtering by confidence...');
+
+  const originalHalfLife = investmentAnalyzer.halfLifeHours;
+  try {
+    investmentAnalyzer.halfLifeHours = 0;
+    const analysis = investmentAnalyzer.analyzeNewsSentiment(NEWS, '', { weightBySources: false });
+    const summarize = recommendations => recommendations.map(rec => [rec.asset, rec.action, rec.confidence, rec.confidenceLevel]);
+
+    // The market call leads; assets follow by confidence, not by the order they were found in
+    const recommendations = investmentAnalyzer.generateRecommendations(analysis);
+    assert.deepStrictEqual(summarize(recommendations), [
+      ['Overall Market', 'BUY', 0.66, 'medium'],
+      ['BITCOIN', 'BUY', 0.74, 'medium'],
+      ['ETHEREUM', 'BUY', 0.71, 'medium'],
+      ['SOLANA', 'HOLD', 0.32, 'low']
+    ]);
+    assert.deepStrictEqual(recommendations[1].confidenceFactors, { margin: 0.5, diversity: 1, recency: 1, agreement: 0.667 });
+    assert.strictEqual(config.recommendations.minConfidence, 0.25);
+
+    const confident = investmentAnalyzer.generateRecommendations(analysis, {}, { minConfidence: 0.5 });
+    assert.deepStrictEqual(confident.map(rec => rec.asset), ['Overall Market', 'BITCOIN', 'ETHEREUM']);
+  } finally {
+    investmentAnalyzer.halfLifeHours = originalHalfLife;
+  }
+
+  console.log('✅ Ranking tests passed\n');
+}
+
+async function testFormatting() {
+  console.log('🧪 Testing confidence in replies...');
+
+  const originalHalfLife = investmentAnalyzer.halfLifeHours;
+  const originalArchive = newsService.archive;
+  const originalProvider = marketDataService.provider;
+  const originalMinConfidence = config.recommendations.minConfidence;
+  investmentAnalyzer.halfLifeHours = 0;
+  newsService.archive = new NewsArchive();
+  newsService.setCache('latest_news', NEWS);
+  marketDataService.provider = null;
+  marketDataService.clearCache();
+
+  try {
+    const analysis = investmentAnalyzer.analyzeNewsSentiment(NEWS, '', { weightBySources: false });
+    const overview = investmentAnalyzer.formatInvestmentResponse(analysis, investmentAnalyzer.generateRecommendations(analysis));
+    assert.ok(overview.includes('2. 🟢 **BUY BITCOIN** ⚡\n'));
+    assert.ok(overview.includes('   Confidence: medium (0.74)\n'));
+    assert.ok(overview.includes('4. 🟡 **HOLD SOLANA** 💡\n'));
+    assert.ok(overview.includes('   Confidence: low (0.32)\n'));
+
+    const bitcoin = await investmentAnalyzer.getAssetRecommendation('bitcoin');
+    assert.ok(bitcoin.includes('**Confidence:** MEDIUM (0.74)\n' +
+      'Sentiment margin 0.50, source diversity 1.00, recency 1.00, source agreement 0.67\n'));
+
+    // An asset asked for by name is shown even below the overview's cut-off
+    config.recommendations.minConfidence = 0.5;
+    const solana = await investmentAnalyzer.getAssetRecommendation('solana');
+    assert.ok(solana.includes('**Recommendation: HOLD** 💡'));
+    assert.ok(solana.includes('**Confidence:** LOW (0.32)'));
+
+    // Four assets mentioned alongside solana outrank it, but it is still the one analyzed
+    newsService.setCache('latest_news', [
+      article('Bitcoin and ether rally to record highs as solana follows', 'alpha.com'),
+      article('Cardano and polkadot post strong gains, solana joins', 'beta.com', 1),
+      article('Spot bitcoin ETF inflows surge while ether and solana climb', 'gamma.com', 2),
+      article('Polkadot parachain upgrade wins praise; cardano and solana soar', 'delta.com', 3),
+      article('Solana outage: network crash halts blocks', 'alpha.com', 4),
+      article('Solana validators hit by exploit, losses mount', 'beta.com', 5)
+    ]);
+    const crowded = await investmentAnalyzer.getAssetRecommendation('solana');
+    assert.ok(crowded.includes('**Recommendation: '), crowded);
+    assert.ok(!crowded.includes('Not enough recent news data'));
+  } finally {
+    investmentAnalyzer.halfLifeHours = originalHalfLife;
+    newsService.archive = originalArchive;
+    marketDataService.provider = originalProvider;
+    config.recommendations.minConfidence = originalMinConfidence;
+    newsService.clearCache();
+  }
+
+  console.log('✅ Formatting tests passed\n');
+}
+
+async function runConfidenceTests() {
+  console.log('🚀 Starting Confidence Tests\n');
+
+  try {
+    await testConfidenceScore();
+    await testSignals();
+    await testRanking();
+    await testFormatting();
+    console.log('✨ All confidence tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 Confidence test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runConfidenceTests();
+}
+
+module.exports = {
+  testConfidenceScore,
+  testSignals,
+  testRanking,
+  testFormatting,
+  runConfidenceTests
+};
@@ -0,0 +1,205 @@
+const assert = require('assert');
+
+// The OpenAI client refuses to start without a key; tests never reach the network
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const aiService = require('../src/services/aiService');
+const ContextWindow = require('../src/services/contextWindow');
+const { MemoryHistoryStore } = require('../src/services/historyStore');
+const { estimateTokens, countMessagesTokens, getContextWindow } = require('../src/utils/tokenCounter');
+
+/**
+ * Test script for the token-budgeted context window and rolling summaries (runs offline)
+ * Run with: node test/test-context.js
+ */
+
+/**
+ * Provider that answers chat requests and summary requests differently
+ */
+class RecordingProvider {
+  constructor() {
+    this.requests = [];
+  }
+
+  supportsTools() {
+    return false;
+  }
+
+  supportsStreaming() {
+    return false;
+  }
+
+  async generateCompletion(messages, options = {}) {
+    this.requests.push({ messages, options });
+    const isSummary = messages[0].content.startsWith('You maintain a compact memory');
+    const content = isSummary ? `User follows solana and bitcoin (summary ${this.requests.length})` : 'ok';
+    return { content, toolCalls: [], finishReason: 'stop', usage: null };
+  }
+}
+
+function exchange(index, length = 40) {
+  return [
+    { role: 'user', content: `question ${index} ${'q'.repeat(length)}` },
+    { role: 'assistant', content: `answer ${index} ${'a'.repeat(length)}` }
+  ];
+}
+
+async function testTokenCounting() {
+  console.log('🔢 Testing token estimates...');
+
+  assert.strictEqual(estimateTokens('', 'gpt-4o'), 0);
+  assert.strictEqual(estimateTokens('a'.repeat(400), 'gpt-4o'), 100);
+  // Claude and unknown models count more conservatively
+  assert.ok(estimateTokens('a'.repeat(400), 'claude-3-5-sonnet-20241022') > 100);
+  // Non-ASCII characters cost at least a token each
+  assert.ok(estimateTokens('🚀🚀🚀🚀', 'gpt-4o') >= 4);
+
+  assert.strictEqual(getContextWindow('gpt-3.5-turbo'), 16385);
+  assert.strictEqual(getContextWindow('llama3.1'), 128000);
+  assert.strictEqual(getContextWindow('some-unknown-model'), 8192);
+
+  const messages = [{ role: 'user', content: 'a'.repeat(40) }];
+  assert.strictEqual(countMessagesTokens(messages, 'gpt-4o'), 3 + 4 + 10);
+  console.log('✅ Tokens estimated per model family\n');
+}
+
+async function testBudget() {
+  console.log('📏 Testing history trimming to the budget...');
+
+  const window = new ContextWindow({ models: ['gpt-4o', 'llama3'], maxContextTokens: 100000, reservedTokens: 1000 });
+  // The smallest window in the chain wins (llama3: 8192)
+  assert.strictEqual(window.getBudget(), 8192 - 1000);
+
+  const small = new ContextWindow({ models: ['gpt-4o'], maxContextTokens: 120 });
+  const history = [...exchange(1, 100), ...exchange(2, 100), ...exchange(3, 20)];
+  const { messages, droppedMessages, promptTokens } = small.buildMessages('system prompt', null, history, 'new question');
+
+  assert.ok(promptTokens <= 120);
+  assert.strictEqual(droppedMessages, 2);
+  assert.strictEqual(messages[0].role, 'system');
+  assert.ok(messages[1].content.startsWith('question 2'));
+  assert.strictEqual(messages[messages.length - 1].content, 'new question');
+
+  // History is only cut at user messages so tool results keep their call
+  const withTools = [
+    { role: 'user', content: 'news?' },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'search_news', arguments: '{}' } }] },
+    { role: 'tool', tool_call_id: 'c1', content: 'x'.repeat(2000) },
+    { role: 'assistant', content: 'done' }
+  ];
+  const tight = small.buildMessages('system prompt', null, withTools, 'follow up');
+  assert.ok(tight.messages.every(message => message.role !== 'tool'));
+  assert.strictEqual(tight.droppedMessages, 4);
+
+  // The memory message follows the system prompt
+  const withMemory = small.buildMessages('system prompt', 'likes ETH', [], 'hi');
+  assert.strictEqual(withMemory.messages[1].role, 'system');
+  assert.ok(withMemory.messages[1].content.includes('likes ETH'));
+  console.log('✅ Oldest exchanges dropped to fit the budget\n');
+}
+
+async function testSummaryThresholds() {
+  console.log('🧮 Testing summary thresholds...');
+
+  const window = new ContextWindow({
+    models: ['gpt-4o'],
+    summary: { thresholdMessages: 8, thresholdTokens: 200, keepRecentMessages: 4 }
+  });
+
+  assert.ok(!window.shouldSummarize([...exchange(1), ...exchange(2)]));
+  assert.ok(window.shouldSummarize([1, 2, 3, 4].flatMap(i => exchange(i))));
+  assert.ok(window.shouldSummarize([...exchange(1, 500), ...exchange(2, 500), ...exchange(3)]));
+
+  const history = [1, 2, 3, 4].flatMap(i => exchange(i));
+  const { older, recent } = window.splitForSummary(history);
+  assert.strictEqual(older.length, 4);
+  assert.strictEqual(recent[0].role, 'user');
+
+  // The recent part is moved forward to the next user message
+  const uneven = [...exchange(1), { role: 'user', content: 'q2' }, { role: 'assistant', content: null, tool_calls: [] },
+    { role: 'tool', content: 'r' }, { role: 'assistant', content: 'a2' }, ...exchange(3)];
+  assert.strictEqual(window.splitForSummary(uneven).recent[0].content.startsWith('question 3'), true);
+
+  assert.ok(!new ContextWindow({ summary: { enabled: false, thresholdMessages: 2 } }).shouldSummarize(history));
+  console.log('✅ Summaries triggered by message count or tokens\n');
+}
+
+async function testRollingSummary() {
+  console.log('🧠 Testing rolling summarization...');
+
+  const originalProvider = aiService.provider;
+  const originalStore = aiService.historyStore;
+  const originalWindow = aiService.contextWindow;
+  const provider = new RecordingProvider();
+  const userId = 'context-test-user';
+
+  aiService.provider = provider;
+  aiService.historyStore = new MemoryHistoryStore({ maxMessagesPerUser: 50 });
+  aiService.contextWindow = new ContextWindow({
+    models: ['gpt-4o'],
+    summary: { thresholdMessages: 8, thresholdTokens: 100000, keepRecentMessages: 4 }
+  });
+
+  try {
+    // Plain chat messages so the intent router does not answer from news
+    for (let i = 1; i <= 3; i++) {
+      await aiService.generateResponse(userId, `hello number ${i}`);
+    }
+    assert.strictEqual(aiService.pendingSummaries.size, 0);
+
+    await aiService.generateResponse(userId, 'hello number 4');
+    assert.ok(aiService.pendingSummaries.has(userId));
+    const summary = await aiService.pendingSummaries.get(userId);
+
+    assert.ok(summary.startsWith('User follows solana'));
+    assert.strictEqual(aiService.historyStore.getSummary(userId), summary);
+    assert.deepStrictEqual(aiService.getConversationHistory(userId).map(m => m.content),
+      ['hello number 3', 'ok', 'hello number 4', 'ok']);
+
+    // The summary request includes the older turns
+    const summaryRequest = provider.requests[provider.requests.length - 1];
+    assert.ok(summaryRequest.messages[1].content.includes('User: hello number 1'));
+    assert.strictEqual(summaryRequest.options.maxTokens, 300);
+
+    // The next prompt carries the memory message
+    await aiService.generateResponse(userId, 'what did we discuss?');
+    const nextPrompt = provider.requests[provider.requests.length - 1].messages;
+    assert.ok(nextPrompt[1].content.includes(summary));
+
+    // A history change during summarization is not overwritten
+    aiService.historyStore.set(userId, [1, 2, 3, 4].flatMap(i => exchange(i)));
+    const pending = aiService.scheduleSummary(userId);
+    aiService.clearConversationHistory(userId);
+    assert.strictEqual(await pending, null);
+    assert.deepStrictEqual(aiService.getConversationHistory(userId), []);
+    console.log('✅ Older turns folded into a stored memory message\n');
+
+  } finally {
+    aiService.provider = originalProvider;
+    aiService.historyStore = originalStore;
+    aiService.contextWindow = originalWindow;
+  }
+}
+
+async function runContextTests() {
+  console.log('🚀 Starting Context Window Tests\n');
+
+  try {
+    await testTokenCounting();
+    await testBudget();
+    await testSummaryThresholds();
+    await testRollingSummary();
+    console.log('✨ All context window tests completed successfully!');
+    aiService.stop();
+  } catch (error) {
+    console.error('\n💥 Context window test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runContextTests();
+}
+
+module.exports = { testTokenCounting, testBudget, testSummaryThresholds, testRollingSummary, runContextTests };
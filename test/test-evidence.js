@@ -0,0 +1,319 @@
+const assert = require('assert');
+
+// The OpenAI client refuses to start without a key; tests never reach the network
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const MessageHandler = require('../src/handlers/messageHandler');
+const investmentAnalyzer = require('../src/services/investmentAnalyzer');
+const llmSentiment = require('../src/services/llmSentiment');
+const marketDataService = require('../src/services/marketDataService');
+const newsService = require('../src/services/newsService');
+const { NewsArchive } = require('../src/services/newsArchive');
+const { parseEvidenceCallback, isEvidenceCallback, buildEvidenceKeyboard } = require('../src/handlers/evidenceKeyboard');
+const rateLimiter = require('../src/utils/rateLimiter');
+
+/**
+ * Test script for cited evidence behind recommendations (runs offline)
+ * Run with: node test/test-evidence.js
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2025-06-10T12:00:00.000Z');
+
+const article = (title, outlet, hoursAgo = 0) => ({
+  title,
+  summary: '',
+  url: `https://${outlet}/${encodeURIComponent(title)}`,
+  source: 'test',
+  publishedAt: new Date(NOW - hoursAgo * HOUR_MS).toISOString()
+});
+
+const NEWS = [
+  article('Bitcoin rallies to a record high', 'alpha.com'),
+  article('Spot bitcoin ETF inflows surge', 'beta.com', 2),
+  article('Bitcoin exchange hacked, funds stolen', 'gamma.com', 6),
+  article('Bitcoin [BTC] hash rate steady this week', 'delta.com', 8),
+  article('Solana outage: network crash halts blocks', 'beta.com', 2),
+  article('Solana rallies after upgrade', 'alpha.com', 5)
+];
+
+/**
+ * Fake Telegram bot that records sent messages and callback answers
+ */
+class FakeBot {
+  constructor() {
+    this.sent = [];
+    this.answers = [];
+  }
+
+  async sendChatAction() {}
+
+  async sendMessage(chatId, text, options = {}) {
+    this.sent.push({ chatId, text, options });
+    return { message_id: this.sent.length, chat: { id: chatId } };
+  }
+
+  async answerCallbackQuery(id, options = {}) {
+    this.answers.push({ id, options });
+  }
+}
+
+/**
+ * Run a test with NEWS as the live feed, no market data and no time decay
+ */
+async function withNews(callback) {
+  const originalHalfLife = investmentAnalyzer.halfLifeHours;
+  const originalArchive = newsService.archive;
+  const originalProvider = marketDataService.provider;
+  investmentAnalyzer.halfLifeHours = 0;
+  newsService.archive = new NewsArchive();
+  newsService.setCache('latest_news', NEWS);
+  marketDataService.provider = null;
+  marketDataService.clearCache();
+
+  try {
+    await callback();
+  } finally {
+    investmentAnalyzer.halfLifeHours = originalHalfLife;
+    newsService.archive = originalArchive;
+    marketDataService.provider = originalProvider;
+    newsService.clearCache();
+  }
+}
+
+async function testCollection() {
+  console.log('🧪 Testing evidence collection...');
+
+  // Lexicon results name the terms they matched
+  assert.deepStrictEqual(llmSentiment.scoreWithLexicon(NEWS[0]).terms, ['rallies', 'record high']);
+
+  await withNews(async () => {
+    const analysis = investmentAnalyzer.analyzeNewsSentiment(NEWS, '', { weightBySources: false });
+    const bitcoin = analysis.assets.bitcoin.evidence;
+
+    assert.strictEqual(bitcoin.length, 4, 'one item per article');
+    assert.deepStrictEqual(bitcoin[0], {
+      title: 'Bitcoin rallies to a record high',
+      url: NEWS[0].url,
+      source: 'alpha.com',
+      publishedAt: NEWS[0].publishedAt,
+      score: bitcoin[0].score,
+      label: 'positive',
+      terms: ['rallies', 'record high'],
+      rationale: null
+    });
+    assert.strictEqual(analysis.overall.evidence.length, NEWS.length);
+
+    const [recommendation] = investmentAnalyzer.generateRecommendations(analysis)
+      .filter(rec => rec.asset === 'BITCOIN');
+    const { supporting, contradicting, neutral } = recommendation.evidence;
+    assert.strictEqual(recommendation.action, 'BUY');
+    assert.deepStrictEqual(supporting.map(item => item.source), ['alpha.com', 'beta.com']);
+    assert.ok(supporting[0].score >= supporting[1].score, 'strongest first');
+    assert.deepStrictEqual(contradicting.map(item => item.source), ['gamma.com']);
+    assert.deepStrictEqual(neutral.map(item => item.source), ['delta.com']);
+
+    // Against a HOLD, clear moves either way contradict and neutral news supports
+    const hold = investmentAnalyzer.buildEvidence(bitcoin, 'neutral');
+    assert.deepStrictEqual(hold.supporting.map(item => item.source), ['delta.com']);
+    assert.strictEqual(hold.contradicting.length, 3);
+
+    const sell = investmentAnalyzer.buildEvidence(bitcoin, 'negative');
+    assert.deepStrictEqual(sell.supporting.map(item => item.source), ['gamma.com']);
+    assert.strictEqual(sell.contradicting.length, 2);
+
+    // A model's per-asset rationale stands in for lexicon terms
+    const sentiments = new Map(NEWS.map(item => [llmSentiment.hashArticle(item), {
+      score: 0.5,
+      label: 'positive',
+      assets: { bitcoin: { score: -0.6, rationale: 'Outflows expected after the rally' } },
+      source: 'llm'
+    }]));
+    const llm = investmentAnalyzer.analyzeNewsSentiment(NEWS.slice(0, 1), '', { weightBySources: false, sentiments });
+    assert.deepStrictEqual(llm.assets.bitcoin.evidence.map(({ score, terms, rationale }) => ({ score, terms, rationale })), [
+      { score: -0.6, terms: [], rationale: 'Outflows expected after the rally' }
+    ]);
+    assert.strictEqual(llm.overall.evidence[0].rationale, null, 'the market view has no per-asset rationale');
+  });
+
+  console.log('✅ Evidence collection tests passed\n');
+}
+
+async function testFormatting() {
+  console.log('🧪 Testing evidence in replies...');
+
+  await withNews(async () => {
+    const analysis = investmentAnalyzer.analyzeNewsSentiment(NEWS, '', { weightBySources: false });
+    const recommendations = investmentAnalyzer.generateRecommendations(analysis);
+    const bitcoin = recommendations.find(rec => rec.asset === 'BITCOIN');
+    const alpha = `[Bitcoin rallies to a record high](${NEWS[0].url})`;
+    const gamma = `[Bitcoin exchange hacked, funds stolen](${NEWS[2].url})`;
+
+    // The overview links the strongest headline on each side
+    const overview = investmentAnalyzer.formatInvestmentResponse(analysis, recommendations);
+    const bitcoinBlock = overview.slice(overview.indexOf('**BUY BITCOIN**'));
+    assert.ok(bitcoinBlock.includes(`   👍 ${alpha} ${investmentAnalyzer.formatScore(bitcoin.evidence.supporting[0].score)}\n`));
+    assert.ok(bitcoinBlock.includes(`   👎 ${gamma} `));
+    assert.ok(!bitcoinBlock.split('\n\n')[0].includes('beta.com'), 'one headline per side');
+
+    // The asset view adds the outlet and matched terms
+    const view = investmentAnalyzer.formatAssetRecommendation(bitcoin, analysis.assets.bitcoin, analysis.scoring);
+    assert.ok(view.includes(`**Evidence:**\n👍 ${alpha} `));
+    assert.ok(view.includes(' (alpha.com: rallies, record high)\n👍 [Spot bitcoin ETF inflows surge]'));
+    assert.ok(view.includes(`👎 ${gamma} `));
+    assert.ok(!view.includes('delta.com'), 'neutral news is left for the full list');
+
+    // Brackets are dropped from link text
+    const neutral = investmentAnalyzer.formatEvidenceItem(bitcoin.evidence.neutral[0], true);
+    assert.ok(neutral.startsWith(`[Bitcoin BTC hash rate steady this week](${NEWS[3].url}) `));
+
+    // Other Markdown characters in titles, outlets and rationales are escaped
+    const marked = investmentAnalyzer.formatEvidenceItem({
+      title: '*Breaking*: `BTC` hits_new_high [update]',
+      url: 'https://alpha.com/btc',
+      source: 'my_news.com',
+      score: 0.5,
+      terms: [],
+      rationale: 'ETF *inflows*'
+    }, true);
+    assert.strictEqual(marked,
+      '[\\*Breaking\\*: \\`BTC\\` hits\\_new\\_high update](https://alpha.com/btc) +0.50 (my\\_news.com: ETF \\*inflows\\*)');
+
+    const [full] = investmentAnalyzer.formatEvidence({ title: 'BITCOIN Analysis', recommendations: [bitcoin] });
+    assert.ok(full.startsWith('📑 **Evidence: BUY BITCOIN**\n\n👍 Supporting (2):\n1. [Bitcoin rallies'));
+    assert.ok(full.includes('\n👎 Contradicting (1):\n1. [Bitcoin exchange hacked'));
+    assert.ok(full.includes('\n➖ Neutral (1):\n1. [Bitcoin BTC hash rate'));
+
+    const [empty] = investmentAnalyzer.formatEvidence({
+      title: 'Test',
+      recommendations: [{ asset: 'SOLANA', action: 'HOLD', evidence: { supporting: [], contradicting: [], neutral: [] } }]
+    });
+    assert.strictEqual(empty, '📑 **Evidence: HOLD SOLANA**\n\nNo articles behind this recommendation.');
+  });
+
+  console.log('✅ Evidence formatting tests passed\n');
+}
+
+async function testStore() {
+  console.log('🧪 Testing the evidence store...');
+
+  const originalStore = investmentAnalyzer.evidenceStore;
+  investmentAnalyzer.evidenceStore = new Map();
+
+  try {
+    const first = investmentAnalyzer.storeEvidence('First', [{ asset: 'BITCOIN', action: 'BUY', evidence: null, reasoning: 'x' }]);
+    assert.deepStrictEqual(investmentAnalyzer.getEvidence(first), {
+      title: 'First',
+      recommendations: [{ asset: 'BITCOIN', action: 'BUY', evidence: null }]
+    });
+
+    for (let i = 0; i < 200; i++) {
+      investmentAnalyzer.storeEvidence('Filler', []);
+    }
+    assert.strictEqual(investmentAnalyzer.evidenceStore.size, 200);
+    assert.strictEqual(investmentAnalyzer.getEvidence(first), null, 'the oldest report is dropped');
+    assert.strictEqual(investmentAnalyzer.getEvidence('nope'), null);
+
+    const keyboard = buildEvidenceKeyboard('1f');
+    assert.deepStrictEqual(keyboard, { inline_keyboard: [[{ text: '📑 Show all evidence', callback_data: 'evidence:1f' }]] });
+    assert.strictEqual(parseEvidenceCallback('evidence:1f'), '1f');
+    assert.strictEqual(parseEvidenceCallback('evidence:../x'), null);
+    assert.strictEqual(parseEvidenceCallback('news:all:1'), null);
+    assert.ok(isEvidenceCallback('evidence:zz'));
+    assert.ok(!isEvidenceCallback('news:all:1'));
+  } finally {
+    investmentAnalyzer.evidenceStore = originalStore;
+  }
+
+  console.log('✅ Evidence store tests passed\n');
+}
+
+async function testButton() {
+  console.log('🧪 Testing the "Show all evidence" button...');
+
+  await withNews(async () => {
+    const bot = new FakeBot();
+    const handler = new MessageHandler(bot);
+    const press = (data, id) => handler.handleCallbackQuery({
+      id,
+      data,
+      from: { id: 1 },
+      message: { chat: { id: 7 }, message_id: 1 }
+    });
+
+    await handler.handleCommand(7, '1', '/invest', 'tester');
+    const invest = bot.sent[0];
+    assert.strictEqual(invest.options.parse_mode, 'Markdown');
+    assert.strictEqual(invest.options.disable_web_page_preview, true);
+    const investButton = invest.options.reply_markup.inline_keyboard[0][0];
+    assert.strictEqual(investButton.text, '📑 Show all evidence');
+
+    await press(investButton.callback_data, 'q1');
+    assert.deepStrictEqual(bot.answers[0], { id: 'q1', options: {} });
+    const evidence = bot.sent.slice(1).map(message => message.text);
+    assert.ok(evidence[0].startsWith('📑 **Evidence: BUY Overall Market**'));
+    assert.ok(evidence.some(text => text.startsWith('📑 **Evidence: BUY BITCOIN**')));
+    assert.ok(bot.sent.slice(1).every(message => message.chatId === 7 && message.options.parse_mode === 'Markdown'));
+
+    await handler.handleCommand(7, '1', '/analyze bitcoin', 'tester');
+    const analyze = bot.sent[bot.sent.length - 1];
+    assert.ok(analyze.text.includes('**Evidence:**'));
+    const sentBefore = bot.sent.length;
+    await press(analyze.options.reply_markup.inline_keyboard[0][0].callback_data, 'q2');
+    assert.strictEqual(bot.sent.length, sentBefore + 1, 'one message for the asset');
+    assert.ok(bot.sent[sentBefore].text.startsWith('📑 **Evidence: BUY BITCOIN**'));
+
+    // No recommendation, no button
+    await handler.handleCommand(7, '1', '/analyze cardano', 'tester');
+    assert.ok(bot.sent[bot.sent.length - 1].text.includes('Not enough recent news data for CARDANO'));
+    assert.strictEqual(bot.sent[bot.sent.length - 1].options.reply_markup, undefined);
+    const originalReport = investmentAnalyzer.buildInvestmentReport;
+    investmentAnalyzer.buildInvestmentReport = async () => ({ text: '📊 Nothing to cite', evidenceId: null });
+    try {
+      await handler.handleCommand(7, '1', '/invest', 'tester');
+      assert.strictEqual(bot.sent[bot.sent.length - 1].options.reply_markup, undefined);
+    } finally {
+      investmentAnalyzer.buildInvestmentReport = originalReport;
+    }
+
+    // Evidence that was dropped (or lost in a restart) gets an explanation
+    const sentCount = bot.sent.length;
+    await press('evidence:zzzz', 'q3');
+    assert.strictEqual(bot.sent.length, sentCount);
+    assert.deepStrictEqual(bot.answers[bot.answers.length - 1], {
+      id: 'q3',
+      options: { text: '📑 This evidence is no longer available. Run the analysis again for fresh evidence.' }
+    });
+  });
+
+  console.log('✅ Evidence button tests passed\n');
+}
+
+async function runEvidenceTests() {
+  console.log('🚀 Starting Evidence Tests\n');
+
+  try {
+    await testCollection();
+    await testFormatting();
+    await testStore();
+    await testButton();
+    console.log('✨ All evidence tests completed successfully!');
+    rateLimiter.stop(); // Let the process exit
+  } catch (error) {
+    console.error('\n💥 Evidence test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runEvidenceTests();
+}
+
+module.exports = {
+  testCollection,
+  testFormatting,
+  testStore,
+  testButton,
+  runEvidenceTests
+};
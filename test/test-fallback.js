@@ -0,0 +1,235 @@
+const assert = require('assert');
+const { FallbackProvider } = require('../src/services/providerChain');
+const { BaseAIProvider, AIProviderFactory } = require('../src/services/aiProviders');
+const CircuitBreaker = require('../src/utils/circuitBreaker');
+const { getBackoffDelay, isCallerError, isRetryableError } = require('../src/utils/retry');
+
+/**
+ * Test script for the AI provider fallback chain (runs offline)
+ * Run with: node test/test-fallback.js
+ */
+
+function httpError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Provider that fails with queued errors before answering
+ */
+class FlakyProvider extends BaseAIProvider {
+  constructor(name, failures = []) {
+    super({});
+    this.name = name;
+    this.failures = failures;
+    this.calls = 0;
+  }
+
+  async generateResponse() {
+    this.calls++;
+    if (this.failures.length > 0) {
+      throw this.failures.shift();
+    }
+    return `answer from ${this.name}`;
+  }
+}
+
+function createChain(providers, options = {}) {
+  const delays = [];
+  const chain = new FallbackProvider(
+    providers.map(provider => ({ name: provider.name, provider })),
+    {
+      retry: { retries: 2, baseDelayMs: 100, maxDelayMs: 1000 },
+      circuitBreaker: { failureThreshold: 2, cooldownMs: 1000, ...options.circuitBreaker },
+      sleep: async (ms) => { delays.push(ms); }
+    }
+  );
+  return { chain, delays };
+}
+
+async function testRetryAndFallback() {
+  console.log('🔁 Testing retries and fallback...');
+
+  // Transient errors are retried on the same provider
+  const primary = new FlakyProvider('primary', [httpError(429), httpError(503)]);
+  const secondary = new FlakyProvider('secondary');
+  const { chain, delays } = createChain([primary, secondary]);
+
+  const completion = await chain.generateCompletion([]);
+  assert.strictEqual(completion.content, 'answer from primary');
+  assert.strictEqual(completion.provider, 'primary');
+  assert.strictEqual(primary.calls, 3);
+  assert.strictEqual(secondary.calls, 0);
+  assert.strictEqual(delays.length, 2);
+  assert.ok(delays[0] >= 50 && delays[0] <= 100);
+  assert.ok(delays[1] >= 100 && delays[1] <= 200);
+
+  // Non-retryable errors go straight to the next provider
+  const broken = new FlakyProvider('broken', [httpError(401)]);
+  const backup = new FlakyProvider('backup');
+  const second = createChain([broken, backup]);
+  assert.strictEqual(await second.chain.generateResponse([]), 'answer from backup');
+  assert.strictEqual(broken.calls, 1);
+  assert.strictEqual(second.delays.length, 0);
+
+  // Exhausted retries fall back too
+  const down = new FlakyProvider('down', [httpError(500), httpError(500), httpError(500)]);
+  const third = createChain([down, new FlakyProvider('up')]);
+  assert.strictEqual((await third.chain.generateCompletion([])).provider, 'up');
+
+  // Every provider failing surfaces the last error
+  const fourth = createChain([new FlakyProvider('a', [httpError(400)]), new FlakyProvider('b', [httpError(403)])]);
+  await assert.rejects(() => fourth.chain.generateCompletion([]), /HTTP 403/);
+  console.log('✅ Transient errors retried, persistent ones fall back\n');
+}
+
+async function testCircuitBreaker() {
+  console.log('⚡ Testing circuit breaker...');
+
+  let clock = 0;
+  const breaker = new CircuitBreaker('test', { failureThreshold: 2, cooldownMs: 1000, now: () => clock });
+  assert.ok(breaker.canRequest());
+  breaker.recordFailure();
+  assert.ok(breaker.canRequest());
+  breaker.recordFailure();
+  assert.strictEqual(breaker.getStatus().state, 'open');
+  assert.ok(!breaker.canRequest());
+
+  clock = 1000;
+  assert.ok(breaker.canRequest()); // Trial request
+  assert.ok(!breaker.canRequest()); // Only one trial at a time
+  breaker.recordFailure();
+  assert.strictEqual(breaker.getStatus().state, 'open');
+
+  clock = 2500;
+  assert.ok(breaker.canRequest());
+  breaker.recordSuccess();
+  assert.strictEqual(breaker.getStatus().state, 'closed');
+
+  // An open circuit skips the provider entirely
+  const primary = new FlakyProvider('primary', Array.from({ length: 6 }, () => httpError(503)));
+  const secondary = new FlakyProvider('secondary');
+  const { chain } = createChain([primary, secondary]);
+  await chain.generateCompletion([]);
+  await chain.generateCompletion([]);
+  assert.strictEqual(chain.getStatus()[0].state, 'open');
+  await chain.generateCompletion([]);
+  assert.strictEqual(primary.calls, 6); // Two requests with two retries each
+  assert.strictEqual(secondary.calls, 3);
+
+  // Malformed prompts fall back without opening the circuit of a healthy provider
+  const strict = new FlakyProvider('strict', [httpError(400), httpError(400), httpError(413)]);
+  const lenient = new FlakyProvider('lenient');
+  const malformed = createChain([strict, lenient]);
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual((await malformed.chain.generateCompletion([])).provider, 'lenient');
+  }
+  assert.strictEqual(malformed.chain.getStatus()[0].state, 'closed');
+  assert.strictEqual((await malformed.chain.generateCompletion([])).provider, 'strict');
+
+  // The same holds for streams
+  const streaming = createChain([new FlakyProvider('strict', [httpError(400), httpError(400)]), new FlakyProvider('lenient')]);
+  for (let i = 0; i < 2; i++) {
+    const events = [];
+    for await (const event of streaming.chain.streamCompletion([])) {
+      events.push(event);
+    }
+    assert.strictEqual(events[events.length - 1].provider, 'lenient');
+  }
+  assert.strictEqual(streaming.chain.getStatus()[0].state, 'closed');
+
+  // A revoked key or unknown model is not a success: the circuit opens and stays open
+  const revoked = new FlakyProvider('revoked', [httpError(401), httpError(404), httpError(403)]);
+  const fallback = new FlakyProvider('fallback');
+  const misconfigured = createChain([revoked, fallback]);
+  await misconfigured.chain.generateCompletion([]);
+  await misconfigured.chain.generateCompletion([]);
+  assert.strictEqual(misconfigured.chain.getStatus()[0].state, 'open');
+  assert.strictEqual((await misconfigured.chain.generateCompletion([])).provider, 'fallback');
+  assert.strictEqual(revoked.calls, 2);
+
+  // A malformed request during the half-open trial frees the trial without closing the circuit
+  let now = 0;
+  const trial = new CircuitBreaker('trial', { failureThreshold: 1, cooldownMs: 1000, now: () => now });
+  trial.recordFailure();
+  now = 1000;
+  assert.ok(trial.canRequest());
+  trial.release();
+  assert.strictEqual(trial.getStatus().state, 'half-open');
+  assert.ok(trial.canRequest());
+  console.log('✅ Unhealthy providers skipped until cooldown\n');
+}
+
+async function testStreamingFallback() {
+  console.log('📡 Testing streaming fallback...');
+
+  const primary = new FlakyProvider('primary', [httpError(401)]);
+  const secondary = new FlakyProvider('secondary');
+  const { chain } = createChain([primary, secondary]);
+
+  const events = [];
+  for await (const event of chain.streamCompletion([])) {
+    events.push(event);
+  }
+  assert.strictEqual(events[0].text, 'answer from secondary');
+  assert.strictEqual(events[1].provider, 'secondary');
+  console.log('✅ Streams fall back before the first token\n');
+}
+
+async function testHelpers() {
+  console.log('🧮 Testing retry helpers and chain resolution...');
+
+  assert.ok(isRetryableError(httpError(429)));
+  assert.ok(isRetryableError(httpError(502)));
+  assert.ok(!isRetryableError(httpError(401)));
+  assert.ok(isCallerError(httpError(413)));
+  assert.ok(!isCallerError(httpError(401)));
+  assert.ok(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })));
+  assert.strictEqual(getBackoffDelay(10, { baseDelayMs: 500, maxDelayMs: 8000, random: () => 1 }), 8000);
+  assert.strictEqual(getBackoffDelay(1, { baseDelayMs: 500, maxDelayMs: 8000, random: () => 0 }), 500);
+
+  const chain = AIProviderFactory.resolveProviderChain(
+    { apiKey: 'sk', baseURL: 'https://api.openai.com/v1', model: 'gpt', maxTokens: 100, temperature: 0.5, providers: ['openai', 'custom', 'anthropic'] },
+    {
+      custom: { baseURL: 'https://llm.internal/v1', model: 'llama' },
+      anthropic: { apiKey: 'ak', baseURL: 'https://api.anthropic.com', model: 'claude' }
+    }
+  );
+  assert.deepStrictEqual(chain.map(entry => entry.name), ['openai', 'custom', 'anthropic']);
+  assert.strictEqual(chain[1].config.model, 'llama');
+  assert.strictEqual(chain[1].config.apiKey, 'sk');
+  assert.strictEqual(chain[2].config.apiKey, 'ak');
+  assert.strictEqual(chain[2].config.maxTokens, 100);
+
+  // Without an Anthropic key or model, the shared key is used with the provider's default model
+  const shared = AIProviderFactory.getProviderConfig(
+    'anthropic',
+    { apiKey: 'sk', baseURL: 'https://api.openai.com/v1', model: 'gpt-3.5-turbo', maxTokens: 100, temperature: 0.5 },
+    { anthropic: { apiKey: undefined, baseURL: 'https://api.anthropic.com', model: undefined } }
+  );
+  assert.deepStrictEqual(shared, { maxTokens: 100, temperature: 0.5, apiKey: 'sk', baseURL: 'https://api.anthropic.com', model: undefined });
+  console.log('✅ Helpers and provider chain resolution work\n');
+}
+
+async function runFallbackTests() {
+  console.log('🚀 Starting Provider Fallback Tests\n');
+
+  try {
+    await testRetryAndFallback();
+    await testCircuitBreaker();
+    await testStreamingFallback();
+    await testHelpers();
+    console.log('✨ All provider fallback tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 Provider fallback test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runFallbackTests();
+}
+
+module.exports = { testRetryAndFallback, testCircuitBreaker, testStreamingFallback, testHelpers, runFallbackTests };
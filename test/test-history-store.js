@@ -0,0 +1,115 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryHistoryStore, FileHistoryStore, HistoryStoreFactory } = require('../src/services/historyStore');
+
+/**
+ * Test script for conversation history stores
+ * Run with: node test/test-history-store.js
+ */
+
+function exchange(n) {
+  return [
+    { role: 'user', content: `question ${n}` },
+    { role: 'assistant', content: `answer ${n}` }
+  ];
+}
+
+async function testMemoryStore() {
+  console.log('🧠 Testing Memory History Store...\n');
+
+  let clock = 1000;
+  const store = new MemoryHistoryStore({ ttlMs: 500, maxMessagesPerUser: 4, now: () => clock });
+
+  // Test 1: Basic set/get/delete
+  console.log('1️⃣ Testing set, get and delete...');
+  store.set('alice', exchange(1));
+  assert.deepStrictEqual(store.get('alice'), exchange(1));
+  assert.deepStrictEqual(store.get('nobody'), []);
+  store.delete('alice');
+  assert.deepStrictEqual(store.get('alice'), []);
+  console.log('✅ Basic operations work\n');
+
+  // Test 2: Per-user size caps
+  console.log('2️⃣ Testing per-user message cap...');
+  store.set('bob', [...exchange(1), ...exchange(2), ...exchange(3)]);
+  assert.deepStrictEqual(store.get('bob'), [...exchange(2), ...exchange(3)]);
+  const charCapped = new MemoryHistoryStore({ maxMessagesPerUser: 10, maxCharsPerUser: 20 });
+  charCapped.set('carol', [...exchange(1), ...exchange(2)]);
+  assert.deepStrictEqual(charCapped.get('carol'), exchange(2));
+  console.log('✅ Oldest messages trimmed to fit caps\n');
+
+  // Test 3: TTL expiry
+  console.log('3️⃣ Testing TTL expiry...');
+  store.set('dave', exchange(1));
+  assert.strictEqual(store.getStats().activeUsers, 2);
+  clock += 600;
+  assert.deepStrictEqual(store.get('dave'), []);
+  assert.strictEqual(store.cleanup(), 1); // bob expired too
+  assert.deepStrictEqual(store.getStats(), { activeUsers: 0, totalMessages: 0 });
+  console.log('✅ Expired histories removed\n');
+
+  store.close();
+}
+
+async function testFileStore() {
+  console.log('💾 Testing File History Store...\n');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'carv-history-'));
+  const filePath = path.join(dir, 'conversations.json');
+
+  try {
+    // Test 1: Persistence across instances
+    console.log('1️⃣ Testing persistence across restarts...');
+    const first = new FileHistoryStore({ filePath, flushDelayMs: 50 });
+    first.set('alice', exchange(1));
+    first.set('bob', exchange(2));
+    first.delete('bob');
+    first.close();
+
+    const second = new FileHistoryStore({ filePath });
+    assert.deepStrictEqual(second.get('alice'), exchange(1));
+    assert.deepStrictEqual(second.get('bob'), []);
+    second.close();
+    console.log('✅ History survived restart\n');
+
+    // Test 2: Expired entries dropped on load
+    console.log('2️⃣ Testing expiry on load...');
+    const later = new FileHistoryStore({ filePath, ttlMs: 1000, now: () => Date.now() + 5000 });
+    assert.strictEqual(later.getStats().activeUsers, 0);
+    later.close();
+    console.log('✅ Expired entries dropped\n');
+
+    // Test 3: Corrupt file
+    console.log('3️⃣ Testing corrupt file handling...');
+    fs.writeFileSync(filePath, '{broken');
+    const recovered = HistoryStoreFactory.createStore('file', { filePath });
+    assert.deepStrictEqual(recovered.get('alice'), []);
+    recovered.close();
+    console.log('✅ Corrupt file ignored\n');
+
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runHistoryStoreTests() {
+  console.log('🚀 Starting History Store Tests\n');
+
+  try {
+    await testMemoryStore();
+    await testFileStore();
+    console.log('✨ All history store tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 History store test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runHistoryStoreTests();
+}
+
+module.exports = { testMemoryStore, testFileStore, runHistoryStoreTests };
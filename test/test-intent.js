@@ -0,0 +1,71 @@
+const assert = require('assert');
+const intentClassifier = require('../src/services/intentClassifier');
+const fixtures = require('./fixtures/intents.json');
+
+/**
+ * Fixture-driven test script for the intent classifier
+ * Run with: node test/test-intent.js
+ */
+
+async function testIntentFixtures() {
+  console.log('🧭 Testing Intent Classifier against fixtures...\n');
+
+  const failures = [];
+
+  fixtures.forEach(({ message, intent, entities }) => {
+    const result = intentClassifier.classify(message);
+    const problems = [];
+
+    if (result.intent !== intent) {
+      problems.push(`intent ${result.intent} (confidence ${result.confidence}), expected ${intent}`);
+    }
+
+    Object.entries(entities || {}).forEach(([key, expected]) => {
+      if (result.entities[key] !== expected) {
+        problems.push(`${key} ${result.entities[key]}, expected ${expected}`);
+      }
+    });
+
+    if (problems.length > 0) {
+      failures.push({ message, problems });
+      console.log(`❌ "${message}": ${problems.join('; ')}`);
+    } else {
+      console.log(`✅ "${message}" → ${result.intent} (${result.confidence})`);
+    }
+  });
+
+  console.log(`\n📊 ${fixtures.length - failures.length}/${fixtures.length} fixtures passed`);
+  assert.strictEqual(failures.length, 0, `${failures.length} intent fixtures failed`);
+}
+
+async function testConfidenceShape() {
+  console.log('\n🔢 Testing confidence scores...');
+
+  const strong = intentClassifier.classify('Should I invest in bitcoin?');
+  const weak = intentClassifier.classify('price');
+  assert.ok(strong.confidence > 0 && strong.confidence <= 1);
+  assert.ok(weak.confidence < intentClassifier.minConfidence);
+  assert.strictEqual(weak.intent, 'chat');
+  assert.strictEqual(intentClassifier.classify('').intent, 'chat');
+  console.log('✅ Confidence scores are bounded and low scores fall through to chat');
+}
+
+async function runIntentTests() {
+  console.log('🚀 Starting Intent Classifier Tests\n');
+
+  try {
+    await testIntentFixtures();
+    await testConfidenceShape();
+    console.log('\n✨ All intent tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 Intent test suite failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runIntentTests();
+}
+
+module.exports = { testIntentFixtures, testConfidenceShape, runIntentTests };
@@ -58,7 +58,7 @@ async function testInvestmentAnalyzer() {
     console.log(`✅ Generated ${recommendations.length} recommendations`);
     
     recommendations.forEach((rec, index) => {
-      console.log(`   ${index + 1}. ${rec.action} ${rec.asset} (${rec.confidence} confidence)`);
+      console.log(`   ${index + 1}. ${rec.action} ${rec.asset} (${rec.confidenceLevel} confidence, ${rec.confidence})`);
     });
     console.log('');
 
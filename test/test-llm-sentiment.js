@@ -0,0 +1,273 @@
+const assert = require('assert');
+
+const llmSentiment = require('../src/services/llmSentiment');
+const sentimentScorer = require('../src/services/sentimentScorer');
+const investmentAnalyzer = require('../src/services/investmentAnalyzer');
+const { config } = require('../src/config/config');
+
+/**
+ * Test script for LLM-assisted sentiment (runs offline against a scripted provider)
+ * Run with: node test/test-llm-sentiment.js
+ */
+
+const MIXED = {
+  title: 'BTC rallies as ETH lags',
+  summary: 'Bitcoin gained 5% while ether slipped against it.'
+};
+
+const MIXED_REPLY = {
+  articles: [{
+    id: 1,
+    sentiment: 'positive',
+    magnitude: 0.4,
+    assets: [
+      { asset: 'bitcoin', sentiment: 'positive', magnitude: 0.8, rationale: 'BTC rallied 5%.' },
+      { asset: 'ETH', sentiment: 'negative', magnitude: 0.6, rationale: 'Ether lagged bitcoin.' }
+    ]
+  }]
+};
+
+/**
+ * Provider that answers with queued replies (strings, objects or errors)
+ */
+class ScriptedProvider {
+  constructor(replies = []) {
+    this.replies = replies;
+    this.requests = [];
+  }
+
+  async generateCompletion(messages, options) {
+    this.requests.push({ messages, options, payload: JSON.parse(messages[1].content) });
+    const reply = this.replies.shift();
+    if (reply instanceof Error) {
+      throw reply;
+    }
+    if (typeof reply === 'function') {
+      return { content: reply(this.requests[this.requests.length - 1].payload) };
+    }
+    return { content: typeof reply === 'string' ? reply : JSON.stringify(reply) };
+  }
+}
+
+/**
+ * Neutral reply for every article in the request
+ */
+const neutralReply = payload => JSON.stringify({
+  articles: payload.articles.map(article => ({ id: article.id, sentiment: 'neutral', magnitude: 0, assets: [] }))
+});
+
+function useProvider(replies) {
+  llmSentiment.cache.clear();
+  llmSentiment.provider = new ScriptedProvider(replies);
+  return llmSentiment.provider;
+}
+
+async function testPerAssetSentiment() {
+  console.log('🤖 Testing per-asset sentiment...');
+
+  const provider = useProvider([MIXED_REPLY]);
+  const results = await llmSentiment.scoreArticles([MIXED]);
+  const result = results.get(llmSentiment.hashArticle(MIXED));
+
+  assert.deepStrictEqual(result, {
+    score: 0.4,
+    label: 'positive',
+    assets: {
+      bitcoin: { score: 0.8, rationale: 'BTC rallied 5%.' },
+      ethereum: { score: -0.6, rationale: 'Ether lagged bitcoin.' }
+    },
+    source: 'llm'
+  });
+
+  // The prompt states the schema and lists the registry's assets
+  const [{ messages, options, payload }] = provider.requests;
+  assert.ok(messages[0].content.includes('"rationale"'));
+  assert.ok(payload.knownAssets.includes('carv'));
+  assert.deepStrictEqual(payload.articles, [{ id: 1, ...MIXED }]);
+  assert.strictEqual(options.maxTokens, config.sentiment.llm.maxTokens);
+
+  // Code fences around the JSON are tolerated
+  useProvider(['```json\n' + JSON.stringify(MIXED_REPLY) + '\n```']);
+  const fenced = await llmSentiment.scoreArticles([MIXED]);
+  assert.strictEqual(fenced.get(llmSentiment.hashArticle(MIXED)).source, 'llm');
+  console.log('✅ One headline, opposite calls for two assets\n');
+}
+
+async function testCache() {
+  console.log('💾 Testing the cache...');
+
+  const provider = useProvider([neutralReply]);
+  const articles = [MIXED, { title: 'Ethereum developers schedule next call', summary: '' }];
+
+  await llmSentiment.scoreArticles(articles);
+  const again = await llmSentiment.scoreArticles([...articles, { ...MIXED }]);
+  assert.strictEqual(provider.requests.length, 1);
+  assert.strictEqual(again.size, 2); // Same text, same hash
+  assert.ok([...again.values()].every(result => result.source === 'llm'));
+
+  // Oldest entries are evicted beyond the cache size
+  const originalSize = llmSentiment.cacheSize;
+  llmSentiment.cacheSize = 1;
+  try {
+    useProvider([neutralReply]);
+    await llmSentiment.scoreArticles(articles);
+    assert.strictEqual(llmSentiment.cache.size, 1);
+    assert.ok(llmSentiment.cache.has(llmSentiment.hashArticle(articles[1])));
+  } finally {
+    llmSentiment.cacheSize = originalSize;
+  }
+  console.log('✅ Articles are scored once\n');
+}
+
+async function testValidation() {
+  console.log('🧪 Testing output validation...');
+
+  const invalid = [
+    'The news looks good for bitcoin.',
+    { results: [] },
+    { articles: [] },
+    { articles: [{ id: 2, sentiment: 'positive', magnitude: 0.5, assets: [] }] },
+    { articles: [{ id: 1, sentiment: 'bullish', magnitude: 0.5, assets: [] }] },
+    { articles: [{ id: 1, sentiment: 'positive', magnitude: 1.5, assets: [] }] },
+    { articles: [{ id: 1, sentiment: 'positive', magnitude: '0.5', assets: [] }] },
+    { articles: [{ id: 1, sentiment: 'positive', magnitude: 0.5 }] },
+    { articles: [{ id: 1, sentiment: 'positive', magnitude: 0.5, assets: [{ asset: 'bitcoin', sentiment: 'positive', magnitude: 0.5 }] }] }
+  ];
+
+  for (const reply of invalid) {
+    const provider = useProvider([reply]);
+    const result = (await llmSentiment.scoreArticles([MIXED])).get(llmSentiment.hashArticle(MIXED));
+    assert.strictEqual(result.source, 'lexicon', JSON.stringify(reply));
+    assert.strictEqual(result.score, sentimentScorer.scoreArticle(MIXED).score);
+    assert.strictEqual(provider.requests.length, 1);
+    assert.strictEqual(llmSentiment.cache.size, 0); // Fallbacks are not cached
+  }
+
+  assert.throws(() => llmSentiment.parseResponse(JSON.stringify({ articles: [
+    { id: 1, sentiment: 'neutral', magnitude: 0, assets: [] },
+    { id: 1, sentiment: 'neutral', magnitude: 0, assets: [] }
+  ] }), 2), /duplicate article id/);
+  assert.throws(() => llmSentiment.parseResponse(JSON.stringify({ articles: [
+    { id: 1, sentiment: 'neutral', magnitude: 0, assets: [] }
+  ] }), 2), /No result for article 2/);
+
+  // Assets outside the registry are dropped, not fatal
+  const [result] = llmSentiment.parseResponse(JSON.stringify({ articles: [{
+    id: 1,
+    sentiment: 'negative',
+    magnitude: 0.5,
+    assets: [
+      { asset: 'dogecoin', sentiment: 'negative', magnitude: 0.5, rationale: 'Not tracked.' },
+      { asset: 'SOL', sentiment: 'negative', magnitude: 0.5, rationale: 'x'.repeat(400) }
+    ]
+  }] }), 1);
+  assert.deepStrictEqual(Object.keys(result.assets), ['solana']);
+  assert.strictEqual(result.assets.solana.rationale.length, 300);
+  console.log('✅ Replies that break the schema fall back to the lexicon\n');
+}
+
+async function testProviderFailure() {
+  console.log('🔌 Testing provider failures...');
+
+  const provider = useProvider([new Error('All AI providers failed'), neutralReply]);
+  const first = await llmSentiment.scoreArticles([MIXED]);
+  assert.strictEqual(first.get(llmSentiment.hashArticle(MIXED)).source, 'lexicon');
+
+  // The next call tries the model again
+  const second = await llmSentiment.scoreArticles([MIXED]);
+  assert.strictEqual(second.get(llmSentiment.hashArticle(MIXED)).source, 'llm');
+  assert.strictEqual(provider.requests.length, 2);
+  console.log('✅ Unavailable model falls back to the lexicon\n');
+}
+
+async function testBatching() {
+  console.log('📦 Testing batches...');
+
+  const originalBatchSize = llmSentiment.batchSize;
+  llmSentiment.batchSize = 2;
+  try {
+    const articles = [1, 2, 3, 4, 5].map(n => ({ title: `Bitcoin update ${n}`, summary: '' }));
+    const provider = useProvider([neutralReply, new Error('timeout'), neutralReply]);
+    const results = await llmSentiment.scoreArticles(articles);
+
+    assert.deepStrictEqual(provider.requests.map(request => request.payload.articles.length), [2, 2, 1]);
+    // Only the failed batch falls back
+    assert.deepStrictEqual(articles.map(article => results.get(llmSentiment.hashArticle(article)).source),
+      ['llm', 'llm', 'lexicon', 'lexicon', 'llm']);
+  } finally {
+    llmSentiment.batchSize = originalBatchSize;
+  }
+  console.log('✅ Articles sent in batches\n');
+}
+
+async function testAnalyzer() {
+  console.log('📊 Testing the analyzer in LLM mode...');
+
+  const news = [MIXED, { title: 'Bitcoin miners report record profit', summary: 'Higher prices offset lower rewards.' }];
+  const originalMode = config.sentiment.mode;
+
+  try {
+    // Lexicon mode never calls the model
+    const provider = useProvider([]);
+    config.sentiment.mode = 'lexicon';
+    assert.strictEqual(await investmentAnalyzer.scoreNews(news), null);
+    assert.strictEqual(provider.requests.length, 0);
+
+    config.sentiment.mode = 'llm';
+    useProvider([MIXED_REPLY, new Error('down')]);
+    llmSentiment.batchSize = 1;
+    const sentiments = await investmentAnalyzer.scoreNews(news);
+    const analysis = investmentAnalyzer.analyzeNewsSentiment(news, '', { weightBySources: false, sentiments });
+
+    assert.deepStrictEqual(analysis.scoring, { llm: 1, lexicon: 1 });
+    assert.strictEqual(analysis.assets.ethereum.negative, 1);
+    assert.strictEqual(analysis.assets.ethereum.score, -0.6);
+    assert.strictEqual(analysis.assets.bitcoin.positive, 2);
+
+    const response = investmentAnalyzer.formatInvestmentResponse(analysis, []);
+    assert.ok(response.includes('AI-assisted sentiment for 1 of 2 articles'));
+
+    // Without model results the lexicon scores everything
+    const lexicon = investmentAnalyzer.analyzeNewsSentiment(news, '', { weightBySources: false });
+    assert.deepStrictEqual(lexicon.scoring, { llm: 0, lexicon: 2 });
+    assert.strictEqual(lexicon.assets.ethereum.score, sentimentScorer.scoreArticle(MIXED).score);
+    assert.ok(!investmentAnalyzer.formatInvestmentResponse(lexicon, []).includes('AI-assisted'));
+  } finally {
+    config.sentiment.mode = originalMode;
+    llmSentiment.batchSize = config.sentiment.llm.batchSize;
+    llmSentiment.provider = null;
+  }
+  console.log('✅ Analysis uses per-asset model scores\n');
+}
+
+async function runLLMSentimentTests() {
+  console.log('🚀 Starting LLM Sentiment Tests\n');
+
+  try {
+    await testPerAssetSentiment();
+    await testCache();
+    await testValidation();
+    await testProviderFailure();
+    await testBatching();
+    await testAnalyzer();
+    console.log('✨ All LLM sentiment tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 LLM sentiment test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runLLMSentimentTests();
+}
+
+module.exports = {
+  testPerAssetSentiment,
+  testCache,
+  testValidation,
+  testProviderFailure,
+  testBatching,
+  testAnalyzer,
+  runLLMSentimentTests
+};
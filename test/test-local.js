@@ -0,0 +1,244 @@
+const assert = require('assert');
+const http = require('http');
+
+// Select only the local provider before the config module is loaded
+process.env.TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || 'test-token';
+process.env.AI_PROVIDERS = 'local';
+delete process.env.OPENAI_API_KEY;
+
+const { config, validateConfig } = require('../src/config/config');
+const { LocalProvider, AIProviderFactory } = require('../src/services/aiProviders');
+
+/**
+ * Test script for the local Ollama provider (runs against a local mock server)
+ * Run with: node test/test-local.js
+ */
+
+/**
+ * Start a mock Ollama server
+ * @param {Object} options - { models, chat } where chat(body) returns an object or an array of NDJSON chunks
+ * @returns {Promise<Object>} { baseURL, requests, close }
+ */
+function startMockOllama({ models = [], chat }) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, body: JSON.parse(body || '{}') });
+
+      if (req.method === 'GET' && req.url === '/api/tags') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ models: models.map(name => ({ name })) }));
+        return;
+      }
+
+      const reply = chat(JSON.parse(body || '{}'));
+      if (Array.isArray(reply)) {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        // Split a chunk across writes to exercise line buffering
+        const payload = reply.map(chunk => JSON.stringify(chunk)).join('\n') + '\n';
+        const middle = Math.floor(payload.length / 2);
+        res.write(payload.slice(0, middle));
+        setTimeout(() => res.end(payload.slice(middle)), 10);
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseURL: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+async function testChat() {
+  console.log('💬 Testing native /api/chat requests...');
+
+  const mock = await startMockOllama({
+    chat: () => ({
+      message: { role: 'assistant', content: 'Hello from llama' },
+      done: true,
+      done_reason: 'stop',
+      prompt_eval_count: 20,
+      eval_count: 4
+    })
+  });
+  const provider = new LocalProvider({ baseURL: mock.baseURL, model: 'llama3.1', maxTokens: 200, temperature: 0.3 });
+
+  try {
+    const completion = await provider.generateCompletion([
+      { role: 'system', content: 'You are helpful.' },
+      { role: 'user', content: 'Hi' }
+    ]);
+
+    const request = mock.requests[0];
+    assert.strictEqual(request.url, '/api/chat');
+    assert.strictEqual(request.body.model, 'llama3.1');
+    assert.strictEqual(request.body.stream, false);
+    assert.deepStrictEqual(request.body.options, { num_predict: 200, temperature: 0.3 });
+    assert.strictEqual(request.body.messages[0].role, 'system');
+    assert.strictEqual(request.body.tools, undefined);
+
+    assert.strictEqual(completion.content, 'Hello from llama');
+    assert.strictEqual(completion.finishReason, 'stop');
+    assert.deepStrictEqual(completion.usage, { promptTokens: 20, completionTokens: 4, totalTokens: 24 });
+  } finally {
+    await mock.close();
+  }
+  console.log('✅ Chat request and response converted\n');
+}
+
+async function testToolCalls() {
+  console.log('🔧 Testing tool calls...');
+
+  const mock = await startMockOllama({
+    chat: () => ({
+      message: {
+        role: 'assistant',
+        content: '',
+        tool_calls: [{ function: { name: 'search_news', arguments: { query: 'solana' } } }]
+      },
+      done: true
+    })
+  });
+  const provider = new LocalProvider({ baseURL: mock.baseURL, model: 'qwen2.5', enableTools: true });
+
+  try {
+    const completion = await provider.generateCompletion([
+      { role: 'user', content: 'Solana news?' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_trending_topics', arguments: '{}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: '{"topics":[]}' }
+    ], { tools: [{ type: 'function', function: { name: 'search_news', parameters: {} } }] });
+
+    const request = mock.requests[0].body;
+    assert.strictEqual(request.tools.length, 1);
+    assert.deepStrictEqual(request.messages[1].tool_calls, [{ function: { name: 'get_trending_topics', arguments: {} } }]);
+    assert.strictEqual(request.messages[2].role, 'tool');
+
+    assert.strictEqual(completion.finishReason, 'tool_calls');
+    assert.strictEqual(completion.toolCalls[0].function.name, 'search_news');
+    assert.strictEqual(completion.toolCalls[0].function.arguments, '{"query":"solana"}');
+    assert.ok(completion.toolCalls[0].id);
+  } finally {
+    await mock.close();
+  }
+
+  // Tools are opt-in: most local models do not support them
+  assert.strictEqual(new LocalProvider({ model: 'llama3.1' }).supportsTools(), false);
+  console.log('✅ Tool calls sent and parsed in Ollama format\n');
+}
+
+async function testStreaming() {
+  console.log('📡 Testing NDJSON streaming...');
+
+  const mock = await startMockOllama({
+    chat: () => [
+      { message: { role: 'assistant', content: 'Hel' }, done: false },
+      { message: { role: 'assistant', content: 'lo' }, done: false },
+      { message: { role: 'assistant', content: '!' }, done: false },
+      { message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 5, eval_count: 3 }
+    ]
+  });
+  const provider = new LocalProvider({ baseURL: mock.baseURL, model: 'llama3.1' });
+
+  try {
+    const tokens = [];
+    let completion = null;
+    for await (const event of provider.streamCompletion([{ role: 'user', content: 'hi' }])) {
+      if (event.type === 'token') tokens.push(event.text);
+      if (event.type === 'completion') completion = event;
+    }
+
+    assert.strictEqual(mock.requests[0].body.stream, true);
+    assert.deepStrictEqual(tokens, ['Hel', 'lo', '!']);
+    assert.strictEqual(completion.content, 'Hello!');
+    assert.strictEqual(completion.usage.totalTokens, 8);
+    assert.ok(provider.supportsStreaming());
+  } finally {
+    await mock.close();
+  }
+  console.log('✅ Tokens streamed line by line\n');
+}
+
+async function testModelsAndHealth() {
+  console.log('🩺 Testing model listing and health check...');
+
+  const mock = await startMockOllama({ models: ['llama3.1:latest', 'mistral:7b'], chat: () => ({}) });
+
+  try {
+    const provider = new LocalProvider({ baseURL: mock.baseURL, model: 'llama3.1' });
+    assert.deepStrictEqual(await provider.listModels(), ['llama3.1:latest', 'mistral:7b']);
+    assert.strictEqual((await provider.healthCheck()).healthy, true);
+
+    const missing = await new LocalProvider({ baseURL: mock.baseURL, model: 'phi3' }).healthCheck();
+    assert.strictEqual(missing.healthy, false);
+    assert.ok(missing.message.includes('ollama pull phi3'));
+  } finally {
+    await mock.close();
+  }
+
+  const unreachable = await new LocalProvider({ baseURL: 'http://127.0.0.1:1', model: 'llama3.1' }).healthCheck();
+  assert.strictEqual(unreachable.healthy, false);
+  console.log('✅ Installed models listed and missing models reported\n');
+}
+
+async function testSelection() {
+  console.log('🧭 Testing provider selection and validation...');
+
+  assert.strictEqual(AIProviderFactory.detectProvider({ baseURL: 'http://localhost:11434' }), 'local');
+  assert.strictEqual(AIProviderFactory.detectProvider({ baseURL: 'http://gpu-box:11434/v1' }), 'local');
+  assert.strictEqual(AIProviderFactory.detectProvider({ apiKey: 'sk', baseURL: 'http://localhost:8000/v1' }), 'custom');
+  assert.strictEqual(AIProviderFactory.detectProvider({ apiKey: 'sk', baseURL: 'https://api.openai.com/v1' }), 'openai');
+
+  assert.ok(AIProviderFactory.createProvider('local', { model: 'llama3.1' }) instanceof LocalProvider);
+  const llamaCpp = AIProviderFactory.createProvider('local', { protocol: 'openai', model: 'any' });
+  assert.strictEqual(llamaCpp.config.baseURL, 'http://localhost:8080/v1');
+
+  const [entry] = AIProviderFactory.resolveProviderChain(
+    { baseURL: 'http://localhost:11434', maxTokens: 100, temperature: 0.5, providers: [] },
+    { local: { model: 'llama3.1' } }
+  );
+  assert.strictEqual(entry.name, 'local');
+  assert.strictEqual(entry.config.baseURL, 'http://localhost:11434');
+
+  // No OPENAI_API_KEY needed with AI_PROVIDERS=local
+  assert.deepStrictEqual(config.ai.providers, ['local']);
+  assert.doesNotThrow(() => validateConfig());
+
+  config.ai.providers = ['local', 'openai'];
+  assert.throws(() => validateConfig(), /OPENAI_API_KEY/);
+  config.ai.providers = ['local'];
+  console.log('✅ Local provider selected without an OpenAI key\n');
+}
+
+async function runLocalTests() {
+  console.log('🚀 Starting Local Provider Tests\n');
+
+  try {
+    await testChat();
+    await testToolCalls();
+    await testStreaming();
+    await testModelsAndHealth();
+    await testSelection();
+    console.log('✨ All local provider tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 Local provider test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runLocalTests();
+}
+
+module.exports = { testChat, testToolCalls, testStreaming, testModelsAndHealth, testSelection, runLocalTests };
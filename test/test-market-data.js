@@ -0,0 +1,253 @@
+const assert = require('assert');
+const path = require('path');
+const axios = require('axios');
+
+const marketDataService = require('../src/services/marketDataService');
+const investmentAnalyzer = require('../src/services/investmentAnalyzer');
+const newsService = require('../src/services/newsService');
+const { NewsArchive } = require('../src/services/newsArchive');
+const {
+  BaseMarketDataProvider,
+  CoinGeckoMarketDataProvider,
+  FixtureMarketDataProvider,
+  MarketDataProviderFactory
+} = require('../src/services/marketDataProviders');
+const newsFixture = require('./fixtures/news.json');
+
+/**
+ * Test script for market data providers, caching and price context (runs offline)
+ * Run with: node test/test-market-data.js
+ */
+
+const FIXTURE_FILE = path.join(__dirname, 'fixtures', 'market.json');
+const markets = require(FIXTURE_FILE);
+const NEWS_NOW = Date.parse('2025-06-10T12:00:00.000Z'); // Newest story in the news fixture
+
+/**
+ * Provider that counts requests and can be told to fail
+ */
+class CountingProvider extends BaseMarketDataProvider {
+  constructor() {
+    super({ name: 'counting' });
+    this.requests = [];
+    this.fail = false;
+  }
+
+  async fetchQuotes(ids) {
+    this.requests.push(ids);
+    if (this.fail) {
+      throw new Error('HTTP 429');
+    }
+    return this.toQuotes(markets, ids);
+  }
+}
+
+function useProvider(provider) {
+  marketDataService.provider = provider;
+  marketDataService.clearCache();
+  return provider;
+}
+
+async function testFixtureProvider() {
+  console.log('📁 Testing the fixture provider...');
+
+  const provider = new FixtureMarketDataProvider({ filePath: FIXTURE_FILE });
+  const quotes = await provider.fetchQuotes(['bitcoin', 'cardano', 'carv', 'unknown']);
+
+  assert.deepStrictEqual(Object.keys(quotes), ['bitcoin', 'cardano', 'carv']);
+  assert.deepStrictEqual(quotes.bitcoin, {
+    price: 67250.12,
+    change24h: -1.84,
+    change7d: -6.82,
+    volume24h: 32100000000,
+    marketCap: 1325000000000,
+    currency: 'usd',
+    updatedAt: '2025-06-10T12:00:00.000Z'
+  });
+  // Plain 24h change is used when the per-currency one is missing; absent fields are null
+  assert.strictEqual(quotes.cardano.change24h, 4.6);
+  assert.strictEqual(quotes.cardano.change7d, null);
+  assert.strictEqual(quotes.carv.marketCap, null);
+
+  await assert.rejects(new FixtureMarketDataProvider({ filePath: path.join(__dirname, 'fixtures', 'market-missing.json') })
+    .fetchQuotes(['bitcoin']), /ENOENT/);
+  console.log('✅ Saved /coins/markets responses load as quotes\n');
+}
+
+async function testCoinGeckoProvider() {
+  console.log('🦎 Testing the CoinGecko adapter...');
+
+  const originalGet = axios.get;
+  const requests = [];
+  axios.get = async (url, options) => {
+    requests.push({ url, options });
+    return { status: 200, data: markets };
+  };
+
+  try {
+    const provider = new CoinGeckoMarketDataProvider({ baseURL: 'https://pro-api.coingecko.com/api/v3/', apiKey: 'key', currency: 'USD' });
+    const quotes = await provider.fetchQuotes(['bitcoin', 'ethereum']);
+
+    assert.deepStrictEqual(Object.keys(quotes), ['bitcoin', 'ethereum']);
+    assert.strictEqual(requests[0].url, 'https://pro-api.coingecko.com/api/v3/coins/markets');
+    assert.deepStrictEqual(requests[0].options.params, {
+      vs_currency: 'usd',
+      ids: 'bitcoin,ethereum',
+      price_change_percentage: '24h,7d'
+    });
+    assert.strictEqual(requests[0].options.headers['x-cg-pro-api-key'], 'key');
+
+    // No request for nothing
+    assert.deepStrictEqual(await provider.fetchQuotes([]), {});
+    assert.strictEqual(requests.length, 1);
+
+    axios.get = async () => ({ status: 200, data: { error: 'rate limited' } });
+    await assert.rejects(provider.fetchQuotes(['bitcoin']), /unexpected response/);
+  } finally {
+    axios.get = originalGet;
+  }
+
+  assert.ok(MarketDataProviderFactory.createProvider({ provider: 'coingecko' }) instanceof CoinGeckoMarketDataProvider);
+  assert.strictEqual(MarketDataProviderFactory.createProvider({ provider: 'none' }), null);
+  assert.throws(() => MarketDataProviderFactory.createProvider({ provider: 'bloomberg' }), /Unknown market data provider/);
+  console.log('✅ Adapter calls /coins/markets with the registry ids\n');
+}
+
+async function testCache() {
+  console.log('💾 Testing the quote cache...');
+
+  const originalProvider = marketDataService.provider;
+  const originalTtl = marketDataService.cacheTtlMs;
+  const provider = useProvider(new CountingProvider());
+
+  try {
+    // Registry ids map to CoinGecko ids; sectors and unknown assets are skipped
+    const quotes = await marketDataService.getQuotes(['bitcoin', 'defi', 'dogecoin', 'carv']);
+    assert.deepStrictEqual(Object.keys(quotes), ['bitcoin', 'carv']);
+    assert.deepStrictEqual(provider.requests, [['bitcoin', 'carv']]);
+    assert.strictEqual(quotes.bitcoin.asset, 'bitcoin');
+    assert.strictEqual(quotes.bitcoin.stale, false);
+
+    // Cached quotes are not fetched again; only the new asset is
+    await marketDataService.getQuotes(['bitcoin', 'ethereum']);
+    assert.deepStrictEqual(provider.requests[1], ['ethereum']);
+    assert.strictEqual((await marketDataService.getQuote('carv')).price, 0.3187);
+    assert.strictEqual(provider.requests.length, 2);
+
+    // Expired quotes are served, marked stale, while the provider is down
+    marketDataService.cacheTtlMs = 0;
+    provider.fail = true;
+    const stale = await marketDataService.getQuote('bitcoin');
+    assert.strictEqual(stale.price, 67250.12);
+    assert.strictEqual(stale.stale, true);
+    assert.strictEqual(await marketDataService.getQuote('solana'), null);
+
+    // Refetched once the provider recovers
+    provider.fail = false;
+    marketDataService.cacheTtlMs = originalTtl;
+    const requests = provider.requests.length;
+    marketDataService.cache.get('bitcoin').fetchedAt -= originalTtl;
+    assert.strictEqual((await marketDataService.getQuote('bitcoin')).stale, false);
+    assert.strictEqual(provider.requests.length, requests + 1);
+
+    useProvider(null);
+    assert.deepStrictEqual(await marketDataService.getQuotes(['bitcoin']), {});
+    assert.strictEqual(marketDataService.getStatus().provider, 'none');
+  } finally {
+    marketDataService.cacheTtlMs = originalTtl;
+    useProvider(originalProvider);
+  }
+  console.log('✅ Quotes cached per asset, stale ones served on failure\n');
+}
+
+async function testDivergence() {
+  console.log('↕️ Testing momentum and divergence...');
+
+  const quote = (change7d, change24h = null) => ({ change7d, change24h });
+  assert.strictEqual(marketDataService.getMomentum(quote(8.35)), 'up');
+  assert.strictEqual(marketDataService.getMomentum(quote(-6.82)), 'down');
+  assert.strictEqual(marketDataService.getMomentum(quote(-1.1)), 'flat');
+  assert.strictEqual(marketDataService.getMomentum(quote(null, 4.6)), 'up');
+  assert.strictEqual(marketDataService.getMomentum(quote(null)), null);
+
+  assert.deepStrictEqual(marketDataService.detectDivergence('positive', quote(-6.82)),
+    { sentiment: 'positive', momentum: 'down', change: -6.82, period: '7d' });
+  assert.deepStrictEqual(marketDataService.detectDivergence('negative', quote(null, 4.6)),
+    { sentiment: 'negative', momentum: 'up', change: 4.6, period: '24h' });
+  assert.strictEqual(marketDataService.detectDivergence('positive', quote(8.35)), null);
+  assert.strictEqual(marketDataService.detectDivergence('neutral', quote(-6.82)), null);
+  assert.strictEqual(marketDataService.detectDivergence('positive', null), null);
+  console.log('✅ Divergence flagged when news and price disagree\n');
+}
+
+async function testRecommendations() {
+  console.log('📊 Testing price context in recommendations...');
+
+  const originalProvider = marketDataService.provider;
+  const originalArchive = newsService.archive;
+  const originalNow = investmentAnalyzer.now;
+  useProvider(new FixtureMarketDataProvider({ filePath: FIXTURE_FILE }));
+  newsService.archive = new NewsArchive();
+  investmentAnalyzer.now = () => NEWS_NOW; // Recency is measured from the fixture's clock
+  newsService.setCache('latest_news', newsFixture);
+
+  try {
+    // Bitcoin news is positive while its price fell 6.8% this week
+    const bitcoin = await investmentAnalyzer.getAssetRecommendation('bitcoin');
+    assert.ok(bitcoin.includes('**Recommendation: BUY**'));
+    assert.ok(bitcoin.includes('Price: $67,250.12\nChange: 24h -1.8%, 7d -6.8%\n24h volume: $32.1B\nMarket cap: $1.3T'));
+    assert.ok(bitcoin.includes('⚠️ **Divergence:** News is positive but the price is down 6.8% over 7d.'));
+
+    // Without enough news the price is still shown
+    const carv = await investmentAnalyzer.getAssetRecommendation('carv');
+    assert.ok(carv.includes('Not enough recent news data for CARV'));
+    assert.ok(carv.includes('Price: $0.3187\nChange: 24h -3.3%, 7d +12.4%\n24h volume: $18.5M\n'));
+    assert.ok(!carv.includes('Market cap'));
+
+    const overview = await investmentAnalyzer.analyzeInvestmentOpportunities();
+    assert.ok(overview.includes('   Price: $3,512.40 (24h +2.1%, 7d +8.3%)'));
+    assert.strictEqual(overview.split('⚠️ News is').length, 2); // Only bitcoin diverges
+
+    // Recommendations work without market data
+    useProvider(null);
+    const plain = await investmentAnalyzer.getAssetRecommendation('bitcoin');
+    assert.ok(plain.includes('**Recommendation: BUY**'));
+    assert.ok(!plain.includes('Price:'));
+  } finally {
+    useProvider(originalProvider);
+    newsService.archive = originalArchive;
+    investmentAnalyzer.now = originalNow;
+    newsService.clearCache();
+  }
+  console.log('✅ Asset views show price context\n');
+}
+
+async function runMarketDataTests() {
+  console.log('🚀 Starting Market Data Tests\n');
+
+  try {
+    await testFixtureProvider();
+    await testCoinGeckoProvider();
+    await testCache();
+    await testDivergence();
+    await testRecommendations();
+    console.log('✨ All market data tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 Market data test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runMarketDataTests();
+}
+
+module.exports = {
+  testFixtureProvider,
+  testCoinGeckoProvider,
+  testCache,
+  testDivergence,
+  testRecommendations,
+  runMarketDataTests
+};
@@ -0,0 +1,245 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const newsService = require('../src/services/newsService');
+const { NewsArchive, titleHash } = require('../src/services/newsArchive');
+const { BaseNewsSource } = require('../src/services/newsSources');
+const newsFixture = require('./fixtures/news.json');
+
+/**
+ * Test script for the persistent news archive (runs against temp files)
+ * Run with: node test/test-news-archive.js
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function tempFile(name) {
+  return path.join(os.tmpdir(), `carvbot-${name}-${process.pid}.jsonl`);
+}
+
+function removeFile(filePath) {
+  [filePath, `${filePath}.tmp`].forEach(file => {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  });
+}
+
+/**
+ * Source that returns whatever articles the test sets
+ */
+class StaticSource extends BaseNewsSource {
+  constructor(articles) {
+    super({ name: 'static', weight: 1 });
+    this.articles = articles;
+  }
+
+  async fetchArticles() {
+    return this.articles;
+  }
+}
+
+async function testDeduplication() {
+  console.log('🧬 Testing de-duplication...');
+
+  let now = Date.parse('2025-06-10T13:00:00Z');
+  const archive = new NewsArchive({ now: () => now });
+
+  const added = archive.addArticles(newsFixture.slice(0, 3));
+  assert.strictEqual(added.length, 3);
+  assert.strictEqual(added[0].firstSeenAt, '2025-06-10T13:00:00.000Z');
+  assert.strictEqual(added[0].titleHash, titleHash(newsFixture[0].title));
+
+  now += 60 * 60 * 1000;
+  const again = archive.addArticles([
+    // Same URL behind tracking parameters
+    { ...newsFixture[0], url: 'http://www.example.com/news/bitcoin-etf-inflows/?utm_source=feed' },
+    // Same headline syndicated elsewhere, different case and punctuation
+    { ...newsFixture[1], title: 'SEC approval of Ethereum ETF sparks bullish outlook!', url: 'https://mirror.example/eth-etf' },
+    // Invalid articles are ignored
+    { title: 'No URL' },
+    newsFixture[3]
+  ]);
+
+  assert.deepStrictEqual(again.map(record => record.url), [newsFixture[3].url]);
+  assert.strictEqual(again[0].firstSeenAt, '2025-06-10T14:00:00.000Z');
+  assert.strictEqual(archive.records.length, 4);
+  // The first sighting is kept
+  assert.strictEqual(archive.find(newsFixture[0]).firstSeenAt, '2025-06-10T13:00:00.000Z');
+  console.log('✅ Articles stored once with their first-seen time\n');
+}
+
+async function testPersistence() {
+  console.log('💾 Testing the archive file...');
+
+  const filePath = tempFile('archive');
+  removeFile(filePath);
+
+  try {
+    const now = Date.parse('2025-06-10T13:00:00Z');
+    const archive = new NewsArchive({ filePath, now: () => now });
+    archive.addArticles(newsFixture.slice(0, 5));
+    archive.addArticles(newsFixture.slice(3, 8));
+
+    // Append-only: one line per new article
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 8);
+
+    const reloaded = new NewsArchive({ filePath, now: () => now });
+    assert.strictEqual(reloaded.records.length, 8);
+    assert.strictEqual(reloaded.addArticles(newsFixture.slice(0, 8)).length, 0);
+
+    // A line cut short by a crash is skipped and compacted away
+    fs.appendFileSync(filePath, '{"title":"Half writ');
+    const recovered = new NewsArchive({ filePath, now: () => now });
+    assert.strictEqual(recovered.records.length, 8);
+    assert.ok(fs.readFileSync(filePath, 'utf8').endsWith('}\n'));
+
+    // Retention drops articles first seen too long ago
+    const later = new NewsArchive({ filePath, retentionDays: 30, now: () => now + 31 * DAY_MS });
+    assert.strictEqual(later.records.length, 0);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '');
+  } finally {
+    removeFile(filePath);
+  }
+  console.log('✅ Archive survives restarts and partial writes\n');
+}
+
+async function testRuntimeRetention() {
+  console.log('🧹 Testing retention while the bot runs...');
+
+  const filePath = tempFile('retention');
+  removeFile(filePath);
+
+  try {
+    let now = Date.parse('2025-06-10T13:00:00Z');
+    const archive = new NewsArchive({ filePath, retentionDays: 30, now: () => now });
+    archive.addArticles(newsFixture.slice(0, 3));
+    now += 20 * DAY_MS;
+    archive.addArticles(newsFixture.slice(3, 8));
+    assert.strictEqual(archive.search('exploit').length, 1);
+
+    // The first batch expires on the next refresh: gone from memory and search, still on disk
+    now += 11 * DAY_MS;
+    archive.addArticles(newsFixture.slice(8, 9));
+    assert.strictEqual(archive.records.length, 6);
+    assert.strictEqual(archive.find(newsFixture[0]), null);
+    assert.strictEqual(archive.search('exploit').length, 0);
+    assert.strictEqual(archive.search('throughput').length, 1);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 9);
+
+    // Once expired lines match live ones, the file is rewritten
+    now += 20 * DAY_MS;
+    archive.addArticles(newsFixture.slice(9, 10));
+    assert.strictEqual(archive.records.length, 2);
+    assert.strictEqual(archive.search('throughput').length, 0);
+    assert.deepStrictEqual(
+      fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line).url),
+      [newsFixture[8].url, newsFixture[9].url]
+    );
+
+    // An expired article seen again is archived anew
+    assert.strictEqual(archive.addArticles(newsFixture.slice(0, 1)).length, 1);
+  } finally {
+    removeFile(filePath);
+  }
+  console.log('✅ Expired articles dropped as new ones arrive\n');
+}
+
+async function testQueries() {
+  console.log('🔎 Testing archive queries...');
+
+  const originalArchive = newsService.archive;
+  newsService.archive = new NewsArchive();
+
+  try {
+    newsService.archive.addArticles(newsFixture);
+
+    const june9 = newsService.getArchivedNews({ from: '2025-06-09T00:00:00Z', to: '2025-06-09T23:59:59Z' });
+    assert.strictEqual(june9.length, 7);
+    assert.strictEqual(june9[0].title, 'Regulators open investigation into crypto exchange fraud');
+
+    // Assets by name or ticker, matched on word boundaries
+    const bitcoin = newsService.getArchivedNews({ asset: 'BTC' });
+    assert.deepStrictEqual(bitcoin.map(article => article.url), [
+      'https://example.com/news/bitcoin-etf-inflows',
+      'https://example.com/news/bitcoin-miners-profit'
+    ]);
+    assert.strictEqual(newsService.getArchivedNews({ asset: 'cardano' }).length, 1);
+
+    const security = newsService.getArchivedNews({ category: 'security', to: '2025-06-10T12:00:00Z', limit: 1 });
+    assert.deepStrictEqual(security.map(article => article.title), ['Solana DeFi protocol suffers $12M exploit']);
+
+    assert.deepStrictEqual(newsService.archive.getStats(), {
+      articles: 12,
+      oldest: '2025-06-09T03:00:00.000Z',
+      newest: '2025-06-10T12:00:00.000Z'
+    });
+  } finally {
+    newsService.archive = originalArchive;
+  }
+  console.log('✅ Queried by date range, asset and category\n');
+}
+
+async function testServiceIntegration() {
+  console.log('🗂️ Testing search against the archive...');
+
+  const originalSources = newsService.sources;
+  const originalArchive = newsService.archive;
+  const source = new StaticSource(newsFixture.slice(0, 6));
+  newsService.sources = [source];
+  newsService.archive = new NewsArchive();
+  newsService.clearCache();
+
+  try {
+    // Every fetch archives the articles it has not seen before
+    await newsService.getLatestNews();
+    assert.strictEqual(newsService.archive.records.length, 6);
+
+    // The live feed moves on; older stories remain in the archive
+    source.articles = newsFixture.slice(6);
+    newsService.clearCache();
+    await newsService.getLatestNews();
+    assert.strictEqual(newsService.archive.records.length, 12);
+
+    assert.strictEqual((await newsService.searchNews('exploit')).length, 0);
+    const archived = await newsService.searchNews('exploit', { archive: true });
+    assert.deepStrictEqual(archived.map(article => article.title), ['Solana DeFi protocol suffers $12M exploit']);
+
+    const solana = await newsService.getNewsByCategory('solana', { archive: true, from: '2025-06-10T04:00:00Z' });
+    assert.deepStrictEqual(solana.map(article => article.url), ['https://example.com/news/solana-defi-exploit']);
+
+    // Live snapshot is still the default
+    const live = await newsService.getNewsByCategory('nft');
+    assert.strictEqual(live.length, 1);
+  } finally {
+    newsService.sources = originalSources;
+    newsService.archive = originalArchive;
+    newsService.clearCache();
+  }
+  console.log('✅ Search and categories can run against the archive\n');
+}
+
+async function runNewsArchiveTests() {
+  console.log('🚀 Starting News Archive Tests\n');
+
+  try {
+    await testDeduplication();
+    await testPersistence();
+    await testRuntimeRetention();
+    await testQueries();
+    await testServiceIntegration();
+    console.log('✨ All news archive tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 News archive test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runNewsArchiveTests();
+}
+
+module.exports = { testDeduplication, testPersistence, testRuntimeRetention, testQueries, testServiceIntegration, runNewsArchiveTests };
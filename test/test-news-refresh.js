@@ -0,0 +1,210 @@
+const assert = require('assert');
+
+const newsService = require('../src/services/newsService');
+const RefreshScheduler = require('../src/utils/refreshScheduler');
+const { NewsArchive } = require('../src/services/newsArchive');
+const { BaseNewsSource } = require('../src/services/newsSources');
+const { sleep } = require('../src/utils/retry');
+const newsFixture = require('./fixtures/news.json');
+
+/**
+ * Test script for background news refresh (runs offline with fake sources)
+ * Run with: node test/test-news-refresh.js
+ */
+
+/**
+ * Source that counts fetches, waits a little and can be made to fail
+ */
+class CountingSource extends BaseNewsSource {
+  constructor(articles, delayMs = 20) {
+    super({ name: 'counting', weight: 1 });
+    this.articles = articles;
+    this.delayMs = delayMs;
+    this.fetches = 0;
+    this.error = null;
+  }
+
+  async fetchArticles() {
+    this.fetches++;
+    await sleep(this.delayMs);
+    if (this.error) {
+      throw this.error;
+    }
+    return this.articles;
+  }
+}
+
+/**
+ * Swap in a fake source and an in-memory archive for the duration of a test
+ */
+async function withSource(source, fn) {
+  const originalSources = newsService.sources;
+  const originalArchive = newsService.archive;
+  newsService.sources = [source];
+  newsService.archive = new NewsArchive();
+  newsService.clearCache();
+
+  try {
+    await fn();
+  } finally {
+    await newsService.stopRefresh();
+    newsService.sources = originalSources;
+    newsService.archive = originalArchive;
+    newsService.clearCache();
+  }
+}
+
+async function testSingleFlight() {
+  console.log('✈️ Testing single-flight fetches...');
+
+  const source = new CountingSource(newsFixture.slice(0, 4));
+  await withSource(source, async () => {
+    // Ten users arrive at once with an empty cache: one fetch serves them all
+    const results = await Promise.all(Array.from({ length: 10 }, () => newsService.getLatestNews()));
+    assert.strictEqual(source.fetches, 1);
+    assert.ok(results.every(news => news.length === 4));
+
+    // A refresh joins the fetch already in flight
+    const [first, second] = [newsService.refreshNews(), newsService.refreshNews()];
+    assert.strictEqual(first, second);
+    await first;
+    assert.strictEqual(source.fetches, 2);
+  });
+  console.log('✅ Concurrent requests share one fetch\n');
+}
+
+async function testStaleWhileRevalidate() {
+  console.log('♻️ Testing stale-while-revalidate...');
+
+  const source = new CountingSource(newsFixture.slice(0, 4), 50);
+  await withSource(source, async () => {
+    await newsService.getLatestNews();
+
+    // Expired cache is served without waiting; a refresh runs behind it
+    source.articles = newsFixture.slice(0, 6);
+    newsService.cache.get('latest_news').timestamp = 0;
+
+    const started = Date.now();
+    const stale = await newsService.getLatestNews();
+    assert.ok(Date.now() - started < 40);
+    assert.strictEqual(stale.length, 4);
+    assert.ok(newsService.pendingRefresh);
+
+    await newsService.pendingRefresh;
+    assert.strictEqual((await newsService.getLatestNews()).length, 6);
+    assert.strictEqual(source.fetches, 2);
+
+    // A failed background refresh keeps serving the stale data
+    source.error = new Error('connect ECONNREFUSED');
+    newsService.cache.get('latest_news').timestamp = 0;
+    assert.strictEqual((await newsService.getLatestNews()).length, 6);
+    await newsService.pendingRefresh.catch(() => {});
+    assert.strictEqual((await newsService.getLatestNews()).length, 6);
+
+    // Without any cached data the error reaches the caller
+    newsService.clearCache();
+    await assert.rejects(() => newsService.getLatestNews(), /Failed to fetch news/);
+  });
+  console.log('✅ Expired news served while refreshing\n');
+}
+
+async function testBackoff() {
+  console.log('📈 Testing backoff after failures...');
+
+  const scheduler = new RefreshScheduler('Test', async () => {}, {
+    intervalMs: 60000,
+    retryBaseMs: 1000,
+    maxBackoffMs: 5000,
+    random: () => 1 // No jitter
+  });
+
+  const delays = [0, 1, 2, 3, 4, 5].map(failures => {
+    scheduler.failures = failures;
+    return scheduler.getNextDelay();
+  });
+  assert.deepStrictEqual(delays, [60000, 1000, 2000, 4000, 5000, 5000]);
+
+  // Fail twice, then recover: retries come quickly and the counter resets
+  let calls = 0;
+  const flaky = new RefreshScheduler('Flaky', async () => {
+    calls++;
+    if (calls <= 2) {
+      throw new Error(`failure ${calls}`);
+    }
+  }, { intervalMs: 60000, retryBaseMs: 10, maxBackoffMs: 40 });
+
+  flaky.start();
+  flaky.start(); // Starting twice is a no-op
+  await sleep(150);
+
+  assert.strictEqual(calls, 3);
+  const status = flaky.getStatus();
+  assert.strictEqual(status.running, true);
+  assert.strictEqual(status.failures, 0);
+  assert.strictEqual(status.lastError, null);
+  assert.ok(status.lastSuccessAt);
+  assert.ok(Date.parse(status.nextRunAt) - Date.now() > 50000);
+
+  await flaky.stop();
+  assert.strictEqual(flaky.getStatus().running, false);
+  assert.strictEqual(flaky.timer, null);
+  console.log('✅ Failures retried with growing delays\n');
+}
+
+async function testServiceScheduler() {
+  console.log('⏱️ Testing the news refresh scheduler...');
+
+  const source = new CountingSource(newsFixture.slice(0, 3), 30);
+  await withSource(source, async () => {
+    newsService.startRefresh();
+    newsService.startRefresh();
+    assert.ok(newsService.getRefreshStatus().running);
+
+    // The first refresh runs immediately and warms the cache
+    await sleep(10);
+    assert.strictEqual(source.fetches, 1);
+
+    // Users arriving during the warm-up join it
+    const news = await newsService.getLatestNews();
+    assert.strictEqual(news.length, 3);
+    assert.strictEqual(source.fetches, 1);
+
+    // Stopping waits for nothing more and leaves no timer behind
+    await newsService.stopRefresh();
+    assert.strictEqual(newsService.getRefreshStatus(), null);
+  });
+
+  // Stop waits for a refresh that is still running
+  const slow = new CountingSource(newsFixture.slice(0, 2), 80);
+  await withSource(slow, async () => {
+    newsService.startRefresh();
+    await sleep(10);
+    await newsService.stopRefresh();
+    assert.strictEqual(slow.fetches, 1);
+    assert.strictEqual(newsService.pendingRefresh, null);
+    assert.strictEqual(newsService.getFromCache('latest_news').length, 2);
+  });
+  console.log('✅ Scheduler warms the cache and stops cleanly\n');
+}
+
+async function runNewsRefreshTests() {
+  console.log('🚀 Starting News Refresh Tests\n');
+
+  try {
+    await testSingleFlight();
+    await testStaleWhileRevalidate();
+    await testBackoff();
+    await testServiceScheduler();
+    console.log('✨ All news refresh tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 News refresh test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runNewsRefreshTests();
+}
+
+module.exports = { testSingleFlight, testStaleWhileRevalidate, testBackoff, testServiceScheduler, runNewsRefreshTests };
@@ -0,0 +1,239 @@
+const assert = require('assert');
+
+// The OpenAI client refuses to start without a key; tests never reach the network
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const MessageHandler = require('../src/handlers/messageHandler');
+const newsService = require('../src/services/newsService');
+const rateLimiter = require('../src/utils/rateLimiter');
+const { SearchIndex } = require('../src/services/searchIndex');
+const { NewsArchive } = require('../src/services/newsArchive');
+const { stem, normalizeText, normalizeWord, tokenize, parseQuery } = require('../src/utils/textAnalyzer');
+const newsFixture = require('./fixtures/news.json');
+
+/**
+ * Test script for ranked news search and the /search command (runs offline)
+ * Run with: node test/test-news-search.js
+ */
+
+/**
+ * Fake Telegram bot that records sent messages
+ */
+class FakeBot {
+  constructor() {
+    this.sent = [];
+  }
+
+  async sendChatAction() {}
+
+  async sendMessage(chatId, text, options = {}) {
+    this.sent.push({ chatId, text, options });
+    return { message_id: this.sent.length, chat: { id: chatId } };
+  }
+}
+
+const stemOf = word => stem(normalizeWord(word));
+
+async function testTextAnalyzer() {
+  console.log('🔤 Testing tokenizing and stemming...');
+
+  // Word forms share a stem, in English and Spanish
+  assert.strictEqual(stemOf('approved'), stemOf('approval'));
+  assert.strictEqual(stemOf('approves'), stemOf('approve'));
+  assert.strictEqual(stemOf('rallies'), stemOf('rally'));
+  assert.strictEqual(stemOf('dropped'), stemOf('drops'));
+  assert.strictEqual(stemOf('regulación'), stemOf('regulaciones'));
+  assert.strictEqual(stemOf('aprobación'), stemOf('aprobado'));
+  assert.strictEqual(stemOf('ETFs'), 'etf');
+  assert.strictEqual(stemOf('gas'), 'gas');
+  assert.strictEqual(stemOf('70000'), '70000');
+
+  // One accent folding for search, sentiment, intents, entities and the archive
+  assert.strictEqual(normalizeText('Aprobación del ETF: ÉXITO'), 'aprobacion del etf: exito');
+  assert.strictEqual(normalizeWord('Über'), normalizeText('Über'));
+
+  // Stop-words keep their position so phrases line up
+  const tokens = tokenize('The price of Bitcoin, según los analistas');
+  assert.deepStrictEqual(tokens.filter(token => token.stopWord).map(token => token.position), [0, 2, 5]);
+  assert.strictEqual(tokens[3].start, 13);
+  assert.strictEqual(tokens[3].end, 20);
+
+  const query = parseQuery('noticias de "bank of America" y ETF');
+  assert.deepStrictEqual(query.terms, [stemOf('bank'), stemOf('america'), stemOf('noticias'), 'etf']);
+  assert.deepStrictEqual(query.phrases, [[{ term: stemOf('bank'), offset: 0 }, { term: stemOf('america'), offset: 2 }]]);
+  assert.deepStrictEqual(parseQuery('the of y de').terms, []);
+  console.log('✅ Text normalized for English and Spanish\n');
+}
+
+async function testRanking() {
+  console.log('🏆 Testing BM25 ranking...');
+
+  const index = SearchIndex.fromArticles(newsFixture);
+  assert.strictEqual(index.size, 12);
+
+  // Every word used to match anything; now the best match comes first and stragglers are cut
+  const etf = index.search('ethereum etf approval');
+  assert.strictEqual(etf[0].article.title, 'SEC approval of Ethereum ETF sparks bullish outlook');
+  assert.ok(etf.length < 3);
+
+  // Title matches outrank summary matches
+  const bitcoin = index.search('bitcoin');
+  assert.deepStrictEqual(bitcoin.slice(0, 2).map(result => result.article.url).sort(), [
+    'https://example.com/news/bitcoin-etf-inflows',
+    'https://example.com/news/bitcoin-miners-profit'
+  ]);
+  assert.ok(bitcoin.every((result, i) => i === 0 || bitcoin[i - 1].score >= result.score));
+
+  // Inflected forms and Spanish stop-words
+  assert.strictEqual(index.search('exploits')[0].article.url, 'https://example.com/news/solana-defi-exploit');
+  assert.strictEqual(index.search('noticias de solana').length, 2);
+  assert.strictEqual(index.search('hacked').length, 1);
+
+  assert.deepStrictEqual(index.search('the of'), []);
+  assert.deepStrictEqual(index.search('dogecoin'), []);
+  assert.strictEqual(index.search('bitcoin', { limit: 1 }).length, 1);
+  console.log('✅ Results ranked by relevance\n');
+}
+
+async function testPhrasesAndSnippets() {
+  console.log('✂️ Testing phrases and snippets...');
+
+  const index = SearchIndex.fromArticles([
+    ...newsFixture,
+    {
+      title: 'Regulación cripto en América Latina',
+      summary: 'La aprobación de la nueva regulación para exchanges llega tras meses de debate.',
+      url: 'https://example.es/regulacion'
+    }
+  ]);
+
+  assert.strictEqual(index.search('"gas fees"').length, 1);
+  assert.strictEqual(index.search('"fees gas"').length, 0);
+  // Stop-words inside a phrase still have to fill the gap
+  assert.strictEqual(index.search('"approval of ethereum"').length, 1);
+  assert.strictEqual(index.search('"approval ethereum"').length, 0);
+  // Phrase across two fields does not count
+  assert.strictEqual(index.search('"outlook analysts"').length, 0);
+
+  // Accents and word forms
+  const spanish = index.search('regulaciones aprobadas');
+  assert.strictEqual(spanish[0].article.url, 'https://example.es/regulacion');
+  assert.strictEqual(spanish[0].snippet,
+    'La **aprobación** de la nueva **regulación** para exchanges llega tras meses de debate.');
+
+  // Long texts are cut around the densest cluster of matches
+  const long = SearchIndex.fromArticles([{
+    title: 'Long',
+    summary: `${'Background sentence without matches. '.repeat(8)}Validators approved the upgrade and the upgrade shipped. ${'Filler text follows here. '.repeat(8)}`,
+    url: 'https://example.com/long'
+  }]);
+  const [result] = long.search('upgrade approval', { snippetLength: 80 });
+  assert.ok(result.snippet.startsWith('…'));
+  assert.ok(result.snippet.endsWith('…'));
+  assert.ok(result.snippet.includes('**approved** the **upgrade** and the **upgrade**'));
+  assert.ok(result.snippet.replace(/\*\*/g, '').length <= 84);
+
+  // Article text outside the highlights is escaped for Telegram Markdown
+  const marked = SearchIndex.fromArticles([{
+    title: 'Rollups',
+    summary: 'Fees on layer_2 [rollups] drop *again* as `blobs` land',
+    url: 'https://example.com/rollups'
+  }]);
+  assert.strictEqual(marked.search('rollups')[0].snippet,
+    'Fees on layer\\_2 \\[**rollups**\\] drop \\*again\\* as \\`blobs\\` land');
+  console.log('✅ Phrases matched exactly and snippets highlighted\n');
+}
+
+async function testServiceSearch() {
+  console.log('📚 Testing searchNews and the archive index...');
+
+  const originalArchive = newsService.archive;
+  newsService.archive = new NewsArchive();
+  newsService.setCache('latest_news', newsFixture.slice(0, 6));
+
+  try {
+    const live = await newsService.searchNews('ethereum etf approval');
+    assert.strictEqual(live[0].title, 'SEC approval of Ethereum ETF sparks bullish outlook');
+    assert.strictEqual((await newsService.searchNews('')).length, 6);
+
+    // The index is reused until the snapshot changes
+    const snapshot = await newsService.getLatestNews();
+    assert.strictEqual(newsService.getSearchIndex(snapshot), newsService.getSearchIndex(snapshot));
+
+    // The archive keeps its own index up to date as articles arrive
+    newsService.archive.addArticles(newsFixture);
+    assert.strictEqual(newsService.archive.searchIndex.size, 12);
+    const archived = await newsService.rankNews('miners profit', { archive: true });
+    assert.strictEqual(archived[0].article.url, 'https://example.com/news/bitcoin-miners-profit');
+    assert.strictEqual((await newsService.searchNews('miners profit')).length, 0);
+
+    const ranged = await newsService.rankNews('bitcoin', { archive: true, from: '2025-06-10T00:00:00Z' });
+    assert.deepStrictEqual(ranged.map(result => result.article.url), ['https://example.com/news/bitcoin-etf-inflows']);
+  } finally {
+    newsService.archive = originalArchive;
+    newsService.clearCache();
+  }
+  console.log('✅ Live snapshot and archive searchable\n');
+}
+
+async function testSearchCommand() {
+  console.log('🔎 Testing /search...');
+
+  const originalArchive = newsService.archive;
+  newsService.archive = new NewsArchive();
+  newsService.archive.addArticles(newsFixture);
+  newsService.setCache('latest_news', newsFixture);
+
+  try {
+    const bot = new FakeBot();
+    const handler = new MessageHandler(bot);
+
+    await handler.handleCommand(7, '42', '/search ethereum "ETF"', 'tester');
+    const { text, options } = bot.sent[0];
+    assert.ok(text.startsWith('🔎 **Search results for "ethereum "ETF""**'));
+    assert.ok(text.includes('1. **SEC approval of Ethereum ETF sparks bullish outlook**'));
+    assert.ok(text.includes('**ETFs**'));
+    assert.strictEqual(options.parse_mode, 'Markdown');
+
+    await handler.handleCommand(7, '42', '/search dogecoin', 'tester');
+    assert.ok(bot.sent[1].text.includes('No news found for "dogecoin"'));
+
+    // Markdown characters in the query are shown literally
+    await handler.handleCommand(7, '42', '/search layer_2', 'tester');
+    assert.ok(bot.sent[2].text.startsWith('🔎 **Search results for "layer\\_2"**'));
+    assert.ok(bot.sent[2].text.includes('**Layer** **2** adoption'));
+    await handler.handleCommand(7, '42', '/search *dogecoin*', 'tester');
+    assert.ok(bot.sent[3].text.includes('No news found for "\\*dogecoin\\*"'));
+
+    await handler.handleCommand(7, '42', '/search', 'tester');
+    assert.ok(bot.sent[4].text.includes('Example: /search'));
+  } finally {
+    newsService.archive = originalArchive;
+    newsService.clearCache();
+  }
+  console.log('✅ /search replies with ranked results\n');
+}
+
+async function runNewsSearchTests() {
+  console.log('🚀 Starting News Search Tests\n');
+
+  try {
+    await testTextAnalyzer();
+    await testRanking();
+    await testPhrasesAndSnippets();
+    await testServiceSearch();
+    await testSearchCommand();
+    console.log('✨ All news search tests completed successfully!');
+    rateLimiter.stop(); // Let the process exit
+  } catch (error) {
+    console.error('\n💥 News search test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runNewsSearchTests();
+}
+
+module.exports = { testTextAnalyzer, testRanking, testPhrasesAndSnippets, testServiceSearch, testSearchCommand, runNewsSearchTests };
@@ -0,0 +1,263 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const newsService = require('../src/services/newsService');
+const { BaseNewsSource, CarvNewsSource, RssNewsSource, JsonFileNewsSource, NewsSourceFactory } = require('../src/services/newsSources');
+const { NewsArchive } = require('../src/services/newsArchive');
+const { parseFeed, decodeEntities } = require('../src/utils/feedParser');
+
+/**
+ * Test script for news source adapters (runs against local mock servers and temp files)
+ * Run with: node test/test-news-sources.js
+ */
+
+const RSS_FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>Crypto Daily</title>
+    <atom:link href="https://cryptodaily.example/feed" rel="self"/>
+    <item>
+      <title><![CDATA[Bitcoin & Ether rally after ETF news]]></title>
+      <link>https://cryptodaily.example/btc-eth-rally</link>
+      <description>&lt;p&gt;Markets &lt;b&gt;surge&lt;/b&gt; as flows return &amp;amp; volumes climb.&lt;/p&gt;</description>
+      <pubDate>Tue, 10 Jun 2025 08:00:00 GMT</pubDate>
+    </item>
+    <item>
+      <title>Solana validators ship upgrade</title>
+      <link>https://cryptodaily.example/solana-upgrade?utm_source=rss</link>
+      <description><![CDATA[<p>Faster blocks for <a href="#">Solana</a>.</p>]]></description>
+      <pubDate>Tue, 10 Jun 2025 06:30:00 GMT</pubDate>
+    </item>
+    <item>
+      <description>Item without a title or link is skipped</description>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM_FEED = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>DeFi Weekly</title>
+  <link href="https://defi.example/" rel="alternate"/>
+  <entry>
+    <title type="html">Uniswap governance &#8220;fee switch&#8221; vote</title>
+    <link rel="alternate" type="text/html" href="https://defi.example/uniswap-fee-switch"/>
+    <link rel="replies" href="https://defi.example/uniswap-fee-switch#comments"/>
+    <summary>Token holders vote on protocol fees.</summary>
+    <published>2025-06-09T18:00:00Z</published>
+  </entry>
+</feed>`;
+
+/**
+ * Start a mock HTTP server with fixed routes
+ * @param {Object} routes - path -> { status, type, body }
+ * @returns {Promise<Object>} { baseURL, close }
+ */
+function startMockServer(routes) {
+  const server = http.createServer((req, res) => {
+    const route = routes[req.url] || { status: 404, type: 'text/plain', body: 'not found' };
+    res.writeHead(route.status, { 'Content-Type': route.type });
+    res.end(typeof route.body === 'string' ? route.body : JSON.stringify(route.body));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseURL: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Source that returns fixed articles or fails
+ */
+class StaticSource extends BaseNewsSource {
+  constructor(name, weight, titles, error = null) {
+    super({ name, weight });
+    this.titles = titles;
+    this.error = error;
+  }
+
+  async fetchArticles() {
+    if (this.error) {
+      throw this.error;
+    }
+    return this.titles.map(title => this.normalize({
+      title,
+      summary: `${title} summary`,
+      url: `https://${this.name}.example/${title.toLowerCase().replace(/\s+/g, '-')}`
+    }));
+  }
+}
+
+async function testFeedParser() {
+  console.log('📡 Testing RSS and Atom parsing...');
+
+  const rss = parseFeed(RSS_FEED);
+  assert.strictEqual(rss.title, 'Crypto Daily');
+  assert.strictEqual(rss.items.length, 2);
+  assert.strictEqual(rss.items[0].title, 'Bitcoin & Ether rally after ETF news');
+  assert.strictEqual(rss.items[0].summary, 'Markets surge as flows return & volumes climb.');
+  assert.strictEqual(rss.items[0].url, 'https://cryptodaily.example/btc-eth-rally');
+  assert.strictEqual(rss.items[0].publishedAt, '2025-06-10T08:00:00.000Z');
+  assert.strictEqual(rss.items[1].summary, 'Faster blocks for Solana .');
+
+  const atom = parseFeed(ATOM_FEED);
+  assert.strictEqual(atom.items.length, 1);
+  assert.strictEqual(atom.items[0].title, 'Uniswap governance “fee switch” vote');
+  assert.strictEqual(atom.items[0].url, 'https://defi.example/uniswap-fee-switch');
+  assert.strictEqual(atom.items[0].publishedAt, '2025-06-09T18:00:00.000Z');
+
+  // Numeric entities outside Unicode are replaced instead of failing the whole feed
+  assert.strictEqual(decodeEntities('&#x110000; &#xD800; &#99999999; &#x1F680;'), '\uFFFD \uFFFD \uFFFD 🚀');
+  const broken = parseFeed(RSS_FEED.replace('Solana validators ship upgrade', 'Solana validators ship upgrade &#x110000;'));
+  assert.strictEqual(broken.items.length, 2);
+  assert.strictEqual(broken.items[1].title, 'Solana validators ship upgrade \uFFFD');
+
+  assert.throws(() => parseFeed('<html><body>Not a feed</body></html>'), /Not an RSS or Atom feed/);
+  console.log('✅ Feeds parsed to title, summary, link and date\n');
+}
+
+async function testAdapters() {
+  console.log('🔌 Testing source adapters...');
+
+  const mock = await startMockServer({
+    '/feed.xml': { status: 200, type: 'application/rss+xml', body: RSS_FEED },
+    '/ai-agent-backend/news': {
+      status: 200,
+      type: 'application/json',
+      body: { code: 0, data: { infos: [{ title: 'CARV launches agent', card_text: 'Agents go live.', url: 'https://carv.example/agents' }] } }
+    }
+  });
+
+  try {
+    const rss = new RssNewsSource({ url: `${mock.baseURL}/feed.xml` });
+    assert.strictEqual(rss.name, '127.0.0.1');
+    const rssArticles = await rss.fetchArticles();
+    assert.deepStrictEqual(Object.keys(rssArticles[0]).sort(), ['publishedAt', 'source', 'summary', 'title', 'url']);
+    assert.strictEqual(rssArticles[0].source, '127.0.0.1');
+
+    const carv = new CarvNewsSource({ baseURL: mock.baseURL, authToken: 'token' });
+    const carvArticles = await carv.fetchArticles();
+    assert.deepStrictEqual(carvArticles[0], {
+      title: 'CARV launches agent',
+      summary: 'Agents go live.',
+      url: 'https://carv.example/agents',
+      source: 'carv',
+      publishedAt: null
+    });
+
+    await assert.rejects(() => new RssNewsSource({ url: `${mock.baseURL}/missing.xml` }).fetchArticles());
+  } finally {
+    await mock.close();
+  }
+
+  // Local JSON file in CARV, feed or shared format
+  const filePath = path.join(os.tmpdir(), `carvbot-news-${process.pid}.json`);
+  fs.writeFileSync(filePath, JSON.stringify({
+    articles: [
+      { title: 'Curated story', card_text: 'From the team.', url: 'https://team.example/1', source: 'The Block' },
+      { title: 'Feed-style story', description: '<p>HTML body</p>', link: 'https://team.example/2', pubDate: 1749542400 },
+      { title: 'No URL' }
+    ]
+  }));
+
+  try {
+    const local = await new JsonFileNewsSource({ filePath }).fetchArticles();
+    assert.strictEqual(local.length, 2);
+    assert.strictEqual(local[0].source, 'The Block');
+    assert.strictEqual(local[1].source, 'local');
+    assert.strictEqual(local[1].summary, 'HTML body');
+    assert.strictEqual(local[1].publishedAt, '2025-06-10T08:00:00.000Z');
+  } finally {
+    fs.unlinkSync(filePath);
+  }
+
+  // Long summaries are cut at a word boundary
+  const long = new StaticSource('x', 1, []).normalize({ title: 't', url: 'u', summary: 'word '.repeat(100) });
+  assert.ok(long.summary.length <= 303 && long.summary.endsWith('...'));
+  console.log('✅ Every adapter returns the shared schema\n');
+}
+
+async function testFactory() {
+  console.log('🏭 Testing source configuration...');
+
+  const sources = NewsSourceFactory.createSources({
+    sources: ['carv', 'rss', 'json'],
+    weights: { carv: 3, rss: 2, 'defi.example': 5 },
+    rssFeeds: ['https://www.cryptodaily.example/feed', 'https://defi.example/atom'],
+    jsonFilePath: 'data/news.json'
+  }, { authToken: 'token' });
+
+  assert.deepStrictEqual(sources.map(source => source.name), ['carv', 'cryptodaily.example', 'defi.example', 'local']);
+  assert.deepStrictEqual(sources.map(source => source.weight), [3, 2, 5, 1]);
+  assert.throws(() => NewsSourceFactory.createSource('twitter', {}), /Unknown news source type/);
+  console.log('✅ Sources and weights built from config\n');
+}
+
+async function testMerge() {
+  console.log('🔀 Testing weighted merge...');
+
+  const originalSources = newsService.sources;
+  const originalArchive = newsService.archive;
+  newsService.archive = new NewsArchive(); // In memory, keeps data/ untouched
+  newsService.clearCache();
+
+  try {
+    newsService.sources = [
+      new StaticSource('alpha', 2, ['A1', 'A2', 'A3', 'A4']),
+      new StaticSource('beta', 1, ['B1', 'B2', 'A1']),
+      new StaticSource('down', 1, [], new Error('connect ECONNREFUSED'))
+    ];
+
+    const news = await newsService.getLatestNews();
+    // Two alpha articles per beta article; the duplicate title from beta is dropped
+    assert.deepStrictEqual(news.map(article => article.title), ['A1', 'B1', 'A2', 'A3', 'B2', 'A4']);
+    assert.ok(news.every(article => article.summary && article.source));
+
+    // Every source failing falls back to the last good (expired) data
+    newsService.sources = [new StaticSource('down', 1, [], new Error('timeout'))];
+    newsService.cache.get('latest_news').timestamp = 0;
+    assert.strictEqual((await newsService.getLatestNews()).length, 6);
+
+    newsService.clearCache();
+    await assert.rejects(() => newsService.getLatestNews(), /Failed to fetch news/);
+
+    // Same story behind different tracking parameters is a duplicate
+    assert.strictEqual(
+      newsService.normalizeUrl('https://www.site.example/story/?utm_source=x'),
+      newsService.normalizeUrl('http://site.example/story')
+    );
+  } finally {
+    newsService.sources = originalSources;
+    newsService.archive = originalArchive;
+    newsService.clearCache();
+  }
+  console.log('✅ Sources merged by weight with duplicates removed\n');
+}
+
+async function runNewsSourceTests() {
+  console.log('🚀 Starting News Source Tests\n');
+
+  try {
+    await testFeedParser();
+    await testAdapters();
+    await testFactory();
+    await testMerge();
+    console.log('✨ All news source tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 News source test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runNewsSourceTests();
+}
+
+module.exports = { testFeedParser, testAdapters, testFactory, testMerge, runNewsSourceTests };
@@ -0,0 +1,314 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The OpenAI client refuses to start without a key; tests never reach the network
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const MessageHandler = require('../src/handlers/messageHandler');
+const investmentAnalyzer = require('../src/services/investmentAnalyzer');
+const sentimentScorer = require('../src/services/sentimentScorer');
+const newsService = require('../src/services/newsService');
+const { SentimentHistory } = require('../src/services/sentimentHistory');
+const { NewsArchive } = require('../src/services/newsArchive');
+const { BaseNewsSource } = require('../src/services/newsSources');
+const rateLimiter = require('../src/utils/rateLimiter');
+const { sleep } = require('../src/utils/retry');
+const newsFixture = require('./fixtures/news.json');
+
+/**
+ * Test script for time-decayed sentiment, snapshots and /trend (runs offline)
+ * Run with: node test/test-sentiment-history.js
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2025-06-10T12:00:00.000Z');
+
+const article = (title, hoursAgo) => ({
+  title,
+  summary: '',
+  url: `https://example.com/${encodeURIComponent(title)}`,
+  source: 'test',
+  publishedAt: new Date(NOW - hoursAgo * HOUR_MS).toISOString()
+});
+
+/**
+ * Fake Telegram bot that records sent messages
+ */
+class FakeBot {
+  constructor() {
+    this.sent = [];
+  }
+
+  async sendChatAction() {}
+
+  async sendMessage(chatId, text, options = {}) {
+    this.sent.push({ chatId, text, options });
+    return { message_id: this.sent.length, chat: { id: chatId } };
+  }
+}
+
+/**
+ * Source returning fixed articles
+ */
+class FixedSource extends BaseNewsSource {
+  constructor(articles) {
+    super({ name: 'fixed', weight: 1 });
+    this.articles = articles;
+  }
+
+  async fetchArticles() {
+    return this.articles;
+  }
+}
+
+/**
+ * History with a settable clock and snapshots of one asset at given hours before NOW
+ */
+function historyWith(scores, { hoursApart = 6, asset = 'solana' } = {}) {
+  const clock = { time: NOW - (scores.length - 1) * hoursApart * HOUR_MS };
+  const history = new SentimentHistory({ now: () => clock.time });
+  scores.forEach(score => {
+    history.record({ assets: { [asset]: { score, mentions: 1, positive: 0, negative: 0, neutral: 1 } } });
+    clock.time += hoursApart * HOUR_MS;
+  });
+  clock.time = NOW;
+  return history;
+}
+
+async function testDecay() {
+  console.log('⏳ Testing time decay...');
+
+  const news = [
+    article('Solana crashes after exploit', 48),
+    article('Solana rallies to a record high', 0)
+  ];
+  const [old, fresh] = news.map(item => sentimentScorer.scoreArticle(item).score);
+  const originalHalfLife = investmentAnalyzer.halfLifeHours;
+
+  try {
+    // Two half-lives old: a quarter of the weight
+    investmentAnalyzer.halfLifeHours = 24;
+    assert.deepStrictEqual(investmentAnalyzer.getDecayWeights(newsService.clusterStories(news)), [0.25, 1]);
+    const decayed = investmentAnalyzer.analyzeNewsSentiment(news, '', { weightBySources: false, now: NOW });
+    assert.strictEqual(decayed.assets.solana.score, sentimentScorer.round((old * 0.25 + fresh) / 1.25));
+    assert.strictEqual(decayed.score, decayed.assets.solana.score);
+    // Counts are not decayed; the decay shows in the recency of the coverage
+    const { positive, negative, neutral, recency } = decayed.overall;
+    assert.deepStrictEqual({ positive, negative, neutral }, { positive: 1, negative: 1, neutral: 0 });
+    assert.strictEqual(recency, 0.625);
+
+    investmentAnalyzer.halfLifeHours = 0;
+    const flat = investmentAnalyzer.analyzeNewsSentiment(news, '', { weightBySources: false });
+    assert.strictEqual(flat.assets.solana.score, sentimentScorer.round((old + fresh) / 2));
+    assert.ok(decayed.assets.solana.score > flat.assets.solana.score);
+
+    // Undated stories are not decayed, and years-old news still counts a little
+    investmentAnalyzer.halfLifeHours = 24;
+    assert.deepStrictEqual(investmentAnalyzer.getDecayWeights(newsService.clusterStories([
+      { ...news[0], publishedAt: null }, news[1]
+    ])), [1, 1]);
+    const ancient = investmentAnalyzer.analyzeNewsSentiment([article('Solana crashes after exploit', 24 * 3650), news[1]]);
+    assert.ok(Number.isFinite(ancient.assets.solana.score));
+  } finally {
+    investmentAnalyzer.halfLifeHours = originalHalfLife;
+  }
+  console.log('✅ Recent stories weigh more in the score\n');
+}
+
+async function testPersistence() {
+  console.log('💾 Testing snapshot persistence...');
+
+  const filePath = path.join(os.tmpdir(), `carvbot-sentiment-history-${process.pid}.jsonl`);
+  const clock = { time: NOW - 40 * 24 * HOUR_MS };
+  const now = () => clock.time;
+
+  try {
+    const history = new SentimentHistory({ filePath, retentionDays: 35, now });
+    const analysis = investmentAnalyzer.analyzeNewsSentiment(newsFixture, '', { weightBySources: false });
+    const saved = history.record(analysis);
+    assert.strictEqual(saved.length, Object.keys(analysis.assets).length);
+    assert.deepStrictEqual(saved.find(snapshot => snapshot.asset === 'bitcoin'), {
+      asset: 'bitcoin',
+      score: analysis.assets.bitcoin.score,
+      mentions: 2,
+      positive: 2,
+      negative: 0,
+      neutral: 0,
+      takenAt: new Date(clock.time).toISOString()
+    });
+
+    clock.time = NOW;
+    history.record(analysis);
+    fs.appendFileSync(filePath, '{"asset":"bitcoin","sco'); // Interrupted write
+
+    // Old snapshots and broken lines are dropped on load, and the file is compacted
+    const reloaded = new SentimentHistory({ filePath, retentionDays: 35, now });
+    assert.deepStrictEqual(reloaded.getStats(), { snapshots: saved.length, assets: saved.length });
+    assert.strictEqual(reloaded.getSnapshots('bitcoin')[0].takenAt, new Date(NOW).toISOString());
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, saved.length);
+
+    // A running history drops expired snapshots without a reload, and compacts the file once half of it is stale
+    const running = new SentimentHistory({ filePath, retentionDays: 35, now });
+    clock.time = NOW + 20 * 24 * HOUR_MS;
+    running.record(analysis);
+    assert.strictEqual(running.getStats().snapshots, 2 * saved.length);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 2 * saved.length);
+    clock.time = NOW + 36 * 24 * HOUR_MS;
+    running.record(analysis);
+    assert.strictEqual(running.getStats().snapshots, 2 * saved.length);
+    assert.strictEqual(running.getSnapshots('bitcoin')[0].takenAt, new Date(NOW + 20 * 24 * HOUR_MS).toISOString());
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 3 * saved.length, 'appended');
+    clock.time = NOW + 56 * 24 * HOUR_MS;
+    running.record(analysis);
+    assert.deepStrictEqual(running.getStats(), { snapshots: 2 * saved.length, assets: saved.length });
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 2 * saved.length, 'compacted');
+
+    // In-memory history never touches the disk
+    const memory = new SentimentHistory();
+    memory.record(analysis);
+    assert.strictEqual(memory.filePath, null);
+  } finally {
+    fs.rmSync(filePath, { force: true });
+  }
+  console.log('✅ Snapshots survive a restart\n');
+}
+
+async function testSeries() {
+  console.log('📉 Testing series and turning points...');
+
+  // Improving, then a sell-off, then a recovery, one snapshot every 6 hours
+  const scores = [-0.1, 0, 0.2, 0.5, 0.6, 0.3, -0.1, -0.4, -0.3, 0, 0.3, 0.4];
+  const history = historyWith(scores);
+  const series = history.getSeries('solana', { days: 7, buckets: 28 });
+
+  assert.strictEqual(series.length, 28);
+  assert.strictEqual(series[27].end - series[0].start, 7 * 24 * HOUR_MS);
+  assert.strictEqual(new Date(series[0].start).getUTCHours() % 6, 0); // Aligned buckets
+  assert.deepStrictEqual(series.filter(bucket => bucket.score !== null).map(bucket => bucket.score), scores);
+  assert.strictEqual(series.filter(bucket => bucket.score === null).length, 28 - scores.length);
+
+  const turningPoints = history.findTurningPoints(series, 0.2);
+  assert.deepStrictEqual(turningPoints.map(point => [point.type, point.score]), [['high', 0.6], ['low', -0.4]]);
+  assert.strictEqual(turningPoints[1].time, NOW - 4 * 6 * HOUR_MS);
+
+  // Small wiggles are not turning points
+  const wiggles = historyWith([0, 0.05, -0.05, 0.1, 0]);
+  assert.deepStrictEqual(wiggles.findTurningPoints(wiggles.getSeries('solana'), 0.2), []);
+
+  assert.strictEqual(investmentAnalyzer.sparkline([-1, 0, 1, null]), '▁▅█·');
+  assert.strictEqual(investmentAnalyzer.sparkline([0.3, 0.3]), '▅▅');
+  assert.deepStrictEqual(history.getSeries('ethereum').filter(bucket => bucket.score !== null), []);
+  console.log('✅ Series bucketed with highs and lows\n');
+}
+
+async function testRefreshSnapshots() {
+  console.log('🔄 Testing snapshots on refresh...');
+
+  const originalSources = newsService.sources;
+  const originalArchive = newsService.archive;
+  const originalListeners = newsService.refreshListeners;
+  const originalHistory = investmentAnalyzer.history;
+  newsService.sources = [new FixedSource(newsFixture)];
+  newsService.archive = new NewsArchive();
+  newsService.refreshListeners = [];
+  investmentAnalyzer.history = new SentimentHistory();
+
+  try {
+    newsService.onRefresh(news => investmentAnalyzer.recordSnapshot(news));
+    newsService.onRefresh(() => { throw new Error('listener bug'); }); // Must not fail the fetch
+
+    const news = await newsService.refreshNews();
+    assert.strictEqual(news.length, newsFixture.length);
+    await sleep(10);
+
+    const [snapshot] = investmentAnalyzer.history.getSnapshots('bitcoin');
+    assert.strictEqual(snapshot.mentions, 2);
+    assert.ok(snapshot.score > 0);
+    assert.strictEqual(investmentAnalyzer.history.getStats().assets, 9);
+  } finally {
+    newsService.sources = originalSources;
+    newsService.archive = originalArchive;
+    newsService.refreshListeners = originalListeners;
+    investmentAnalyzer.history = originalHistory;
+    newsService.clearCache();
+  }
+  console.log('✅ Each refresh saves a snapshot per asset\n');
+}
+
+async function testTrendCommand() {
+  console.log('📈 Testing /trend...');
+
+  const originalHistory = investmentAnalyzer.history;
+  const originalArchive = newsService.archive;
+  newsService.archive = new NewsArchive();
+
+  try {
+    const bot = new FakeBot();
+    const handler = new MessageHandler(bot);
+
+    await handler.handleCommand(7, '1', '/trend', 'tester');
+    assert.ok(bot.sent[0].text.startsWith('📈 Usage: /trend <asset> [7d|30d]'));
+    await handler.handleCommand(7, '1', '/trend sol 90d', 'tester');
+    assert.ok(bot.sent[1].text.startsWith('📈 Usage'));
+    await handler.handleCommand(7, '1', '/trend dogecoin', 'tester');
+    assert.strictEqual(bot.sent[2].text, '❓ I don\'t track "dogecoin". Admins can add it to the asset registry.');
+
+    investmentAnalyzer.history = new SentimentHistory({ now: () => NOW });
+    await handler.handleCommand(7, '1', '/trend sol', 'tester');
+    assert.ok(bot.sent[3].text.includes('No sentiment history for SOL in this period yet.'));
+
+    investmentAnalyzer.history = historyWith([-0.1, 0, 0.2, 0.5, 0.6, 0.3, -0.1, -0.4, -0.3, 0, 0.3, 0.4]);
+    await handler.handleCommand(7, '1', '/trend $SOL', 'tester');
+    const { text, options } = bot.sent[4];
+    assert.strictEqual(options.parse_mode, 'Markdown');
+    assert.ok(text.startsWith('📈 **SOL sentiment, last 7 days**\n\n················▃▄▅▇█▆▃▁▂▄▆▇\n'));
+    assert.ok(text.includes('Low -0.40, high +0.60'));
+    assert.ok(text.includes('Now: +0.40 (positive)'));
+    assert.ok(text.includes('Change over 7 days: +0.50 (improving)'));
+    assert.ok(text.includes('Turning points:\n• 2025-06-08 18:00 UTC: high of +0.60\n• 2025-06-09 12:00 UTC: low of -0.40\n'));
+    assert.ok(text.includes('Based on 12 snapshots; each bar is 6 hours'));
+
+    // 30 days: one bar per day
+    await handler.handleCommand(7, '1', '/trend solana 30D', 'tester');
+    assert.ok(bot.sent[5].text.startsWith('📈 **SOL sentiment, last 30 days**\n\n'));
+    assert.strictEqual(bot.sent[5].text.split('\n')[2].length, 30);
+    assert.ok(bot.sent[5].text.includes('each bar is 1 day'));
+  } finally {
+    investmentAnalyzer.history = originalHistory;
+    newsService.archive = originalArchive;
+  }
+  console.log('✅ /trend shows a sparkline and turning points\n');
+}
+
+async function runSentimentHistoryTests() {
+  console.log('🚀 Starting Sentiment History Tests\n');
+
+  try {
+    await testDecay();
+    await testPersistence();
+    await testSeries();
+    await testRefreshSnapshots();
+    await testTrendCommand();
+    console.log('✨ All sentiment history tests completed successfully!');
+    rateLimiter.stop(); // Let the process exit
+  } catch (error) {
+    console.error('\n💥 Sentiment history test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runSentimentHistoryTests();
+}
+
+module.exports = {
+  testDecay,
+  testPersistence,
+  testSeries,
+  testRefreshSnapshots,
+  testTrendCommand,
+  runSentimentHistoryTests
+};
@@ -0,0 +1,143 @@
+const assert = require('assert');
+
+const sentimentScorer = require('../src/services/sentimentScorer');
+const investmentAnalyzer = require('../src/services/investmentAnalyzer');
+const sentimentCorpus = require('./fixtures/sentiment.json');
+const newsFixture = require('./fixtures/news.json');
+
+/**
+ * Test script for lexicon sentiment scoring (runs offline)
+ * Run with: node test/test-sentiment.js
+ */
+
+const MIN_CORPUS_ACCURACY = 0.9;
+
+const scoreOf = text => sentimentScorer.scoreText(text).score;
+
+async function testWordBoundaries() {
+  console.log('🔤 Testing whole-word matching...');
+
+  // Each of these used to count as sentiment through a substring
+  assert.strictEqual(scoreOf('Exchange publishes an update for enterprise customers'), 0); // "up", "rise"
+  assert.strictEqual(scoreOf('Security audit completed'), 0); // "security" is not bad news
+  assert.strictEqual(scoreOf('Los precios de los tokens'), 0); // "los" is not "loss"
+  assert.strictEqual(scoreOf('Lanzamiento de la wallet'), scoreOf('Wallet launch'));
+
+  // Inflections share a stem
+  assert.strictEqual(scoreOf('Prices surged'), scoreOf('Prices surge'));
+  assert.ok(scoreOf('Hackers drained the pool') < 0);
+  assert.ok(scoreOf('Strong demand for bitcoin ETFs') >= 0); // Not the Spanish "demanda" (lawsuit)
+  assert.ok(scoreOf('Record demand for Solana') >= 0);
+  assert.ok(scoreOf('Bitcoin hits an all-time high') > 0);
+  console.log('✅ Terms match whole words only\n');
+}
+
+async function testModifiers() {
+  console.log('🔁 Testing negation and intensifiers...');
+
+  assert.ok(scoreOf('Bullish outlook') > 0);
+  assert.ok(scoreOf('Not a bullish outlook') < 0);
+  assert.ok(scoreOf("Ethereum isn't looking bullish") < 0);
+  assert.ok(scoreOf('El mercado no es alcista') < 0);
+  // Negation is weaker than the opposite term and stops at a clause break
+  assert.ok(scoreOf('Not bullish') > scoreOf('Bearish'));
+  assert.ok(scoreOf('Not today, bullish momentum returns') > 0);
+  assert.ok(scoreOf('BTC did not crash') > 0);
+  // "won" is not a contraction
+  assert.ok(scoreOf('Solana won approval') > 0);
+
+  assert.ok(scoreOf('Very bullish outlook') > scoreOf('Bullish outlook'));
+  assert.ok(scoreOf('Slightly bearish outlook') > scoreOf('Bearish outlook'));
+  assert.ok(scoreOf('Muy alcista') > scoreOf('Alcista'));
+
+  const { matches } = sentimentScorer.scoreText('Record profit, not a loss');
+  assert.deepStrictEqual(matches.map(match => [match.text, match.weight]), [['profit', 2.25], ['loss', 1.125]]);
+  console.log('✅ Negation flips and intensifiers scale the next term\n');
+}
+
+async function testScores() {
+  console.log('📏 Testing scores and labels...');
+
+  // Headlines weigh more than summaries
+  const inTitle = sentimentScorer.scoreArticle({ title: 'Bitcoin rallies', summary: 'Prices moved today.' });
+  const inSummary = sentimentScorer.scoreArticle({ title: 'Prices moved today', summary: 'Bitcoin rallies.' });
+  assert.ok(inTitle.score > inSummary.score);
+  assert.strictEqual(inTitle.matches[0].field, 'title');
+
+  // Continuous and bounded
+  const extreme = scoreOf('Crash plunge collapse bankruptcy fraud scam hack theft exploit crash plunge');
+  assert.ok(extreme < -0.9 && extreme >= -1);
+  assert.ok(scoreOf('Gain') < scoreOf('Gain and growth'));
+  assert.strictEqual(scoreOf(''), 0);
+
+  // Buckets come from the thresholds
+  assert.strictEqual(sentimentScorer.getLabel(sentimentScorer.positiveThreshold), 'positive');
+  assert.strictEqual(sentimentScorer.getLabel(sentimentScorer.negativeThreshold), 'negative');
+  assert.strictEqual(sentimentScorer.getLabel(0.1), 'neutral');
+
+  // A story scores the average of its articles
+  const story = [{ title: 'Bitcoin rallies', summary: '' }, { title: 'Bitcoin crashes', summary: '' }];
+  assert.strictEqual(sentimentScorer.scoreArticles(story), sentimentScorer.round(
+    (sentimentScorer.scoreArticle(story[0]).score + sentimentScorer.scoreArticle(story[1]).score) / 2));
+  assert.strictEqual(sentimentScorer.scoreArticles([]), 0);
+  console.log('✅ Scores in [-1, 1], bucketed by threshold\n');
+}
+
+async function testCorpus() {
+  console.log('📚 Testing the labeled corpus...');
+
+  const misses = sentimentCorpus.filter(article => sentimentScorer.scoreArticle(article).label !== article.label);
+  const accuracy = 1 - misses.length / sentimentCorpus.length;
+  misses.forEach(article => console.log(`   miss (${article.label}): ${article.title}`));
+  console.log(`   accuracy ${(accuracy * 100).toFixed(1)}% on ${sentimentCorpus.length} articles`);
+  assert.ok(accuracy >= MIN_CORPUS_ACCURACY);
+
+  // Every label is represented and no class is wholly mislabeled
+  ['positive', 'negative', 'neutral'].forEach(label => {
+    const labeled = sentimentCorpus.filter(article => article.label === label);
+    assert.ok(labeled.length >= 5);
+    assert.ok(misses.filter(article => article.label === label).length <= 2, label);
+  });
+  console.log('✅ Scorer agrees with the labels\n');
+}
+
+async function testAnalyzer() {
+  console.log('📊 Testing scores in the analysis...');
+
+  const analysis = investmentAnalyzer.analyzeNewsSentiment(newsFixture, '', { weightBySources: false });
+  const { positive, negative, neutral, sources, agreement } = analysis.overall;
+  assert.deepStrictEqual({ positive, negative, neutral }, { positive: 6, negative: 4, neutral: 2 });
+  assert.deepStrictEqual({ sources, agreement }, { sources: 1, agreement: 0.5 }); // Every fixture article is from example.com
+  assert.ok(analysis.score > 0 && analysis.score < 1);
+  assert.ok(analysis.assets.solana.score < analysis.assets.bitcoin.score);
+  assert.strictEqual(analysis.assets.nft.negative, 1);
+  assert.strictEqual(analysis.assets.nft.score, sentimentScorer.scoreArticle(newsFixture[6]).score);
+
+  const response = investmentAnalyzer.formatInvestmentResponse(analysis, []);
+  assert.ok(response.includes(`Overall sentiment: POSITIVE (score +${analysis.score.toFixed(2)})`));
+  assert.ok(response.includes(`NFT: negative, score ${analysis.assets.nft.score.toFixed(2)} (1 mentions)`));
+  console.log('✅ Analysis carries average scores\n');
+}
+
+async function runSentimentTests() {
+  console.log('🚀 Starting Sentiment Tests\n');
+
+  try {
+    await testWordBoundaries();
+    await testModifiers();
+    await testScores();
+    await testCorpus();
+    await testAnalyzer();
+    console.log('✨ All sentiment tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 Sentiment test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runSentimentTests();
+}
+
+module.exports = { testWordBoundaries, testModifiers, testScores, testCorpus, testAnalyzer, runSentimentTests };
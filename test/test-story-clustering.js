@@ -0,0 +1,141 @@
+const assert = require('assert');
+
+const storyClusterer = require('../src/services/storyClusterer');
+const newsService = require('../src/services/newsService');
+const investmentAnalyzer = require('../src/services/investmentAnalyzer');
+const newsFixture = require('./fixtures/news.json');
+
+/**
+ * Test script for grouping duplicate coverage into stories (runs offline)
+ * Run with: node test/test-story-clustering.js
+ */
+
+// The same events as fixture articles 0, 1 and 2, written up by other outlets
+const COVERAGE = [
+  {
+    title: 'BTC tops $70K as spot bitcoin ETF inflows hit record',
+    summary: 'Bitcoin ETFs saw record weekly inflows, pushing BTC above $70,000.',
+    url: 'https://www.coindesk.com/markets/btc-70k',
+    source: 'carv'
+  },
+  {
+    title: 'Ethereum ETF approved by SEC, analysts bullish',
+    summary: 'The SEC approved spot ether ETFs; analysts expect institutional demand.',
+    url: 'https://theblock.co/post/eth-etf',
+    source: 'carv'
+  },
+  {
+    title: 'Hackers drain $12 million from Solana lending protocol',
+    summary: 'An oracle bug was exploited on a Solana lending protocol and SOL fell.',
+    url: 'https://decrypt.co/solana-exploit',
+    source: 'carv'
+  },
+  {
+    title: 'Bitcoin ETF inflows surge as BTC rallies past $70,000',
+    summary: 'Spot bitcoin ETFs recorded their largest weekly inflows as BTC extends its rally.',
+    url: 'https://cointelegraph.com/news/bitcoin-etf-inflows',
+    source: 'carv'
+  }
+];
+
+async function testClustering() {
+  console.log('🧩 Testing story clustering...');
+
+  const stories = storyClusterer.clusterArticles([...newsFixture, ...COVERAGE]);
+  assert.strictEqual(stories.length, 12);
+
+  // Stories keep the order of their first article, which leads the story
+  assert.deepStrictEqual(stories.map(story => story.lead.url), newsFixture.map(article => article.url));
+
+  const [bitcoin, ethereum, solana, upgrade] = stories;
+  assert.strictEqual(bitcoin.articles.length, 3);
+  assert.deepStrictEqual(bitcoin.sources, ['example.com', 'coindesk.com', 'cointelegraph.com']);
+  assert.strictEqual(bitcoin.sourceCount, 3);
+  assert.strictEqual(ethereum.sourceCount, 2);
+  assert.strictEqual(solana.sourceCount, 2);
+  // Same chain, different event
+  assert.strictEqual(upgrade.sourceCount, 1);
+
+  // Unrelated fixture articles stay apart; a strict threshold splits everything
+  assert.ok(storyClusterer.clusterArticles(newsFixture).every(story => story.articles.length === 1));
+  assert.strictEqual(storyClusterer.clusterArticles([...newsFixture, ...COVERAGE], { threshold: 0.99 }).length, 16);
+  assert.deepStrictEqual(storyClusterer.clusterArticles([]), []);
+
+  // Similarity is symmetric and bounded
+  const [a, b] = storyClusterer.vectorize([newsFixture[1], COVERAGE[1]]);
+  const similarity = storyClusterer.cosine(a, b);
+  assert.ok(similarity > 0.5 && similarity <= 1);
+  assert.strictEqual(similarity.toFixed(6), storyClusterer.cosine(b, a).toFixed(6));
+  console.log('✅ Duplicate coverage grouped into stories\n');
+}
+
+async function testDisplay() {
+  console.log('📰 Testing story display...');
+
+  const text = newsService.formatNewsForDisplay([...newsFixture, ...COVERAGE]);
+  assert.ok(text.startsWith('📰 **Latest News** (5 of 12 stories)'));
+  assert.ok(text.includes('📡 Covered by 3 sources'));
+  assert.strictEqual((text.match(/Covered by/g) || []).length, 3);
+  assert.ok(!text.includes('BTC tops $70K'));
+  assert.ok(text.includes('... and 7 more stories available.'));
+
+  // /news pages over stories too
+  const first = newsService.formatNewsPage([...newsFixture, ...COVERAGE], 1, 5);
+  assert.strictEqual(first.totalPages, 3);
+  assert.ok(first.text.startsWith('📰 **Latest News** (1-5 of 12 stories)'));
+  assert.strictEqual((first.text.match(/Covered by/g) || []).length, 3);
+  assert.ok(!first.text.includes('BTC tops $70K'));
+  const last = newsService.formatNewsPage([...newsFixture, ...COVERAGE], 3, 5);
+  assert.ok(last.text.includes('(11-12 of 12 stories)'));
+  console.log('✅ Top five shows stories with coverage counts\n');
+}
+
+async function testAnalyzerCounts() {
+  console.log('📊 Testing story counts in analysis...');
+
+  const news = [...newsFixture, ...COVERAGE];
+
+  const analysis = investmentAnalyzer.analyzeNewsSentiment(news, '', { weightBySources: false });
+  assert.strictEqual(analysis.articles, 16);
+  assert.strictEqual(analysis.stories, 12);
+  const total = analysis.overall.positive + analysis.overall.negative + analysis.overall.neutral;
+  assert.strictEqual(total, 12);
+  // Three outlets on one ETF story still count as one bitcoin story
+  const bitcoinStories = investmentAnalyzer.analyzeNewsSentiment(newsFixture, '', { weightBySources: false }).assets.bitcoin.mentions;
+  assert.strictEqual(analysis.assets.bitcoin.mentions, bitcoinStories);
+
+  // Weighted: 1 + log2(sources) per story
+  const weighted = investmentAnalyzer.analyzeNewsSentiment(news, '', { weightBySources: true });
+  assert.strictEqual(investmentAnalyzer.getStoryWeight({ sourceCount: 4 }, true), 3);
+  const expected = storyClusterer.clusterArticles(news)
+    .reduce((sum, story) => sum + 1 + Math.log2(story.sourceCount), 0);
+  const weightedTotal = weighted.overall.positive + weighted.overall.negative + weighted.overall.neutral;
+  assert.ok(Math.abs(weightedTotal - expected) < 1e-9);
+  assert.ok(weighted.assets.bitcoin.mentions > analysis.assets.bitcoin.mentions);
+
+  const response = investmentAnalyzer.formatInvestmentResponse(weighted, []);
+  assert.ok(response.includes('(16 articles grouped into 12 stories)'));
+  assert.ok(!/(news: |\()\d+\.\d{2,}/.test(response)); // Counts, not scores
+  console.log('✅ Each story counted once (optionally weighted by coverage)\n');
+}
+
+async function runStoryClusteringTests() {
+  console.log('🚀 Starting Story Clustering Tests\n');
+
+  try {
+    await testClustering();
+    await testDisplay();
+    await testAnalyzerCounts();
+    console.log('✨ All story clustering tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 Story clustering test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runStoryClusteringTests();
+}
+
+module.exports = { testClustering, testDisplay, testAnalyzerCounts, runStoryClusteringTests };
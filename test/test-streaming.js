@@ -0,0 +1,179 @@
+const assert = require('assert');
+
+// The OpenAI client refuses to start without a key; tests never reach the network
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const StreamingMessage = require('../src/handlers/streamingMessage');
+const { OpenAIProvider, BaseAIProvider } = require('../src/services/aiProviders');
+
+/**
+ * Test script for streaming AI responses (runs offline)
+ * Run with: node test/test-streaming.js
+ */
+
+/**
+ * Fake Telegram bot that records sends and edits
+ */
+class FakeBot {
+  constructor() {
+    this.nextId = 1;
+    this.messages = new Map();
+    this.calls = [];
+  }
+
+  async sendMessage(chatId, text) {
+    const messageId = this.nextId++;
+    this.messages.set(messageId, text);
+    this.calls.push({ method: 'sendMessage', messageId, text });
+    return { message_id: messageId };
+  }
+
+  async editMessageText(text, { message_id: messageId }) {
+    if (this.messages.get(messageId) === text) {
+      throw new Error('Bad Request: message is not modified');
+    }
+    this.messages.set(messageId, text);
+    this.calls.push({ method: 'editMessageText', messageId, text });
+    return true;
+  }
+
+  async deleteMessage(chatId, messageId) {
+    this.messages.delete(messageId);
+    this.calls.push({ method: 'deleteMessage', messageId });
+    return true;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function* chunks(list) {
+  for (const chunk of list) {
+    yield chunk;
+  }
+}
+
+async function testStreamingMessage() {
+  console.log('✏️ Testing progressive message edits...');
+
+  const bot = new FakeBot();
+  const stream = new StreamingMessage(bot, 1, { maxLength: 40, editIntervalMs: 50 });
+  await stream.start();
+  assert.strictEqual(bot.calls[0].method, 'sendMessage');
+
+  // Many tokens inside one interval produce a single edit
+  ['Hello', ' there,', ' this', ' is', ' streamed.'].forEach(token => stream.append(token));
+  await sleep(80);
+  const edits = bot.calls.filter(call => call.method === 'editMessageText');
+  assert.strictEqual(edits.length, 1);
+  assert.strictEqual(bot.messages.get(1), 'Hello there, this is streamed.');
+
+  // Passing maxLength continues in a new message
+  stream.append(' It keeps going past the limit.');
+  await stream.finish();
+  assert.strictEqual(bot.messages.size, 2);
+  assert.ok([...bot.messages.values()].every(text => text.length <= 40));
+  assert.strictEqual([...bot.messages.values()].join(' '), 'Hello there, this is streamed. It keeps going past the limit.');
+
+  // finish() with the final text corrects whatever was streamed
+  const corrected = new StreamingMessage(new FakeBot(), 2, { maxLength: 100, editIntervalMs: 0 });
+  await corrected.start();
+  corrected.append('Let me check.');
+  await corrected.finish('Final answer.');
+  assert.strictEqual(corrected.bot.messages.get(1), 'Final answer.');
+
+  // A final text shorter than the stream removes the messages it no longer needs
+  const shortened = new StreamingMessage(new FakeBot(), 3, { maxLength: 20, editIntervalMs: 0 });
+  await shortened.start();
+  shortened.append('A long draft that spills over into three messages.');
+  await sleep(10);
+  assert.strictEqual(shortened.bot.messages.size, 3);
+  await shortened.finish('Short answer.');
+  assert.deepStrictEqual([...shortened.bot.messages.entries()], [[1, 'Short answer.']]);
+  assert.deepStrictEqual(shortened.sentMessages.map(message => message.messageId), [1]);
+  console.log('✅ Placeholder edited at a throttled rate and split at the maximum length\n');
+}
+
+async function testProviderStreaming() {
+  console.log('📡 Testing OpenAI stream parsing...');
+
+  const provider = new OpenAIProvider({ apiKey: 'test-key', baseURL: 'http://127.0.0.1:1', model: 'test-model' });
+  let request = null;
+  provider.client = {
+    chat: {
+      completions: {
+        create: async (body) => {
+          request = body;
+          return chunks([
+            { choices: [{ delta: { content: 'Hel' } }] },
+            { choices: [{ delta: { content: 'lo' } }] },
+            { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'search_news', arguments: '{"qu' } }] } }] },
+            { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'ery":"sol"}' } }] }, finish_reason: 'tool_calls' }] }
+          ]);
+        }
+      }
+    }
+  };
+
+  const tokens = [];
+  let completion = null;
+  for await (const event of provider.streamCompletion([{ role: 'user', content: 'hi' }], { tools: [{ type: 'function', function: { name: 'search_news' } }] })) {
+    if (event.type === 'token') tokens.push(event.text);
+    if (event.type === 'completion') completion = event;
+  }
+
+  assert.strictEqual(request.stream, true);
+  assert.deepStrictEqual(tokens, ['Hel', 'lo']);
+  assert.strictEqual(completion.content, 'Hello');
+  assert.strictEqual(completion.finishReason, 'tool_calls');
+  assert.deepStrictEqual(completion.toolCalls, [{
+    id: 'call_1',
+    type: 'function',
+    function: { name: 'search_news', arguments: '{"query":"sol"}' }
+  }]);
+  assert.ok(provider.supportsStreaming());
+  console.log('✅ Tokens yielded and tool call fragments reassembled\n');
+}
+
+async function testFallback() {
+  console.log('↩️ Testing fallback for providers without streaming...');
+
+  class PlainProvider extends BaseAIProvider {
+    async generateResponse() {
+      return 'whole answer';
+    }
+  }
+
+  const provider = new PlainProvider({});
+  const events = [];
+  for await (const event of provider.streamCompletion([])) {
+    events.push(event);
+  }
+
+  assert.strictEqual(provider.supportsStreaming(), false);
+  assert.deepStrictEqual(events.map(event => event.type), ['token', 'completion']);
+  assert.strictEqual(events[1].content, 'whole answer');
+  console.log('✅ Non-streaming providers yield a single block\n');
+}
+
+async function runStreamingTests() {
+  console.log('🚀 Starting Streaming Tests\n');
+
+  try {
+    await testStreamingMessage();
+    await testProviderStreaming();
+    await testFallback();
+    console.log('✨ All streaming tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 Streaming test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runStreamingTests();
+}
+
+module.exports = { testStreamingMessage, testProviderStreaming, testFallback, runStreamingTests };
@@ -0,0 +1,284 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The OpenAI client refuses to start without a key; tests never reach the network
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const MessageHandler = require('../src/handlers/messageHandler');
+const investmentAnalyzer = require('../src/services/investmentAnalyzer');
+const marketDataService = require('../src/services/marketDataService');
+const newsService = require('../src/services/newsService');
+const { NewsArchive } = require('../src/services/newsArchive');
+const { WatchlistStore } = require('../src/services/watchlistStore');
+const rateLimiter = require('../src/utils/rateLimiter');
+
+/**
+ * Test script for per-user watchlists (runs offline)
+ * Run with: node test/test-watchlist.js
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2025-06-10T12:00:00.000Z');
+
+const article = (title, outlet, hoursAgo = 0) => ({
+  title,
+  summary: '',
+  url: `https://${outlet}/${encodeURIComponent(title)}`,
+  source: 'test',
+  publishedAt: new Date(NOW - hoursAgo * HOUR_MS).toISOString()
+});
+
+const NEWS = [
+  article('Bitcoin rallies to a record high', 'alpha.com'),
+  article('Spot bitcoin ETF inflows surge', 'beta.com', 2),
+  article('Bitcoin and ether climb as fund demand grows', 'gamma.com', 3),
+  article('Ether jumps while bitcoin miners post strong gains', 'delta.com', 4),
+  article('Ethereum soars on staking demand', 'alpha.com', 1),
+  article('Solana outage: network crash halts blocks', 'beta.com', 2),
+  article('Solana rallies after upgrade', 'alpha.com', 5),
+  article('Polkadot parachain auction draws record bids', 'gamma.com', 1)
+];
+
+/**
+ * Fake Telegram bot that records sent messages and callback answers
+ */
+class FakeBot {
+  constructor() {
+    this.sent = [];
+    this.answers = [];
+  }
+
+  async sendChatAction() {}
+
+  async sendMessage(chatId, text, options = {}) {
+    this.sent.push({ chatId, text, options });
+    return { message_id: this.sent.length, chat: { id: chatId } };
+  }
+
+  async answerCallbackQuery(id, options = {}) {
+    this.answers.push({ id, options });
+  }
+
+  lastText() {
+    return this.sent[this.sent.length - 1].text;
+  }
+}
+
+/**
+ * Run a test with an in-memory watchlist store, NEWS as the live feed, no market data and no time decay
+ */
+async function withWatchlists(options, callback) {
+  const originalStore = investmentAnalyzer.watchlists;
+  const originalHalfLife = investmentAnalyzer.halfLifeHours;
+  const originalArchive = newsService.archive;
+  const originalProvider = marketDataService.provider;
+  investmentAnalyzer.watchlists = new WatchlistStore(options);
+  investmentAnalyzer.halfLifeHours = 0;
+  newsService.archive = new NewsArchive();
+  newsService.setCache('latest_news', NEWS);
+  marketDataService.provider = null;
+  marketDataService.clearCache();
+
+  try {
+    await callback(investmentAnalyzer.watchlists);
+  } finally {
+    investmentAnalyzer.watchlists = originalStore;
+    investmentAnalyzer.halfLifeHours = originalHalfLife;
+    newsService.archive = originalArchive;
+    marketDataService.provider = originalProvider;
+    newsService.clearCache();
+  }
+}
+
+async function testStore() {
+  console.log('🧪 Testing the watchlist store...');
+
+  const store = new WatchlistStore({ maxAssets: 3 });
+  assert.deepStrictEqual(store.get('1'), []);
+
+  assert.deepStrictEqual(store.add('1', ['bitcoin', 'solana']), { added: ['bitcoin', 'solana'], existing: [], rejected: [] });
+  assert.deepStrictEqual(store.add('1', ['solana', 'cardano', 'ethereum']), {
+    added: ['cardano'],
+    existing: ['solana'],
+    rejected: ['ethereum']
+  });
+  assert.deepStrictEqual(store.get('1'), ['bitcoin', 'solana', 'cardano']);
+
+  // Limits are per user
+  assert.deepStrictEqual(store.add('2', ['ethereum']).added, ['ethereum']);
+
+  // Callers get a copy
+  store.get('1').push('polkadot');
+  assert.deepStrictEqual(store.get('1'), ['bitcoin', 'solana', 'cardano']);
+
+  assert.deepStrictEqual(store.remove('1', ['solana', 'polkadot']), ['solana']);
+  assert.deepStrictEqual(store.get('1'), ['bitcoin', 'cardano']);
+  assert.deepStrictEqual(store.getStats(), { users: 2, assets: 3 });
+
+  assert.strictEqual(store.clear('1'), 2);
+  assert.strictEqual(store.clear('1'), 0);
+  assert.deepStrictEqual(store.getStats(), { users: 1, assets: 1 });
+
+  console.log('✅ Watchlist store tests passed\n');
+}
+
+async function testPersistence() {
+  console.log('🧪 Testing that watchlists survive a restart...');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlists-'));
+  const filePath = path.join(dir, 'nested', 'watchlists.json');
+
+  try {
+    const store = new WatchlistStore({ filePath, flushDelayMs: 60000 });
+    store.add('1', ['bitcoin', 'solana']);
+    store.add('2', ['cardano']);
+    store.remove('2', ['cardano']);
+    assert.ok(!fs.existsSync(filePath), 'writes are delayed');
+
+    store.close();
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), {
+      version: 1,
+      users: { 1: ['bitcoin', 'solana'] }
+    });
+    assert.ok(!fs.existsSync(`${filePath}.tmp`));
+
+    const restarted = new WatchlistStore({ filePath, flushDelayMs: 0 });
+    assert.deepStrictEqual(restarted.get('1'), ['bitcoin', 'solana']);
+    restarted.add('1', ['ethereum']);
+    assert.deepStrictEqual(new WatchlistStore({ filePath }).get('1'), ['bitcoin', 'solana', 'ethereum']);
+
+    // Bad entries are skipped and a broken file starts empty
+    fs.writeFileSync(filePath, JSON.stringify({ users: { 1: ['bitcoin', 42, 'bitcoin'], 2: 'solana', 3: [] } }));
+    const cleaned = new WatchlistStore({ filePath });
+    assert.deepStrictEqual(cleaned.get('1'), ['bitcoin']);
+    assert.deepStrictEqual(cleaned.getStats(), { users: 1, assets: 1 });
+
+    fs.writeFileSync(filePath, '{"users": {');
+    assert.deepStrictEqual(new WatchlistStore({ filePath }).getStats(), { users: 0, assets: 0 });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('✅ Persistence tests passed\n');
+}
+
+async function testCommands() {
+  console.log('🧪 Testing /watch and /unwatch...');
+
+  await withWatchlists({ maxAssets: 3 }, async (store) => {
+    const bot = new FakeBot();
+    const handler = new MessageHandler(bot);
+
+    await handler.handleCommand(7, '1', '/watch', 'tester');
+    assert.ok(bot.lastText().startsWith('👀 Usage: /watch <asset> [...]'));
+
+    // Names, symbols and aliases resolve through the asset registry
+    await handler.handleCommand(7, '1', '/watch bitcoin SOL btc dogecoin', 'tester');
+    assert.strictEqual(bot.lastText(),
+      '👀 Now watching BTC, SOL.\n' +
+      '❓ I don\'t track "dogecoin". Admins can add it to the asset registry.\n\n' +
+      'Your watchlist (2/3): BTC, SOL\n' +
+      'Use /watchlist to analyze it.');
+    assert.deepStrictEqual(store.get('1'), ['bitcoin', 'solana']);
+    assert.strictEqual(bot.sent[bot.sent.length - 1].options.parse_mode, undefined);
+
+    await handler.handleCommand(7, '1', '/watch sol ada eth dot', 'tester');
+    assert.strictEqual(bot.lastText(),
+      '👀 Now watching ADA.\n' +
+      'Already watching SOL.\n' +
+      '⚠️ Your watchlist is full (3 assets), so ETH, DOT were not added. Remove one with /unwatch first.\n\n' +
+      'Your watchlist (3/3): BTC, SOL, ADA\n' +
+      'Use /watchlist to analyze it.');
+
+    // Another user has their own list
+    await handler.handleCommand(8, '2', '/watch eth', 'other');
+    assert.deepStrictEqual(store.get('2'), ['ethereum']);
+
+    await handler.handleCommand(7, '1', '/unwatch solana doge', 'tester');
+    assert.strictEqual(bot.lastText(),
+      '🗑️ Stopped watching SOL.\n' +
+      'You weren\'t watching "doge".\n\n' +
+      'Your watchlist (2/3): BTC, ADA\n' +
+      'Use /watchlist to analyze it.');
+
+    await handler.handleCommand(7, '1', '/unwatch all', 'tester');
+    assert.strictEqual(bot.lastText(), '🗑️ Removed 2 assets from your watchlist.');
+    await handler.handleCommand(7, '1', '/unwatch all', 'tester');
+    assert.strictEqual(bot.lastText(), '👀 Your watchlist is already empty.');
+    assert.deepStrictEqual(store.get('2'), ['ethereum']);
+  });
+
+  console.log('✅ Watch command tests passed\n');
+}
+
+async function testWatchlistReport() {
+  console.log('🧪 Testing the combined /watchlist analysis...');
+
+  await withWatchlists({}, async (store) => {
+    const bot = new FakeBot();
+    const handler = new MessageHandler(bot);
+
+    await handler.handleCommand(7, '1', '/watchlist', 'tester');
+    assert.strictEqual(bot.lastText(), '👀 Your watchlist is empty. Add assets with /watch, e.g. /watch bitcoin sol ada');
+
+    store.add('1', ['bitcoin', 'solana', 'cardano']);
+    await handler.handleCommand(7, '1', '/watchlist', 'tester');
+    const report = bot.sent[bot.sent.length - 1];
+    assert.strictEqual(report.options.parse_mode, 'Markdown');
+    assert.strictEqual(report.options.disable_web_page_preview, true);
+    assert.ok(report.text.startsWith('👀 **Watchlist Analysis**\n\nWatching: BITCOIN, SOLANA, CARDANO\n'));
+
+    // Only news about watched assets is analyzed, and only watched assets get a call
+    assert.ok(report.text.includes('Based on 6 articles\n'), report.text);
+    assert.ok(report.text.includes('**BUY BITCOIN**'));
+    assert.ok(report.text.includes('**HOLD SOLANA**'));
+    assert.ok(!report.text.includes('ETHEREUM'), 'ether is mentioned but not watched');
+    assert.ok(!report.text.includes('Overall Market'));
+    assert.ok(report.text.includes('ℹ️ Not enough recent news for: CARDANO\n'));
+
+    // The evidence button covers the watched assets
+    const button = report.options.reply_markup.inline_keyboard[0][0];
+    const sentBefore = bot.sent.length;
+    await handler.handleCallbackQuery({ id: 'q1', data: button.callback_data, from: { id: 1 }, message: { chat: { id: 7 }, message_id: 1 } });
+    const evidence = bot.sent.slice(sentBefore).map(message => message.text.split('\n')[0]);
+    assert.deepStrictEqual(evidence, ['📑 **Evidence: BUY BITCOIN**', '📑 **Evidence: HOLD SOLANA**']);
+
+    // A watchlist without news gets no button
+    const quiet = await investmentAnalyzer.buildWatchlistReport(['cardano']);
+    assert.strictEqual(quiet.evidenceId, null);
+    assert.ok(quiet.text.includes('No recent news mentions your watched assets.'));
+  });
+
+  console.log('✅ Watchlist report tests passed\n');
+}
+
+async function runWatchlistTests() {
+  console.log('🚀 Starting Watchlist Tests\n');
+
+  try {
+    await testStore();
+    await testPersistence();
+    await testCommands();
+    await testWatchlistReport();
+    console.log('✨ All watchlist tests completed successfully!');
+    rateLimiter.stop(); // Let the process exit
+  } catch (error) {
+    console.error('\n💥 Watchlist test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runWatchlistTests();
+}
+
+module.exports = {
+  testStore,
+  testPersistence,
+  testCommands,
+  testWatchlistReport,
+  runWatchlistTests
+};
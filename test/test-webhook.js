@@ -0,0 +1,129 @@
+const assert = require('assert');
+const http = require('http');
+const WebhookServer = require('../src/server/webhookServer');
+
+/**
+ * Test script for the webhook listener (runs offline against a simulated Telegram POST)
+ * Run with: node test/test-webhook.js
+ */
+
+const SECRET = 'test-secret-token';
+const WEBHOOK_PATH = '/telegram/webhook';
+
+function request(port, { method = 'POST', path = WEBHOOK_PATH, headers = {}, body = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on('error', reject);
+    if (body !== null) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+function sampleUpdate(updateId) {
+  return {
+    update_id: updateId,
+    message: {
+      message_id: 1,
+      from: { id: 42, is_bot: false, username: 'tester' },
+      chat: { id: 42, type: 'private' },
+      date: Math.floor(Date.now() / 1000),
+      text: '/start'
+    }
+  };
+}
+
+async function testWebhookServer() {
+  console.log('🔗 Testing Webhook Server...\n');
+
+  const received = [];
+  const fakeBot = { processUpdate: update => received.push(update) };
+  const server = new WebhookServer(fakeBot, {
+    host: '127.0.0.1',
+    port: 0,
+    path: WEBHOOK_PATH,
+    secretToken: SECRET
+  });
+
+  const { port } = await server.start();
+
+  try {
+    // Test 1: Valid update with correct secret token
+    console.log('1️⃣ Testing valid update delivery...');
+    const update = sampleUpdate(1001);
+    const ok = await request(port, {
+      headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': SECRET },
+      body: JSON.stringify(update)
+    });
+    assert.strictEqual(ok.status, 200);
+    assert.strictEqual(received.length, 1);
+    assert.deepStrictEqual(received[0], update);
+    console.log('✅ Update forwarded to bot\n');
+
+    // Test 2: Missing or wrong secret token
+    console.log('2️⃣ Testing secret token verification...');
+    const missing = await request(port, { body: JSON.stringify(sampleUpdate(1002)) });
+    assert.strictEqual(missing.status, 401);
+    const wrong = await request(port, {
+      headers: { 'X-Telegram-Bot-Api-Secret-Token': 'wrong' },
+      body: JSON.stringify(sampleUpdate(1003))
+    });
+    assert.strictEqual(wrong.status, 401);
+    assert.strictEqual(received.length, 1);
+    console.log('✅ Unauthorized requests rejected\n');
+
+    // Test 3: Malformed requests
+    console.log('3️⃣ Testing malformed requests...');
+    const badJson = await request(port, {
+      headers: { 'X-Telegram-Bot-Api-Secret-Token': SECRET },
+      body: '{not json'
+    });
+    assert.strictEqual(badJson.status, 400);
+    const notUpdate = await request(port, {
+      headers: { 'X-Telegram-Bot-Api-Secret-Token': SECRET },
+      body: JSON.stringify({ hello: 'world' })
+    });
+    assert.strictEqual(notUpdate.status, 400);
+    const wrongMethod = await request(port, { method: 'GET' });
+    assert.strictEqual(wrongMethod.status, 405);
+    const wrongPath = await request(port, { path: '/elsewhere', body: '{}' });
+    assert.strictEqual(wrongPath.status, 404);
+    assert.strictEqual(received.length, 1);
+    console.log('✅ Malformed requests rejected\n');
+
+    // Test 4: Health check
+    console.log('4️⃣ Testing health check...');
+    const health = await request(port, { method: 'GET', path: '/health' });
+    assert.strictEqual(health.status, 200);
+    console.log('✅ Health check responded\n');
+
+    console.log('🎉 All webhook server tests passed!');
+
+  } finally {
+    await server.stop();
+  }
+}
+
+async function runWebhookTests() {
+  console.log('🚀 Starting Webhook Tests\n');
+
+  try {
+    await testWebhookServer();
+    console.log('\n✨ All webhook tests completed successfully!');
+  } catch (error) {
+    console.error('\n💥 Webhook test suite failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runWebhookTests();
+}
+
+module.exports = { testWebhookServer, runWebhookTests };